@@ -0,0 +1,38 @@
+require('dotenv').config();
+const { prisma } = require('./src/config/database');
+const { connectRedis, disconnectRedis } = require('./src/config/redis');
+const { rebuildLeaderboardStore } = require('./src/services/leaderboardStore');
+
+console.log('🏆 Rebuilding the Redis leaderboard store...\n');
+
+async function rebuildLeaderboards() {
+  try {
+    if (!process.env.REDIS_URL) {
+      console.error('❌ REDIS_URL is not set. Add it to your .env file to use the leaderboard store.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const client = await connectRedis();
+    if (!client) {
+      console.error('❌ Could not connect to Redis at REDIS_URL.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const counts = await rebuildLeaderboardStore();
+    Object.entries(counts).forEach(([board, count]) => {
+      console.log(`✅ ${board}: ${count} players`);
+    });
+
+    console.log('\n🎉 Leaderboard store rebuilt successfully!');
+  } catch (error) {
+    console.error('\n❌ Rebuild failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnectRedis();
+    await prisma.$disconnect();
+  }
+}
+
+rebuildLeaderboards();
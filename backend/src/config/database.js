@@ -73,12 +73,12 @@ const seedDatabase = async () => {
     // Create default levels
     const levels = [
       { levelNumber: 1, name: 'Beginner', description: 'Starting your journey', experienceRequired: 0 },
-      { levelNumber: 2, name: 'Novice', description: 'Getting the hang of it', experienceRequired: 100 },
-      { levelNumber: 3, name: 'Apprentice', description: 'Learning and growing', experienceRequired: 250 },
-      { levelNumber: 4, name: 'Journeyman', description: 'Building skills', experienceRequired: 500 },
-      { levelNumber: 5, name: 'Expert', description: 'Mastering the craft', experienceRequired: 1000 },
-      { levelNumber: 6, name: 'Master', description: 'Exceptional skills', experienceRequired: 2000 },
-      { levelNumber: 7, name: 'Grandmaster', description: 'Legendary status', experienceRequired: 5000 },
+      { levelNumber: 2, name: 'Novice', description: 'Getting the hang of it', experienceRequired: 100, bonusExperience: 20 },
+      { levelNumber: 3, name: 'Apprentice', description: 'Learning and growing', experienceRequired: 250, bonusExperience: 30 },
+      { levelNumber: 4, name: 'Journeyman', description: 'Building skills', experienceRequired: 500, bonusExperience: 40 },
+      { levelNumber: 5, name: 'Expert', description: 'Mastering the craft', experienceRequired: 1000, bonusExperience: 50 },
+      { levelNumber: 6, name: 'Master', description: 'Exceptional skills', experienceRequired: 2000, bonusExperience: 60 },
+      { levelNumber: 7, name: 'Grandmaster', description: 'Legendary status', experienceRequired: 5000, bonusExperience: 70 },
     ];
 
     console.log('📊 Creating default levels...');
@@ -180,6 +180,7 @@ const seedDatabase = async () => {
         category: 'engagement',
         experienceReward: 5,
         isRepeatable: true,
+        maxPerDay: 1,
       },
       {
         name: 'First Badge',
@@ -194,6 +195,8 @@ const seedDatabase = async () => {
         category: 'social',
         experienceReward: 30,
         isRepeatable: true,
+        cooldownMinutes: 60,
+        maxPerDay: 5,
       },
       {
         name: 'Content Creator',
@@ -201,6 +204,9 @@ const seedDatabase = async () => {
         category: 'creation',
         experienceReward: 75,
         isRepeatable: true,
+        maxPerDay: 3,
+        repeatDecayPercent: 25,
+        minExperienceReward: 10,
       },
     ];
 
@@ -258,6 +264,14 @@ const seedDatabase = async () => {
         criteriaValue: 7,
         experienceReward: 1000,
       },
+      {
+        name: 'Week Warrior',
+        description: 'Keep a 7-day streak',
+        category: 'engagement',
+        criteriaType: 'streak_days',
+        criteriaValue: 7,
+        experienceReward: 150,
+      },
     ];
 
     console.log('🏅 Creating default achievements...');
@@ -280,6 +294,52 @@ const seedDatabase = async () => {
       }
     }
 
+    // Create default quests (steps reference activities by name)
+    const quests = [
+      {
+        name: 'Getting Started',
+        description: 'Your first steps on the platform',
+        category: 'onboarding',
+        isOrdered: true,
+        experienceReward: 100,
+        steps: [
+          { title: 'Complete your profile', activityName: 'Complete Profile' },
+          { title: 'Log in on another day', activityName: 'Daily Login' },
+          { title: 'Reach level 2', criteriaType: 'level_reached', criteriaValue: 2 },
+        ],
+      },
+    ];
+
+    console.log('🗺️  Creating default quests...');
+    for (const quest of quests) {
+      try {
+        // Check if quest already exists
+        const existingQuest = await prisma.quest.findFirst({
+          where: { name: quest.name }
+        });
+
+        if (!existingQuest) {
+          const { steps, ...questData } = quest;
+          const stepData = [];
+
+          for (const [index, { activityName, ...step }] of steps.entries()) {
+            const activity = activityName
+              ? await prisma.activity.findFirst({ where: { name: activityName } })
+              : null;
+            stepData.push({ ...step, position: index + 1, activityId: activity ? activity.id : undefined });
+          }
+
+          await prisma.quest.create({
+            data: { ...questData, steps: { create: stepData } },
+          });
+        } else {
+          console.log(`⚠️  Quest ${quest.name} already exists`);
+        }
+      } catch (error) {
+        console.log(`⚠️  Quest ${quest.name} creation failed: ${error.message}`);
+      }
+    }
+
     // Create default users
     const users = [
       {
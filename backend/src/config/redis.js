@@ -0,0 +1,77 @@
+const { createClient } = require('redis');
+
+// Redis is optional. Without REDIS_URL, or while the server is unreachable,
+// getRedisClient() returns null and callers fall back to PostgreSQL.
+let client = null;
+const readyListeners = [];
+
+// Connect to Redis if REDIS_URL is set. Resolves with the client once it is
+// ready, or with null if it is not ready within timeoutMs; the client keeps
+// reconnecting in the background either way.
+const connectRedis = (timeoutMs = 5000) => {
+  if (!process.env.REDIS_URL) return Promise.resolve(null);
+
+  if (!client) {
+    client = createClient({
+      url: process.env.REDIS_URL,
+      // Fail commands right away while disconnected instead of queueing them
+      disableOfflineQueue: true,
+      socket: {
+        reconnectStrategy: retries => Math.min(retries * 500, 30000)
+      }
+    });
+
+    let lastError = null;
+    client.on('error', (error) => {
+      // Log each distinct error once rather than on every reconnect attempt
+      if (error.message !== lastError) console.error('❌ Redis error:', error.message);
+      lastError = error.message;
+    });
+    client.on('ready', () => {
+      lastError = null;
+      console.log('✅ Redis connected successfully');
+      readyListeners.forEach(listener => listener(client));
+    });
+
+    client.connect().catch(error => console.error('❌ Redis connection failed:', error.message));
+  }
+
+  if (client.isReady) return Promise.resolve(client);
+
+  const connecting = client;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      connecting.off('ready', onReady);
+      resolve(null);
+    }, timeoutMs);
+    function onReady() {
+      clearTimeout(timer);
+      resolve(connecting);
+    }
+    connecting.once('ready', onReady);
+  });
+};
+
+// The Redis client when it is connected and ready, otherwise null
+const getRedisClient = () => (client && client.isReady ? client : null);
+
+// Run a listener whenever the connection becomes ready, including after reconnects
+const onRedisReady = (listener) => {
+  readyListeners.push(listener);
+};
+
+// Close the connection (used by scripts that exit when done)
+const disconnectRedis = async () => {
+  if (!client) return;
+
+  const closing = client;
+  client = null;
+  if (closing.isOpen) await (closing.isReady ? closing.quit() : closing.disconnect());
+};
+
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  onRedisReady,
+  disconnectRedis
+};
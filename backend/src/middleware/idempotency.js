@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+// Idempotency-Key support for reward-granting endpoints.
+//
+// The first request with a key stores its response; retries with the same key
+// (per user and endpoint) replay that response instead of running again.
+// Reusing a key with a different payload is rejected with 422. Server errors
+// are not stored, so the request can be retried. A key whose request never
+// stored a response (the process died, or storing failed) is abandoned after
+// IDEMPOTENCY_PENDING_TIMEOUT_MINUTES (default 5) and can be claimed again.
+// Keys expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+
+const MAX_KEY_LENGTH = 255;
+
+// A key that keeps disappearing between the insert and the lookup (purged or
+// taken over each time) is given up on after this many attempts
+const MAX_CLAIM_ATTEMPTS = 3;
+
+function getTtlMs() {
+  return (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+function getPendingTimeoutMs() {
+  return (parseFloat(process.env.IDEMPOTENCY_PENDING_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+}
+
+// --- Helper: Serialise a value with sorted object keys ---
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto.createHash('sha256').update(canonicalJson(req.body || {})).digest('hex');
+}
+
+// --- Helper: Whether a stored key may be claimed by a new request ---
+function isReclaimable(record, now) {
+  if (record.expiresAt <= now) return true;
+  return record.statusCode === null && record.createdAt.getTime() + getPendingTimeoutMs() <= now.getTime();
+}
+
+// --- Helper: Claim a key, taking it over if it has expired or was abandoned ---
+async function claimKey(key, scope, requestHash) {
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const data = { key, scope, requestHash, createdAt: now, expiresAt: new Date(now.getTime() + getTtlMs()) };
+
+    try {
+      return { claimed: true, record: await prisma.idempotencyKey.create({ data }) };
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({
+      where: { key_scope: { key, scope } }
+    });
+
+    // Removed since the insert failed: try inserting again
+    if (!existing) continue;
+
+    if (!isReclaimable(existing, now)) return { claimed: false, record: existing };
+
+    // Only one concurrent request may take it over
+    const { count } = await prisma.idempotencyKey.updateMany({
+      where: { id: existing.id, createdAt: existing.createdAt, expiresAt: existing.expiresAt },
+      data: {
+        requestHash, statusCode: null, responseBody: Prisma.DbNull, createdAt: now, expiresAt: data.expiresAt
+      }
+    });
+    if (count === 1) return { claimed: true, record: existing };
+  }
+
+  throw new Error(`Could not claim Idempotency-Key after ${MAX_CLAIM_ATTEMPTS} attempts`);
+}
+
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  // Keys are scoped to the caller and the endpoint
+  const scope = `${req.user ? `user:${req.user.id}` : 'anonymous'} ${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    const { claimed, record } = await claimKey(key, scope, requestHash);
+
+    if (!claimed) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request payload'
+        });
+      }
+
+      if (record.statusCode === null) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    // Store the response before it is sent, so a retry can never re-execute
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const store = res.statusCode >= 500
+        ? prisma.idempotencyKey.delete({ where: { id: record.id } })
+        : prisma.idempotencyKey.update({
+          where: { id: record.id },
+          data: { statusCode: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        });
+
+      store
+        .catch(error => console.error('Idempotency key store error:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error checking idempotency key'
+    });
+  }
+};
+
+// Remove expired keys; returns the number deleted
+async function purgeExpiredIdempotencyKeys() {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+  return count;
+}
+
+module.exports = { idempotent, purgeExpiredIdempotencyKeys };
@@ -1,4 +1,6 @@
 const { prisma } = require('../config/database');
+const { createFactContext } = require('../services/rulesEngine');
+const { meetsCriteria } = require('../services/criteriaTypes');
 
 class Achievement {
   // Create a new achievement
@@ -381,13 +383,12 @@ class Achievement {
       where: { id: parseInt(achievementId) },
     });
 
-    if (!achievement) return false;
+    // Team-scoped achievements are unlocked by teams, not users
+    if (!achievement || achievement.scope === 'team') return false;
 
     const user = await prisma.user.findUnique({
       where: { id: parseInt(userId) },
       include: {
-        userBadges: true,
-        userActivities: true,
         userAchievements: true,
       },
     });
@@ -398,29 +399,7 @@ class Achievement {
     const hasAchievement = user.userAchievements.some(ua => ua.achievementId === parseInt(achievementId));
     if (hasAchievement) return false;
 
-    // Check criteria based on achievement type
-    switch (achievement.criteriaType) {
-      case 'registration':
-        return true; // Always true for registration achievements
-      
-      case 'activity_completion':
-        return user.userActivities.length >= achievement.criteriaValue;
-      
-      case 'badge_count':
-        return user.userBadges.length >= achievement.criteriaValue;
-      
-      case 'achievement_count':
-        return user.userAchievements.length >= achievement.criteriaValue;
-      
-      case 'level_reached':
-        return user.currentLevel >= achievement.criteriaValue;
-      
-      case 'experience_points':
-        return user.experiencePoints >= achievement.criteriaValue;
-      
-      default:
-        return false;
-    }
+    return meetsCriteria(achievement, createFactContext(user.id));
   }
 
   // Get user's achievement progress
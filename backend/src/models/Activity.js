@@ -1,4 +1,6 @@
 const { prisma } = require('../config/database');
+const { completeActivity } = require('../services/activityCompletion');
+const { describeMissingPrerequisites } = require('../services/activityPrerequisites');
 
 class Activity {
   // Create a new activity
@@ -117,10 +119,11 @@ class Activity {
     });
   }
 
-  // Complete activity for user
+  // Complete activity for user (subject to the activity's repeat rules)
   static async completeForUser(activityId, userId) {
     const activity = await prisma.activity.findUnique({
       where: { id: parseInt(activityId) },
+      include: { badgeReward: true },
     });
 
     if (!activity) {
@@ -131,29 +134,27 @@ class Activity {
       throw new Error('Activity is not active');
     }
 
-    // Check if user has already completed this activity (if not repeatable)
-    if (!activity.isRepeatable) {
-      const existingCompletion = await prisma.userActivity.findUnique({
-        where: {
-          userId_activityId: {
-            userId: parseInt(userId),
-            activityId: parseInt(activityId),
-          },
-        },
-      });
+    const result = await completeActivity({
+      userId: parseInt(userId),
+      activity,
+    });
 
-      if (existingCompletion) {
-        throw new Error('Activity already completed');
+    if (!result.completed) {
+      if (result.reason === 'not_available') {
+        throw new Error('Activity is not available right now');
       }
+      if (result.reason === 'locked') {
+        throw new Error(describeMissingPrerequisites(result.missing));
+      }
+      throw new Error(
+        result.reason === 'already_completed'
+          ? 'Activity already completed'
+          : 'Activity completion limit reached'
+      );
     }
 
-    // Complete the activity
-    const userActivity = await prisma.userActivity.create({
-      data: {
-        userId: parseInt(userId),
-        activityId: parseInt(activityId),
-        experienceGained: activity.experienceReward,
-      },
+    return await prisma.userActivity.findUnique({
+      where: { id: result.completion.id },
       include: {
         user: {
           select: {
@@ -169,28 +170,6 @@ class Activity {
         activity: true,
       },
     });
-
-    // Add experience to user
-    await prisma.user.update({
-      where: { id: parseInt(userId) },
-      data: {
-        experiencePoints: {
-          increment: activity.experienceReward,
-        },
-      },
-    });
-
-    // Log experience change
-    await prisma.experienceLog.create({
-      data: {
-        userId: parseInt(userId),
-        activityType: 'activity_completion',
-        activityId: parseInt(activityId),
-        experienceChange: activity.experienceReward,
-      },
-    });
-
-    return userActivity;
   }
 
   // Get activities for a specific user
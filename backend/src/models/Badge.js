@@ -1,4 +1,6 @@
 const { prisma } = require('../config/database');
+const { createFactContext } = require('../services/rulesEngine');
+const { meetsCriteria } = require('../services/criteriaTypes');
 
 class Badge {
   // Create a new badge
@@ -307,8 +309,6 @@ class Badge {
       where: { id: parseInt(userId) },
       include: {
         userBadges: true,
-        userActivities: true,
-        userAchievements: true,
       },
     });
 
@@ -318,26 +318,7 @@ class Badge {
     const hasBadge = user.userBadges.some(ub => ub.badgeId === parseInt(badgeId));
     if (hasBadge) return false;
 
-    // Check criteria based on badge type
-    switch (badge.criteriaType) {
-      case 'activity_completion':
-        return user.userActivities.length >= badge.criteriaValue;
-      
-      case 'badge_count':
-        return user.userBadges.length >= badge.criteriaValue;
-      
-      case 'achievement_count':
-        return user.userAchievements.length >= badge.criteriaValue;
-      
-      case 'level_reached':
-        return user.currentLevel >= badge.criteriaValue;
-      
-      case 'experience_points':
-        return user.experiencePoints >= badge.criteriaValue;
-      
-      default:
-        return false;
-    }
+    return meetsCriteria(badge, createFactContext(user.id));
   }
 }
 
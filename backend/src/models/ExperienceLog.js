@@ -370,18 +370,25 @@ class ExperienceLog {
     };
   }
 
-  // Get top experience gainers
+  // Get top experience gainers among active users. `timeRange` is a number of
+  // days back from now or a { from, to } range; ties are ordered by user ID.
   static async getTopExperienceGainers(limit = 10, timeRange = null) {
     const where = {
       experienceChange: { gt: 0 },
+      user: { isActive: true },
     };
 
-    if (timeRange) {
+    if (typeof timeRange === 'number') {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - timeRange);
       where.createdAt = {
         gte: startDate,
       };
+    } else if (timeRange) {
+      where.createdAt = {
+        gte: timeRange.from,
+        lt: timeRange.to,
+      };
     }
 
     const topGainers = await prisma.experienceLog.groupBy({
@@ -390,38 +397,32 @@ class ExperienceLog {
       _sum: {
         experienceChange: true,
       },
-      orderBy: {
-        _sum: {
-          experienceChange: 'desc',
-        },
-      },
+      orderBy: [
+        { _sum: { experienceChange: 'desc' } },
+        { userId: 'asc' },
+      ],
       take: limit,
     });
 
     // Get user details for top gainers
-    const topGainersWithDetails = await Promise.all(
-      topGainers.map(async (gainer) => {
-        const user = await prisma.user.findUnique({
-          where: { id: gainer.userId },
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            avatarUrl: true,
-            experiencePoints: true,
-            currentLevel: true,
-          },
-        });
-
-        return {
-          user,
-          totalExperienceGained: gainer._sum.experienceChange,
-        };
-      })
-    );
+    const users = await prisma.user.findMany({
+      where: { id: { in: topGainers.map((gainer) => gainer.userId) } },
+      select: {
+        id: true,
+        username: true,
+        firstName: true,
+        lastName: true,
+        avatarUrl: true,
+        experiencePoints: true,
+        currentLevel: true,
+      },
+    });
+    const usersById = new Map(users.map((user) => [user.id, user]));
 
-    return topGainersWithDetails;
+    return topGainers.map((gainer) => ({
+      user: usersById.get(gainer.userId),
+      totalExperienceGained: gainer._sum.experienceChange,
+    }));
   }
 
   // Delete experience logs for a user
@@ -2,19 +2,36 @@ const express = require('express');
 const Joi = require('joi');
 const { protect, admin } = require('../middleware/auth');
 const { prisma } = require('../config/database');
+const { validateCriteria, validateCriteriaUpdate } = require('../services/criteriaTypes');
+const {
+  SEASONAL_EVENT_SELECT,
+  availabilityKeys,
+  buildAvailabilityData,
+  formatAvailability
+} = require('../services/availability');
 
 const router = express.Router();
 
+// Team-scoped achievements are unlocked by teams (see services/teamService)
+const ACHIEVEMENT_SCOPES = ['user', 'team'];
+
 // Validation schemas
 const createAchievementSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
   description: Joi.string().max(500).optional(),
   icon_url: Joi.string().uri().optional(),
   category: Joi.string().max(50).optional(),
-  criteria_type: Joi.string().valid('experience', 'badges', 'activities', 'achievements', 'custom').required(),
-  criteria_value: Joi.number().integer().min(1).required(),
+  criteria_type: Joi.string().max(50)
+    .when('criteria_rule', { is: Joi.exist(), then: Joi.optional().default('custom'), otherwise: Joi.required() }),
+  criteria_value: Joi.number().integer().min(1)
+    .when('criteria_rule', { is: Joi.exist(), then: Joi.any().default(1), otherwise: Joi.required() }),
+  criteria_params: Joi.object().optional(),
+  criteria_rule: Joi.object().optional(),
+  scope: Joi.string().valid(...ACHIEVEMENT_SCOPES).default('user'),
   experience_reward: Joi.number().integer().min(0).default(0),
-  badge_reward_id: Joi.number().integer().min(1).optional()
+  currency_reward: Joi.number().integer().min(0).default(0),
+  badge_reward_id: Joi.number().integer().min(1).optional(),
+  ...availabilityKeys
 });
 
 const updateAchievementSchema = Joi.object({
@@ -22,10 +39,15 @@ const updateAchievementSchema = Joi.object({
   description: Joi.string().max(500).optional(),
   icon_url: Joi.string().uri().optional(),
   category: Joi.string().max(50).optional(),
-  criteria_type: Joi.string().valid('experience', 'badges', 'activities', 'achievements', 'custom').optional(),
+  criteria_type: Joi.string().max(50).optional(),
   criteria_value: Joi.number().integer().min(1).optional(),
+  criteria_params: Joi.object().allow(null).optional(),
+  criteria_rule: Joi.object().optional(),
+  scope: Joi.string().valid(...ACHIEVEMENT_SCOPES).optional(),
   experience_reward: Joi.number().integer().min(0).optional(),
+  currency_reward: Joi.number().integer().min(0).optional(),
   badge_reward_id: Joi.number().integer().min(1).optional(),
+  ...availabilityKeys,
   is_active: Joi.boolean().optional()
 });
 
@@ -55,6 +77,12 @@ const updateAchievementSchema = Joi.object({
  *           type: string
  *         description: Filter by category
  *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [user, team]
+ *         description: Filter by scope
+ *       - in: query
  *         name: active
  *         schema:
  *           type: boolean
@@ -65,7 +93,7 @@ const updateAchievementSchema = Joi.object({
  */
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, active } = req.query;
+    const { page = 1, limit = 10, category, scope, active } = req.query;
     const skip = (page - 1) * limit;
 
     // Build where conditions
@@ -75,6 +103,10 @@ router.get('/', async (req, res) => {
       where.category = category;
     }
 
+    if (scope) {
+      where.scope = scope;
+    }
+
     if (active !== undefined) {
       where.isActive = active === 'true';
     }
@@ -91,7 +123,8 @@ router.get('/', async (req, res) => {
             name: true,
             imageUrl: true
           }
-        }
+        },
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT }
       },
       orderBy: { createdAt: 'desc' },
       skip,
@@ -108,8 +141,13 @@ router.get('/', async (req, res) => {
         category: achievement.category,
         criteria_type: achievement.criteriaType,
         criteria_value: achievement.criteriaValue,
+        criteria_params: achievement.criteriaParams,
+        criteria_rule: achievement.criteriaRule,
+        scope: achievement.scope,
         experience_reward: achievement.experienceReward,
+        currency_reward: achievement.currencyReward,
         badge_reward_id: achievement.badgeRewardId,
+        ...formatAvailability(achievement),
         is_active: achievement.isActive,
         created_at: achievement.createdAt,
         updated_at: achievement.updatedAt,
@@ -163,7 +201,8 @@ router.get('/:id', async (req, res) => {
             name: true,
             imageUrl: true
           }
-        }
+        },
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT }
       }
     });
 
@@ -184,8 +223,13 @@ router.get('/:id', async (req, res) => {
         category: achievement.category,
         criteria_type: achievement.criteriaType,
         criteria_value: achievement.criteriaValue,
+        criteria_params: achievement.criteriaParams,
+        criteria_rule: achievement.criteriaRule,
+        scope: achievement.scope,
         experience_reward: achievement.experienceReward,
+        currency_reward: achievement.currencyReward,
         badge_reward_id: achievement.badgeRewardId,
+        ...formatAvailability(achievement),
         is_active: achievement.isActive,
         created_at: achievement.createdAt,
         updated_at: achievement.updatedAt,
@@ -218,8 +262,6 @@ router.get('/:id', async (req, res) => {
  *             type: object
  *             required:
  *               - name
- *               - criteria_type
- *               - criteria_value
  *             properties:
  *               name:
  *                 type: string
@@ -235,16 +277,46 @@ router.get('/:id', async (req, res) => {
  *                 maxLength: 50
  *               criteria_type:
  *                 type: string
- *                 enum: [experience, badges, activities, achievements, custom]
+ *                 description: One of the types listed by GET /api/criteria-types
  *               criteria_value:
  *                 type: integer
  *                 minimum: 1
+ *               criteria_params:
+ *                 type: object
+ *                 description: Optional parameters accepted by the criteria type
+ *               criteria_rule:
+ *                 type: object
+ *                 description: Structured rule with all/any/not groups and fact comparisons; implies criteria_type "custom"
+ *               scope:
+ *                 type: string
+ *                 enum: [user, team]
+ *                 description: >
+ *                   "team" achievements are unlocked by a team once its members
+ *                   together meet the criteria; every member receives the rewards
  *               experience_reward:
  *                 type: integer
  *                 minimum: 0
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited to the wallet when the achievement is unlocked
  *               badge_reward_id:
  *                 type: integer
  *                 minimum: 1
+ *               available_from:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               available_until:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               schedule:
+ *                 $ref: '#/components/schemas/AvailabilitySchedule'
+ *               seasonal_event_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seasonal event whose run also limits availability
  *     responses:
  *       201:
  *         description: Achievement created successfully
@@ -265,20 +337,44 @@ router.post('/', protect, admin, async (req, res) => {
     }
 
     const {
-      name, description, icon_url, category, criteria_type, criteria_value,
-      experience_reward, badge_reward_id
+      name, description, icon_url, category, criteria_type, criteria_value, criteria_params, criteria_rule,
+      scope, experience_reward, currency_reward, badge_reward_id
     } = value;
 
+    const criteria = validateCriteria({
+      type: criteria_type,
+      value: criteria_value,
+      params: criteria_params,
+      rule: criteria_rule,
+      scope
+    });
+    if (criteria.error) {
+      return res.status(400).json({
+        success: false,
+        error: criteria.error
+      });
+    }
+
+    const availability = await buildAvailabilityData(value);
+    if (availability.error) {
+      return res.status(400).json({
+        success: false,
+        error: availability.error
+      });
+    }
+
     const achievement = await prisma.achievement.create({
       data: {
         name,
         description,
         iconUrl: icon_url,
         category,
-        criteriaType: criteria_type,
-        criteriaValue: criteria_value,
+        ...criteria.value,
+        scope,
         experienceReward: experience_reward,
-        badgeRewardId: badge_reward_id
+        currencyReward: currency_reward,
+        badgeRewardId: badge_reward_id,
+        ...availability.value
       },
       select: {
         id: true,
@@ -288,8 +384,17 @@ router.post('/', protect, admin, async (req, res) => {
         category: true,
         criteriaType: true,
         criteriaValue: true,
+        criteriaParams: true,
+        criteriaRule: true,
+        scope: true,
         experienceReward: true,
+        currencyReward: true,
         badgeRewardId: true,
+        availableFrom: true,
+        availableUntil: true,
+        schedule: true,
+        seasonalEventId: true,
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT },
         isActive: true,
         createdAt: true,
         updatedAt: true
@@ -306,8 +411,13 @@ router.post('/', protect, admin, async (req, res) => {
         category: achievement.category,
         criteria_type: achievement.criteriaType,
         criteria_value: achievement.criteriaValue,
+        criteria_params: achievement.criteriaParams,
+        criteria_rule: achievement.criteriaRule,
+        scope: achievement.scope,
         experience_reward: achievement.experienceReward,
+        currency_reward: achievement.currencyReward,
         badge_reward_id: achievement.badgeRewardId,
+        ...formatAvailability(achievement),
         is_active: achievement.isActive,
         created_at: achievement.createdAt,
         updated_at: achievement.updatedAt
@@ -358,16 +468,46 @@ router.post('/', protect, admin, async (req, res) => {
  *                 maxLength: 50
  *               criteria_type:
  *                 type: string
- *                 enum: [experience, badges, activities, achievements, custom]
+ *                 description: One of the types listed by GET /api/criteria-types
  *               criteria_value:
  *                 type: integer
  *                 minimum: 1
+ *               criteria_params:
+ *                 type: object
+ *                 description: Optional parameters accepted by the criteria type
+ *               criteria_rule:
+ *                 type: object
+ *                 description: Structured rule with all/any/not groups and fact comparisons; implies criteria_type "custom"
+ *               scope:
+ *                 type: string
+ *                 enum: [user, team]
+ *                 description: >
+ *                   "team" achievements are unlocked by a team once its members
+ *                   together meet the criteria; every member receives the rewards
  *               experience_reward:
  *                 type: integer
  *                 minimum: 0
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited to the wallet when the achievement is unlocked
  *               badge_reward_id:
  *                 type: integer
  *                 minimum: 1
+ *               available_from:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               available_until:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               schedule:
+ *                 $ref: '#/components/schemas/AvailabilitySchedule'
+ *               seasonal_event_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seasonal event whose run also limits availability
  *               is_active:
  *                 type: boolean
  *     responses:
@@ -412,12 +552,38 @@ router.put('/:id', protect, admin, async (req, res) => {
     if (value.description !== undefined) updateData.description = value.description;
     if (value.icon_url !== undefined) updateData.iconUrl = value.icon_url;
     if (value.category !== undefined) updateData.category = value.category;
-    if (value.criteria_type !== undefined) updateData.criteriaType = value.criteria_type;
-    if (value.criteria_value !== undefined) updateData.criteriaValue = value.criteria_value;
+    // The criteria are checked again when the scope changes
+    if (['criteria_type', 'criteria_value', 'criteria_params', 'criteria_rule', 'scope'].some(field => value[field] !== undefined)) {
+      const criteria = validateCriteriaUpdate(existingAchievement, {
+        type: value.criteria_type,
+        value: value.criteria_value,
+        params: value.criteria_params,
+        rule: value.criteria_rule,
+        scope: value.scope
+      });
+      if (criteria.error) {
+        return res.status(400).json({
+          success: false,
+          error: criteria.error
+        });
+      }
+      Object.assign(updateData, criteria.value);
+      if (value.scope !== undefined) updateData.scope = value.scope;
+    }
     if (value.experience_reward !== undefined) updateData.experienceReward = value.experience_reward;
+    if (value.currency_reward !== undefined) updateData.currencyReward = value.currency_reward;
     if (value.badge_reward_id !== undefined) updateData.badgeRewardId = value.badge_reward_id;
     if (value.is_active !== undefined) updateData.isActive = value.is_active;
 
+    const availability = await buildAvailabilityData(value, existingAchievement);
+    if (availability.error) {
+      return res.status(400).json({
+        success: false,
+        error: availability.error
+      });
+    }
+    Object.assign(updateData, availability.value);
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
@@ -436,8 +602,17 @@ router.put('/:id', protect, admin, async (req, res) => {
         category: true,
         criteriaType: true,
         criteriaValue: true,
+        criteriaParams: true,
+        criteriaRule: true,
+        scope: true,
         experienceReward: true,
+        currencyReward: true,
         badgeRewardId: true,
+        availableFrom: true,
+        availableUntil: true,
+        schedule: true,
+        seasonalEventId: true,
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT },
         isActive: true,
         createdAt: true,
         updatedAt: true
@@ -454,8 +629,13 @@ router.put('/:id', protect, admin, async (req, res) => {
         category: achievement.category,
         criteria_type: achievement.criteriaType,
         criteria_value: achievement.criteriaValue,
+        criteria_params: achievement.criteriaParams,
+        criteria_rule: achievement.criteriaRule,
+        scope: achievement.scope,
         experience_reward: achievement.experienceReward,
+        currency_reward: achievement.currencyReward,
         badge_reward_id: achievement.badgeRewardId,
+        ...formatAvailability(achievement),
         is_active: achievement.isActive,
         created_at: achievement.createdAt,
         updated_at: achievement.updatedAt
@@ -581,7 +761,10 @@ router.get('/user/:userId', async (req, res) => {
             category: true,
             criteriaType: true,
             criteriaValue: true,
-            experienceReward: true
+            criteriaParams: true,
+            criteriaRule: true,
+            experienceReward: true,
+            currencyReward: true
           }
         }
       },
@@ -602,7 +785,10 @@ router.get('/user/:userId', async (req, res) => {
           category: ua.achievement.category,
           criteria_type: ua.achievement.criteriaType,
           criteria_value: ua.achievement.criteriaValue,
+          criteria_params: ua.achievement.criteriaParams,
+          criteria_rule: ua.achievement.criteriaRule,
           experience_reward: ua.achievement.experienceReward,
+          currency_reward: ua.achievement.currencyReward,
           unlocked_at: ua.unlockedAt
         }))
       }
@@ -1,189 +1,58 @@
 const express = require('express');
 const Joi = require('joi');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { prisma } = require('../config/database');
+const { formatProgress } = require('../services/progression');
+const { formatStreak } = require('../services/streakService');
+const { completeActivity, emitCompletionEvents } = require('../services/activityCompletion');
+const {
+  PREREQUISITE_INCLUDE,
+  loadUnlockState,
+  findMissingPrerequisites,
+  describeMissingPrerequisites,
+  formatPrerequisites
+} = require('../services/activityPrerequisites');
+const {
+  SEASONAL_EVENT_SELECT,
+  availabilityKeys,
+  buildAvailabilityData,
+  getAvailability,
+  availableNowWhere,
+  formatAvailability
+} = require('../services/availability');
+const { formatExperienceBreakdown } = require('../services/xpCampaignService');
+const { rebuildCategoryXp } = require('../services/categoryXpService');
 
 const router = express.Router();
 
-// --- Helper: Check and Update Level ---
-async function checkAndUpdateLevel(userId, tx = prisma) {
-  const user = await tx.user.findUnique({
-    where: { id: userId }
-  });
-
-  // Calculate new level based on XP
-  const newLevel = calculateLevel(user.experiencePoints);
-  
-  if (newLevel > user.currentLevel) {
-    // LEVEL UP DETECTED
-    await tx.user.update({
-      where: { id: userId },
-      data: { currentLevel: newLevel }
-    });
-
-    // Check for level-based badges
-    const levelBadge = await tx.level.findFirst({
-      where: { 
-        levelNumber: newLevel,
-        badgeRewardId: { not: null }
-      },
-      include: { badgeReward: true }
-    });
-
-    if (levelBadge && levelBadge.badgeReward) {
-      const existingBadge = await tx.userBadge.findFirst({
-        where: {
-          userId: userId,
-          badgeId: levelBadge.badgeReward.id
-        }
-      });
-
-      if (!existingBadge) {
-        // Award level badge automatically
-        await tx.userBadge.create({
-          data: {
-            userId: userId,
-            badgeId: levelBadge.badgeReward.id,
-            awardedBy: null
-          }
-        });
-
-        // Update user stats
-        await tx.user.update({
-          where: { id: userId },
-          data: {
-            totalBadges: { increment: 1 },
-            experiencePoints: { increment: levelBadge.badgeReward.experienceReward }
-          }
-        });
-
-        // Log level badge experience
-        if (levelBadge.badgeReward.experienceReward > 0) {
-          await tx.experienceLog.create({
-            data: {
-              userId: userId,
-              activityType: 'level_badge_award',
-              activityId: levelBadge.badgeReward.id,
-              experienceChange: levelBadge.badgeReward.experienceReward
-            }
-          });
-        }
-      }
-    }
-
-    // Log level-up experience
-    const levelUpBonus = calculateLevelUpBonus(newLevel);
-    if (levelUpBonus > 0) {
-      await tx.experienceLog.create({
-        data: {
-          userId: userId,
-          activityType: 'level_up',
-          activityId: newLevel,
-          experienceChange: levelUpBonus
-        }
-      });
-    }
-  }
-}
-
-// --- Helper: Calculate Level ---
-function calculateLevel(experiencePoints) {
-  if (experiencePoints < 100) return 1;
-  if (experiencePoints < 250) return 2;
-  if (experiencePoints < 500) return 3;
-  if (experiencePoints < 1000) return 4;
-  if (experiencePoints < 2000) return 5;
-  if (experiencePoints < 3500) return 6;
-  if (experiencePoints < 5000) return 7;
-  if (experiencePoints < 7000) return 8;
-  if (experiencePoints < 10000) return 9;
-  if (experiencePoints < 15000) return 10;
-  // Continue for more levels as needed
-  return Math.floor(experiencePoints / 1000) + 1;
-}
-
-// --- Helper: Calculate Level-Up Bonus ---
-function calculateLevelUpBonus(level) {
-  return level * 10; // 10 XP per level as bonus
-}
-
-// --- Helper: Check and Unlock Achievements ---
-async function checkAndUnlockAchievements(userId, tx = prisma) {
-  const user = await tx.user.findUnique({
-    where: { id: userId },
-    include: {
-      userActivities: { select: { id: true } },
-      userBadges: { select: { badgeId: true } },
-      userAchievements: { select: { achievementId: true } }
-    }
-  });
-  
-  const achievements = await tx.achievement.findMany({
-    where: { isActive: true },
-    include: { badgeReward: true }
-  });
-  
-  for (const achievement of achievements) {
-    const hasAchievement = user.userAchievements.some(
-      ua => ua.achievementId === achievement.id
-    );
-    
-    if (!hasAchievement) {
-      let isUnlocked = false;
-      if (achievement.criteriaType === 'experience') {
-        isUnlocked = user.experiencePoints >= achievement.criteriaValue;
-      } else if (achievement.criteriaType === 'badges') {
-        isUnlocked = user.userBadges.length >= achievement.criteriaValue;
-      } else if (achievement.criteriaType === 'activities') {
-        isUnlocked = user.userActivities.length >= achievement.criteriaValue;
-      }
-      
-      if (isUnlocked) {
-        await tx.userAchievement.create({
-          data: { userId, achievementId: achievement.id }
-        });
-        
-        await tx.user.update({
-          where: { id: userId },
-          data: {
-            totalAchievements: { increment: 1 },
-            experiencePoints: { increment: achievement.experienceReward }
-          }
-        });
+// Validation schemas
+const idListSchema = Joi.array().items(Joi.number().integer().min(1)).unique().max(50);
 
-        // Award badge if achievement has one
-        if (achievement.badgeReward) {
-          const existingBadge = await tx.userBadge.findFirst({
-            where: { userId, badgeId: achievement.badgeReward.id }
-          });
-          
-          if (!existingBadge) {
-            await tx.userBadge.create({
-              data: { userId, badgeId: achievement.badgeReward.id, awardedBy: null }
-            });
-            
-            await tx.user.update({
-              where: { id: userId },
-              data: {
-                totalBadges: { increment: 1 },
-                experiencePoints: { increment: achievement.badgeReward.experienceReward }
-              }
-            });
-          }
-        }
-      }
-    }
-  }
-}
+const prerequisitesSchema = Joi.object({
+  min_level: Joi.number().integer().min(1).allow(null).optional(),
+  badge_ids: idListSchema.default([]),
+  activity_ids: idListSchema.default([]),
+  achievement_ids: idListSchema.default([])
+});
 
-// Validation schemas
 const createActivitySchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
   description: Joi.string().max(500).optional(),
   category: Joi.string().max(50).optional(),
   experience_reward: Joi.number().integer().min(0).default(0),
+  currency_reward: Joi.number().integer().min(0).default(0),
   badge_reward_id: Joi.number().integer().min(1).optional(),
-  is_repeatable: Joi.boolean().default(false)
+  is_repeatable: Joi.boolean().default(false),
+  cooldown_minutes: Joi.number().integer().min(1).allow(null).optional(),
+  max_per_day: Joi.number().integer().min(1).allow(null).optional(),
+  max_per_week: Joi.number().integer().min(1).allow(null).optional(),
+  max_total: Joi.number().integer().min(1).allow(null).optional(),
+  repeat_decay_percent: Joi.number().integer().min(0).max(100).default(0),
+  min_experience_reward: Joi.number().integer().min(0).default(0),
+  counts_toward_streak: Joi.boolean().default(true),
+  prerequisites: prerequisitesSchema.optional(),
+  ...availabilityKeys
 });
 
 const updateActivitySchema = Joi.object({
@@ -191,16 +60,102 @@ const updateActivitySchema = Joi.object({
   description: Joi.string().max(500).optional(),
   category: Joi.string().max(50).optional(),
   experience_reward: Joi.number().integer().min(0).optional(),
+  currency_reward: Joi.number().integer().min(0).optional(),
   badge_reward_id: Joi.number().integer().min(1).optional(),
   is_repeatable: Joi.boolean().optional(),
+  cooldown_minutes: Joi.number().integer().min(1).allow(null).optional(),
+  max_per_day: Joi.number().integer().min(1).allow(null).optional(),
+  max_per_week: Joi.number().integer().min(1).allow(null).optional(),
+  max_total: Joi.number().integer().min(1).allow(null).optional(),
+  repeat_decay_percent: Joi.number().integer().min(0).max(100).optional(),
+  min_experience_reward: Joi.number().integer().min(0).optional(),
+  counts_toward_streak: Joi.boolean().optional(),
+  prerequisites: prerequisitesSchema.allow(null).optional(),
+  ...availabilityKeys,
   is_active: Joi.boolean().optional()
 });
 
+const AVAILABILITY_MESSAGES = {
+  not_started: 'Activity is not available yet',
+  ended: 'Activity is no longer available',
+  outside_schedule: 'Activity is not available at this time',
+  event_inactive: 'The event for this activity is not running'
+};
+
+const COMPLETION_BLOCK_MESSAGES = {
+  cooldown: 'Activity is on cooldown',
+  daily_limit_reached: 'Daily completion limit reached for this activity',
+  weekly_limit_reached: 'Weekly completion limit reached for this activity',
+  max_total_reached: 'Completion limit reached for this activity'
+};
+
+// --- Helper: Validate prerequisites and build their create data ---
+// Returns { error } or { value: { minLevel, create: [...] } }.
+async function buildPrerequisites(prerequisites, activityId = null) {
+  const { min_level = null, badge_ids, activity_ids, achievement_ids } = prerequisites;
+
+  if (activityId !== null && activity_ids.includes(activityId)) {
+    return { error: 'An activity cannot require itself' };
+  }
+
+  const [badges, activities, achievements] = await Promise.all([
+    prisma.badge.findMany({ where: { id: { in: badge_ids } }, select: { id: true } }),
+    prisma.activity.findMany({ where: { id: { in: activity_ids } }, select: { id: true } }),
+    prisma.achievement.findMany({ where: { id: { in: achievement_ids } }, select: { id: true } })
+  ]);
+
+  const missing = [
+    ['Badges', badge_ids, badges],
+    ['Activities', activity_ids, activities],
+    ['Achievements', achievement_ids, achievements]
+  ]
+    .map(([label, ids, found]) => [label, ids.filter(id => !found.some(row => row.id === id))])
+    .filter(([, ids]) => ids.length > 0);
+
+  if (missing.length > 0) {
+    return { error: missing.map(([label, ids]) => `${label} not found: ${ids.join(', ')}`).join('; ') };
+  }
+
+  return {
+    value: {
+      minLevel: min_level,
+      create: [
+        ...badge_ids.map(id => ({ requiredBadgeId: id })),
+        ...activity_ids.map(id => ({ requiredActivityId: id })),
+        ...achievement_ids.map(id => ({ requiredAchievementId: id }))
+      ]
+    }
+  };
+}
+
+// --- Helper: Format whether an activity is locked for a user ---
+function formatLockState(activity, unlockState) {
+  const missing = findMissingPrerequisites(activity, unlockState);
+  return {
+    locked: missing !== null,
+    missing_prerequisites: missing
+  };
+}
+
+// --- Helper: Format an activity's repeat settings ---
+function formatRepeatSettings(activity) {
+  return {
+    cooldown_minutes: activity.cooldownMinutes,
+    max_per_day: activity.maxPerDay,
+    max_per_week: activity.maxPerWeek,
+    max_total: activity.maxTotal,
+    repeat_decay_percent: activity.repeatDecayPercent,
+    min_experience_reward: activity.minExperienceReward,
+    counts_toward_streak: activity.countsTowardStreak
+  };
+}
+
 /**
  * @swagger
  * /api/activities:
  *   get:
  *     summary: Get all activities
+ *     description: With a bearer token, each activity is also marked locked or unlocked for the caller.
  *     tags: [Activities]
  *     parameters:
  *       - in: query
@@ -226,14 +181,21 @@ const updateActivitySchema = Joi.object({
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: available_now
+ *         schema:
+ *           type: boolean
+ *         description: Only activities whose availability window, schedule and seasonal event are open now
  *     responses:
  *       200:
  *         description: List of activities
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, active } = req.query;
+    const { page = 1, limit = 10, category, active, available_now } = req.query;
     const skip = (page - 1) * limit;
+    const availableNow = available_now === 'true';
+    const now = new Date();
 
     // Build where conditions
     const where = {};
@@ -246,24 +208,50 @@ router.get('/', async (req, res) => {
       where.isActive = active === 'true';
     }
 
-    // Get total count
-    const total = await prisma.activity.count({ where });
+    if (availableNow) {
+      Object.assign(where, availableNowWhere(now));
+    }
 
-    // Get activities with pagination
-    const activities = await prisma.activity.findMany({
-      where,
-      include: {
-        badgeReward: {
-          select: {
-            name: true,
-            imageUrl: true
-          }
+    const include = {
+      badgeReward: {
+        select: {
+          name: true,
+          imageUrl: true
         }
       },
-      orderBy: { createdAt: 'desc' },
-      skip,
-      take: parseInt(limit)
-    });
+      seasonalEvent: { select: SEASONAL_EVENT_SELECT },
+      ...PREREQUISITE_INCLUDE
+    };
+
+    let total;
+    let activities;
+
+    if (availableNow) {
+      // Weekly schedules are checked in memory, so paginate after filtering
+      const candidates = await prisma.activity.findMany({
+        where,
+        include,
+        orderBy: { createdAt: 'desc' }
+      });
+      const available = candidates.filter(activity => getAvailability(activity, now).available);
+      total = available.length;
+      activities = available.slice(skip, skip + parseInt(limit));
+    } else {
+      // Get total count
+      total = await prisma.activity.count({ where });
+
+      // Get activities with pagination
+      activities = await prisma.activity.findMany({
+        where,
+        include,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      });
+    }
+
+    // Lock state for the calling user
+    const unlockState = req.user ? await loadUnlockState(req.user.id) : null;
 
     res.json({
       success: true,
@@ -273,13 +261,19 @@ router.get('/', async (req, res) => {
         description: activity.description,
         category: activity.category,
         experience_reward: activity.experienceReward,
+        currency_reward: activity.currencyReward,
         badge_reward_id: activity.badgeRewardId,
         is_repeatable: activity.isRepeatable,
+        ...formatRepeatSettings(activity),
+        ...formatAvailability(activity, now),
         is_active: activity.isActive,
         created_at: activity.createdAt,
         updated_at: activity.updatedAt,
         badge_name: activity.badgeReward?.name,
-        badge_image: activity.badgeReward?.imageUrl
+        badge_image: activity.badgeReward?.imageUrl,
+        seasonal_event: activity.seasonalEvent,
+        prerequisites: formatPrerequisites(activity),
+        ...(unlockState && formatLockState(activity, unlockState))
       })),
       pagination: {
         page: parseInt(page),
@@ -327,6 +321,7 @@ router.get('/user', protect, async (req, res) => {
             description: true,
             category: true,
             experienceReward: true,
+            currencyReward: true,
             badgeRewardId: true,
             isRepeatable: true,
             isActive: true
@@ -352,6 +347,7 @@ router.get('/user', protect, async (req, res) => {
             description: ua.activity.description,
             category: ua.activity.category,
             experience_reward: ua.activity.experienceReward,
+            currency_reward: ua.activity.currencyReward,
             badge_reward_id: ua.activity.badgeRewardId,
             is_repeatable: ua.activity.isRepeatable,
             is_active: ua.activity.isActive
@@ -373,6 +369,7 @@ router.get('/user', protect, async (req, res) => {
  * /api/activities/{id}:
  *   get:
  *     summary: Get activity by ID
+ *     description: With a bearer token, the activity is also marked locked or unlocked for the caller.
  *     tags: [Activities]
  *     parameters:
  *       - in: path
@@ -387,7 +384,7 @@ router.get('/user', protect, async (req, res) => {
  *       404:
  *         description: Activity not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -410,7 +407,9 @@ router.get('/:id', async (req, res) => {
             name: true,
             imageUrl: true
           }
-        }
+        },
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT },
+        ...PREREQUISITE_INCLUDE
       }
     });
 
@@ -429,13 +428,19 @@ router.get('/:id', async (req, res) => {
         description: activity.description,
         category: activity.category,
         experience_reward: activity.experienceReward,
+        currency_reward: activity.currencyReward,
         badge_reward_id: activity.badgeRewardId,
         is_repeatable: activity.isRepeatable,
+        ...formatRepeatSettings(activity),
+        ...formatAvailability(activity),
         is_active: activity.isActive,
         created_at: activity.createdAt,
         updated_at: activity.updatedAt,
         badge_name: activity.badgeReward?.name,
-        badge_image: activity.badgeReward?.imageUrl
+        badge_image: activity.badgeReward?.imageUrl,
+        seasonal_event: activity.seasonalEvent,
+        prerequisites: formatPrerequisites(activity),
+        ...(req.user && formatLockState(activity, await loadUnlockState(req.user.id)))
       }
     });
   } catch (error) {
@@ -476,11 +481,63 @@ router.get('/:id', async (req, res) => {
  *               experience_reward:
  *                 type: integer
  *                 minimum: 0
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited to the wallet on every completion
  *               badge_reward_id:
  *                 type: integer
  *                 minimum: 1
  *               is_repeatable:
  *                 type: boolean
+ *               cooldown_minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Minimum time between two completions (repeatable only)
+ *               max_per_day:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum completions per UTC day (repeatable only)
+ *               max_per_week:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum completions per ISO week (repeatable only)
+ *               max_total:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum lifetime completions (repeatable only)
+ *               repeat_decay_percent:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: XP reduction per earlier completion on the same day
+ *               min_experience_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Lowest XP a decayed repeat can award
+ *               counts_toward_streak:
+ *                 type: boolean
+ *                 description: Whether completing the activity extends the user's daily streak
+ *               prerequisites:
+ *                 $ref: '#/components/schemas/ActivityPrerequisites'
+ *               available_from:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               available_until:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               schedule:
+ *                 $ref: '#/components/schemas/AvailabilitySchedule'
+ *               seasonal_event_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seasonal event whose run also limits availability
  *     responses:
  *       201:
  *         description: Activity created successfully
@@ -488,6 +545,31 @@ router.get('/:id', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Not authorized
+ * components:
+ *   schemas:
+ *     ActivityPrerequisites:
+ *       type: object
+ *       description: Requirements a user must meet before completing the activity
+ *       properties:
+ *         min_level:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *         badge_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Badges the user must hold
+ *         activity_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Activities the user must have completed at least once
+ *         achievement_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Achievements the user must have unlocked
  */
 router.post('/', protect, admin, async (req, res) => {
   try {
@@ -501,17 +583,48 @@ router.post('/', protect, admin, async (req, res) => {
     }
 
     const {
-      name, description, category, experience_reward, badge_reward_id, is_repeatable
+      name, description, category, experience_reward, currency_reward, badge_reward_id, is_repeatable,
+      cooldown_minutes, max_per_day, max_per_week, max_total, repeat_decay_percent, min_experience_reward,
+      counts_toward_streak, prerequisites
     } = value;
 
+    const builtPrerequisites = prerequisites ? await buildPrerequisites(prerequisites) : null;
+    if (builtPrerequisites && builtPrerequisites.error) {
+      return res.status(400).json({
+        success: false,
+        error: builtPrerequisites.error
+      });
+    }
+
+    const availability = await buildAvailabilityData(value);
+    if (availability.error) {
+      return res.status(400).json({
+        success: false,
+        error: availability.error
+      });
+    }
+
     const activity = await prisma.activity.create({
       data: {
         name,
         description,
         category,
         experienceReward: experience_reward,
+        currencyReward: currency_reward,
         badgeRewardId: badge_reward_id,
-        isRepeatable: is_repeatable
+        isRepeatable: is_repeatable,
+        cooldownMinutes: cooldown_minutes,
+        maxPerDay: max_per_day,
+        maxPerWeek: max_per_week,
+        maxTotal: max_total,
+        repeatDecayPercent: repeat_decay_percent,
+        minExperienceReward: min_experience_reward,
+        countsTowardStreak: counts_toward_streak,
+        ...availability.value,
+        ...(builtPrerequisites && {
+          minLevel: builtPrerequisites.value.minLevel,
+          prerequisites: { create: builtPrerequisites.value.create }
+        })
       },
       select: {
         id: true,
@@ -519,8 +632,23 @@ router.post('/', protect, admin, async (req, res) => {
         description: true,
         category: true,
         experienceReward: true,
+        currencyReward: true,
         badgeRewardId: true,
         isRepeatable: true,
+        cooldownMinutes: true,
+        maxPerDay: true,
+        maxPerWeek: true,
+        maxTotal: true,
+        repeatDecayPercent: true,
+        minExperienceReward: true,
+        countsTowardStreak: true,
+        minLevel: true,
+        availableFrom: true,
+        availableUntil: true,
+        schedule: true,
+        seasonalEventId: true,
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT },
+        prerequisites: PREREQUISITE_INCLUDE.prerequisites,
         isActive: true,
         createdAt: true,
         updatedAt: true
@@ -535,8 +663,12 @@ router.post('/', protect, admin, async (req, res) => {
         description: activity.description,
         category: activity.category,
         experience_reward: activity.experienceReward,
+        currency_reward: activity.currencyReward,
         badge_reward_id: activity.badgeRewardId,
         is_repeatable: activity.isRepeatable,
+        ...formatRepeatSettings(activity),
+        ...formatAvailability(activity),
+        prerequisites: formatPrerequisites(activity),
         is_active: activity.isActive,
         created_at: activity.createdAt,
         updated_at: activity.updatedAt
@@ -551,6 +683,42 @@ router.post('/', protect, admin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/activities/categories/rebuild:
+ *   post:
+ *     summary: Rebuild every user's per-category XP tracks from their completions
+ *     description: >
+ *       Category XP is kept up to date as activities are completed; run this to
+ *       backfill tracks for completions recorded before category tracking existed.
+ *     tags: [Activities]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of tracks rebuilt
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/categories/rebuild', protect, admin, async (req, res) => {
+  try {
+    const tracks = await rebuildCategoryXp();
+
+    res.json({
+      success: true,
+      data: {
+        category_tracks: tracks
+      }
+    });
+  } catch (error) {
+    console.error('Rebuild category XP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error rebuilding category XP'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/activities/{id}:
@@ -585,11 +753,64 @@ router.post('/', protect, admin, async (req, res) => {
  *               experience_reward:
  *                 type: integer
  *                 minimum: 0
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited to the wallet on every completion
  *               badge_reward_id:
  *                 type: integer
  *                 minimum: 1
  *               is_repeatable:
  *                 type: boolean
+ *               cooldown_minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Minimum time between two completions (repeatable only)
+ *               max_per_day:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum completions per UTC day (repeatable only)
+ *               max_per_week:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum completions per ISO week (repeatable only)
+ *               max_total:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum lifetime completions (repeatable only)
+ *               repeat_decay_percent:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: XP reduction per earlier completion on the same day
+ *               min_experience_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Lowest XP a decayed repeat can award
+ *               counts_toward_streak:
+ *                 type: boolean
+ *                 description: Whether completing the activity extends the user's daily streak
+ *               prerequisites:
+ *                 $ref: '#/components/schemas/ActivityPrerequisites'
+ *                 description: Replaces all prerequisites; null removes them
+ *               available_from:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               available_until:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               schedule:
+ *                 $ref: '#/components/schemas/AvailabilitySchedule'
+ *               seasonal_event_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seasonal event whose run also limits availability
  *               is_active:
  *                 type: boolean
  *     responses:
@@ -634,10 +855,43 @@ router.put('/:id', protect, admin, async (req, res) => {
     if (value.description !== undefined) updateData.description = value.description;
     if (value.category !== undefined) updateData.category = value.category;
     if (value.experience_reward !== undefined) updateData.experienceReward = value.experience_reward;
+    if (value.currency_reward !== undefined) updateData.currencyReward = value.currency_reward;
     if (value.badge_reward_id !== undefined) updateData.badgeRewardId = value.badge_reward_id;
     if (value.is_repeatable !== undefined) updateData.isRepeatable = value.is_repeatable;
+    if (value.cooldown_minutes !== undefined) updateData.cooldownMinutes = value.cooldown_minutes;
+    if (value.max_per_day !== undefined) updateData.maxPerDay = value.max_per_day;
+    if (value.max_per_week !== undefined) updateData.maxPerWeek = value.max_per_week;
+    if (value.max_total !== undefined) updateData.maxTotal = value.max_total;
+    if (value.repeat_decay_percent !== undefined) updateData.repeatDecayPercent = value.repeat_decay_percent;
+    if (value.min_experience_reward !== undefined) updateData.minExperienceReward = value.min_experience_reward;
+    if (value.counts_toward_streak !== undefined) updateData.countsTowardStreak = value.counts_toward_streak;
     if (value.is_active !== undefined) updateData.isActive = value.is_active;
 
+    const availability = await buildAvailabilityData(value, existingActivity);
+    if (availability.error) {
+      return res.status(400).json({
+        success: false,
+        error: availability.error
+      });
+    }
+    Object.assign(updateData, availability.value);
+
+    // Prerequisites are replaced as a whole; null removes them all
+    if (value.prerequisites === null) {
+      updateData.minLevel = null;
+      updateData.prerequisites = { deleteMany: {} };
+    } else if (value.prerequisites !== undefined) {
+      const builtPrerequisites = await buildPrerequisites(value.prerequisites, existingActivity.id);
+      if (builtPrerequisites.error) {
+        return res.status(400).json({
+          success: false,
+          error: builtPrerequisites.error
+        });
+      }
+      updateData.minLevel = builtPrerequisites.value.minLevel;
+      updateData.prerequisites = { deleteMany: {}, create: builtPrerequisites.value.create };
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
@@ -654,14 +908,34 @@ router.put('/:id', protect, admin, async (req, res) => {
         description: true,
         category: true,
         experienceReward: true,
+        currencyReward: true,
         badgeRewardId: true,
         isRepeatable: true,
+        cooldownMinutes: true,
+        maxPerDay: true,
+        maxPerWeek: true,
+        maxTotal: true,
+        repeatDecayPercent: true,
+        minExperienceReward: true,
+        countsTowardStreak: true,
+        minLevel: true,
+        availableFrom: true,
+        availableUntil: true,
+        schedule: true,
+        seasonalEventId: true,
+        seasonalEvent: { select: SEASONAL_EVENT_SELECT },
+        prerequisites: PREREQUISITE_INCLUDE.prerequisites,
         isActive: true,
         createdAt: true,
         updatedAt: true
       }
     });
 
+    // Past completions count toward the new category from now on
+    if (activity.category !== existingActivity.category) {
+      await rebuildCategoryXp([existingActivity.category, activity.category].filter(Boolean));
+    }
+
     res.json({
       success: true,
       data: {
@@ -670,8 +944,12 @@ router.put('/:id', protect, admin, async (req, res) => {
         description: activity.description,
         category: activity.category,
         experience_reward: activity.experienceReward,
+        currency_reward: activity.currencyReward,
         badge_reward_id: activity.badgeRewardId,
         is_repeatable: activity.isRepeatable,
+        ...formatRepeatSettings(activity),
+        ...formatAvailability(activity),
+        prerequisites: formatPrerequisites(activity),
         is_active: activity.isActive,
         created_at: activity.createdAt,
         updated_at: activity.updatedAt
@@ -701,6 +979,12 @@ router.put('/:id', protect, admin, async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Activity ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retries with the same key replay the original response instead of running again
  *     requestBody:
  *       required: true
  *       content:
@@ -720,12 +1004,16 @@ router.put('/:id', protect, admin, async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Activity locked (data.missing lists the unmet prerequisites) or outside its availability window
  *       404:
  *         description: Activity or user not found
- *       409:
- *         description: Activity already completed
+ *       429:
+ *         description: Activity on cooldown or completion limit reached (see data.nextAvailableAt)
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
  */
-router.post('/:id/complete', protect, async (req, res) => {
+router.post('/:id/complete', protect, idempotent, async (req, res) => {
   try {
     const { id } = req.params;
     const { user_id } = req.body;
@@ -743,7 +1031,8 @@ router.post('/:id/complete', protect, async (req, res) => {
       where: { 
         id: parseInt(id),
         isActive: true
-      }
+      },
+      include: { badgeReward: true, seasonalEvent: { select: SEASONAL_EVENT_SELECT } }
     });
 
     if (!activity) {
@@ -772,112 +1061,65 @@ router.post('/:id/complete', protect, async (req, res) => {
       });
     }
 
-    // Check if activity is already completed
-    const existingCompletion = await prisma.userActivity.findFirst({
-      where: {
-        userId: parseInt(user_id),
-        activityId: parseInt(id)
-      }
+    // Record the completion if the activity's repeat rules allow it
+    const result = await completeActivity({
+      userId: parseInt(user_id),
+      activity,
+      awardedBy: req.user.id
     });
 
-    if (existingCompletion) {
-      return res.status(200).json({
-        success: true,
-        message: 'You already completed this activity!',
+    if (!result.completed && result.reason === 'not_available') {
+      return res.status(403).json({
+        success: false,
+        error: AVAILABILITY_MESSAGES[result.availability.reason],
         data: {
-          alreadyCompleted: true,
-          completedAt: existingCompletion.completedAt,
-          experienceGained: existingCompletion.experienceGained
+          reason: 'not_available',
+          availability: result.availability.reason,
+          available_from: activity.availableFrom,
+          available_until: activity.availableUntil
         }
       });
     }
 
-    // Complete activity and update user stats
-    const result = await prisma.$transaction(async (tx) => {
-      // Record activity completion
-      await tx.userActivity.create({
+    if (!result.completed && result.reason === 'locked') {
+      return res.status(403).json({
+        success: false,
+        error: describeMissingPrerequisites(result.missing),
         data: {
-          userId: parseInt(user_id),
-          activityId: parseInt(id),
-          experienceGained: activity.experienceReward
+          reason: 'locked',
+          missing: result.missing
         }
       });
+    }
 
-      // Update user experience
-      const updatedUser = await tx.user.update({
-        where: { id: parseInt(user_id) },
+    if (!result.completed && result.reason === 'already_completed') {
+      return res.status(200).json({
+        success: true,
+        message: 'You already completed this activity!',
         data: {
-          experiencePoints: {
-            increment: activity.experienceReward
-          }
+          alreadyCompleted: true,
+          completedAt: result.lastCompletion.completedAt,
+          experienceGained: result.lastCompletion.experienceGained,
+          nextAvailableAt: null
         }
       });
+    }
 
-      // Log experience change
-      if (activity.experienceReward > 0) {
-        await tx.experienceLog.create({
-          data: {
-            userId: parseInt(user_id),
-            activityType: 'activity_completion',
-            activityId: parseInt(id),
-            experienceChange: activity.experienceReward
-          }
-        });
-      }
-
-      // Check and update level
-      await checkAndUpdateLevel(parseInt(user_id), tx);
-
-      // Award badge if applicable
-      if (activity.badgeRewardId) {
-        const badgeCheck = await tx.userBadge.findFirst({
-          where: {
-            userId: parseInt(user_id),
-            badgeId: activity.badgeRewardId
-          }
-        });
-
-        if (!badgeCheck) {
-          await tx.userBadge.create({
-            data: {
-              userId: parseInt(user_id),
-              badgeId: activity.badgeRewardId,
-              awardedBy: req.user.id
-            }
-          });
-
-          await tx.user.update({
-            where: { id: parseInt(user_id) },
-            data: {
-              totalBadges: {
-                increment: 1
-              }
-            }
-          });
+    if (!result.completed) {
+      return res.status(429).json({
+        success: false,
+        error: COMPLETION_BLOCK_MESSAGES[result.reason],
+        data: {
+          reason: result.reason,
+          completionCount: result.completionCount,
+          nextAvailableAt: result.nextAvailableAt
         }
-      }
-
-      // Check and unlock achievements
-      await checkAndUnlockAchievements(parseInt(user_id), tx);
-
-      return { activity, user };
-    });
-
-    // Emit real-time notification
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user-${user_id}`).emit('activity-completed', {
-        activity: {
-          id: activity.id,
-          name: activity.name,
-          experience_reward: activity.experienceReward,
-          badge_reward_id: activity.badgeRewardId
-        },
-        experienceGained: activity.experienceReward,
-        badgeAwarded: activity.badgeRewardId ? true : false
       });
     }
 
+    // Emit real-time notifications
+    emitCompletionEvents(req.app.get('io'), parseInt(user_id), activity, result);
+
     res.json({
       success: true,
       message: 'Activity completed successfully!',
@@ -886,28 +1128,32 @@ router.post('/:id/complete', protect, async (req, res) => {
           id: activity.id,
           name: activity.name,
           experience_reward: activity.experienceReward,
+          currency_reward: activity.currencyReward,
           badge_reward_id: activity.badgeRewardId
         },
         user: user,
-        experienceGained: activity.experienceReward,
+        experienceGained: result.experienceGained,
+        experience_breakdown: formatExperienceBreakdown(result.experience),
         badgeAwarded: activity.badgeRewardId ? true : false,
-        alreadyCompleted: false
+        alreadyCompleted: false,
+        completionCount: result.completionCount,
+        canCompleteAgain: result.available,
+        nextAvailableAt: result.nextAvailableAt,
+        progression: formatProgress(result.progress),
+        streak: result.streak ? formatStreak(result.streak) : null,
+        quest_progress: result.questSteps.map(step => ({
+          quest_id: step.questId,
+          quest_name: step.questName,
+          step_id: step.stepId,
+          step_title: step.stepTitle,
+          progress: step.progress,
+          required_count: step.requiredCount,
+          completed: step.completed
+        }))
       }
     });
   } catch (error) {
     console.error('Complete activity error:', error);
-    
-    // Handle unique constraint violation (activity already completed)
-    if (error.code === 'P2002' && error.meta?.target?.includes('user_activities_userId_activityId_key')) {
-      return res.status(200).json({
-        success: true,
-        message: 'You already completed this activity!',
-        data: {
-          alreadyCompleted: true
-        }
-      });
-    }
-    
     res.status(500).json({
       success: false,
       error: 'Server error completing activity'
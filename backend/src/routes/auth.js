@@ -3,8 +3,14 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { protect } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { User } = require('../models');
 const { prisma } = require('../config/database');
+const { grantExperience } = require('../services/experienceService');
+const { awardBadge } = require('../services/badgeService');
+const { snapshotProgress, processProgression, emitProgressEvents } = require('../services/progression');
+const { getLevelCurve } = require('../services/levelCurve');
+const { recordQualifyingDay, formatStreak, emitStreakEvents } = require('../services/streakService');
 
 const router = express.Router();
 
@@ -39,6 +45,13 @@ const updateProfileSchema = Joi.object({
  *   post:
  *     summary: Register a new user
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retries with the same key replay the original response instead of running again
  *     requestBody:
  *       required: true
  *       content:
@@ -87,173 +100,11 @@ const updateProfileSchema = Joi.object({
  *         description: Validation error
  *       409:
  *         description: User already exists
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
  */
-// --- Helper: Check and Update Level ---
-async function checkAndUpdateLevel(userId, tx = prisma) {
-  const user = await tx.user.findUnique({
-    where: { id: userId }
-  });
-
-  // Calculate new level based on XP
-  const newLevel = calculateLevel(user.experiencePoints);
-  
-  if (newLevel > user.currentLevel) {
-    // LEVEL UP DETECTED
-    await tx.user.update({
-      where: { id: userId },
-      data: { currentLevel: newLevel }
-    });
-
-    // Check for level-based badges
-    const levelBadge = await tx.level.findFirst({
-      where: { 
-        levelNumber: newLevel,
-        badgeRewardId: { not: null }
-      },
-      include: { badgeReward: true }
-    });
-
-    if (levelBadge && levelBadge.badgeReward) {
-      const existingBadge = await tx.userBadge.findFirst({
-        where: {
-          userId: userId,
-          badgeId: levelBadge.badgeReward.id
-        }
-      });
-
-      if (!existingBadge) {
-        // Award level badge automatically
-        await tx.userBadge.create({
-          data: {
-            userId: userId,
-            badgeId: levelBadge.badgeReward.id,
-            awardedBy: null
-          }
-        });
-
-        // Update user stats
-        await tx.user.update({
-          where: { id: userId },
-          data: {
-            totalBadges: { increment: 1 },
-            experiencePoints: { increment: levelBadge.badgeReward.experienceReward }
-          }
-        });
-
-        // Log level badge experience
-        if (levelBadge.badgeReward.experienceReward > 0) {
-          await tx.experienceLog.create({
-            data: {
-              userId: userId,
-              activityType: 'level_badge_award',
-              activityId: levelBadge.badgeReward.id,
-              experienceChange: levelBadge.badgeReward.experienceReward
-            }
-          });
-        }
-      }
-    }
-
-    // Log level-up experience
-    const levelUpBonus = calculateLevelUpBonus(newLevel);
-    if (levelUpBonus > 0) {
-      await tx.experienceLog.create({
-        data: {
-          userId: userId,
-          activityType: 'level_up',
-          activityId: newLevel,
-          experienceChange: levelUpBonus
-        }
-      });
-    }
-  }
-}
-
-// --- Helper: Calculate Level ---
-function calculateLevel(experiencePoints) {
-  if (experiencePoints < 100) return 1;
-  if (experiencePoints < 250) return 2;
-  if (experiencePoints < 500) return 3;
-  if (experiencePoints < 1000) return 4;
-  if (experiencePoints < 2000) return 5;
-  if (experiencePoints < 3500) return 6;
-  if (experiencePoints < 5000) return 7;
-  if (experiencePoints < 7000) return 8;
-  if (experiencePoints < 10000) return 9;
-  if (experiencePoints < 15000) return 10;
-  // Continue for more levels as needed
-  return Math.floor(experiencePoints / 1000) + 1;
-}
-
-// --- Helper: Calculate Level-Up Bonus ---
-function calculateLevelUpBonus(level) {
-  return level * 10; // 10 XP per level as bonus
-}
-
-// --- Helper: Check and Unlock Achievements ---
-async function checkAndUnlockAchievements(userId, tx = prisma) {
-  const user = await tx.user.findUnique({
-    where: { id: userId },
-    include: {
-      userActivities: { select: { id: true } },
-      userBadges: { select: { badgeId: true } },
-      userAchievements: { select: { achievementId: true } }
-    }
-  });
-  const achievements = await tx.achievement.findMany({
-    where: { isActive: true },
-    include: { badgeReward: true }
-  });
-  for (const achievement of achievements) {
-    const hasAchievement = user.userAchievements.some(
-      ua => ua.achievementId === achievement.id
-    );
-    if (!hasAchievement) {
-      // Simple example: unlock if user has enough XP
-      let isUnlocked = false;
-      if (achievement.criteriaType === 'experience') {
-        isUnlocked = user.experiencePoints >= achievement.criteriaValue;
-      } else if (achievement.criteriaType === 'badges') {
-        isUnlocked = user.userBadges.length >= achievement.criteriaValue;
-      } else if (achievement.criteriaType === 'activities') {
-        isUnlocked = user.userActivities.length >= achievement.criteriaValue;
-      }
-      if (isUnlocked) {
-        await tx.userAchievement.create({
-          data: { userId, achievementId: achievement.id }
-        });
-        await tx.user.update({
-          where: { id: userId },
-          data: {
-            totalAchievements: { increment: 1 },
-            experiencePoints: { increment: achievement.experienceReward }
-          }
-        });
-        // Award badge if achievement has one
-        if (achievement.badgeReward) {
-          const existingBadge = await tx.userBadge.findFirst({
-            where: { userId, badgeId: achievement.badgeReward.id }
-          });
-          if (!existingBadge) {
-            await tx.userBadge.create({
-              data: { userId, badgeId: achievement.badgeReward.id, awardedBy: null }
-            });
-            await tx.user.update({
-              where: { id: userId },
-              data: {
-                totalBadges: { increment: 1 },
-                experiencePoints: { increment: achievement.badgeReward.experienceReward }
-              }
-            });
-          }
-        }
-      }
-    }
-  }
-}
-
 // --- Registration Endpoint ---
-router.post('/register', async (req, res) => {
+router.post('/register', idempotent, async (req, res) => {
   try {
     // Validate input
     const { error, value } = registerSchema.validate(req.body);
@@ -287,32 +138,17 @@ router.post('/register', async (req, res) => {
     });
 
     // --- Automatic XP, Badge, Achievement ---
-    await prisma.$transaction(async (tx) => {
+    const progress = await prisma.$transaction(async (tx) => {
+      const snapshot = await snapshotProgress(user.id, tx);
       // 1. Award registration XP
-      await tx.user.update({ where: { id: user.id }, data: { experiencePoints: { increment: 25 } } });
+      await grantExperience(user.id, 25, { activityType: 'registration' }, tx);
       // 2. Award "First Steps" badge
       const firstStepsBadge = await tx.badge.findFirst({ where: { name: "First Steps", isActive: true } });
       if (firstStepsBadge) {
-        const hasBadge = await tx.userBadge.findFirst({ where: { userId: user.id, badgeId: firstStepsBadge.id } });
-        if (!hasBadge) {
-          await tx.userBadge.create({ data: { userId: user.id, badgeId: firstStepsBadge.id, awardedBy: null } });
-          await tx.user.update({ where: { id: user.id }, data: { totalBadges: { increment: 1 }, experiencePoints: { increment: firstStepsBadge.experienceReward } } });
-        }
-      }
-      // 3. Check and update level
-      await checkAndUpdateLevel(user.id, tx);
-      
-      // 4. Check for achievements
-      await checkAndUnlockAchievements(user.id, tx);
-    });
-
-    // Get updated user data for notifications
-    const updatedUser = await prisma.user.findUnique({
-      where: { id: user.id },
-      include: {
-        userBadges: { include: { badge: true } },
-        userAchievements: { include: { achievement: true } }
+        await awardBadge(user.id, firstStepsBadge, {}, tx);
       }
+      // 3. Level-ups, achievements and criteria-based badges
+      return processProgression(user.id, tx, snapshot);
     });
 
     // Emit real-time notifications
@@ -322,45 +158,11 @@ router.post('/register', async (req, res) => {
       io.to(`user-${user.id}`).emit('xp-gained', {
         type: 'registration',
         amount: 25,
-        totalXP: updatedUser.experiencePoints,
+        totalXP: progress.experiencePoints,
         message: 'Welcome! You gained 25 XP for registering.'
       });
-
-      // Emit "First Steps" badge notification if awarded
-      const firstStepsBadge = await prisma.badge.findFirst({ 
-        where: { name: "First Steps", isActive: true } 
-      });
-      if (firstStepsBadge) {
-        const hasBadge = updatedUser.userBadges.some(ub => ub.badgeId === firstStepsBadge.id);
-        if (!hasBadge) {
-          io.to(`user-${user.id}`).emit('badge-awarded', {
-            badge: firstStepsBadge,
-            awardedBy: 'System',
-            experienceGained: firstStepsBadge.experienceReward,
-            message: 'Congratulations! You earned the "First Steps" badge!'
-          });
-        }
-      }
-
-      // Emit level-up notification if level increased
-      if (updatedUser.currentLevel > 1) {
-        io.to(`user-${user.id}`).emit('level-up', {
-          newLevel: updatedUser.currentLevel,
-          oldLevel: 1,
-          experiencePoints: updatedUser.experiencePoints,
-          message: `Congratulations! You reached Level ${updatedUser.currentLevel}!`
-        });
-      }
-
-      // Emit achievement unlock notifications
-      updatedUser.userAchievements.forEach(userAchievement => {
-        io.to(`user-${user.id}`).emit('achievement-unlocked', {
-          achievement: userAchievement.achievement,
-          experienceGained: userAchievement.achievement.experienceReward,
-          message: `Achievement unlocked: ${userAchievement.achievement.name}!`
-        });
-      });
     }
+    emitProgressEvents(io, user.id, progress);
 
     // Generate JWT token
     const token = jwt.sign(
@@ -423,6 +225,8 @@ router.post('/register', async (req, res) => {
  *                       type: object
  *                     token:
  *                       type: string
+ *                     streak:
+ *                       type: object
  *       400:
  *         description: Validation error
  *       401:
@@ -472,23 +276,15 @@ router.post('/login', async (req, res) => {
     await User.updateLastLogin(user.id);
 
     // --- Automatic XP, Badge, Achievement ---
-    await prisma.$transaction(async (tx) => {
+    const { progress, streak } = await prisma.$transaction(async (tx) => {
+      const snapshot = await snapshotProgress(user.id, tx);
       // 1. Award login XP
-      await tx.user.update({ where: { id: user.id }, data: { experiencePoints: { increment: 10 } } });
-      // 2. Check for login streak (example: 7-day streak)
-      // (You can implement a real streak system here)
-      // 3. Award "Loyal User" badge for 7-day streak (example only)
-      // 4. Check for achievements
-      await checkAndUnlockAchievements(user.id, tx);
-    });
-
-    // Get updated user data for notifications
-    const updatedUser = await prisma.user.findUnique({
-      where: { id: user.id },
-      include: {
-        userBadges: { include: { badge: true } },
-        userAchievements: { include: { achievement: true } }
-      }
+      await grantExperience(user.id, 10, { activityType: 'login' }, tx);
+      // 2. Logging in counts as a qualifying streak day
+      const streak = await recordQualifyingDay(user.id, tx);
+      // 3. Level-ups, achievements and criteria-based badges
+      const progress = await processProgression(user.id, tx, snapshot);
+      return { progress, streak };
     });
 
     // Emit real-time notifications
@@ -498,32 +294,12 @@ router.post('/login', async (req, res) => {
       io.to(`user-${user.id}`).emit('xp-gained', {
         type: 'login',
         amount: 10,
-        totalXP: updatedUser.experiencePoints,
+        totalXP: progress.experiencePoints,
         message: 'Welcome back! You gained 10 XP for logging in.'
       });
-
-      // Emit level-up notification if level increased
-      if (updatedUser.currentLevel > user.currentLevel) {
-        io.to(`user-${user.id}`).emit('level-up', {
-          newLevel: updatedUser.currentLevel,
-          oldLevel: user.currentLevel,
-          experiencePoints: updatedUser.experiencePoints,
-          message: `Congratulations! You reached Level ${updatedUser.currentLevel}!`
-        });
-      }
-
-      // Emit achievement unlock notifications
-      const newAchievements = updatedUser.userAchievements.filter(ua => 
-        !user.userAchievements?.some(existing => existing.achievementId === ua.achievementId)
-      );
-      newAchievements.forEach(userAchievement => {
-        io.to(`user-${user.id}`).emit('achievement-unlocked', {
-          achievement: userAchievement.achievement,
-          experienceGained: userAchievement.achievement.experienceReward,
-          message: `Achievement unlocked: ${userAchievement.achievement.name}!`
-        });
-      });
     }
+    emitStreakEvents(io, user.id, streak);
+    emitProgressEvents(io, user.id, progress);
 
     // Generate JWT token
     const token = jwt.sign(
@@ -536,7 +312,8 @@ router.post('/login', async (req, res) => {
       success: true,
       data: {
         user,
-        token
+        token,
+        streak: formatStreak(streak)
       }
     });
   } catch (error) {
@@ -586,6 +363,7 @@ router.get('/profile', protect, async (req, res) => {
         currentLevel: true,
         totalBadges: true,
         totalAchievements: true,
+        currencyBalance: true,
         isAdmin: true,
         isActive: true,
         lastLogin: true,
@@ -600,9 +378,14 @@ router.get('/profile', protect, async (req, res) => {
       });
     }
 
+    const curve = await getLevelCurve();
+
     res.json({
       success: true,
-      data: user
+      data: {
+        ...user,
+        level_progress: curve.progress(user.experiencePoints, user.currentLevel)
+      }
     });
   } catch (error) {
     console.error('Profile retrieval error:', error);
@@ -713,20 +496,17 @@ router.put('/profile', protect, async (req, res) => {
     // --- Automatic XP, Badge, Achievement ---
     // Check if profile is now complete (simple example: has firstName, lastName, avatarUrl)
     if (user.firstName && user.lastName && user.avatarUrl) {
-      await prisma.$transaction(async (tx) => {
+      const progress = await prisma.$transaction(async (tx) => {
+        const snapshot = await snapshotProgress(user.id, tx);
         // 1. Award profile completion XP
-        await tx.user.update({ where: { id: user.id }, data: { experiencePoints: { increment: 50 } } });
+        await grantExperience(user.id, 50, { activityType: 'profile_completion' }, tx);
         // 2. Award "Profile Master" badge
         const profileMasterBadge = await tx.badge.findFirst({ where: { name: "Profile Master", isActive: true } });
         if (profileMasterBadge) {
-          const hasBadge = await tx.userBadge.findFirst({ where: { userId: user.id, badgeId: profileMasterBadge.id } });
-          if (!hasBadge) {
-            await tx.userBadge.create({ data: { userId: user.id, badgeId: profileMasterBadge.id, awardedBy: null } });
-            await tx.user.update({ where: { id: user.id }, data: { totalBadges: { increment: 1 }, experiencePoints: { increment: profileMasterBadge.experienceReward } } });
-          }
+          await awardBadge(user.id, profileMasterBadge, {}, tx);
         }
-        // 3. Check for achievements
-        await checkAndUnlockAchievements(user.id, tx);
+        // 3. Level-ups, achievements and criteria-based badges
+        return processProgression(user.id, tx, snapshot);
       });
 
       // Emit real-time notifications for profile completion
@@ -736,28 +516,11 @@ router.put('/profile', protect, async (req, res) => {
         io.to(`user-${user.id}`).emit('xp-gained', {
           type: 'profile_completion',
           amount: 50,
-          totalXP: user.experiencePoints + 50,
+          totalXP: progress.experiencePoints,
           message: 'Profile completed! You gained 50 XP for completing your profile.'
         });
-
-        // Emit "Profile Master" badge notification if awarded
-        const profileMasterBadge = await prisma.badge.findFirst({ 
-          where: { name: "Profile Master", isActive: true } 
-        });
-        if (profileMasterBadge) {
-          const hasBadge = await prisma.userBadge.findFirst({ 
-            where: { userId: user.id, badgeId: profileMasterBadge.id } 
-          });
-          if (!hasBadge) {
-            io.to(`user-${user.id}`).emit('badge-awarded', {
-              badge: profileMasterBadge,
-              awardedBy: 'System',
-              experienceGained: profileMasterBadge.experienceReward,
-              message: 'Congratulations! You earned the "Profile Master" badge!'
-            });
-          }
-        }
       }
+      emitProgressEvents(io, user.id, progress);
     }
 
     res.json({
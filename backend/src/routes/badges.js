@@ -1,206 +1,71 @@
 const express = require('express');
 const Joi = require('joi');
 const { protect, admin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { prisma } = require('../config/database');
+const { awardBadge } = require('../services/badgeService');
+const { processProgression, formatProgress, emitProgressEvents } = require('../services/progression');
+const { validateCriteria, validateCriteriaUpdate } = require('../services/criteriaTypes');
+const { createFactContext } = require('../services/rulesEngine');
+const { validateTiers, replaceBadgeTiers, getTierProgress } = require('../services/badgeTiers');
+const { buildAvailabilityData } = require('../services/availability');
+const { RARITY_MODES, recalculateBadgeRarity } = require('../services/badgeRarity');
 
 const router = express.Router();
 
-// --- Helper: Check and Update Level ---
-async function checkAndUpdateLevel(userId, tx = prisma) {
-  const user = await tx.user.findUnique({
-    where: { id: userId }
-  });
-
-  // Calculate new level based on XP
-  const newLevel = calculateLevel(user.experiencePoints);
-  
-  if (newLevel > user.currentLevel) {
-    // LEVEL UP DETECTED
-    await tx.user.update({
-      where: { id: userId },
-      data: { currentLevel: newLevel }
-    });
-
-    // Check for level-based badges
-    const levelBadge = await tx.level.findFirst({
-      where: { 
-        levelNumber: newLevel,
-        badgeRewardId: { not: null }
-      },
-      include: { badgeReward: true }
-    });
-
-    if (levelBadge && levelBadge.badgeReward) {
-      const existingBadge = await tx.userBadge.findFirst({
-        where: {
-          userId: userId,
-          badgeId: levelBadge.badgeReward.id
-        }
-      });
-
-      if (!existingBadge) {
-        // Award level badge automatically
-        await tx.userBadge.create({
-          data: {
-            userId: userId,
-            badgeId: levelBadge.badgeReward.id,
-            awardedBy: null
-          }
-        });
-
-        // Update user stats
-        await tx.user.update({
-          where: { id: userId },
-          data: {
-            totalBadges: { increment: 1 },
-            experiencePoints: { increment: levelBadge.badgeReward.experienceReward }
-          }
-        });
-
-        // Log level badge experience
-        if (levelBadge.badgeReward.experienceReward > 0) {
-          await tx.experienceLog.create({
-            data: {
-              userId: userId,
-              activityType: 'level_badge_award',
-              activityId: levelBadge.badgeReward.id,
-              experienceChange: levelBadge.badgeReward.experienceReward
-            }
-          });
-        }
-      }
-    }
-
-    // Log level-up experience
-    const levelUpBonus = calculateLevelUpBonus(newLevel);
-    if (levelUpBonus > 0) {
-      await tx.experienceLog.create({
-        data: {
-          userId: userId,
-          activityType: 'level_up',
-          activityId: newLevel,
-          experienceChange: levelUpBonus
-        }
-      });
-    }
-  }
-}
-
-// --- Helper: Calculate Level ---
-function calculateLevel(experiencePoints) {
-  if (experiencePoints < 100) return 1;
-  if (experiencePoints < 250) return 2;
-  if (experiencePoints < 500) return 3;
-  if (experiencePoints < 1000) return 4;
-  if (experiencePoints < 2000) return 5;
-  if (experiencePoints < 3500) return 6;
-  if (experiencePoints < 5000) return 7;
-  if (experiencePoints < 7000) return 8;
-  if (experiencePoints < 10000) return 9;
-  if (experiencePoints < 15000) return 10;
-  // Continue for more levels as needed
-  return Math.floor(experiencePoints / 1000) + 1;
-}
-
-// --- Helper: Calculate Level-Up Bonus ---
-function calculateLevelUpBonus(level) {
-  return level * 10; // 10 XP per level as bonus
-}
-
-// --- Helper: Check and Unlock Achievements ---
-async function checkAndUnlockAchievements(userId, tx = prisma) {
-  const user = await tx.user.findUnique({
-    where: { id: userId },
-    include: {
-      userActivities: { select: { id: true } },
-      userBadges: { select: { badgeId: true } },
-      userAchievements: { select: { achievementId: true } }
-    }
-  });
-  
-  const achievements = await tx.achievement.findMany({
-    where: { isActive: true },
-    include: { badgeReward: true }
-  });
-  
-  for (const achievement of achievements) {
-    const hasAchievement = user.userAchievements.some(
-      ua => ua.achievementId === achievement.id
-    );
-    
-    if (!hasAchievement) {
-      let isUnlocked = false;
-      if (achievement.criteriaType === 'experience') {
-        isUnlocked = user.experiencePoints >= achievement.criteriaValue;
-      } else if (achievement.criteriaType === 'badges') {
-        isUnlocked = user.userBadges.length >= achievement.criteriaValue;
-      } else if (achievement.criteriaType === 'activities') {
-        isUnlocked = user.userActivities.length >= achievement.criteriaValue;
-      }
-      
-      if (isUnlocked) {
-        await tx.userAchievement.create({
-          data: { userId, achievementId: achievement.id }
-        });
-        
-        await tx.user.update({
-          where: { id: userId },
-          data: {
-            totalAchievements: { increment: 1 },
-            experiencePoints: { increment: achievement.experienceReward }
-          }
-        });
-
-        // Award badge if achievement has one
-        if (achievement.badgeReward) {
-          const existingBadge = await tx.userBadge.findFirst({
-            where: { userId, badgeId: achievement.badgeReward.id }
-          });
-          
-          if (!existingBadge) {
-            await tx.userBadge.create({
-              data: { userId, badgeId: achievement.badgeReward.id, awardedBy: null }
-            });
-            
-            await tx.user.update({
-              where: { id: userId },
-              data: {
-                totalBadges: { increment: 1 },
-                experiencePoints: { increment: achievement.badgeReward.experienceReward }
-              }
-            });
-          }
-        }
-      }
-    }
-  }
-}
-
 // Validation schemas
+const tierSchema = Joi.object({
+  name: Joi.string().min(1).max(50).required(),
+  threshold: Joi.number().integer().min(1).required(),
+  image_url: Joi.string().uri().optional(),
+  experience_reward: Joi.number().integer().min(0).default(0),
+  currency_reward: Joi.number().integer().min(0).default(0)
+});
+
 const createBadgeSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
   description: Joi.string().max(500).optional(),
   image_url: Joi.string().uri().optional(),
-  criteria_type: Joi.string().valid('experience', 'badges', 'activities', 'achievements', 'custom').required(),
-  criteria_value: Joi.number().integer().min(1).required(),
+  criteria_type: Joi.string().max(50)
+    .when('criteria_rule', { is: Joi.exist(), then: Joi.optional().default('custom'), otherwise: Joi.required() }),
+  criteria_value: Joi.number().integer().min(1)
+    .when('criteria_rule', {
+      is: Joi.exist(),
+      then: Joi.any().default(1),
+      otherwise: Joi.when('tiers', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    }),
+  criteria_params: Joi.object().optional(),
+  criteria_rule: Joi.object().optional(),
   experience_reward: Joi.number().integer().min(0).default(0),
-  rarity: Joi.string().valid('common', 'uncommon', 'rare', 'epic', 'legendary').default('common')
+  currency_reward: Joi.number().integer().min(0).default(0),
+  rarity: Joi.string().valid('common', 'uncommon', 'rare', 'epic', 'legendary')
+    .when('rarity_mode', { is: 'dynamic', then: Joi.forbidden(), otherwise: Joi.optional().default('common') }),
+  rarity_mode: Joi.string().valid(...RARITY_MODES).default('manual'),
+  seasonal_event_id: Joi.number().integer().min(1).optional(),
+  tiers: Joi.array().items(tierSchema).min(1).max(10).optional()
 });
 
 const updateBadgeSchema = Joi.object({
   name: Joi.string().min(1).max(100).optional(),
   description: Joi.string().max(500).optional(),
   image_url: Joi.string().uri().optional(),
-  criteria_type: Joi.string().valid('experience', 'badges', 'activities', 'achievements', 'custom').optional(),
+  criteria_type: Joi.string().max(50).optional(),
   criteria_value: Joi.number().integer().min(1).optional(),
+  criteria_params: Joi.object().allow(null).optional(),
+  criteria_rule: Joi.object().optional(),
   experience_reward: Joi.number().integer().min(0).optional(),
+  currency_reward: Joi.number().integer().min(0).optional(),
   rarity: Joi.string().valid('common', 'uncommon', 'rare', 'epic', 'legendary').optional(),
-  is_active: Joi.boolean().optional()
+  rarity_mode: Joi.string().valid(...RARITY_MODES).optional(),
+  seasonal_event_id: Joi.number().integer().min(1).allow(null).optional(),
+  is_active: Joi.boolean().optional(),
+  tiers: Joi.array().items(tierSchema).max(10).allow(null).optional()
 });
 
 const awardBadgeSchema = Joi.object({
   badge_id: Joi.number().integer().min(1).required(),
-  user_id: Joi.number().integer().min(1).required()
+  user_id: Joi.number().integer().min(1).required(),
+  tier: Joi.number().integer().min(1).optional()
 });
 
 /**
@@ -246,6 +111,9 @@ const awardBadgeSchema = Joi.object({
  *                   type: boolean
  *                 data:
  *                   type: array
+ *                   description: >
+ *                     Badges with holderCount and holderPercentage, the number and
+ *                     share of active users holding each one (recalculated on save and hourly)
  *                   items:
  *                     type: object
  *                 pagination:
@@ -280,11 +148,19 @@ router.get('/', async (req, res) => {
         imageUrl: true,
         criteriaType: true,
         criteriaValue: true,
+        criteriaParams: true,
+        criteriaRule: true,
         experienceReward: true,
+        currencyReward: true,
         rarity: true,
+        rarityMode: true,
+        holderCount: true,
+        holderPercentage: true,
+        seasonalEventId: true,
         isActive: true,
         createdAt: true,
-        updatedAt: true
+        updatedAt: true,
+        tiers: { orderBy: { tier: 'asc' } }
       },
       orderBy: { createdAt: 'desc' },
       skip,
@@ -342,11 +218,19 @@ router.get('/:id', async (req, res) => {
         imageUrl: true,
         criteriaType: true,
         criteriaValue: true,
+        criteriaParams: true,
+        criteriaRule: true,
         experienceReward: true,
+        currencyReward: true,
         rarity: true,
+        rarityMode: true,
+        holderCount: true,
+        holderPercentage: true,
+        seasonalEventId: true,
         isActive: true,
         createdAt: true,
-        updatedAt: true
+        updatedAt: true,
+        tiers: { orderBy: { tier: 'asc' } }
       }
     });
 
@@ -386,8 +270,6 @@ router.get('/:id', async (req, res) => {
  *             type: object
  *             required:
  *               - name
- *               - criteria_type
- *               - criteria_value
  *             properties:
  *               name:
  *                 type: string
@@ -400,16 +282,66 @@ router.get('/:id', async (req, res) => {
  *                 format: uri
  *               criteria_type:
  *                 type: string
- *                 enum: [experience, badges, activities, achievements, custom]
+ *                 description: One of the types listed by GET /api/criteria-types
  *               criteria_value:
  *                 type: integer
  *                 minimum: 1
+ *               criteria_params:
+ *                 type: object
+ *                 description: Optional parameters accepted by the criteria type
+ *               criteria_rule:
+ *                 type: object
+ *                 description: Structured rule with all/any/not groups and fact comparisons; implies criteria_type "custom"
  *               experience_reward:
  *                 type: integer
  *                 minimum: 0
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited to the wallet when the badge is awarded
  *               rarity:
  *                 type: string
  *                 enum: [common, uncommon, rare, epic, legendary]
+ *                 description: Not allowed when rarity_mode is "dynamic"
+ *               rarity_mode:
+ *                 type: string
+ *                 enum: [manual, dynamic]
+ *                 description: >
+ *                   "dynamic" derives rarity from the percentage of active users
+ *                   holding the badge, recalculated on save, at startup and hourly
+ *               seasonal_event_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seasonal event the badge is exclusive to
+ *               tiers:
+ *                 type: array
+ *                 description: >
+ *                   Progressive tiers, lowest first, for threshold criteria types.
+ *                   criteria_value becomes the first tier's threshold. Each tier's
+ *                   rewards are paid when it is reached, on top of the badge's own.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                     - threshold
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       maxLength: 50
+ *                       example: gold
+ *                     threshold:
+ *                       type: integer
+ *                       minimum: 1
+ *                       example: 200
+ *                     image_url:
+ *                       type: string
+ *                       format: uri
+ *                     experience_reward:
+ *                       type: integer
+ *                       minimum: 0
+ *                     currency_reward:
+ *                       type: integer
+ *                       minimum: 0
  *     responses:
  *       201:
  *         description: Badge created successfully
@@ -430,19 +362,53 @@ router.post('/', protect, admin, async (req, res) => {
     }
 
     const {
-      name, description, image_url, criteria_type, criteria_value,
-      experience_reward, rarity
+      name, description, image_url, criteria_type, criteria_value, criteria_params, criteria_rule,
+      experience_reward, currency_reward, rarity, rarity_mode, seasonal_event_id, tiers
     } = value;
 
+    // A tiered badge is earned at its first tier
+    const criteria = validateCriteria({
+      type: criteria_type,
+      value: tiers ? tiers[0].threshold : criteria_value,
+      params: criteria_params,
+      rule: criteria_rule
+    });
+    if (criteria.error) {
+      return res.status(400).json({
+        success: false,
+        error: criteria.error
+      });
+    }
+
+    const badgeTiers = tiers ? validateTiers(tiers, criteria.value.criteriaType) : { value: [] };
+    if (badgeTiers.error) {
+      return res.status(400).json({
+        success: false,
+        error: badgeTiers.error
+      });
+    }
+
+    // Badges tied to a seasonal event can only be earned automatically while it runs
+    const seasonalEvent = await buildAvailabilityData({ seasonal_event_id });
+    if (seasonalEvent.error) {
+      return res.status(400).json({
+        success: false,
+        error: seasonalEvent.error
+      });
+    }
+
     const badge = await prisma.badge.create({
       data: {
         name,
         description,
         imageUrl: image_url,
-        criteriaType: criteria_type,
-        criteriaValue: criteria_value,
+        ...criteria.value,
         experienceReward: experience_reward,
-        rarity
+        currencyReward: currency_reward,
+        rarity,
+        rarityMode: rarity_mode,
+        ...seasonalEvent.value,
+        tiers: { create: badgeTiers.value }
       },
       select: {
         id: true,
@@ -451,17 +417,28 @@ router.post('/', protect, admin, async (req, res) => {
         imageUrl: true,
         criteriaType: true,
         criteriaValue: true,
+        criteriaParams: true,
+        criteriaRule: true,
         experienceReward: true,
+        currencyReward: true,
         rarity: true,
+        rarityMode: true,
+        holderCount: true,
+        holderPercentage: true,
+        seasonalEventId: true,
         isActive: true,
         createdAt: true,
-        updatedAt: true
+        updatedAt: true,
+        tiers: { orderBy: { tier: 'asc' } }
       }
     });
 
+    // Measure holders now rather than at the next scheduled recalculation
+    const [holderStats] = await recalculateBadgeRarity({ badgeIds: [badge.id] });
+
     res.status(201).json({
       success: true,
-      data: badge
+      data: { ...badge, ...holderStats }
     });
   } catch (error) {
     console.error('Create badge error:', error);
@@ -505,18 +482,47 @@ router.post('/', protect, admin, async (req, res) => {
  *                 format: uri
  *               criteria_type:
  *                 type: string
- *                 enum: [experience, badges, activities, achievements, custom]
+ *                 description: One of the types listed by GET /api/criteria-types
  *               criteria_value:
  *                 type: integer
  *                 minimum: 1
+ *               criteria_params:
+ *                 type: object
+ *                 description: Optional parameters accepted by the criteria type
+ *               criteria_rule:
+ *                 type: object
+ *                 description: Structured rule with all/any/not groups and fact comparisons; implies criteria_type "custom"
  *               experience_reward:
  *                 type: integer
  *                 minimum: 0
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited to the wallet when the badge is awarded
  *               rarity:
  *                 type: string
  *                 enum: [common, uncommon, rare, epic, legendary]
+ *                 description: Not allowed when rarity_mode is "dynamic"
+ *               rarity_mode:
+ *                 type: string
+ *                 enum: [manual, dynamic]
+ *                 description: >
+ *                   "dynamic" derives rarity from the percentage of active users
+ *                   holding the badge, recalculated on save, at startup and hourly
+ *               seasonal_event_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seasonal event the badge is exclusive to
  *               is_active:
  *                 type: boolean
+ *               tiers:
+ *                 type: array
+ *                 nullable: true
+ *                 description: >
+ *                   Replaces the badge's tiers (null or [] removes them). Holders
+ *                   keep their tier, capped at the new top tier.
+ *                 items:
+ *                   type: object
  *     responses:
  *       200:
  *         description: Badge updated successfully
@@ -542,7 +548,8 @@ router.put('/:id', protect, admin, async (req, res) => {
 
     // Check if badge exists
     const existingBadge = await prisma.badge.findUnique({
-      where: { id: parseInt(id) }
+      where: { id: parseInt(id) },
+      include: { tiers: { orderBy: { tier: 'asc' } } }
     });
 
     if (!existingBadge) {
@@ -552,19 +559,70 @@ router.put('/:id', protect, admin, async (req, res) => {
       });
     }
 
+    // Tiers replace the stored ones when given (null or [] removes them)
+    const newTiers = value.tiers !== undefined ? value.tiers || [] : null;
+    const tiers = newTiers || existingBadge.tiers;
+
     // Build update data object
     const updateData = {};
     
     if (value.name !== undefined) updateData.name = value.name;
     if (value.description !== undefined) updateData.description = value.description;
     if (value.image_url !== undefined) updateData.imageUrl = value.image_url;
-    if (value.criteria_type !== undefined) updateData.criteriaType = value.criteria_type;
-    if (value.criteria_value !== undefined) updateData.criteriaValue = value.criteria_value;
+    if (['criteria_type', 'criteria_value', 'criteria_params', 'criteria_rule'].some(field => value[field] !== undefined) ||
+      (newTiers && newTiers.length > 0)) {
+      const criteria = validateCriteriaUpdate(existingBadge, {
+        type: value.criteria_type,
+        value: tiers.length > 0 ? tiers[0].threshold : value.criteria_value,
+        params: value.criteria_params,
+        rule: value.criteria_rule
+      });
+      if (criteria.error) {
+        return res.status(400).json({
+          success: false,
+          error: criteria.error
+        });
+      }
+      Object.assign(updateData, criteria.value);
+    }
+
+    let tierRows = [];
+    if (tiers.length > 0) {
+      const badgeTiers = validateTiers(newTiers || [], updateData.criteriaType || existingBadge.criteriaType);
+      if (badgeTiers.error) {
+        return res.status(400).json({
+          success: false,
+          error: badgeTiers.error
+        });
+      }
+      tierRows = badgeTiers.value;
+    }
     if (value.experience_reward !== undefined) updateData.experienceReward = value.experience_reward;
-    if (value.rarity !== undefined) updateData.rarity = value.rarity;
+    if (value.currency_reward !== undefined) updateData.currencyReward = value.currency_reward;
+    if (value.rarity_mode !== undefined) updateData.rarityMode = value.rarity_mode;
+    if ((value.rarity_mode || existingBadge.rarityMode) === 'dynamic') {
+      if (value.rarity !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'rarity is computed for badges with rarity_mode "dynamic"'
+        });
+      }
+    } else if (value.rarity !== undefined) {
+      updateData.rarity = value.rarity;
+    }
     if (value.is_active !== undefined) updateData.isActive = value.is_active;
+    if (value.seasonal_event_id !== undefined) {
+      const seasonalEvent = await buildAvailabilityData({ seasonal_event_id: value.seasonal_event_id });
+      if (seasonalEvent.error) {
+        return res.status(400).json({
+          success: false,
+          error: seasonalEvent.error
+        });
+      }
+      Object.assign(updateData, seasonalEvent.value);
+    }
 
-    if (Object.keys(updateData).length === 0) {
+    if (Object.keys(updateData).length === 0 && !newTiers) {
       return res.status(400).json({
         success: false,
         error: 'No fields to update'
@@ -574,27 +632,42 @@ router.put('/:id', protect, admin, async (req, res) => {
     // Add updatedAt timestamp
     updateData.updatedAt = new Date();
 
-    const badge = await prisma.badge.update({
-      where: { id: parseInt(id) },
-      data: updateData,
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        imageUrl: true,
-        criteriaType: true,
-        criteriaValue: true,
-        experienceReward: true,
-        rarity: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true
-      }
+    const badge = await prisma.$transaction(async (tx) => {
+      if (newTiers) await replaceBadgeTiers(existingBadge.id, tierRows, tx);
+
+      return tx.badge.update({
+        where: { id: parseInt(id) },
+        data: updateData,
+        select: {
+          id: true,
+          name: true,
+          description: true,
+          imageUrl: true,
+          criteriaType: true,
+          criteriaValue: true,
+          criteriaParams: true,
+          criteriaRule: true,
+          experienceReward: true,
+          currencyReward: true,
+          rarity: true,
+          rarityMode: true,
+          holderCount: true,
+          holderPercentage: true,
+          seasonalEventId: true,
+          isActive: true,
+          createdAt: true,
+          updatedAt: true,
+          tiers: { orderBy: { tier: 'asc' } }
+        }
+      });
     });
 
+    // A badge switched to dynamic rarity takes its rarity from current holders
+    const [holderStats] = await recalculateBadgeRarity({ badgeIds: [badge.id] });
+
     res.json({
       success: true,
-      data: badge
+      data: { ...badge, ...holderStats }
     });
   } catch (error) {
     console.error('Update badge error:', error);
@@ -670,6 +743,13 @@ router.delete('/:id', protect, admin, async (req, res) => {
  *     tags: [Badges]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retries with the same key replay the original response instead of running again
  *     requestBody:
  *       required: true
  *       content:
@@ -684,6 +764,10 @@ router.delete('/:id', protect, admin, async (req, res) => {
  *                 type: integer
  *               user_id:
  *                 type: integer
+ *               tier:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Tier to award for tiered badges (default 1); upgrades a lower held tier
  *     responses:
  *       200:
  *         description: Badge awarded successfully
@@ -694,9 +778,11 @@ router.delete('/:id', protect, admin, async (req, res) => {
  *       404:
  *         description: Badge or user not found
  *       409:
- *         description: User already has this badge
+ *         description: User already has this badge (at this tier or higher)
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
  */
-router.post('/award', protect, admin, async (req, res) => {
+router.post('/award', protect, admin, idempotent, async (req, res) => {
   try {
     // Validate input
     const { error, value } = awardBadgeSchema.validate(req.body);
@@ -707,7 +793,7 @@ router.post('/award', protect, admin, async (req, res) => {
       });
     }
 
-    const { badge_id, user_id } = value;
+    const { badge_id, user_id, tier } = value;
 
     // Check if badge and user exist
     const badge = await prisma.badge.findFirst({
@@ -718,7 +804,9 @@ router.post('/award', protect, admin, async (req, res) => {
       select: {
         id: true,
         name: true,
-        experienceReward: true
+        experienceReward: true,
+        currencyReward: true,
+        tiers: { orderBy: { tier: 'asc' } }
       }
     });
 
@@ -729,6 +817,13 @@ router.post('/award', protect, admin, async (req, res) => {
       });
     }
 
+    if (tier && tier > badge.tiers.length) {
+      return res.status(400).json({
+        success: false,
+        error: badge.tiers.length > 0 ? `This badge has ${badge.tiers.length} tiers` : 'This badge has no tiers'
+      });
+    }
+
     const user = await prisma.user.findFirst({
       where: { 
         id: parseInt(user_id),
@@ -755,72 +850,52 @@ router.post('/award', protect, admin, async (req, res) => {
       }
     });
 
-    if (existingAward) {
+    if (existingAward && (badge.tiers.length === 0 || (existingAward.tier || 0) >= (tier || 1))) {
       return res.status(409).json({
         success: false,
-        error: 'User already has this badge'
+        error: badge.tiers.length > 0 ? 'User already has this badge at this tier or higher' : 'User already has this badge'
       });
     }
 
     // Award badge and update user stats using Prisma transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Award the badge
-      await tx.userBadge.create({
-        data: {
-          userId: parseInt(user_id),
-          badgeId: parseInt(badge_id),
-          awardedBy: req.user.id
-        }
-      });
-
-      // Update user stats
-      await tx.user.update({
-        where: { id: parseInt(user_id) },
-        data: {
-          totalBadges: { increment: 1 },
-          experiencePoints: { increment: badge.experienceReward },
-          updatedAt: new Date()
-        }
-      });
-
-      // Log experience change
-      if (badge.experienceReward > 0) {
-        await tx.experienceLog.create({
-          data: {
-            userId: parseInt(user_id),
-            activityType: 'badge_award',
-            activityId: parseInt(badge_id),
-            experienceChange: badge.experienceReward
-          }
-        });
-      }
-
-      // Check and update level
-      await checkAndUpdateLevel(parseInt(user_id), tx);
-
-      // Check and unlock achievements
-      await checkAndUnlockAchievements(parseInt(user_id), tx);
+    const progress = await prisma.$transaction(async (tx) => {
+      // Award the badge (or upgrade its tier), credit its XP and log the award
+      await awardBadge(parseInt(user_id), badge, { awardedBy: req.user.id, tier }, tx);
 
-      return { badge, user };
+      // Level-ups, achievements and criteria-based badges
+      return processProgression(parseInt(user_id), tx);
     });
 
+    // Badge rewards on a first award, plus the rewards of every tier passed
+    const heldTier = existingAward ? existingAward.tier || 0 : 0;
+    const awardedTier = badge.tiers.find(t => t.tier === (tier || 1)) || null;
+    const experienceGained = (existingAward ? 0 : badge.experienceReward) + badge.tiers
+      .filter(t => t.tier > heldTier && t.tier <= (tier || 1))
+      .reduce((sum, t) => sum + t.experienceReward, 0);
+
     // Emit real-time notification
     const io = req.app.get('io');
     if (io) {
-      io.to(`user-${user_id}`).emit('badge-awarded', {
+      io.to(`user-${user_id}`).emit(existingAward ? 'badge-upgraded' : 'badge-awarded', {
         badge: badge,
+        tier: awardedTier,
         awardedBy: req.user.username,
-        experienceGained: badge.experienceReward
+        experienceGained
       });
     }
 
+    // Level-ups, achievements and badges earned along the way
+    emitProgressEvents(io, parseInt(user_id), progress);
+
     res.json({
       success: true,
       data: {
         badge: badge,
+        tier: awardedTier,
         user: user,
         awardedBy: req.user.username,
-        experienceGained: badge.experienceReward
+        experienceGained,
+        progression: formatProgress(progress)
       }
     });
   } catch (error) {
@@ -837,6 +912,9 @@ router.post('/award', protect, admin, async (req, res) => {
  * /api/badges/user/{userId}:
  *   get:
  *     summary: Get badges for a specific user
+ *     description: >
+ *       Tiered badges also include current_tier, next_tier, max_tier and
+ *       progress toward the next tier's threshold.
  *     tags: [Badges]
  *     parameters:
  *       - in: path
@@ -881,7 +959,10 @@ router.get('/user/:userId', async (req, res) => {
             name: true,
             description: true,
             imageUrl: true,
-            rarity: true
+            rarity: true,
+            criteriaType: true,
+            criteriaParams: true,
+            tiers: { orderBy: { tier: 'asc' } }
           }
         },
         awarder: {
@@ -893,20 +974,32 @@ router.get('/user/:userId', async (req, res) => {
       orderBy: { awardedAt: 'desc' }
     });
 
+    // Tiered badges show the current tier and progress toward the next
+    const ctx = createFactContext(user.id);
+    const tierProgress = new Map();
+    for (const ub of badges.filter(ub => ub.badge.tiers.length > 0)) {
+      tierProgress.set(ub.badgeId, await getTierProgress(ub.badge, ub.tier, ctx));
+    }
+
     res.json({
       success: true,
       data: {
         user: user,
-        badges: badges.map(ub => ({
-          id: ub.badge.id,
-          name: ub.badge.name,
-          description: ub.badge.description,
-          image_url: ub.badge.imageUrl,
-          rarity: ub.badge.rarity,
-          awarded_at: ub.awardedAt,
-          awarded_by: ub.awardedBy,
-          awarded_by_username: ub.awarder?.username
-        }))
+        badges: badges.map(ub => {
+          const tiers = tierProgress.get(ub.badgeId);
+
+          return {
+            id: ub.badge.id,
+            name: ub.badge.name,
+            description: ub.badge.description,
+            image_url: (tiers && tiers.current_tier && tiers.current_tier.image_url) || ub.badge.imageUrl,
+            rarity: ub.badge.rarity,
+            awarded_at: ub.awardedAt,
+            awarded_by: ub.awardedBy,
+            awarded_by_username: ub.awarder?.username,
+            ...(tiers && { tier_reached_at: ub.tierReachedAt, ...tiers })
+          };
+        })
       }
     });
   } catch (error) {
@@ -0,0 +1,23 @@
+const express = require('express');
+const { describeCriteriaTypes } = require('../services/criteriaTypes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/criteria-types:
+ *   get:
+ *     summary: Get supported badge and achievement criteria types
+ *     tags: [Criteria Types]
+ *     responses:
+ *       200:
+ *         description: Criteria types with their descriptions and parameter schemas
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: describeCriteriaTypes()
+  });
+});
+
+module.exports = router;
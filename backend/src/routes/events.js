@@ -0,0 +1,507 @@
+const express = require('express');
+const Joi = require('joi');
+const { Prisma } = require('@prisma/client');
+const { protect, admin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { prisma } = require('../config/database');
+const { validateConditions, processEvent } = require('../services/eventIngestion');
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 100;
+
+// Validation schemas
+const eventSchema = Joi.object({
+  type: Joi.string().min(1).max(100).required(),
+  user_ref: Joi.string().min(1).max(100),
+  user_id: Joi.number().integer().min(1),
+  payload: Joi.object().default({})
+}).xor('user_ref', 'user_id');
+
+const batchSchema = Joi.object({
+  events: Joi.array().items(eventSchema).min(1).max(MAX_BATCH_SIZE).required()
+});
+
+const createMappingSchema = Joi.object({
+  event_type: Joi.string().min(1).max(100).required(),
+  activity_id: Joi.number().integer().min(1).required(),
+  conditions: Joi.object().optional(),
+  description: Joi.string().max(500).optional(),
+  is_active: Joi.boolean().default(true)
+});
+
+const updateMappingSchema = Joi.object({
+  event_type: Joi.string().min(1).max(100).optional(),
+  activity_id: Joi.number().integer().min(1).optional(),
+  conditions: Joi.object().allow(null).optional(),
+  description: Joi.string().max(500).optional(),
+  is_active: Joi.boolean().optional()
+});
+
+// --- Helper: Format an event mapping ---
+function formatMapping(mapping) {
+  return {
+    id: mapping.id,
+    event_type: mapping.eventType,
+    activity_id: mapping.activityId,
+    activity_name: mapping.activity?.name,
+    conditions: mapping.conditions,
+    description: mapping.description,
+    is_active: mapping.isActive,
+    created_at: mapping.createdAt,
+    updated_at: mapping.updatedAt
+  };
+}
+
+const mappingInclude = {
+  activity: { select: { name: true } }
+};
+
+/**
+ * @swagger
+ * /api/events:
+ *   post:
+ *     summary: Ingest external domain events (single event or batch)
+ *     description: >
+ *       Each event is matched against the active event mappings for its type
+ *       and completes the mapped activities for the referenced user, applying
+ *       the same rules as POST /api/activities/{id}/complete.
+ *       A batch answers 200 even when some of its events fail; the response,
+ *       failed events included, is stored under the Idempotency-Key, so resend
+ *       the failed events in a new request with a new key.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retries with the same key replay the original response instead of running again
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/DomainEvent'
+ *               - type: object
+ *                 required:
+ *                   - events
+ *                 properties:
+ *                   events:
+ *                     type: array
+ *                     maxItems: 100
+ *                     items:
+ *                       $ref: '#/components/schemas/DomainEvent'
+ *     responses:
+ *       200:
+ *         description: Per-event results (processed, ignored, rejected or, in a batch, failed)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
+ *       500:
+ *         description: A single event failed; retrying with the same Idempotency-Key runs it again
+ * components:
+ *   schemas:
+ *     DomainEvent:
+ *       type: object
+ *       required:
+ *         - type
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: order.completed
+ *         user_ref:
+ *           type: string
+ *           description: External user reference (users.external_ref); use instead of user_id
+ *         user_id:
+ *           type: integer
+ *         payload:
+ *           type: object
+ */
+router.post('/', protect, admin, idempotent, async (req, res) => {
+  try {
+    // Validate input; a body with an "events" key is a batch
+    const isBatch = req.body && req.body.events !== undefined;
+    const { error, value } = (isBatch ? batchSchema : eventSchema).validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const options = { awardedBy: req.user.id, io: req.app.get('io') };
+
+    // A single event that fails answers 500, so its Idempotency-Key can be retried
+    if (!isBatch) {
+      return res.json({
+        success: true,
+        data: await processEvent(value, options)
+      });
+    }
+
+    // Events are processed in order; one failing event does not stop the batch
+    const results = [];
+    for (const event of value.events) {
+      try {
+        results.push(await processEvent(event, options));
+      } catch (eventError) {
+        console.error('Process event error:', eventError);
+        results.push({ type: event.type, status: 'failed', reason: 'server_error', completions: [] });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        total: results.length,
+        processed: results.filter(r => r.status === 'processed').length,
+        ignored: results.filter(r => r.status === 'ignored').length,
+        rejected: results.filter(r => r.status === 'rejected').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        results: results.map((result, index) => ({ index, ...result }))
+      }
+    });
+  } catch (error) {
+    console.error('Ingest events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error ingesting events'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/mappings:
+ *   get:
+ *     summary: Get all event mappings
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event_type
+ *         schema:
+ *           type: string
+ *         description: Filter by event type
+ *     responses:
+ *       200:
+ *         description: List of event mappings
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/mappings', protect, admin, async (req, res) => {
+  try {
+    const { event_type } = req.query;
+
+    const mappings = await prisma.eventMapping.findMany({
+      where: event_type ? { eventType: event_type } : {},
+      include: mappingInclude,
+      orderBy: [{ eventType: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: mappings.map(formatMapping)
+    });
+  } catch (error) {
+    console.error('Get event mappings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving event mappings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/mappings:
+ *   post:
+ *     summary: Create an event mapping
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - event_type
+ *               - activity_id
+ *             properties:
+ *               event_type:
+ *                 type: string
+ *                 maxLength: 100
+ *               activity_id:
+ *                 type: integer
+ *                 minimum: 1
+ *               conditions:
+ *                 type: object
+ *                 description: >
+ *                   Payload conditions keyed by dotted path. A plain value must be equal;
+ *                   an object applies operators (gte, gt, lte, lt, eq, neq, in, exists).
+ *                 example: { "status": "paid", "order.total": { "gte": 50 } }
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Event mapping created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Activity not found
+ */
+router.post('/mappings', protect, admin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createMappingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (value.conditions) {
+      const conditionsError = validateConditions(value.conditions);
+      if (conditionsError) {
+        return res.status(400).json({
+          success: false,
+          error: conditionsError
+        });
+      }
+    }
+
+    const activity = await prisma.activity.findUnique({
+      where: { id: value.activity_id }
+    });
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    const mapping = await prisma.eventMapping.create({
+      data: {
+        eventType: value.event_type,
+        activityId: value.activity_id,
+        conditions: value.conditions,
+        description: value.description,
+        isActive: value.is_active
+      },
+      include: mappingInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatMapping(mapping)
+    });
+  } catch (error) {
+    console.error('Create event mapping error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating event mapping'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/mappings/{id}:
+ *   put:
+ *     summary: Update an event mapping
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Event mapping ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event_type:
+ *                 type: string
+ *                 maxLength: 100
+ *               activity_id:
+ *                 type: integer
+ *                 minimum: 1
+ *               conditions:
+ *                 type: object
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Event mapping updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Event mapping or activity not found
+ */
+router.put('/mappings/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = updateMappingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existingMapping = await prisma.eventMapping.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingMapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event mapping not found'
+      });
+    }
+
+    if (value.conditions) {
+      const conditionsError = validateConditions(value.conditions);
+      if (conditionsError) {
+        return res.status(400).json({
+          success: false,
+          error: conditionsError
+        });
+      }
+    }
+
+    if (value.activity_id !== undefined) {
+      const activity = await prisma.activity.findUnique({
+        where: { id: value.activity_id }
+      });
+
+      if (!activity) {
+        return res.status(404).json({
+          success: false,
+          error: 'Activity not found'
+        });
+      }
+    }
+
+    // Build update data object
+    const updateData = {};
+
+    if (value.event_type !== undefined) updateData.eventType = value.event_type;
+    if (value.activity_id !== undefined) updateData.activityId = value.activity_id;
+    if (value.conditions !== undefined) updateData.conditions = value.conditions === null ? Prisma.DbNull : value.conditions;
+    if (value.description !== undefined) updateData.description = value.description;
+    if (value.is_active !== undefined) updateData.isActive = value.is_active;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const mapping = await prisma.eventMapping.update({
+      where: { id: parseInt(id) },
+      data: updateData,
+      include: mappingInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatMapping(mapping)
+    });
+  } catch (error) {
+    console.error('Update event mapping error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating event mapping'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/mappings/{id}:
+ *   delete:
+ *     summary: Delete an event mapping
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Event mapping ID
+ *     responses:
+ *       200:
+ *         description: Event mapping deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Event mapping not found
+ */
+router.delete('/mappings/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingMapping = await prisma.eventMapping.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingMapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event mapping not found'
+      });
+    }
+
+    await prisma.eventMapping.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Event mapping deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete event mapping error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting event mapping'
+    });
+  }
+});
+
+module.exports = router;
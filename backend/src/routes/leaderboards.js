@@ -1,8 +1,198 @@
 const express = require('express');
+const Joi = require('joi');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/database');
+const { optionalAuth } = require('../middleware/auth');
+const { getLevelCurve } = require('../services/levelCurve');
+const { resolvePeriod, formatPeriod } = require('../services/leaderboardPeriods');
+const {
+  RANKING_MODES,
+  LEADERBOARD_TYPES,
+  TEAM_METRICS,
+  resolveRankingQuery,
+  boardScores,
+  restrictScores,
+  rankBoard,
+  getUserRank,
+  rankAround,
+  formatRankingPage
+} = require('../services/leaderboardRanking');
+const { getRankChanges } = require('../services/leaderboardSnapshots');
+const { rankStoredBoard, getStoredUserRank, rankStoredAround } = require('../services/leaderboardStore');
+const {
+  STANDING_USER_SELECT,
+  getCurrentSeason,
+  formatSeason,
+  formatStanding
+} = require('../services/seasonService');
+const { getTeamStats } = require('../services/teamService');
+const { networkIdsSql } = require('../services/socialService');
+const { getCategorySummaries, formatCategoryTrack } = require('../services/categoryXpService');
+const { formatHolderStats } = require('../services/badgeRarity');
 
 const router = express.Router();
 
+// Friends-scoped boards need to know who is asking
+router.use(optionalAuth);
+
+const LEADERBOARD_SCOPES = ['global', 'friends'];
+
+const LEADERBOARD_USER_SELECT = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatarUrl: true,
+  experiencePoints: true,
+  currentLevel: true,
+  totalBadges: true,
+  totalAchievements: true
+};
+
+const scopeQuerySchema = Joi.object({
+  scope: Joi.string().valid(...LEADERBOARD_SCOPES).default('global')
+}).unknown(true);
+
+const positionQuerySchema = Joi.object({
+  ranking: Joi.string().valid(...RANKING_MODES).default('competition'),
+  scope: Joi.string().valid(...LEADERBOARD_SCOPES)
+});
+
+const teamQuerySchema = Joi.object({
+  metric: Joi.string().valid(...Object.keys(TEAM_METRICS)).default('total_experience')
+}).unknown(true);
+
+const aroundQuerySchema = positionQuerySchema.keys({
+  radius: Joi.number().integer().min(1).max(50).default(5)
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     LeaderboardLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 10
+ *       description: Number of players per page
+ *     LeaderboardPage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *       description: Page number (not combined with offset or cursor)
+ *     LeaderboardOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *       description: Number of players to skip (not combined with page or cursor)
+ *     LeaderboardCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: pagination.next_cursor of the previous page
+ *     LeaderboardRanking:
+ *       in: query
+ *       name: ranking
+ *       schema:
+ *         type: string
+ *         enum: [competition, dense, ordinal]
+ *         default: competition
+ *       description: >
+ *         How tied players are ranked - competition (1224), dense (1223) or
+ *         ordinal (1234, ties ordered by the board's tie-breakers, then user ID)
+ *     LeaderboardPeriod:
+ *       in: query
+ *       name: period
+ *       schema:
+ *         type: string
+ *         enum: [day, week, month, custom]
+ *       description: Rank by what was earned in the current UTC day, ISO week or month, or in a custom range, instead of lifetime totals
+ *     LeaderboardFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Start of a custom period (required with period=custom)
+ *     LeaderboardTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: End of a custom period (defaults to now)
+ *     LeaderboardScope:
+ *       in: query
+ *       name: scope
+ *       schema:
+ *         type: string
+ *         enum: [global, friends]
+ *         default: global
+ *       description: >
+ *         friends ranks only the signed-in user, their friends and the users
+ *         they follow (requires a bearer token)
+ */
+
+// Helper function to attach user details to a page of ranked rows
+async function loadRankedUsers(rows, select = LEADERBOARD_USER_SELECT) {
+  const users = await prisma.user.findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    select
+  });
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return rows.map(row => ({ ...row, user: usersById.get(row.id) }));
+}
+
+// Helper function to send a 400 (or the given status) for invalid leaderboard query parameters
+function sendInvalidQuery(res, error, status = 400) {
+  return res.status(status).json({
+    success: false,
+    error
+  });
+}
+
+// Helper function to resolve the scope query parameter. Returns { error, status }
+// or { value: { name, userIds } } where userIds is the subquery of users a
+// friends-scoped board is restricted to (null for global boards).
+function resolveScope(req) {
+  const { error, value } = scopeQuerySchema.validate(req.query);
+  if (error) return { error: error.details[0].message };
+
+  if (value.scope === 'friends' && !req.user) {
+    return { error: 'Sign in to see the friends leaderboard', status: 401 };
+  }
+
+  return {
+    value: {
+      name: value.scope,
+      userIds: value.scope === 'friends' ? networkIdsSql(req.user.id) : null
+    }
+  };
+}
+
+// Helper function to restrict a user scores query to a scope
+function scopeScores(scores, scope) {
+  return scope.userIds ? restrictScores(scores, scope.userIds) : scores;
+}
+
+// Helper function to rank a page of a lifetime board. Global boards are
+// served from the leaderboard store when it is available.
+function rankLifetimeBoard(type, scope, options) {
+  return scope.userIds
+    ? rankBoard(restrictScores(LEADERBOARD_TYPES[type](), scope.userIds), options)
+    : rankStoredBoard(type, options);
+}
+
 /**
  * @swagger
  * /api/leaderboards/experience:
@@ -10,51 +200,66 @@ const router = express.Router();
  *     summary: Get experience leaderboard
  *     tags: [Leaderboards]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of top players to return
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *       - $ref: '#/components/parameters/LeaderboardPeriod'
+ *       - $ref: '#/components/parameters/LeaderboardFrom'
+ *       - $ref: '#/components/parameters/LeaderboardTo'
  *     responses:
  *       200:
  *         description: Experience leaderboard
+ *       400:
+ *         description: Invalid ranking, pagination, period, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
  */
 router.get('/experience', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const ranking = resolveRankingQuery(req.query);
+    const period = resolvePeriod(req.query);
+    if (ranking.error || period.error) {
+      return sendInvalidQuery(res, ranking.error || period.error);
+    }
 
-    const users = await prisma.user.findMany({
-      where: { isActive: true },
-      select: {
-        id: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        avatarUrl: true,
-        experiencePoints: true,
-        currentLevel: true,
-        totalBadges: true,
-        totalAchievements: true
-      },
-      orderBy: { experiencePoints: 'desc' },
-      take: parseInt(limit)
-    });
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
 
-    const leaderboard = users.map((user, index) => ({
-      id: user.id,
-      username: user.username,
-      first_name: user.firstName,
-      last_name: user.lastName,
-      avatar_url: user.avatarUrl,
-      // Experience-specific fields
-      experience_points: user.experiencePoints,
-      current_level: user.currentLevel,
-      level_progress: calculateLevelProgress(user.experiencePoints, user.currentLevel),
-      xp_to_next_level: calculateXPToNextLevel(user.experiencePoints, user.currentLevel),
-      rank: index + 1
-    }));
+    const page = period.value
+      ? await rankBoard(scopeScores(boardScores.periodExperience(period.value), scope.value), options)
+      : await rankLifetimeBoard('experience', scope.value, options);
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    const rows = await loadRankedUsers(page.rows);
+
+    if (period.value) {
+      return res.json({
+        success: true,
+        data: await buildPeriodExperienceLeaderboard(period.value, page, rows, options)
+      });
+    }
+
+    const curve = await getLevelCurve();
+    const leaderboard = rows.map(({ user, rank }) => {
+      const levelProgress = curve.progress(user.experiencePoints, user.currentLevel);
+      return {
+        id: user.id,
+        username: user.username,
+        first_name: user.firstName,
+        last_name: user.lastName,
+        avatar_url: user.avatarUrl,
+        // Experience-specific fields
+        experience_points: user.experiencePoints,
+        current_level: user.currentLevel,
+        level_progress: levelProgress.progress_percentage,
+        xp_to_next_level: levelProgress.xp_to_next_level,
+        rank
+      };
+    });
 
     res.json({
       success: true,
@@ -63,10 +268,11 @@ router.get('/experience', async (req, res) => {
         title: 'Experience Leaders',
         description: 'Top players by total experience points',
         leaderboard,
+        ...formatRankingPage(page, options),
         metadata: {
-          total_players: await prisma.user.count({ where: { isActive: true } }),
+          total_players: page.total,
           average_xp: await calculateAverageXP(),
-          top_xp: users.length > 0 ? users[0].experiencePoints : 0
+          top_xp: await calculateTopXP()
         }
       }
     });
@@ -80,31 +286,33 @@ router.get('/experience', async (req, res) => {
 });
 
 // Helper functions for experience calculations
-function calculateLevelProgress(xp, level) {
-  const xpForCurrentLevel = getXPForLevel(level);
-  const xpForNextLevel = getXPForLevel(level + 1);
-  const xpInCurrentLevel = xp - xpForCurrentLevel;
-  const xpNeededForNextLevel = xpForNextLevel - xpForCurrentLevel;
-  return Math.min(100, Math.max(0, (xpInCurrentLevel / xpNeededForNextLevel) * 100));
-}
+async function buildPeriodExperienceLeaderboard(period, page, rows, ranking) {
+  const topGain = await prisma.$queryRaw`
+    WITH scores AS (${boardScores.periodExperience(period)})
+    SELECT COALESCE(MAX(score), 0)::int AS top FROM scores`;
 
-function calculateXPToNextLevel(xp, level) {
-  const xpForNextLevel = getXPForLevel(level + 1);
-  return Math.max(0, xpForNextLevel - xp);
-}
-
-function getXPForLevel(level) {
-  if (level <= 1) return 0;
-  if (level <= 2) return 100;
-  if (level <= 3) return 250;
-  if (level <= 4) return 500;
-  if (level <= 5) return 1000;
-  if (level <= 6) return 2000;
-  if (level <= 7) return 3500;
-  if (level <= 8) return 5000;
-  if (level <= 9) return 7000;
-  if (level <= 10) return 10000;
-  return (level - 1) * 1000;
+  return {
+    type: 'experience',
+    title: 'Top Movers',
+    description: 'Top players by experience gained in the period',
+    period: formatPeriod(period),
+    leaderboard: rows.map(({ user, rank, score }) => ({
+      id: user.id,
+      username: user.username,
+      first_name: user.firstName,
+      last_name: user.lastName,
+      avatar_url: user.avatarUrl,
+      experience_gained: score,
+      experience_points: user.experiencePoints,
+      current_level: user.currentLevel,
+      rank
+    })),
+    ...formatRankingPage(page, ranking),
+    metadata: {
+      total_players: page.total,
+      top_xp_gained: topGain[0].top
+    }
+  };
 }
 
 async function calculateAverageXP() {
@@ -115,6 +323,14 @@ async function calculateAverageXP() {
   return Math.round(result._avg.experiencePoints || 0);
 }
 
+async function calculateTopXP() {
+  const result = await prisma.user.aggregate({
+    where: { isActive: true },
+    _max: { experiencePoints: true }
+  });
+  return result._max.experiencePoints || 0;
+}
+
 /**
  * @swagger
  * /api/leaderboards/badges:
@@ -122,57 +338,54 @@ async function calculateAverageXP() {
  *     summary: Get badge count leaderboard
  *     tags: [Leaderboards]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of top players to return
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
  *     responses:
  *       200:
- *         description: Badge count leaderboard
+ *         description: >
+ *           Badge count leaderboard. metadata.badge_rarity lists every active
+ *           badge with the number and percentage of active players holding it.
+ *       400:
+ *         description: Invalid ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
  */
 router.get('/badges', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const ranking = resolveRankingQuery(req.query);
+    if (ranking.error) return sendInvalidQuery(res, ranking.error);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    const page = await rankLifetimeBoard('badges', scope.value, options);
+    if (page.error) return sendInvalidQuery(res, page.error);
 
     // Get users with their badge details
-    const users = await prisma.user.findMany({
-      where: { isActive: true },
-      select: {
-        id: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        avatarUrl: true,
-        experiencePoints: true,
-        currentLevel: true,
-        totalBadges: true,
-        totalAchievements: true,
-        userBadges: {
-          include: {
-            badge: {
-              select: {
-                name: true,
-                rarity: true,
-                experienceReward: true
-              }
+    const rows = await loadRankedUsers(page.rows, {
+      ...LEADERBOARD_USER_SELECT,
+      userBadges: {
+        include: {
+          badge: {
+            select: {
+              name: true,
+              rarity: true,
+              experienceReward: true
             }
           }
         }
-      },
-      orderBy: [
-        { totalBadges: 'desc' },
-        { experiencePoints: 'desc' }
-      ],
-      take: parseInt(limit)
+      }
     });
 
-    const leaderboard = users.map((user, index) => {
+    const leaderboard = rows.map(({ user, rank }) => {
       // Calculate badge statistics
       const badgeStats = calculateBadgeStats(user.userBadges);
-      
+
       return {
         id: user.id,
         username: user.username,
@@ -186,7 +399,7 @@ router.get('/badges', async (req, res) => {
         epic_badges_count: badgeStats.epicCount,
         legendary_badges_count: badgeStats.legendaryCount,
         total_badge_xp: badgeStats.totalXP,
-        rank: index + 1
+        rank
       };
     });
 
@@ -197,11 +410,13 @@ router.get('/badges', async (req, res) => {
         title: 'Badge Collectors',
         description: 'Top players by number of badges collected',
         leaderboard,
+        ...formatRankingPage(page, options),
         metadata: {
-          total_players: await prisma.user.count({ where: { isActive: true } }),
+          total_players: page.total,
           average_badges: await calculateAverageBadges(),
           total_badges_awarded: await prisma.userBadge.count(),
-          badge_types_available: await prisma.badge.count({ where: { isActive: true } })
+          badge_types_available: await prisma.badge.count({ where: { isActive: true } }),
+          badge_rarity: await getBadgeRarityStats()
         }
       }
     });
@@ -216,7 +431,7 @@ router.get('/badges', async (req, res) => {
 
 // Helper function to calculate badge statistics
 function calculateBadgeStats(userBadges) {
-  const rarityBreakdown = { common: 0, rare: 0, epic: 0, legendary: 0 };
+  const rarityBreakdown = { common: 0, uncommon: 0, rare: 0, epic: 0, legendary: 0 };
   let totalXP = 0;
   let rareCount = 0, epicCount = 0, legendaryCount = 0;
 
@@ -249,6 +464,23 @@ async function calculateAverageBadges() {
   return Math.round(result._avg.totalBadges || 0);
 }
 
+// Share of active players holding each active badge, rarest first
+async function getBadgeRarityStats() {
+  const badges = await prisma.badge.findMany({
+    where: { isActive: true },
+    select: { id: true, name: true, rarity: true, rarityMode: true, holderCount: true, holderPercentage: true },
+    orderBy: [{ holderPercentage: 'asc' }, { name: 'asc' }]
+  });
+
+  return badges.map(badge => ({
+    id: badge.id,
+    name: badge.name,
+    rarity: badge.rarity,
+    ...formatHolderStats(badge)
+  }));
+}
+
+
 /**
  * @swagger
  * /api/leaderboards/achievements:
@@ -256,57 +488,52 @@ async function calculateAverageBadges() {
  *     summary: Get achievement count leaderboard
  *     tags: [Leaderboards]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of top players to return
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
  *     responses:
  *       200:
  *         description: Achievement count leaderboard
+ *       400:
+ *         description: Invalid ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
  */
 router.get('/achievements', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const ranking = resolveRankingQuery(req.query);
+    if (ranking.error) return sendInvalidQuery(res, ranking.error);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    const page = await rankLifetimeBoard('achievements', scope.value, options);
+    if (page.error) return sendInvalidQuery(res, page.error);
 
     // Get users with their achievement details
-    const users = await prisma.user.findMany({
-      where: { isActive: true },
-      select: {
-        id: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        avatarUrl: true,
-        experiencePoints: true,
-        currentLevel: true,
-        totalBadges: true,
-        totalAchievements: true,
-        userAchievements: {
-          include: {
-            achievement: {
-              select: {
-                name: true,
-                category: true,
-                experienceReward: true
-              }
+    const rows = await loadRankedUsers(page.rows, {
+      ...LEADERBOARD_USER_SELECT,
+      userAchievements: {
+        include: {
+          achievement: {
+            select: {
+              name: true,
+              category: true,
+              experienceReward: true
             }
           }
         }
-      },
-      orderBy: [
-        { totalAchievements: 'desc' },
-        { experiencePoints: 'desc' }
-      ],
-      take: parseInt(limit)
+      }
     });
 
-    const leaderboard = users.map((user, index) => {
+    const leaderboard = rows.map(({ user, rank }) => {
       // Calculate achievement statistics
       const achievementStats = calculateAchievementStats(user.userAchievements);
-      
+
       return {
         id: user.id,
         username: user.username,
@@ -319,7 +546,7 @@ router.get('/achievements', async (req, res) => {
         total_achievement_xp: achievementStats.totalXP,
         average_achievement_xp: achievementStats.averageXP,
         completion_rate: achievementStats.completionRate,
-        rank: index + 1
+        rank
       };
     });
 
@@ -330,8 +557,9 @@ router.get('/achievements', async (req, res) => {
         title: 'Achievement Hunters',
         description: 'Top players by number of achievements unlocked',
         leaderboard,
+        ...formatRankingPage(page, options),
         metadata: {
-          total_players: await prisma.user.count({ where: { isActive: true } }),
+          total_players: page.total,
           average_achievements: await calculateAverageAchievements(),
           total_achievements_unlocked: await prisma.userAchievement.count(),
           achievements_available: await prisma.achievement.count({ where: { isActive: true } })
@@ -377,6 +605,7 @@ async function calculateAverageAchievements() {
   return Math.round(result._avg.totalAchievements || 0);
 }
 
+
 /**
  * @swagger
  * /api/leaderboards/levels:
@@ -384,56 +613,58 @@ async function calculateAverageAchievements() {
  *     summary: Get level leaderboard
  *     tags: [Leaderboards]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of top players to return
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
  *     responses:
  *       200:
  *         description: Level leaderboard
+ *       400:
+ *         description: Invalid ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
  */
 router.get('/levels', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const ranking = resolveRankingQuery(req.query);
+    if (ranking.error) return sendInvalidQuery(res, ranking.error);
 
-    const users = await prisma.user.findMany({
-      where: { isActive: true },
-      select: {
-        id: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        avatarUrl: true,
-        experiencePoints: true,
-        currentLevel: true,
-        totalBadges: true,
-        totalAchievements: true
-      },
-      orderBy: [
-        { currentLevel: 'desc' },
-        { experiencePoints: 'desc' }
-      ],
-      take: parseInt(limit)
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    const page = await rankLifetimeBoard('levels', scope.value, options);
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    const rows = await loadRankedUsers(page.rows);
+
+    const curve = await getLevelCurve();
+    const leaderboard = rows.map(({ user, rank }) => {
+      const levelProgress = curve.progress(user.experiencePoints, user.currentLevel);
+      return {
+        id: user.id,
+        username: user.username,
+        first_name: user.firstName,
+        last_name: user.lastName,
+        avatar_url: user.avatarUrl,
+        // Level-specific fields
+        current_level: user.currentLevel,
+        experience_points: user.experiencePoints,
+        level_progress: levelProgress.progress_percentage,
+        xp_to_next_level: levelProgress.xp_to_next_level,
+        level_title: getLevelTitle(user.currentLevel),
+        level_description: getLevelDescription(user.currentLevel),
+        rank
+      };
     });
 
-    const leaderboard = users.map((user, index) => ({
-      id: user.id,
-      username: user.username,
-      first_name: user.firstName,
-      last_name: user.lastName,
-      avatar_url: user.avatarUrl,
-      // Level-specific fields
-      current_level: user.currentLevel,
-      experience_points: user.experiencePoints,
-      level_progress: calculateLevelProgress(user.experiencePoints, user.currentLevel),
-      xp_to_next_level: calculateXPToNextLevel(user.experiencePoints, user.currentLevel),
-      level_title: getLevelTitle(user.currentLevel),
-      level_description: getLevelDescription(user.currentLevel),
-      rank: index + 1
-    }));
+    const maxLevel = await prisma.user.aggregate({
+      where: { isActive: true },
+      _max: { currentLevel: true }
+    });
 
     res.json({
       success: true,
@@ -442,10 +673,11 @@ router.get('/levels', async (req, res) => {
         title: 'Level Champions',
         description: 'Top players by current level',
         leaderboard,
+        ...formatRankingPage(page, options),
         metadata: {
-          total_players: await prisma.user.count({ where: { isActive: true } }),
+          total_players: page.total,
           average_level: await calculateAverageLevel(),
-          max_level: users.length > 0 ? users[0].currentLevel : 1,
+          max_level: maxLevel._max.currentLevel || 1,
           levels_available: await prisma.level.count()
         }
       }
@@ -500,6 +732,7 @@ async function calculateAverageLevel() {
   return Math.round(result._avg.currentLevel || 1);
 }
 
+
 /**
  * @swagger
  * /api/leaderboards/activity:
@@ -507,45 +740,50 @@ async function calculateAverageLevel() {
  *     summary: Get activity completion leaderboard
  *     tags: [Leaderboards]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of top players to return
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *       - $ref: '#/components/parameters/LeaderboardPeriod'
+ *       - $ref: '#/components/parameters/LeaderboardFrom'
+ *       - $ref: '#/components/parameters/LeaderboardTo'
  *     responses:
  *       200:
  *         description: Activity completion leaderboard
+ *       400:
+ *         description: Invalid ranking, pagination, period, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
  */
 router.get('/activity', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const ranking = resolveRankingQuery(req.query);
+    const period = resolvePeriod(req.query);
+    if (ranking.error || period.error) {
+      return sendInvalidQuery(res, ranking.error || period.error);
+    }
 
-    // Get users with their activity completion counts
-    const usersWithActivities = await prisma.user.findMany({
-      where: { isActive: true },
-      select: {
-        id: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        avatarUrl: true,
-        experiencePoints: true,
-        currentLevel: true,
-        totalBadges: true,
-        totalAchievements: true,
-        userActivities: {
-          select: {
-            id: true
-          }
-        }
-      },
-      orderBy: { experiencePoints: 'desc' },
-      take: parseInt(limit)
-    });
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
 
-    const leaderboard = usersWithActivities.map((user, index) => ({
+    const page = period.value
+      ? await rankBoard(scopeScores(boardScores.periodActivity(period.value), scope.value), options)
+      : await rankLifetimeBoard('activity', scope.value, options);
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    const rows = await loadRankedUsers(page.rows);
+
+    if (period.value) {
+      return res.json({
+        success: true,
+        data: await buildPeriodActivityLeaderboard(period.value, page, rows, options)
+      });
+    }
+
+    const leaderboard = rows.map(({ user, rank, score }) => ({
       id: user.id,
       username: user.username,
       first_name: user.firstName,
@@ -555,8 +793,8 @@ router.get('/activity', async (req, res) => {
       current_level: user.currentLevel,
       total_badges: user.totalBadges,
       total_achievements: user.totalAchievements,
-      activities_completed: user.userActivities.length,
-      rank: index + 1
+      activities_completed: score,
+      rank
     }));
 
     res.json({
@@ -566,8 +804,9 @@ router.get('/activity', async (req, res) => {
         title: 'Activity Masters',
         description: 'Top players by number of activities completed',
         leaderboard,
+        ...formatRankingPage(page, options),
         metadata: {
-          total_players: await prisma.user.count({ where: { isActive: true } }),
+          total_players: page.total,
           total_activities_completed: await prisma.userActivity.count(),
           activities_available: await prisma.activity.count({ where: { isActive: true } })
         }
@@ -582,25 +821,46 @@ router.get('/activity', async (req, res) => {
   }
 });
 
-// Helper function to calculate activity statistics
-function calculateActivityStats(userActivities) {
-  const categoryBreakdown = {};
-  let totalXP = 0;
-  let totalActivities = userActivities.length;
+// Helper function to build an activity leaderboard for a period
+async function buildPeriodActivityLeaderboard(period, page, rows, ranking) {
+  const completions = await prisma.userActivity.findMany({
+    where: {
+      userId: { in: rows.map(row => row.id) },
+      completedAt: { gte: period.from, lt: period.to }
+    },
+    select: { userId: true, experienceGained: true }
+  });
 
-  userActivities.forEach(userActivity => {
-    const activity = userActivity.activity;
-    if (activity) {
-      categoryBreakdown[activity.category] = (categoryBreakdown[activity.category] || 0) + 1;
-      totalXP += activity.experienceReward || 0;
-    }
+  const experienceByUser = new Map();
+  completions.forEach(completion => {
+    experienceByUser.set(completion.userId, (experienceByUser.get(completion.userId) || 0) + completion.experienceGained);
   });
 
   return {
-    totalXP,
-    averageXP: totalActivities > 0 ? Math.round(totalXP / totalActivities) : 0,
-    categoryBreakdown,
-    completionRate: totalActivities > 0 ? (totalActivities / 100) * 100 : 0 // Assuming 100 total activities
+    type: 'activity',
+    title: 'Activity Masters',
+    description: 'Top players by number of activities completed in the period',
+    period: formatPeriod(period),
+    leaderboard: rows.map(({ user, rank, score }) => ({
+      id: user.id,
+      username: user.username,
+      first_name: user.firstName,
+      last_name: user.lastName,
+      avatar_url: user.avatarUrl,
+      activities_completed: score,
+      experience_gained: experienceByUser.get(user.id) || 0,
+      experience_points: user.experiencePoints,
+      current_level: user.currentLevel,
+      rank
+    })),
+    ...formatRankingPage(page, ranking),
+    metadata: {
+      total_players: page.total,
+      total_activities_completed: await prisma.userActivity.count({
+        where: { completedAt: { gte: period.from, lt: period.to } }
+      }),
+      activities_available: await prisma.activity.count({ where: { isActive: true } })
+    }
   };
 }
 
@@ -612,138 +872,606 @@ async function calculateAverageActivities() {
   return Math.round(result._avg.totalActivities || 0);
 }
 
+
 /**
  * @swagger
- * /api/leaderboards/user/{userId}/position:
+ * /api/leaderboards/categories:
  *   get:
- *     summary: Get user's position in various leaderboards
+ *     summary: List activity categories with XP tracks
+ *     description: Every category a player has earned XP in, with its number of players and XP totals.
+ *     tags: [Leaderboards]
+ *     responses:
+ *       200:
+ *         description: Categories with leaderboards
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getCategorySummaries()
+    });
+  } catch (error) {
+    console.error('Get leaderboard categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving leaderboard categories'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leaderboards/category/{category}:
+ *   get:
+ *     summary: Get the XP leaderboard of an activity category
+ *     description: >
+ *       Ranks players by the XP they earned completing activities in the
+ *       category. Levels follow the same level curve as overall levels.
  *     tags: [Leaderboards]
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: category
  *         required: true
  *         schema:
- *           type: integer
- *         description: User ID
+ *           type: string
+ *           maxLength: 50
+ *         description: Activity category
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
  *     responses:
  *       200:
- *         description: User's positions in leaderboards
+ *         description: Category leaderboard
+ *       400:
+ *         description: Invalid ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
  *       404:
- *         description: User not found
+ *         description: No activity or XP track has this category
  */
-router.get('/user/:userId/position', async (req, res) => {
+router.get('/category/:category', async (req, res) => {
   try {
-    console.log('Starting user position calculation for userId:', req.params.userId);
-    const { userId } = req.params;
+    const { category } = req.params;
 
-    // Check if user exists and get their stats
-    console.log('Fetching user data...');
-    const user = await prisma.user.findFirst({
-      where: { 
-        id: parseInt(userId),
-        isActive: true
-      },
-      select: {
-        id: true,
-        username: true,
-        experiencePoints: true,
-        totalBadges: true,
-        totalAchievements: true,
-        currentLevel: true
+    const ranking = resolveRankingQuery(req.query);
+    if (ranking.error) return sendInvalidQuery(res, ranking.error);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    const [activitiesAvailable, tracked] = await Promise.all([
+      prisma.activity.count({ where: { category, isActive: true } }),
+      prisma.userCategoryXp.aggregate({
+        where: { category, user: { isActive: true } },
+        _sum: { experiencePoints: true },
+        _max: { experiencePoints: true },
+        _count: { userId: true }
+      })
+    ]);
+
+    if (activitiesAvailable === 0 && tracked._count.userId === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const page = await rankBoard(scopeScores(boardScores.category(category), scope.value), options);
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    const [rows, tracks, curve] = await Promise.all([
+      loadRankedUsers(page.rows),
+      prisma.userCategoryXp.findMany({
+        where: { category, userId: { in: page.rows.map(row => row.id) } }
+      }),
+      getLevelCurve()
+    ]);
+    const tracksByUser = new Map(tracks.map(track => [track.userId, track]));
+
+    const leaderboard = rows.map(({ user, rank }) => {
+      const track = formatCategoryTrack(tracksByUser.get(user.id), curve);
+      return {
+        id: user.id,
+        username: user.username,
+        first_name: user.firstName,
+        last_name: user.lastName,
+        avatar_url: user.avatarUrl,
+        // Category-specific fields
+        category_experience: track.experience_points,
+        category_level: track.level,
+        level_progress: track.level_progress,
+        xp_to_next_level: track.xp_to_next_level,
+        activities_completed: track.activities_completed,
+        experience_points: user.experiencePoints,
+        current_level: user.currentLevel,
+        rank
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        type: 'category',
+        category,
+        title: `${category} Leaders`,
+        description: `Top players by experience earned in ${category} activities`,
+        leaderboard,
+        ...formatRankingPage(page, options),
+        metadata: {
+          total_players: page.total,
+          total_category_xp: tracked._sum.experiencePoints || 0,
+          top_category_xp: tracked._max.experiencePoints || 0,
+          activities_available: activitiesAvailable
+        }
       }
     });
+  } catch (error) {
+    console.error('Get category leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving category leaderboard'
+    });
+  }
+});
 
-    console.log('User data:', user);
+// Helper function to build a season standings response. Finalized seasons
+// are ranked from the archived standings, which keep the placement ranks
+// rewards were paid out by.
+async function buildSeasonLeaderboard(season, page, ranking) {
+  const rows = await loadRankedUsers(page.rows, STANDING_USER_SELECT);
 
-    if (!user) {
+  const awards = season.finalizedAt
+    ? await prisma.seasonStanding.findMany({
+      where: { seasonId: season.id, userId: { in: rows.map(row => row.id) } }
+    })
+    : [];
+  const awardsByUser = new Map(awards.map(award => [award.userId, award]));
+
+  return {
+    type: 'season',
+    title: season.name,
+    description: season.finalizedAt
+      ? 'Final standings of the season'
+      : 'Top players by experience earned this season',
+    season: formatSeason(season),
+    leaderboard: rows.map(row => {
+      const award = awardsByUser.get(row.id);
+      return formatStanding({
+        ...row,
+        ...(award && {
+          placement: award.rank,
+          experienceAwarded: award.experienceAwarded,
+          badgeAwardedId: award.badgeAwardedId
+        })
+      });
+    }),
+    ...formatRankingPage(page, ranking),
+    metadata: {
+      total_players: page.total
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/leaderboards/season:
+ *   get:
+ *     summary: Get standings of the season running now
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *     responses:
+ *       200:
+ *         description: Current season standings
+ *       400:
+ *         description: Invalid ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
+ *       404:
+ *         description: No season is running
+ */
+router.get('/season', async (req, res) => {
+  try {
+    const ranking = resolveRankingQuery(req.query);
+    if (ranking.error) return sendInvalidQuery(res, ranking.error);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    const season = await getCurrentSeason();
+
+    if (!season) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: 'No season is running'
       });
     }
 
-    // Get user's activity count
-    console.log('Fetching user activity count...');
-    const userActivityCount = await prisma.userActivity.count({
-      where: { userId: parseInt(userId) }
+    const page = await rankBoard(scopeScores(boardScores.season(season.id), scope.value), options);
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    res.json({
+      success: true,
+      data: await buildSeasonLeaderboard(season, page, options)
     });
-    console.log('User activity count:', userActivityCount);
+  } catch (error) {
+    console.error('Get season leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving season leaderboard'
+    });
+  }
+});
 
-    // Calculate positions by counting users with better stats
-    console.log('Calculating experience position...');
-    const experiencePosition = await prisma.user.count({
-      where: {
-        experiencePoints: { gt: user.experiencePoints },
-        isActive: true
-      }
+/**
+ * @swagger
+ * /api/leaderboards/seasons/{seasonId}:
+ *   get:
+ *     summary: Get standings of a season
+ *     description: Finalized seasons return the archived final standings with the rewards paid out.
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - in: path
+ *         name: seasonId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Season ID
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *     responses:
+ *       200:
+ *         description: Season standings
+ *       400:
+ *         description: Invalid ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
+ *       404:
+ *         description: Season not found
+ */
+router.get('/seasons/:seasonId', async (req, res) => {
+  try {
+    const ranking = resolveRankingQuery(req.query);
+    if (ranking.error) return sendInvalidQuery(res, ranking.error);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    const season = await prisma.season.findUnique({
+      where: { id: parseInt(req.params.seasonId) },
+      include: { rewards: { orderBy: { rankFrom: 'asc' } } }
     });
-    console.log('Experience position:', experiencePosition);
 
-    console.log('Calculating badge position...');
-    const badgePosition = await prisma.user.count({
-      where: {
-        totalBadges: { gt: user.totalBadges },
-        isActive: true
-      }
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found'
+      });
+    }
+
+    const page = await rankBoard(
+      scopeScores(
+        season.finalizedAt ? boardScores.archivedSeason(season.id) : boardScores.season(season.id),
+        scope.value
+      ),
+      options
+    );
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    res.json({
+      success: true,
+      data: await buildSeasonLeaderboard(season, page, options)
     });
-    console.log('Badge position:', badgePosition);
+  } catch (error) {
+    console.error('Get season standings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving season standings'
+    });
+  }
+});
 
-    console.log('Calculating achievement position...');
-    const achievementPosition = await prisma.user.count({
-      where: {
-        totalAchievements: { gt: user.totalAchievements },
-        isActive: true
+/**
+ * @swagger
+ * /api/leaderboards/teams:
+ *   get:
+ *     summary: Get team leaderboard
+ *     description: Ranks active teams by an aggregate of their active members.
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *           enum: [total_experience, average_experience, badges]
+ *           default: total_experience
+ *         description: Aggregate teams are ranked by
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardPage'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardCursor'
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *     responses:
+ *       200:
+ *         description: Team leaderboard
+ *       400:
+ *         description: Invalid metric, ranking, pagination, scope or cursor
+ *       401:
+ *         description: Friends scope requested without signing in
+ */
+router.get('/teams', async (req, res) => {
+  try {
+    const { error, value } = teamQuerySchema.validate(req.query);
+    const ranking = resolveRankingQuery(req.query);
+    if (error || ranking.error) {
+      return sendInvalidQuery(res, error ? error.details[0].message : ranking.error);
+    }
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+    const options = { ...ranking.value, scope: scope.value.name };
+
+    // Friends-scoped team boards show the teams of the user's network
+    const scores = scope.value.userIds
+      ? restrictScores(boardScores.teams(value.metric), Prisma.sql`
+        SELECT tm.team_id FROM team_members tm WHERE tm.user_id IN (${scope.value.userIds})`)
+      : boardScores.teams(value.metric);
+
+    const page = await rankBoard(scores, options);
+    if (page.error) return sendInvalidQuery(res, page.error);
+
+    const teamIds = page.rows.map(row => row.id);
+    const [teams, stats] = await Promise.all([
+      prisma.team.findMany({ where: { id: { in: teamIds } } }),
+      getTeamStats(teamIds)
+    ]);
+    const teamsById = new Map(teams.map(team => [team.id, team]));
+
+    res.json({
+      success: true,
+      data: {
+        type: 'teams',
+        title: 'Team Leaders',
+        description: `Top teams by ${value.metric.replace('_', ' ')}`,
+        metric: value.metric,
+        leaderboard: page.rows.map(row => {
+          const team = teamsById.get(row.id);
+          return {
+            id: team.id,
+            name: team.name,
+            avatar_url: team.avatarUrl,
+            ...stats.get(team.id),
+            score: row.score,
+            rank: row.rank
+          };
+        }),
+        ...formatRankingPage(page, options),
+        metadata: {
+          total_teams: page.total
+        }
       }
     });
-    console.log('Achievement position:', achievementPosition);
+  } catch (error) {
+    console.error('Get team leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving team leaderboard'
+    });
+  }
+});
 
-    console.log('Calculating level position...');
-    const levelPosition = await prisma.user.count({
-      where: {
-        currentLevel: { gt: user.currentLevel },
-        isActive: true
+/**
+ * @swagger
+ * /api/leaderboards/{type}/around/{userId}:
+ *   get:
+ *     summary: Get the leaderboard window around a user
+ *     description: >
+ *       Returns the user's row with up to `radius` players above and below
+ *       them, each with their rank change since the board's latest daily
+ *       snapshot (positive means the player moved up, null when the player
+ *       was not in the snapshot).
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [experience, badges, achievements, levels, activity]
+ *         description: Leaderboard type
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Number of players shown above and below the user
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *     responses:
+ *       200:
+ *         description: Leaderboard window around the user
+ *       400:
+ *         description: Invalid radius, ranking or scope
+ *       401:
+ *         description: Friends scope requested without signing in
+ *       404:
+ *         description: Leaderboard not found or user not ranked on it
+ */
+router.get('/:type/around/:userId', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const scores = LEADERBOARD_TYPES[type];
+
+    if (!scores) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leaderboard not found'
+      });
+    }
+
+    const { error, value } = aroundQuerySchema.validate(req.query);
+    if (error) return sendInvalidQuery(res, error.details[0].message);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+
+    const userId = parseInt(req.params.userId);
+    let around = null;
+    if (userId) {
+      around = scope.value.userIds
+        ? await rankAround(restrictScores(scores(), scope.value.userIds), userId, value.radius, value.ranking)
+        : await rankStoredAround(type, userId, value.radius, value.ranking);
+    }
+
+    if (!around) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found on this leaderboard'
+      });
+    }
+
+    const [rows, { takenAt, changes }] = await Promise.all([
+      loadRankedUsers(around.rows),
+      getRankChanges(type, around.rows, value.ranking, scope.value.userIds)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        ranking: value.ranking,
+        scope: scope.value.name,
+        radius: value.radius,
+        snapshot_taken_at: takenAt,
+        leaderboard: rows.map(({ user, score, rank }) => ({
+          id: user.id,
+          username: user.username,
+          first_name: user.firstName,
+          last_name: user.lastName,
+          avatar_url: user.avatarUrl,
+          current_level: user.currentLevel,
+          score,
+          rank,
+          rank_change: changes.get(user.id),
+          is_current_user: user.id === userId
+        })),
+        metadata: {
+          total_players: around.total
+        }
       }
     });
-    console.log('Level position:', levelPosition);
+  } catch (error) {
+    console.error('Get leaderboard window error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving leaderboard window'
+    });
+  }
+});
 
-    // For activity position, we need to get all users with their activity counts
-    console.log('Fetching all users with activities...');
-    const allUsersWithActivities = await prisma.user.findMany({
-      where: { isActive: true },
+/**
+ * @swagger
+ * /api/leaderboards/user/{userId}/position:
+ *   get:
+ *     summary: Get user's position in various leaderboards
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - $ref: '#/components/parameters/LeaderboardRanking'
+ *       - $ref: '#/components/parameters/LeaderboardScope'
+ *     responses:
+ *       200:
+ *         description: >
+ *           User's positions in leaderboards and their rank changes since
+ *           each board's latest daily snapshot
+ *       400:
+ *         description: Invalid ranking or scope
+ *       401:
+ *         description: Friends scope requested without signing in
+ *       404:
+ *         description: User not found
+ */
+router.get('/user/:userId/position', async (req, res) => {
+  try {
+    const { error, value } = positionQuerySchema.validate(req.query);
+    if (error) return sendInvalidQuery(res, error.details[0].message);
+
+    const scope = resolveScope(req);
+    if (scope.error) return sendInvalidQuery(res, scope.error, scope.status);
+
+    const user = await prisma.user.findFirst({
+      where: {
+        id: parseInt(req.params.userId) || 0,
+        isActive: true
+      },
       select: {
         id: true,
-        userActivities: {
-          select: { id: true }
-        }
+        username: true
       }
     });
-    console.log('All users with activities count:', allUsersWithActivities.length);
 
-    // Calculate how many users have more activities than this user
-    const usersWithMoreActivities = allUsersWithActivities.filter(
-      u => u.userActivities.length > userActivityCount
-    ).length;
-    console.log('Users with more activities:', usersWithMoreActivities);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const positions = {};
+    const rankChanges = {};
 
-    const result = {
+    // Users outside the signed-in user's network have no friends-scoped rank
+    for (const [type, scores] of Object.entries(LEADERBOARD_TYPES)) {
+      const row = scope.value.userIds
+        ? await getUserRank(restrictScores(scores(), scope.value.userIds), user.id, value.ranking)
+        : await getStoredUserRank(type, user.id, value.ranking);
+      const { changes } = await getRankChanges(type, row ? [row] : [], value.ranking, scope.value.userIds);
+      positions[type] = row ? row.rank : null;
+      rankChanges[type] = row ? changes.get(user.id) : null;
+    }
+
+    res.json({
       success: true,
       data: {
         user: {
           id: user.id,
           username: user.username
         },
-        positions: {
-          experience: experiencePosition + 1,
-          badges: badgePosition + 1,
-          achievements: achievementPosition + 1,
-          levels: levelPosition + 1,
-          activity: usersWithMoreActivities + 1
-        }
+        ranking: value.ranking,
+        scope: scope.value.name,
+        positions,
+        rank_changes: rankChanges
       }
-    };
-
-    console.log('Final result:', result);
-    res.json(result);
+    });
   } catch (error) {
     console.error('Get user position error:', error);
     res.status(500).json({
@@ -1,26 +1,129 @@
 const express = require('express');
 const Joi = require('joi');
+const { Prisma } = require('@prisma/client');
 const { protect, admin } = require('../middleware/auth');
 const { prisma } = require('../config/database');
+const { recalculateUserLevels } = require('../services/levelCurve');
+const { rebuildBoard } = require('../services/leaderboardStore');
+const { processProgression, emitProgressEvents } = require('../services/progression');
 
 const router = express.Router();
 
 // Validation schemas
+const perkSchema = Joi.object({
+  key: Joi.string().min(1).max(50).required(),
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional()
+});
+
 const createLevelSchema = Joi.object({
   level_number: Joi.number().integer().min(1).required(),
   name: Joi.string().min(1).max(100).required(),
   description: Joi.string().max(500).optional(),
   experience_required: Joi.number().integer().min(0).required(),
-  badge_reward_id: Joi.number().integer().min(1).optional()
+  badge_reward_id: Joi.number().integer().min(1).optional(),
+  bonus_experience: Joi.number().integer().min(0).default(0),
+  currency_reward: Joi.number().integer().min(0).default(0),
+  badge_reward_ids: Joi.array().items(Joi.number().integer().min(1)).unique().default([]),
+  perks: Joi.array().items(perkSchema).unique('key').default([])
 });
 
 const updateLevelSchema = Joi.object({
   name: Joi.string().min(1).max(100).optional(),
   description: Joi.string().max(500).optional(),
   experience_required: Joi.number().integer().min(0).optional(),
-  badge_reward_id: Joi.number().integer().min(1).optional()
+  badge_reward_id: Joi.number().integer().min(1).optional(),
+  bonus_experience: Joi.number().integer().min(0).optional(),
+  currency_reward: Joi.number().integer().min(0).optional(),
+  badge_reward_ids: Joi.array().items(Joi.number().integer().min(1)).unique().optional(),
+  perks: Joi.array().items(perkSchema).unique('key').optional(),
+  recalculate_users: Joi.boolean().default(false)
 });
 
+// --- Helper: Check that every reward badge exists ---
+async function findMissingBadgeIds(badgeIds) {
+  if (badgeIds.length === 0) return [];
+
+  const badges = await prisma.badge.findMany({
+    where: { id: { in: badgeIds } },
+    select: { id: true }
+  });
+
+  return badgeIds.filter(id => !badges.some(badge => badge.id === id));
+}
+
+// --- Helper: Check a threshold lies strictly between the neighbouring levels' ---
+// Returns an error message, or null when the level curve stays rising
+async function checkThresholdOrder(levelNumber, experienceRequired) {
+  const [below, above] = await Promise.all([
+    prisma.level.findFirst({
+      where: { levelNumber: { lt: levelNumber } },
+      orderBy: { levelNumber: 'desc' }
+    }),
+    prisma.level.findFirst({
+      where: { levelNumber: { gt: levelNumber } },
+      orderBy: { levelNumber: 'asc' }
+    })
+  ]);
+
+  if (below && experienceRequired <= below.experienceRequired) {
+    return `experience_required must be greater than level ${below.levelNumber}'s (${below.experienceRequired})`;
+  }
+  if (above && experienceRequired >= above.experienceRequired) {
+    return `experience_required must be less than level ${above.levelNumber}'s (${above.experienceRequired})`;
+  }
+  return null;
+}
+
+// --- Helper: Format a level's reward bundle ---
+function formatLevelRewards(level) {
+  const badges = [level.badgeReward, ...level.rewardBadges.map(rb => rb.badge)].filter(Boolean);
+
+  return {
+    bonus_experience: level.bonusExperience,
+    currency: level.currencyReward,
+    badges: badges.map(badge => ({
+      id: badge.id,
+      name: badge.name,
+      image_url: badge.imageUrl,
+      rarity: badge.rarity
+    })),
+    perks: Array.isArray(level.perks) ? level.perks : []
+  };
+}
+
+// --- Helper: Re-rank the stored levels board after levels changed in bulk ---
+async function refreshLevelsBoard() {
+  try {
+    await rebuildBoard('levels');
+  } catch (error) {
+    // Pages stay stale until the next rebuild; the levels themselves are saved
+    console.error('Leaderboard store rebuild error:', error);
+  }
+}
+
+// --- Helper: Recompute every user's level from the current curve ---
+// Raised users go through the progression cascade, so each level they gain
+// pays its rewards unless it was rewarded before
+async function recalculateLevels(io) {
+  const { updated, topLevel, raisedUserIds } = await recalculateUserLevels();
+
+  for (const userId of raisedUserIds) {
+    const progress = await prisma.$transaction(tx => processProgression(userId, tx));
+    emitProgressEvents(io, userId, progress);
+  }
+  if (updated > 0) await refreshLevelsBoard();
+
+  return { updated, topLevel };
+}
+
+const rewardBadgeSelect = {
+  id: true,
+  name: true,
+  imageUrl: true,
+  rarity: true
+};
+
 /**
  * @swagger
  * /api/levels:
@@ -93,11 +196,9 @@ router.get('/:id', async (req, res) => {
     const level = await prisma.level.findUnique({
       where: { id: parseInt(id) },
       include: {
-        badgeReward: {
-          select: {
-            name: true,
-            imageUrl: true
-          }
+        badgeReward: { select: rewardBadgeSelect },
+        rewardBadges: {
+          include: { badge: { select: rewardBadgeSelect } }
         }
       }
     });
@@ -119,7 +220,8 @@ router.get('/:id', async (req, res) => {
         experience_required: level.experienceRequired,
         badge_reward_id: level.badgeRewardId,
         badge_name: level.badgeReward?.name,
-        badge_image: level.badgeReward?.imageUrl
+        badge_image: level.badgeReward?.imageUrl,
+        rewards: formatLevelRewards(level)
       }
     });
   } catch (error) {
@@ -162,9 +264,37 @@ router.get('/:id', async (req, res) => {
  *               experience_required:
  *                 type: integer
  *                 minimum: 0
+ *                 description: Must be above the previous level's and below the next level's
  *               badge_reward_id:
  *                 type: integer
  *                 minimum: 1
+ *               bonus_experience:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: XP credited when a user reaches this level
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited when a user reaches this level
+ *               badge_reward_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Badges awarded when a user reaches this level (replaces the list on update)
+ *               perks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - key
+ *                     - name
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     description:
+ *                       type: string
  *     responses:
  *       201:
  *         description: Level created successfully
@@ -184,7 +314,10 @@ router.post('/', protect, admin, async (req, res) => {
       });
     }
 
-    const { level_number, name, description, experience_required, badge_reward_id } = value;
+    const {
+      level_number, name, description, experience_required, badge_reward_id,
+      bonus_experience, currency_reward, badge_reward_ids, perks
+    } = value;
 
     // Check if level number already exists
     const existingLevel = await prisma.level.findFirst({
@@ -198,22 +331,41 @@ router.post('/', protect, admin, async (req, res) => {
       });
     }
 
+    const thresholdError = await checkThresholdOrder(level_number, experience_required);
+    if (thresholdError) {
+      return res.status(400).json({
+        success: false,
+        error: thresholdError
+      });
+    }
+
+    const missingBadgeIds = await findMissingBadgeIds(badge_reward_ids);
+    if (missingBadgeIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Reward badges not found: ${missingBadgeIds.join(', ')}`
+      });
+    }
+
     const level = await prisma.level.create({
       data: {
         levelNumber: level_number,
         name,
         description,
         experienceRequired: experience_required,
-        badgeRewardId: badge_reward_id
+        badgeRewardId: badge_reward_id,
+        bonusExperience: bonus_experience,
+        currencyReward: currency_reward,
+        perks: perks.length > 0 ? perks : undefined,
+        rewardBadges: {
+          create: badge_reward_ids.map(badgeId => ({ badgeId }))
+        }
       },
-      select: {
-        id: true,
-        levelNumber: true,
-        name: true,
-        description: true,
-        experienceRequired: true,
-        badgeRewardId: true,
-        createdAt: true
+      include: {
+        badgeReward: { select: rewardBadgeSelect },
+        rewardBadges: {
+          include: { badge: { select: rewardBadgeSelect } }
+        }
       }
     });
 
@@ -226,6 +378,7 @@ router.post('/', protect, admin, async (req, res) => {
         description: level.description,
         experience_required: level.experienceRequired,
         badge_reward_id: level.badgeRewardId,
+        rewards: formatLevelRewards(level),
         created_at: level.createdAt
       }
     });
@@ -238,6 +391,41 @@ router.post('/', protect, admin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/levels/recalculate:
+ *   post:
+ *     summary: Recompute every user's current level from the level curve
+ *     description: Users who gain levels receive the rewards of each level they were not rewarded for before.
+ *     tags: [Levels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Users whose level changed
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/recalculate', protect, admin, async (req, res) => {
+  try {
+    const { updated, topLevel } = await recalculateLevels(req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: {
+        users_recalculated: updated,
+        highest_level: topLevel
+      }
+    });
+  } catch (error) {
+    console.error('Recalculate levels error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error recalculating user levels'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/levels/{id}:
@@ -269,9 +457,41 @@ router.post('/', protect, admin, async (req, res) => {
  *               experience_required:
  *                 type: integer
  *                 minimum: 0
+ *                 description: Must be above the previous level's and below the next level's
  *               badge_reward_id:
  *                 type: integer
  *                 minimum: 1
+ *               bonus_experience:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: XP credited when a user reaches this level
+ *               currency_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Currency credited when a user reaches this level
+ *               badge_reward_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Badges awarded when a user reaches this level (replaces the list on update)
+ *               perks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - key
+ *                     - name
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *               recalculate_users:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Recompute every user's current level from the updated thresholds
  *     responses:
  *       200:
  *         description: Level updated successfully
@@ -307,6 +527,16 @@ router.put('/:id', protect, admin, async (req, res) => {
       });
     }
 
+    if (value.experience_required !== undefined) {
+      const thresholdError = await checkThresholdOrder(existingLevel.levelNumber, value.experience_required);
+      if (thresholdError) {
+        return res.status(400).json({
+          success: false,
+          error: thresholdError
+        });
+      }
+    }
+
     // Build update data object
     const updateData = {};
     
@@ -314,8 +544,28 @@ router.put('/:id', protect, admin, async (req, res) => {
     if (value.description !== undefined) updateData.description = value.description;
     if (value.experience_required !== undefined) updateData.experienceRequired = value.experience_required;
     if (value.badge_reward_id !== undefined) updateData.badgeRewardId = value.badge_reward_id;
+    if (value.bonus_experience !== undefined) updateData.bonusExperience = value.bonus_experience;
+    if (value.currency_reward !== undefined) updateData.currencyReward = value.currency_reward;
+    if (value.perks !== undefined) updateData.perks = value.perks.length > 0 ? value.perks : Prisma.DbNull;
+
+    // Replace the bundle's badges when a new list is given
+    if (value.badge_reward_ids !== undefined) {
+      const missingBadgeIds = await findMissingBadgeIds(value.badge_reward_ids);
+      if (missingBadgeIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Reward badges not found: ${missingBadgeIds.join(', ')}`
+        });
+      }
+
+      updateData.rewardBadges = {
+        deleteMany: {},
+        create: value.badge_reward_ids.map(badgeId => ({ badgeId }))
+      };
+    }
 
-    if (Object.keys(updateData).length === 0) {
+    // A request may only ask for the recalculation
+    if (Object.keys(updateData).length === 0 && !value.recalculate_users) {
       return res.status(400).json({
         success: false,
         error: 'No fields to update'
@@ -325,17 +575,17 @@ router.put('/:id', protect, admin, async (req, res) => {
     const level = await prisma.level.update({
       where: { id: parseInt(id) },
       data: updateData,
-      select: {
-        id: true,
-        levelNumber: true,
-        name: true,
-        description: true,
-        experienceRequired: true,
-        badgeRewardId: true,
-        createdAt: true
+      include: {
+        badgeReward: { select: rewardBadgeSelect },
+        rewardBadges: {
+          include: { badge: { select: rewardBadgeSelect } }
+        }
       }
     });
 
+    // Optionally bring every user's level in line with the new threshold
+    const recalculation = value.recalculate_users ? await recalculateLevels(req.app.get('io')) : null;
+
     res.json({
       success: true,
       data: {
@@ -345,7 +595,11 @@ router.put('/:id', protect, admin, async (req, res) => {
         description: level.description,
         experience_required: level.experienceRequired,
         badge_reward_id: level.badgeRewardId,
-        created_at: level.createdAt
+        rewards: formatLevelRewards(level),
+        created_at: level.createdAt,
+        ...(recalculation && {
+          users_recalculated: recalculation.updated
+        })
       }
     });
   } catch (error) {
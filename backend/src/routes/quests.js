@@ -0,0 +1,861 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { prisma } = require('../config/database');
+const { validateCriteria } = require('../services/criteriaTypes');
+const { snapshotProgress, processProgression, formatProgress, emitProgressEvents } = require('../services/progression');
+const {
+  USER_QUEST_INCLUDE,
+  acceptQuest,
+  abandonQuest,
+  formatQuest,
+  formatUserQuest
+} = require('../services/questService');
+
+const router = express.Router();
+
+const MAX_STEPS = 50;
+
+// Validation schemas
+const stepSchema = Joi.object({
+  title: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  activity_id: Joi.number().integer().min(1).optional(),
+  required_count: Joi.number().integer().min(1).default(1),
+  criteria_type: Joi.string().max(50).optional(),
+  criteria_value: Joi.number().integer().min(1).optional(),
+  criteria_params: Joi.object().optional(),
+  criteria_rule: Joi.object().optional()
+}).oxor('activity_id', 'criteria_type').oxor('activity_id', 'criteria_rule');
+
+const createQuestSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  category: Joi.string().max(50).optional(),
+  is_ordered: Joi.boolean().default(true),
+  experience_reward: Joi.number().integer().min(0).default(0),
+  badge_reward_id: Joi.number().integer().min(1).optional(),
+  achievement_reward_id: Joi.number().integer().min(1).optional(),
+  steps: Joi.array().items(stepSchema).min(1).max(MAX_STEPS).required()
+});
+
+const updateQuestSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  category: Joi.string().max(50).optional(),
+  is_ordered: Joi.boolean().optional(),
+  experience_reward: Joi.number().integer().min(0).optional(),
+  badge_reward_id: Joi.number().integer().min(1).allow(null).optional(),
+  achievement_reward_id: Joi.number().integer().min(1).allow(null).optional(),
+  steps: Joi.array().items(stepSchema).min(1).max(MAX_STEPS).optional(),
+  is_active: Joi.boolean().optional()
+});
+
+const questInclude = {
+  steps: { orderBy: { position: 'asc' } }
+};
+
+// --- Helper: Validate steps and build their create data ---
+// Returns { error } or { value: [stepData, ...] } with positions in array order.
+async function buildSteps(steps) {
+  const data = [];
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const base = { position: i + 1, title: step.title, description: step.description };
+
+    if (step.activity_id) {
+      data.push({ ...base, activityId: step.activity_id, requiredCount: step.required_count });
+      continue;
+    }
+
+    if (!step.criteria_type && !step.criteria_rule) {
+      return { error: `steps[${i}] requires activity_id, criteria_type or criteria_rule` };
+    }
+
+    const criteria = validateCriteria({
+      type: step.criteria_type || 'custom',
+      value: step.criteria_value !== undefined ? step.criteria_value : 1,
+      params: step.criteria_params,
+      rule: step.criteria_rule
+    });
+    if (criteria.error) {
+      return { error: `steps[${i}]: ${criteria.error}` };
+    }
+
+    data.push({ ...base, requiredCount: 1, ...criteria.value });
+  }
+
+  const activityIds = [...new Set(data.filter(step => step.activityId).map(step => step.activityId))];
+  if (activityIds.length > 0) {
+    const activities = await prisma.activity.findMany({
+      where: { id: { in: activityIds } },
+      select: { id: true }
+    });
+    const missing = activityIds.filter(id => !activities.some(activity => activity.id === id));
+    if (missing.length > 0) {
+      return { error: `Activities not found: ${missing.join(', ')}` };
+    }
+  }
+
+  return { value: data };
+}
+
+// --- Helper: Check that the referenced reward badge and achievement exist ---
+async function findMissingReward({ badge_reward_id, achievement_reward_id }) {
+  if (badge_reward_id) {
+    const badge = await prisma.badge.findUnique({ where: { id: badge_reward_id } });
+    if (!badge) return 'Badge not found';
+  }
+  if (achievement_reward_id) {
+    const achievement = await prisma.achievement.findUnique({ where: { id: achievement_reward_id } });
+    if (!achievement) return 'Achievement not found';
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * /api/quests:
+ *   get:
+ *     summary: Get available quests
+ *     description: With a bearer token, each quest also includes the caller's status for it.
+ *     tags: [Quests]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status (defaults to active quests)
+ *     responses:
+ *       200:
+ *         description: List of quests with their steps
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, category, active } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build where conditions
+    const where = {
+      isActive: active !== undefined ? active === 'true' : true
+    };
+
+    if (category) {
+      where.category = category;
+    }
+
+    // Get total count
+    const total = await prisma.quest.count({ where });
+
+    const quests = await prisma.quest.findMany({
+      where,
+      include: questInclude,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: parseInt(limit)
+    });
+
+    // Caller's status for each quest
+    const userQuests = req.user
+      ? await prisma.userQuest.findMany({
+        where: { userId: req.user.id, questId: { in: quests.map(quest => quest.id) } },
+        select: { questId: true, status: true }
+      })
+      : [];
+
+    res.json({
+      success: true,
+      data: quests.map(quest => ({
+        ...formatQuest(quest),
+        ...(req.user && {
+          user_status: userQuests.find(uq => uq.questId === quest.id)?.status || null
+        })
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get quests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving quests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/user:
+ *   get:
+ *     summary: Get current user's quests with progress
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, abandoned]
+ *         description: Filter by quest status
+ *     responses:
+ *       200:
+ *         description: User quests with step progress
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/user', protect, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const userQuests = await prisma.userQuest.findMany({
+      where: {
+        userId: req.user.id,
+        ...(status && { status })
+      },
+      include: USER_QUEST_INCLUDE,
+      orderBy: { acceptedAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: userQuests.map(formatUserQuest)
+    });
+  } catch (error) {
+    console.error('Get user quests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving user quests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/{id}:
+ *   get:
+ *     summary: Get quest by ID
+ *     tags: [Quests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quest ID
+ *     responses:
+ *       200:
+ *         description: Quest details with steps
+ *       404:
+ *         description: Quest not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const quest = await prisma.quest.findUnique({
+      where: { id: parseInt(id) },
+      include: questInclude
+    });
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quest not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatQuest(quest)
+    });
+  } catch (error) {
+    console.error('Get quest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving quest'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/{id}/progress:
+ *   get:
+ *     summary: Get current user's progress on a quest
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quest ID
+ *     responses:
+ *       200:
+ *         description: Quest progress per step
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Quest not accepted
+ */
+router.get('/:id/progress', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userQuest = await prisma.userQuest.findUnique({
+      where: { userId_questId: { userId: req.user.id, questId: parseInt(id) } },
+      include: USER_QUEST_INCLUDE
+    });
+
+    if (!userQuest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quest not accepted'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatUserQuest(userQuest)
+    });
+  } catch (error) {
+    console.error('Get quest progress error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving quest progress'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/{id}/accept:
+ *   post:
+ *     summary: Accept a quest (or restart an abandoned one)
+ *     description: Criterion steps the user already meets are completed immediately.
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quest ID
+ *     responses:
+ *       200:
+ *         description: Quest accepted
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Quest not found or inactive
+ *       409:
+ *         description: Quest already active or completed
+ */
+router.post('/:id/accept', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const quest = await prisma.quest.findFirst({
+      where: {
+        id: parseInt(id),
+        isActive: true
+      }
+    });
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quest not found or inactive'
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const snapshot = await snapshotProgress(req.user.id, tx);
+
+      const accepted = await acceptQuest(req.user.id, quest, tx);
+      if (accepted.error) return accepted;
+
+      // Criterion steps may already be met
+      const progress = await processProgression(req.user.id, tx, snapshot);
+
+      const userQuest = await tx.userQuest.findUnique({
+        where: { id: accepted.userQuest.id },
+        include: USER_QUEST_INCLUDE
+      });
+
+      return { userQuest, progress };
+    });
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: result.error === 'already_active' ? 'Quest already accepted' : 'Quest already completed'
+      });
+    }
+
+    emitProgressEvents(req.app.get('io'), req.user.id, result.progress);
+
+    res.json({
+      success: true,
+      message: 'Quest accepted',
+      data: {
+        ...formatUserQuest(result.userQuest),
+        progression: formatProgress(result.progress)
+      }
+    });
+  } catch (error) {
+    console.error('Accept quest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error accepting quest'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/{id}/abandon:
+ *   post:
+ *     summary: Abandon an active quest
+ *     description: Step progress is discarded when the quest is accepted again.
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quest ID
+ *     responses:
+ *       200:
+ *         description: Quest abandoned
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: No active quest found
+ */
+router.post('/:id/abandon', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userQuest = await prisma.userQuest.findFirst({
+      where: {
+        userId: req.user.id,
+        questId: parseInt(id),
+        status: 'active'
+      }
+    });
+
+    if (!userQuest) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active quest found'
+      });
+    }
+
+    await abandonQuest(userQuest);
+
+    const abandoned = await prisma.userQuest.findUnique({
+      where: { id: userQuest.id },
+      include: USER_QUEST_INCLUDE
+    });
+
+    res.json({
+      success: true,
+      message: 'Quest abandoned',
+      data: formatUserQuest(abandoned)
+    });
+  } catch (error) {
+    console.error('Abandon quest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error abandoning quest'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests:
+ *   post:
+ *     summary: Create a new quest
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               category:
+ *                 type: string
+ *                 maxLength: 50
+ *               is_ordered:
+ *                 type: boolean
+ *                 description: When true, steps must be completed in array order
+ *               experience_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *               badge_reward_id:
+ *                 type: integer
+ *                 minimum: 1
+ *               achievement_reward_id:
+ *                 type: integer
+ *                 minimum: 1
+ *               steps:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestStep'
+ *     responses:
+ *       201:
+ *         description: Quest created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Reward badge or achievement not found
+ * components:
+ *   schemas:
+ *     QuestStep:
+ *       type: object
+ *       description: Either an activity step (activity_id) or a criterion step (criteria_type / criteria_rule)
+ *       required:
+ *         - title
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         activity_id:
+ *           type: integer
+ *           minimum: 1
+ *         required_count:
+ *           type: integer
+ *           minimum: 1
+ *           description: Completions of activity_id needed after accepting the quest
+ *         criteria_type:
+ *           type: string
+ *           description: One of the types listed by GET /api/criteria-types
+ *         criteria_value:
+ *           type: integer
+ *           minimum: 1
+ *         criteria_params:
+ *           type: object
+ *         criteria_rule:
+ *           type: object
+ *           description: Structured rule; implies criteria_type "custom"
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createQuestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const steps = await buildSteps(value.steps);
+    if (steps.error) {
+      return res.status(400).json({
+        success: false,
+        error: steps.error
+      });
+    }
+
+    const missingReward = await findMissingReward(value);
+    if (missingReward) {
+      return res.status(404).json({
+        success: false,
+        error: missingReward
+      });
+    }
+
+    const quest = await prisma.quest.create({
+      data: {
+        name: value.name,
+        description: value.description,
+        category: value.category,
+        isOrdered: value.is_ordered,
+        experienceReward: value.experience_reward,
+        badgeRewardId: value.badge_reward_id,
+        achievementRewardId: value.achievement_reward_id,
+        steps: { create: steps.value }
+      },
+      include: questInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatQuest(quest)
+    });
+  } catch (error) {
+    console.error('Create quest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating quest'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/{id}:
+ *   put:
+ *     summary: Update a quest
+ *     description: Steps are replaced as a whole and can only be changed before any user accepts the quest.
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quest ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               category:
+ *                 type: string
+ *                 maxLength: 50
+ *               is_ordered:
+ *                 type: boolean
+ *               experience_reward:
+ *                 type: integer
+ *                 minimum: 0
+ *               badge_reward_id:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               achievement_reward_id:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               steps:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestStep'
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Quest updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Quest, reward badge or reward achievement not found
+ *       409:
+ *         description: Steps cannot change after users accepted the quest
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = updateQuestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existingQuest = await prisma.quest.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingQuest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quest not found'
+      });
+    }
+
+    let steps = null;
+    if (value.steps) {
+      const accepted = await prisma.userQuest.count({
+        where: { questId: existingQuest.id }
+      });
+
+      if (accepted > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Steps cannot be changed after users have accepted the quest'
+        });
+      }
+
+      steps = await buildSteps(value.steps);
+      if (steps.error) {
+        return res.status(400).json({
+          success: false,
+          error: steps.error
+        });
+      }
+    }
+
+    const missingReward = await findMissingReward(value);
+    if (missingReward) {
+      return res.status(404).json({
+        success: false,
+        error: missingReward
+      });
+    }
+
+    // Build update data object
+    const updateData = {};
+
+    if (value.name !== undefined) updateData.name = value.name;
+    if (value.description !== undefined) updateData.description = value.description;
+    if (value.category !== undefined) updateData.category = value.category;
+    if (value.is_ordered !== undefined) updateData.isOrdered = value.is_ordered;
+    if (value.experience_reward !== undefined) updateData.experienceReward = value.experience_reward;
+    if (value.badge_reward_id !== undefined) updateData.badgeRewardId = value.badge_reward_id;
+    if (value.achievement_reward_id !== undefined) updateData.achievementRewardId = value.achievement_reward_id;
+    if (value.is_active !== undefined) updateData.isActive = value.is_active;
+    if (steps) updateData.steps = { deleteMany: {}, create: steps.value };
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const quest = await prisma.quest.update({
+      where: { id: parseInt(id) },
+      data: updateData,
+      include: questInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatQuest(quest)
+    });
+  } catch (error) {
+    console.error('Update quest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating quest'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quests/{id}:
+ *   delete:
+ *     summary: Delete a quest
+ *     tags: [Quests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quest ID
+ *     responses:
+ *       200:
+ *         description: Quest deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Quest not found
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingQuest = await prisma.quest.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingQuest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quest not found'
+      });
+    }
+
+    await prisma.quest.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Quest deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete quest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting quest'
+    });
+  }
+});
+
+module.exports = router;
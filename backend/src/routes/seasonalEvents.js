@@ -0,0 +1,507 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, admin } = require('../middleware/auth');
+const { prisma } = require('../config/database');
+
+const router = express.Router();
+
+// Validation schemas
+const createSeasonalEventSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  banner_url: Joi.string().uri().optional(),
+  starts_at: Joi.date().iso().required(),
+  ends_at: Joi.date().iso().greater(Joi.ref('starts_at')).required(),
+  is_active: Joi.boolean().default(true)
+});
+
+const updateSeasonalEventSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  banner_url: Joi.string().uri().allow(null).optional(),
+  starts_at: Joi.date().iso().optional(),
+  ends_at: Joi.date().iso().optional(),
+  is_active: Joi.boolean().optional()
+});
+
+// --- Helper: Where an event stands at `now` ---
+function eventStatus(event, now = new Date()) {
+  if (event.startsAt > now) return 'upcoming';
+  if (event.endsAt <= now) return 'ended';
+  return 'live';
+}
+
+// --- Helper: Format a seasonal event ---
+function formatSeasonalEvent(event) {
+  return {
+    id: event.id,
+    name: event.name,
+    description: event.description,
+    banner_url: event.bannerUrl,
+    starts_at: event.startsAt,
+    ends_at: event.endsAt,
+    status: eventStatus(event),
+    is_active: event.isActive,
+    created_at: event.createdAt,
+    updated_at: event.updatedAt,
+    ...(event._count && {
+      activity_count: event._count.activities,
+      achievement_count: event._count.achievements,
+      badge_count: event._count.badges
+    })
+  };
+}
+
+const contentCount = {
+  _count: { select: { activities: true, achievements: true, badges: true } }
+};
+
+/**
+ * @swagger
+ * /api/seasonal-events:
+ *   get:
+ *     summary: Get seasonal events
+ *     tags: [Seasonal Events]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, live, ended]
+ *         description: Filter by where the event stands now
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of seasonal events
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, active } = req.query;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    // Build where conditions
+    const where = {};
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    if (status === 'upcoming') {
+      where.startsAt = { gt: now };
+    } else if (status === 'live') {
+      where.startsAt = { lte: now };
+      where.endsAt = { gt: now };
+    } else if (status === 'ended') {
+      where.endsAt = { lte: now };
+    }
+
+    // Get total count
+    const total = await prisma.seasonalEvent.count({ where });
+
+    const events = await prisma.seasonalEvent.findMany({
+      where,
+      include: contentCount,
+      orderBy: { startsAt: 'desc' },
+      skip,
+      take: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: events.map(formatSeasonalEvent),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get seasonal events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving seasonal events'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasonal-events/{id}:
+ *   get:
+ *     summary: Get a seasonal event with its activities, achievements and exclusive badges
+ *     tags: [Seasonal Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Seasonal event ID
+ *     responses:
+ *       200:
+ *         description: Seasonal event details
+ *       404:
+ *         description: Seasonal event not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await prisma.seasonalEvent.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        activities: {
+          select: { id: true, name: true, experienceReward: true, isActive: true }
+        },
+        achievements: {
+          select: { id: true, name: true, experienceReward: true, isActive: true }
+        },
+        badges: {
+          select: { id: true, name: true, imageUrl: true, rarity: true, isActive: true }
+        }
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Seasonal event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSeasonalEvent(event),
+        activities: event.activities.map(activity => ({
+          id: activity.id,
+          name: activity.name,
+          experience_reward: activity.experienceReward,
+          is_active: activity.isActive
+        })),
+        achievements: event.achievements.map(achievement => ({
+          id: achievement.id,
+          name: achievement.name,
+          experience_reward: achievement.experienceReward,
+          is_active: achievement.isActive
+        })),
+        badges: event.badges.map(badge => ({
+          id: badge.id,
+          name: badge.name,
+          image_url: badge.imageUrl,
+          rarity: badge.rarity,
+          is_active: badge.isActive
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get seasonal event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving seasonal event'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasonal-events:
+ *   post:
+ *     summary: Create a seasonal event
+ *     description: >
+ *       Activities, achievements and badges join the event through their
+ *       seasonal_event_id and are only available while the event runs.
+ *     tags: [Seasonal Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - starts_at
+ *               - ends_at
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               banner_url:
+ *                 type: string
+ *                 format: uri
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Seasonal event created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ * components:
+ *   schemas:
+ *     AvailabilitySchedule:
+ *       type: object
+ *       nullable: true
+ *       description: Recurring weekly window, e.g. every weekend
+ *       properties:
+ *         days_of_week:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: 0 = Sunday
+ *           example: [0, 6]
+ *         start_time:
+ *           type: string
+ *           example: "00:00"
+ *         end_time:
+ *           type: string
+ *           example: "24:00"
+ *         timezone:
+ *           type: string
+ *           example: Europe/Berlin
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createSeasonalEventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const event = await prisma.seasonalEvent.create({
+      data: {
+        name: value.name,
+        description: value.description,
+        bannerUrl: value.banner_url,
+        startsAt: value.starts_at,
+        endsAt: value.ends_at,
+        isActive: value.is_active
+      },
+      include: contentCount
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSeasonalEvent(event)
+    });
+  } catch (error) {
+    console.error('Create seasonal event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating seasonal event'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasonal-events/{id}:
+ *   put:
+ *     summary: Update a seasonal event
+ *     tags: [Seasonal Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Seasonal event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               banner_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Seasonal event updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Seasonal event not found
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = updateSeasonalEventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existingEvent = await prisma.seasonalEvent.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingEvent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Seasonal event not found'
+      });
+    }
+
+    const startsAt = value.starts_at || existingEvent.startsAt;
+    const endsAt = value.ends_at || existingEvent.endsAt;
+    if (endsAt <= startsAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'ends_at must be after starts_at'
+      });
+    }
+
+    // Build update data object
+    const updateData = {};
+
+    if (value.name !== undefined) updateData.name = value.name;
+    if (value.description !== undefined) updateData.description = value.description;
+    if (value.banner_url !== undefined) updateData.bannerUrl = value.banner_url;
+    if (value.starts_at !== undefined) updateData.startsAt = value.starts_at;
+    if (value.ends_at !== undefined) updateData.endsAt = value.ends_at;
+    if (value.is_active !== undefined) updateData.isActive = value.is_active;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const event = await prisma.seasonalEvent.update({
+      where: { id: parseInt(id) },
+      data: updateData,
+      include: contentCount
+    });
+
+    res.json({
+      success: true,
+      data: formatSeasonalEvent(event)
+    });
+  } catch (error) {
+    console.error('Update seasonal event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating seasonal event'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasonal-events/{id}:
+ *   delete:
+ *     summary: Delete a seasonal event
+ *     description: Linked activities, achievements and badges are kept and no longer tied to the event.
+ *     tags: [Seasonal Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Seasonal event ID
+ *     responses:
+ *       200:
+ *         description: Seasonal event deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Seasonal event not found
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingEvent = await prisma.seasonalEvent.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingEvent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Seasonal event not found'
+      });
+    }
+
+    await prisma.seasonalEvent.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Seasonal event deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete seasonal event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting seasonal event'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,609 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, admin } = require('../middleware/auth');
+const { prisma } = require('../config/database');
+const {
+  getCurrentSeason,
+  finalizeSeason,
+  emitPlacementEvents,
+  formatSeason
+} = require('../services/seasonService');
+
+const router = express.Router();
+
+// Validation schemas
+const rewardSchema = Joi.object({
+  rank_from: Joi.number().integer().min(1).required(),
+  rank_to: Joi.number().integer().min(Joi.ref('rank_from')).required(),
+  experience_reward: Joi.number().integer().min(0).default(0),
+  badge_id: Joi.number().integer().min(1).allow(null).optional()
+});
+
+const createSeasonSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  starts_at: Joi.date().iso().required(),
+  ends_at: Joi.date().iso().greater(Joi.ref('starts_at')).required(),
+  rewards: Joi.array().items(rewardSchema).max(50).default([])
+});
+
+const updateSeasonSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  starts_at: Joi.date().iso().optional(),
+  ends_at: Joi.date().iso().optional(),
+  rewards: Joi.array().items(rewardSchema).max(50).optional()
+});
+
+const SEASON_INCLUDE = { rewards: { orderBy: { rankFrom: 'asc' } } };
+
+// --- Helper: Check a season's dates and rewards; returns an error message or null ---
+async function validateSeason({ startsAt, endsAt, rewards }, seasonId = null) {
+  if (endsAt <= startsAt) {
+    return 'ends_at must be after starts_at';
+  }
+
+  const overlapping = await prisma.season.findFirst({
+    where: {
+      startsAt: { lt: endsAt },
+      endsAt: { gt: startsAt },
+      ...(seasonId && { id: { not: seasonId } })
+    }
+  });
+  if (overlapping) {
+    return `Season overlaps with "${overlapping.name}"`;
+  }
+
+  if (rewards) {
+    const sorted = [...rewards].sort((a, b) => a.rank_from - b.rank_from);
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].rank_from <= sorted[i - 1].rank_to) {
+        return 'Reward rank ranges must not overlap';
+      }
+    }
+
+    const badgeIds = [...new Set(rewards.filter(r => r.badge_id).map(r => r.badge_id))];
+    if (badgeIds.length > 0) {
+      const found = await prisma.badge.count({ where: { id: { in: badgeIds } } });
+      if (found !== badgeIds.length) return 'Reward badge not found';
+    }
+  }
+
+  return null;
+}
+
+// --- Helper: Map API rewards to Prisma create data ---
+function rewardData(rewards) {
+  return rewards.map(reward => ({
+    rankFrom: reward.rank_from,
+    rankTo: reward.rank_to,
+    experienceReward: reward.experience_reward,
+    badgeId: reward.badge_id || null
+  }));
+}
+
+/**
+ * @swagger
+ * /api/seasons:
+ *   get:
+ *     summary: Get seasons
+ *     tags: [Seasons]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of seasons, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const [total, seasons] = await Promise.all([
+      prisma.season.count(),
+      prisma.season.findMany({
+        include: SEASON_INCLUDE,
+        orderBy: { startsAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: seasons.map(season => formatSeason(season)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving seasons'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/current:
+ *   get:
+ *     summary: Get the season running now
+ *     tags: [Seasons]
+ *     responses:
+ *       200:
+ *         description: Current season
+ *       404:
+ *         description: No season is running
+ */
+router.get('/current', async (req, res) => {
+  try {
+    const season = await getCurrentSeason();
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'No season is running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSeason(season)
+    });
+  } catch (error) {
+    console.error('Get current season error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving current season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}:
+ *   get:
+ *     summary: Get a season by ID
+ *     tags: [Seasons]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Season ID
+ *     responses:
+ *       200:
+ *         description: Season details
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const season = await prisma.season.findUnique({
+      where: { id: parseInt(id) },
+      include: SEASON_INCLUDE
+    });
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSeason(season)
+    });
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons:
+ *   post:
+ *     summary: Create a season
+ *     description: Seasons cannot overlap. Placement rewards go to the final ranks they cover.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - starts_at
+ *               - ends_at
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               rewards:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SeasonReward'
+ *     responses:
+ *       201:
+ *         description: Season created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ * components:
+ *   schemas:
+ *     SeasonReward:
+ *       type: object
+ *       required:
+ *         - rank_from
+ *         - rank_to
+ *       properties:
+ *         rank_from:
+ *           type: integer
+ *           minimum: 1
+ *           example: 1
+ *         rank_to:
+ *           type: integer
+ *           minimum: 1
+ *           example: 3
+ *         experience_reward:
+ *           type: integer
+ *           minimum: 0
+ *           example: 500
+ *         badge_id:
+ *           type: integer
+ *           nullable: true
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createSeasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const invalid = await validateSeason({
+      startsAt: value.starts_at,
+      endsAt: value.ends_at,
+      rewards: value.rewards
+    });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const season = await prisma.season.create({
+      data: {
+        name: value.name,
+        description: value.description,
+        startsAt: value.starts_at,
+        endsAt: value.ends_at,
+        rewards: { create: rewardData(value.rewards) }
+      },
+      include: SEASON_INCLUDE
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSeason(season)
+    });
+  } catch (error) {
+    console.error('Create season error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}:
+ *   put:
+ *     summary: Update a season
+ *     description: Rewards are replaced as a whole. Finalized seasons cannot be changed.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Season ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               rewards:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SeasonReward'
+ *     responses:
+ *       200:
+ *         description: Season updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Season not found
+ *       409:
+ *         description: Season already finalized
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = updateSeasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existingSeason = await prisma.season.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingSeason) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found'
+      });
+    }
+
+    if (existingSeason.finalizedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Season is already finalized'
+      });
+    }
+
+    const invalid = await validateSeason({
+      startsAt: value.starts_at || existingSeason.startsAt,
+      endsAt: value.ends_at || existingSeason.endsAt,
+      rewards: value.rewards
+    }, existingSeason.id);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    // Build update data object
+    const updateData = {};
+
+    if (value.name !== undefined) updateData.name = value.name;
+    if (value.description !== undefined) updateData.description = value.description;
+    if (value.starts_at !== undefined) updateData.startsAt = value.starts_at;
+    if (value.ends_at !== undefined) updateData.endsAt = value.ends_at;
+    if (value.rewards !== undefined) {
+      updateData.rewards = { deleteMany: {}, create: rewardData(value.rewards) };
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const season = await prisma.season.update({
+      where: { id: parseInt(id) },
+      data: updateData,
+      include: SEASON_INCLUDE
+    });
+
+    res.json({
+      success: true,
+      data: formatSeason(season)
+    });
+  } catch (error) {
+    console.error('Update season error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}/finalize:
+ *   post:
+ *     summary: Finalize an ended season now
+ *     description: >
+ *       Archives the final standings, pays out placement rewards and resets
+ *       season scores. Ended seasons are also finalized automatically.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Season ID
+ *     responses:
+ *       200:
+ *         description: Season finalized
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Season not found
+ *       409:
+ *         description: Season has not ended or is already finalized
+ */
+router.post('/:id/finalize', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingSeason = await prisma.season.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingSeason) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found'
+      });
+    }
+
+    if (existingSeason.finalizedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Season is already finalized'
+      });
+    }
+
+    if (existingSeason.endsAt > new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Season has not ended yet'
+      });
+    }
+
+    const rewarded = await finalizeSeason(existingSeason.id);
+    emitPlacementEvents(req.app.get('io'), rewarded);
+
+    const season = await prisma.season.findUnique({
+      where: { id: existingSeason.id },
+      include: SEASON_INCLUDE
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSeason(season),
+        rewarded_users: rewarded.length
+      }
+    });
+  } catch (error) {
+    console.error('Finalize season error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error finalizing season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}:
+ *   delete:
+ *     summary: Delete a season
+ *     description: Also deletes its scores and archived standings. Rewards already paid out are kept.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Season ID
+ *     responses:
+ *       200:
+ *         description: Season deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Season not found
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingSeason = await prisma.season.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingSeason) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found'
+      });
+    }
+
+    await prisma.season.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Season deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete season error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting season'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,719 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { prisma } = require('../config/database');
+const { emitWalletUpdate } = require('../services/walletService');
+const {
+  REDEMPTION_STATUSES,
+  getCatalog,
+  redeemItem,
+  decideRedemption,
+  emitRedemptionEvents,
+  formatStoreItem,
+  formatRedemption
+} = require('../services/storeService');
+
+const router = express.Router();
+
+// Validation schemas
+const createItemSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  image_url: Joi.string().uri().optional(),
+  price: Joi.number().integer().min(0).required(),
+  stock: Joi.number().integer().min(0).allow(null).default(null),
+  max_per_user: Joi.number().integer().min(1).allow(null).default(null),
+  min_level: Joi.number().integer().min(1).allow(null).default(null),
+  is_active: Joi.boolean().default(true)
+});
+
+const updateItemSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  image_url: Joi.string().uri().optional(),
+  price: Joi.number().integer().min(0).optional(),
+  stock: Joi.number().integer().min(0).allow(null).optional(),
+  max_per_user: Joi.number().integer().min(1).allow(null).optional(),
+  min_level: Joi.number().integer().min(1).allow(null).optional(),
+  is_active: Joi.boolean().optional()
+});
+
+const redemptionsQuerySchema = Joi.object({
+  status: Joi.string().valid(...REDEMPTION_STATUSES).optional(),
+  user_id: Joi.number().integer().min(1).optional(),
+  all: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const decisionSchema = Joi.object({
+  note: Joi.string().max(500).optional()
+});
+
+// --- Helper: Map API fields to Prisma data ---
+function buildItemData(value) {
+  const data = {};
+
+  if (value.name !== undefined) data.name = value.name;
+  if (value.description !== undefined) data.description = value.description;
+  if (value.image_url !== undefined) data.imageUrl = value.image_url;
+  if (value.price !== undefined) data.price = value.price;
+  if (value.stock !== undefined) data.stock = value.stock;
+  if (value.max_per_user !== undefined) data.maxPerUser = value.max_per_user;
+  if (value.min_level !== undefined) data.minLevel = value.min_level;
+  if (value.is_active !== undefined) data.isActive = value.is_active;
+
+  return data;
+}
+
+// --- Helper: Explain why a redemption was refused ---
+function redeemErrorResponse(result) {
+  const { error, item, balance } = result;
+
+  switch (error) {
+    case 'out_of_stock':
+      return { status: 409, error: 'This item is out of stock' };
+    case 'level_too_low':
+      return { status: 403, error: `Reach level ${item.minLevel} to redeem this item` };
+    case 'limit_reached':
+      return { status: 409, error: `You can redeem this item at most ${item.maxPerUser} time(s)` };
+    case 'insufficient_funds':
+      return { status: 400, error: `Not enough currency to redeem this item (price: ${item.price}, balance: ${balance})` };
+    default:
+      return { status: 404, error: 'Store item not found' };
+  }
+}
+
+/**
+ * @swagger
+ * /api/store:
+ *   get:
+ *     summary: Get the reward store catalog
+ *     description: >
+ *       Active items, cheapest first. Signed-in users also get their
+ *       redemption count per item and whether they can redeem it.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *         description: Also list inactive items (admins only)
+ *     responses:
+ *       200:
+ *         description: Store catalog
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true' && req.user && req.user.isAdmin;
+
+    const items = await getCatalog(req.user ? req.user.id : null, { includeInactive });
+
+    res.json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    console.error('Get store error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving store'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/redemptions:
+ *   get:
+ *     summary: Get redemption history
+ *     description: >
+ *       Returns the current user's redemptions, newest first. Admins can pass
+ *       user_id to see another user's redemptions, or all=true to see every
+ *       user's (e.g. with status=pending as a fulfilment queue).
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, fulfilled, rejected]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admins only
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Admins only
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Redemption history
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Only admins can view other users' redemptions
+ */
+router.get('/redemptions', protect, async (req, res) => {
+  try {
+    const { error, value } = redemptionsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { status, user_id: userId, all, page, limit } = value;
+
+    if ((all || (userId && userId !== req.user.id)) && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view other users\' redemptions'
+      });
+    }
+
+    const where = {};
+    if (userId) {
+      where.userId = userId;
+    } else if (!all) {
+      where.userId = req.user.id;
+    }
+    if (status) where.status = status;
+
+    const [total, redemptions] = await Promise.all([
+      prisma.storeRedemption.count({ where }),
+      prisma.storeRedemption.findMany({
+        where,
+        include: {
+          item: true,
+          user: { select: { username: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: redemptions.map(formatRedemption),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving redemptions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/redemptions/{redemptionId}/{decision}:
+ *   post:
+ *     summary: Fulfil or reject a pending redemption
+ *     description: Rejecting refunds the price to the user's wallet and returns the item to stock.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: redemptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [fulfil, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the user, e.g. a voucher code or the reason for rejecting
+ *     responses:
+ *       200:
+ *         description: Redemption decided
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Redemption not found
+ *       409:
+ *         description: The redemption is no longer pending
+ */
+router.post('/redemptions/:redemptionId/:decision', protect, admin, async (req, res) => {
+  try {
+    const statuses = { fulfil: 'fulfilled', reject: 'rejected' };
+    const status = statuses[req.params.decision];
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown decision'
+      });
+    }
+
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const redemptionId = parseInt(req.params.redemptionId) || 0;
+    const existing = await prisma.storeRedemption.findUnique({ where: { id: redemptionId } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Redemption not found'
+      });
+    }
+
+    const result = await decideRedemption(redemptionId, status, {
+      note: value.note,
+      decidedBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: 'This redemption is no longer pending'
+      });
+    }
+
+    emitRedemptionEvents(req.app.get('io'), result);
+
+    res.json({
+      success: true,
+      data: formatRedemption(result.redemption)
+    });
+  } catch (error) {
+    console.error('Decide redemption error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deciding redemption'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/{id}:
+ *   get:
+ *     summary: Get a store item by ID
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Store item ID
+ *     responses:
+ *       200:
+ *         description: Store item details
+ *       404:
+ *         description: Store item not found
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const item = await prisma.storeItem.findUnique({
+      where: { id: parseInt(req.params.id) || 0 }
+    });
+
+    if (!item || (!item.isActive && !(req.user && req.user.isAdmin))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Store item not found'
+      });
+    }
+
+    const viewer = req.user
+      ? {
+        user: await prisma.user.findUnique({
+          where: { id: req.user.id },
+          select: { currentLevel: true, currencyBalance: true }
+        }),
+        redeemed: await prisma.storeRedemption.count({
+          where: { userId: req.user.id, itemId: item.id, status: { not: 'rejected' } }
+        })
+      }
+      : null;
+
+    res.json({
+      success: true,
+      data: formatStoreItem(item, viewer)
+    });
+  } catch (error) {
+    console.error('Get store item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving store item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store:
+ *   post:
+ *     summary: Create a store item
+ *     description: Leave stock or max_per_user empty for no limit.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - price
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               image_url:
+ *                 type: string
+ *                 format: uri
+ *               price:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 250
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               max_per_user:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               min_level:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Store item created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const item = await prisma.storeItem.create({
+      data: buildItemData(value)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatStoreItem(item)
+    });
+  } catch (error) {
+    console.error('Create store item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating store item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/{id}:
+ *   put:
+ *     summary: Update a store item
+ *     description: Price changes do not affect redemptions already made.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Store item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               image_url:
+ *                 type: string
+ *                 format: uri
+ *               price:
+ *                 type: integer
+ *                 minimum: 0
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               max_per_user:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               min_level:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Store item updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Store item not found
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = updateItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existingItem = await prisma.storeItem.findUnique({
+      where: { id: parseInt(id) || 0 }
+    });
+
+    if (!existingItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Store item not found'
+      });
+    }
+
+    const data = buildItemData(value);
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const item = await prisma.storeItem.update({
+      where: { id: existingItem.id },
+      data
+    });
+
+    res.json({
+      success: true,
+      data: formatStoreItem(item)
+    });
+  } catch (error) {
+    console.error('Update store item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating store item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/{id}:
+ *   delete:
+ *     summary: Delete a store item
+ *     description: Items that have been redeemed keep their history and can only be deactivated.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Store item ID
+ *     responses:
+ *       200:
+ *         description: Store item deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Store item not found
+ *       409:
+ *         description: The item has redemptions
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingItem = await prisma.storeItem.findUnique({
+      where: { id: parseInt(id) || 0 },
+      include: { _count: { select: { redemptions: true } } }
+    });
+
+    if (!existingItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Store item not found'
+      });
+    }
+
+    if (existingItem._count.redemptions > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This item has been redeemed; deactivate it instead'
+      });
+    }
+
+    await prisma.storeItem.delete({
+      where: { id: existingItem.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Store item deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete store item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting store item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/{id}/redeem:
+ *   post:
+ *     summary: Redeem a store item
+ *     description: >
+ *       Debits the price from the user's wallet and creates a pending
+ *       redemption for an admin to fulfil or reject.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Store item ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retries with the same key replay the original response instead of running again
+ *     responses:
+ *       201:
+ *         description: Item redeemed; the redemption is pending
+ *       400:
+ *         description: Not enough currency
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: The user's level is below the item's minimum level
+ *       404:
+ *         description: Store item not found
+ *       409:
+ *         description: Out of stock or per-user limit reached
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
+ */
+router.post('/:id/redeem', protect, idempotent, async (req, res) => {
+  try {
+    const result = await redeemItem(req.user.id, parseInt(req.params.id) || 0);
+
+    if (result.error) {
+      const { status, error } = redeemErrorResponse(result);
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    if (result.transaction) {
+      emitWalletUpdate(req.app.get('io'), result.transaction);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        redemption: formatRedemption(result.redemption),
+        balance: result.balance
+      }
+    });
+  } catch (error) {
+    console.error('Redeem store item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error redeeming store item'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,969 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, admin } = require('../middleware/auth');
+const { prisma } = require('../config/database');
+const {
+  TEAM_ROLES,
+  TEAM_MEMBER_USER_SELECT,
+  getTeamStats,
+  canManageTeam,
+  assignMember,
+  formatTeam,
+  formatMember,
+  formatJoinRequest
+} = require('../services/teamService');
+
+const router = express.Router();
+
+// Validation schemas
+const createTeamSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  avatar_url: Joi.string().uri().optional()
+});
+
+const updateTeamSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).allow(null).optional(),
+  avatar_url: Joi.string().uri().allow(null).optional(),
+  is_active: Joi.boolean().optional()
+});
+
+const assignMemberSchema = Joi.object({
+  user_id: Joi.number().integer().min(1).required(),
+  role: Joi.string().valid(...TEAM_ROLES).default('member')
+});
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid(...TEAM_ROLES).required()
+});
+
+const joinRequestSchema = Joi.object({
+  message: Joi.string().max(500).optional()
+});
+
+// Fields captains may change; everything else is admin-only
+const CAPTAIN_EDITABLE_FIELDS = ['description', 'avatar_url'];
+
+// --- Helper: Load a team or send a 404 ---
+async function findTeamOr404(req, res) {
+  const team = await prisma.team.findUnique({
+    where: { id: parseInt(req.params.id) || 0 }
+  });
+
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      error: 'Team not found'
+    });
+  }
+
+  return team;
+}
+
+// --- Helper: Send a 403 unless the user can manage the team ---
+async function requireTeamManager(req, res, team) {
+  if (await canManageTeam(req.user, team.id)) return true;
+
+  res.status(403).json({
+    success: false,
+    error: 'Only the team captain or an admin can do this'
+  });
+  return false;
+}
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: Get teams with their stats
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by name
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: >
+ *           List of teams. Stats (member_count, total_experience,
+ *           average_experience, total_badges) only count active members.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, active } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (search) {
+      where.name = { contains: search, mode: 'insensitive' };
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const [total, teams] = await Promise.all([
+      prisma.team.count({ where }),
+      prisma.team.findMany({
+        where,
+        orderBy: { name: 'asc' },
+        skip,
+        take: parseInt(limit)
+      })
+    ]);
+
+    const stats = await getTeamStats(teams.map(team => team.id));
+
+    res.json({
+      success: true,
+      data: teams.map(team => formatTeam(team, stats.get(team.id))),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving teams'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   get:
+ *     summary: Get a team with its members and unlocked team achievements
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *     responses:
+ *       200:
+ *         description: Team details
+ *       404:
+ *         description: Team not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const team = await prisma.team.findUnique({
+      where: { id: parseInt(req.params.id) || 0 },
+      include: {
+        members: {
+          where: { user: { isActive: true } },
+          include: { user: { select: TEAM_MEMBER_USER_SELECT } },
+          orderBy: [{ role: 'asc' }, { joinedAt: 'asc' }]
+        },
+        teamAchievements: {
+          include: {
+            achievement: {
+              select: { id: true, name: true, description: true, iconUrl: true, experienceReward: true }
+            }
+          },
+          orderBy: { unlockedAt: 'desc' }
+        }
+      }
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const stats = await getTeamStats([team.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatTeam(team, stats.get(team.id)),
+        members: team.members.map(formatMember),
+        achievements: team.teamAchievements.map(ta => ({
+          id: ta.achievement.id,
+          name: ta.achievement.name,
+          description: ta.achievement.description,
+          icon_url: ta.achievement.iconUrl,
+          experience_reward: ta.achievement.experienceReward,
+          unlocked_at: ta.unlockedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving team'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams:
+ *   post:
+ *     summary: Create a team
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               avatar_url:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       201:
+ *         description: Team created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       409:
+ *         description: A team with this name already exists
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const { error, value } = createTeamSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existing = await prisma.team.findUnique({ where: { name: value.name } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'A team with this name already exists'
+      });
+    }
+
+    const team = await prisma.team.create({
+      data: {
+        name: value.name,
+        description: value.description,
+        avatarUrl: value.avatar_url
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatTeam(team)
+    });
+  } catch (error) {
+    console.error('Create team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating team'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   put:
+ *     summary: Update a team
+ *     description: Captains may change the description and avatar; other fields are admin-only.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 nullable: true
+ *               avatar_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Team updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the team captain or an admin
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: A team with this name already exists
+ */
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const { error, value } = updateTeamSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    if (!req.user.isAdmin) {
+      if (!(await requireTeamManager(req, res, team))) return;
+
+      const adminOnly = Object.keys(value).find(field => !CAPTAIN_EDITABLE_FIELDS.includes(field));
+      if (adminOnly) {
+        return res.status(403).json({
+          success: false,
+          error: `Only admins can change ${adminOnly}`
+        });
+      }
+    }
+
+    if (value.name !== undefined && value.name !== team.name) {
+      const existing = await prisma.team.findUnique({ where: { name: value.name } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'A team with this name already exists'
+        });
+      }
+    }
+
+    const updateData = {};
+    if (value.name !== undefined) updateData.name = value.name;
+    if (value.description !== undefined) updateData.description = value.description;
+    if (value.avatar_url !== undefined) updateData.avatarUrl = value.avatar_url;
+    if (value.is_active !== undefined) updateData.isActive = value.is_active;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const updated = await prisma.team.update({
+      where: { id: team.id },
+      data: updateData
+    });
+    const stats = await getTeamStats([updated.id]);
+
+    res.json({
+      success: true,
+      data: formatTeam(updated, stats.get(updated.id))
+    });
+  } catch (error) {
+    console.error('Update team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating team'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   delete:
+ *     summary: Delete a team and its memberships
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *     responses:
+ *       200:
+ *         description: Team deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Team not found
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    await prisma.team.delete({ where: { id: team.id } });
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting team'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/members:
+ *   post:
+ *     summary: Assign a user to a team
+ *     description: Moves the user off any other team. A new captain replaces the current one.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               role:
+ *                 type: string
+ *                 enum: [member, captain]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: User assigned to the team
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Team or user not found
+ */
+router.post('/:id/members', protect, admin, async (req, res) => {
+  try {
+    const { error, value } = assignMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    const user = await prisma.user.findFirst({
+      where: { id: value.user_id, isActive: true },
+      select: { id: true }
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found or inactive'
+      });
+    }
+
+    const member = await prisma.$transaction(async (tx) => {
+      await assignMember(team.id, user.id, value.role, tx);
+      return tx.teamMember.findUnique({
+        where: { userId: user.id },
+        include: { user: { select: TEAM_MEMBER_USER_SELECT } }
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatMember(member)
+    });
+  } catch (error) {
+    console.error('Assign team member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error assigning team member'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     description: Promoting a member to captain demotes the current captain.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, captain]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Team or member not found
+ */
+router.put('/:id/members/:userId', protect, admin, async (req, res) => {
+  try {
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    const userId = parseInt(req.params.userId) || 0;
+    const existing = await prisma.teamMember.findUnique({ where: { userId } });
+    if (!existing || existing.teamId !== team.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const member = await prisma.$transaction(async (tx) => {
+      await assignMember(team.id, userId, value.role, tx);
+      return tx.teamMember.findUnique({
+        where: { userId },
+        include: { user: { select: TEAM_MEMBER_USER_SELECT } }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: formatMember(member)
+    });
+  } catch (error) {
+    console.error('Update team member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating team member'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a team
+ *     description: >
+ *       Members can remove themselves (leave the team). Captains can remove
+ *       other members and admins can remove anyone.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Not allowed to remove this member
+ *       404:
+ *         description: Team or member not found
+ */
+router.delete('/:id/members/:userId', protect, async (req, res) => {
+  try {
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    const userId = parseInt(req.params.userId) || 0;
+    const member = await prisma.teamMember.findUnique({ where: { userId } });
+    if (!member || member.teamId !== team.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (userId !== req.user.id) {
+      if (!(await requireTeamManager(req, res, team))) return;
+
+      if (member.role === 'captain' && !req.user.isAdmin) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only admins can remove the team captain'
+        });
+      }
+    }
+
+    await prisma.teamMember.delete({ where: { userId } });
+
+    res.json({
+      success: true,
+      message: userId === req.user.id ? 'You left the team' : 'Member removed from the team'
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error removing team member'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/join-requests:
+ *   post:
+ *     summary: Ask to join a team
+ *     description: Approval moves the user off their current team, if any.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Join request created
+ *       400:
+ *         description: Validation error or team not accepting members
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: Already a member or a request is already pending
+ */
+router.post('/:id/join-requests', protect, async (req, res) => {
+  try {
+    const { error, value } = joinRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    if (!team.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'This team is not accepting members'
+      });
+    }
+
+    const [membership, pending] = await Promise.all([
+      prisma.teamMember.findUnique({ where: { userId: req.user.id } }),
+      prisma.teamJoinRequest.findFirst({
+        where: { teamId: team.id, userId: req.user.id, status: 'pending' }
+      })
+    ]);
+
+    if (membership && membership.teamId === team.id) {
+      return res.status(409).json({
+        success: false,
+        error: 'You are already a member of this team'
+      });
+    }
+
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have a pending request for this team'
+      });
+    }
+
+    const request = await prisma.teamJoinRequest.create({
+      data: {
+        teamId: team.id,
+        userId: req.user.id,
+        message: value.message
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatJoinRequest(request)
+    });
+  } catch (error) {
+    console.error('Create join request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating join request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/join-requests:
+ *   get:
+ *     summary: Get a team's join requests
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *           default: pending
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: Join requests, oldest first
+ *       403:
+ *         description: Not the team captain or an admin
+ *       404:
+ *         description: Team not found
+ */
+router.get('/:id/join-requests', protect, async (req, res) => {
+  try {
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    if (!(await requireTeamManager(req, res, team))) return;
+
+    const requests = await prisma.teamJoinRequest.findMany({
+      where: { teamId: team.id, status: req.query.status || 'pending' },
+      include: { user: { select: { id: true, username: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: requests.map(formatJoinRequest)
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving join requests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{id}/join-requests/{requestId}/{decision}:
+ *   post:
+ *     summary: Approve or reject a join request
+ *     description: The requester can also cancel their own pending request.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Team ID
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Join request ID
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject, cancel]
+ *     responses:
+ *       200:
+ *         description: Join request decided
+ *       403:
+ *         description: Not allowed to decide this request
+ *       404:
+ *         description: Team or join request not found
+ *       409:
+ *         description: The request is no longer pending
+ */
+router.post('/:id/join-requests/:requestId/:decision', protect, async (req, res) => {
+  try {
+    const statuses = { approve: 'approved', reject: 'rejected', cancel: 'cancelled' };
+    const status = statuses[req.params.decision];
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown decision'
+      });
+    }
+
+    const team = await findTeamOr404(req, res);
+    if (!team) return;
+
+    const request = await prisma.teamJoinRequest.findFirst({
+      where: { id: parseInt(req.params.requestId) || 0, teamId: team.id }
+    });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Join request not found'
+      });
+    }
+
+    if (status === 'cancelled') {
+      if (request.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only cancel your own join requests'
+        });
+      }
+    } else if (!(await requireTeamManager(req, res, team))) {
+      return;
+    }
+
+    const decided = await prisma.$transaction(async (tx) => {
+      // Claim the request so it is decided only once
+      const claimed = await tx.teamJoinRequest.updateMany({
+        where: { id: request.id, status: 'pending' },
+        data: { status, decidedById: req.user.id, decidedAt: new Date() }
+      });
+      if (claimed.count === 0) return null;
+
+      if (status === 'approved') {
+        await assignMember(team.id, request.userId, 'member', tx);
+      }
+
+      return tx.teamJoinRequest.findUnique({ where: { id: request.id } });
+    });
+
+    if (!decided) {
+      return res.status(409).json({
+        success: false,
+        error: 'This join request is no longer pending'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJoinRequest(decided)
+    });
+  } catch (error) {
+    console.error('Decide join request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deciding join request'
+    });
+  }
+});
+
+module.exports = router;
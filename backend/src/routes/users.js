@@ -2,6 +2,28 @@ const express = require('express');
 const Joi = require('joi');
 const { protect, admin } = require('../middleware/auth');
 const { prisma } = require('../config/database');
+const { getLevelCurve } = require('../services/levelCurve');
+const { grantStreakFreezes, formatStreak } = require('../services/streakService');
+const {
+  SOCIAL_USER_SELECT,
+  findFriendship,
+  isBlocked,
+  sendFriendRequest,
+  blockUser,
+  getFriendIds,
+  getNetworkActivity,
+  formatSocialUser,
+  formatFriendship
+} = require('../services/socialService');
+const { syncUserEntries } = require('../services/leaderboardStore');
+const { getUserCategoryTracks } = require('../services/categoryXpService');
+const {
+  TRANSACTION_TYPES,
+  adjustBalance,
+  getWalletSummary,
+  formatTransaction,
+  emitWalletUpdate
+} = require('../services/walletService');
 
 const router = express.Router();
 
@@ -15,9 +37,70 @@ const updateUserSchema = Joi.object({
   last_name: Joi.string().min(1).max(50).optional(),
   avatar_url: Joi.string().uri().optional(),
   is_active: Joi.boolean().optional(),
-  is_admin: Joi.boolean().optional()
+  is_admin: Joi.boolean().optional(),
+  external_ref: Joi.string().min(1).max(100).allow(null).optional()
 }).unknown(); // Allow any additional fields
 
+const grantFreezesSchema = Joi.object({
+  amount: Joi.number().integer().min(1).max(100).required()
+});
+
+const walletTransactionsSchema = Joi.object({
+  type: Joi.string().valid(...TRANSACTION_TYPES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const walletAdjustmentSchema = Joi.object({
+  amount: Joi.number().integer().invalid(0).required().messages({
+    'any.invalid': '"amount" must not be zero'
+  }),
+  reason: Joi.string().min(1).max(255).required()
+});
+
+const friendsActivitySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  before: Joi.date().iso().optional()
+});
+
+// --- Helper: Load the active user a social action targets, or send an error ---
+async function findSocialTarget(req, res) {
+  const targetId = parseInt(req.params.id) || 0;
+
+  if (targetId === req.user.id) {
+    res.status(400).json({
+      success: false,
+      error: 'You cannot do this to yourself'
+    });
+    return null;
+  }
+
+  const target = await prisma.user.findFirst({
+    where: { id: targetId, isActive: true },
+    select: SOCIAL_USER_SELECT
+  });
+
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  return target;
+}
+
+// --- Helper: Send a 403 unless the signed-in user is the user in the path or an admin ---
+function requireSelf(req, res, what = 'social data') {
+  if (req.user.isAdmin || parseInt(req.params.id) === req.user.id) return true;
+
+  res.status(403).json({
+    success: false,
+    error: `Not authorized to view this user's ${what}`
+  });
+  return false;
+}
+
 /**
  * @swagger
  * /api/users:
@@ -235,6 +318,11 @@ router.get('/:id', async (req, res) => {
  *                 type: boolean
  *               is_admin:
  *                 type: boolean
+ *               external_ref:
+ *                 type: string
+ *                 maxLength: 100
+ *                 nullable: true
+ *                 description: Identifier of the user in external systems (used by POST /api/events)
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -288,6 +376,7 @@ router.put('/:id', protect, admin, async (req, res) => {
     
     if (value.is_active !== undefined) updateData.isActive = value.is_active;
     if (value.is_admin !== undefined) updateData.isAdmin = value.is_admin;
+    if (value.external_ref !== undefined) updateData.externalRef = value.external_ref;
 
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
@@ -309,6 +398,7 @@ router.put('/:id', protect, admin, async (req, res) => {
         firstName: true,
         lastName: true,
         avatarUrl: true,
+        externalRef: true,
         experiencePoints: true,
         currentLevel: true,
         totalBadges: true,
@@ -321,11 +411,20 @@ router.put('/:id', protect, admin, async (req, res) => {
       }
     });
 
+    // Deactivated users leave the leaderboards and reactivated users return
+    if (updateData.isActive !== undefined) await syncUserEntries(user.id);
+
     res.json({
       success: true,
       data: user
     });
   } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'external_ref is already used by another user'
+      });
+    }
     console.error('Update user error:', error);
     res.status(500).json({
       success: false,
@@ -377,6 +476,7 @@ router.delete('/:id', protect, admin, async (req, res) => {
     await prisma.user.delete({
       where: { id: parseInt(id) }
     });
+    await syncUserEntries(existingUser.id);
 
     res.json({
       success: true,
@@ -477,6 +577,7 @@ router.get('/:id/stats', async (req, res) => {
         }
       });
       console.log('Level info:', levelInfo);
+      const curve = await getLevelCurve();
 
       // Calculate stats
       const totalExperienceGained = experienceLogs.reduce((sum, log) => sum + log.experienceChange, 0);
@@ -501,7 +602,8 @@ router.get('/:id/stats', async (req, res) => {
         })),
         level_info: {
           experiencePoints: levelInfo.experiencePoints,
-          currentLevel: levelInfo.currentLevel
+          currentLevel: levelInfo.currentLevel,
+          progress: curve.progress(levelInfo.experiencePoints, levelInfo.currentLevel)
         }
       }
     });
@@ -627,4 +729,1177 @@ router.get('/:id/experience', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/categories:
+ *   get:
+ *     summary: Get a user's per-category XP tracks
+ *     description: >
+ *       XP earned completing activities in each category, highest first. A
+ *       category's level follows the same level curve as the overall level.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Category XP, level and activities completed per category
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/categories', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, username: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        categories: await getUserCategoryTracks(user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get user categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving user categories'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/streaks:
+ *   get:
+ *     summary: Get a user's daily streak
+ *     description: >
+ *       A day counts when the user logs in or completes an activity that counts
+ *       toward streaks. Days follow the STREAK_TIMEZONE calendar. Missed days
+ *       are covered by streak freezes while enough are available.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Current and longest streak, last qualifying date and freezes
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/streaks', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        id: true,
+        username: true,
+        streak: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: { id: user.id, username: user.username },
+        ...formatStreak(user.streak)
+      }
+    });
+  } catch (error) {
+    console.error('Get user streaks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving user streaks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/streaks/freezes:
+ *   post:
+ *     summary: Grant streak freezes to a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Number of freezes to add
+ *     responses:
+ *       200:
+ *         description: Freezes granted
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/streaks/freezes', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = grantFreezesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const streak = await grantStreakFreezes(user.id, value.amount);
+
+    // Notify the user
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user-${user.id}`).emit('streak-freezes-granted', {
+        amount: value.amount,
+        freezesAvailable: streak.freezesAvailable
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Granted ${value.amount} streak freeze(s)`,
+      data: formatStreak(streak)
+    });
+  } catch (error) {
+    console.error('Grant streak freezes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error granting streak freezes'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/wallet:
+ *   get:
+ *     summary: Get a user's currency wallet
+ *     description: >
+ *       Spendable currency balance with totals per transaction type and the
+ *       latest ledger entries. Currency is separate from XP, which never goes
+ *       down when currency is spent.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID (yourself unless admin)
+ *     responses:
+ *       200:
+ *         description: Balance, totals and recent transactions
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/wallet', protect, async (req, res) => {
+  try {
+    if (!requireSelf(req, res, 'wallet')) return;
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, username: true, currencyBalance: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const [totals, recent] = await Promise.all([
+      getWalletSummary(user.id),
+      prisma.currencyTransaction.findMany({
+        where: { userId: user.id },
+        orderBy: { id: 'desc' },
+        take: 10
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: { id: user.id, username: user.username },
+        balance: user.currencyBalance,
+        totals,
+        recent_transactions: recent.map(formatTransaction)
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving wallet'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/wallet/transactions:
+ *   get:
+ *     summary: Get a user's currency ledger
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID (yourself unless admin)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earn, spend, refund, adjust]
+ *         description: Only return transactions of this type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transactions, newest first
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/wallet/transactions', protect, async (req, res) => {
+  try {
+    if (!requireSelf(req, res, 'wallet')) return;
+
+    const { error, value } = walletTransactionsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const where = {
+      userId: parseInt(req.params.id),
+      ...(value.type && { type: value.type })
+    };
+
+    const [total, transactions] = await Promise.all([
+      prisma.currencyTransaction.count({ where }),
+      prisma.currencyTransaction.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (value.page - 1) * value.limit,
+        take: value.limit
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transactions: transactions.map(formatTransaction),
+        pagination: {
+          page: value.page,
+          limit: value.limit,
+          total,
+          pages: Math.ceil(total / value.limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving wallet transactions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/wallet/adjustments:
+ *   post:
+ *     summary: Adjust a user's currency balance (admin only)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Currency to add (positive) or remove (negative)
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *       400:
+ *         description: Validation error or balance too low for the deduction
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/wallet/adjustments', protect, admin, async (req, res) => {
+  try {
+    const { error, value } = walletAdjustmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const result = await adjustBalance(user.id, value.amount, {
+      reason: value.reason,
+      createdBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: `Balance is too low for this deduction (balance: ${result.balance})`
+      });
+    }
+
+    emitWalletUpdate(req.app.get('io'), result.transaction);
+
+    res.status(201).json({
+      success: true,
+      data: formatTransaction(result.transaction)
+    });
+  } catch (error) {
+    console.error('Adjust wallet error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error adjusting wallet'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/friends:
+ *   get:
+ *     summary: Get a user's friends
+ *     tags: [Social]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Accepted friends, by username
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/friends', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) || 0 },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const friends = await prisma.user.findMany({
+      where: { id: { in: await getFriendIds(user.id) }, isActive: true },
+      select: SOCIAL_USER_SELECT,
+      orderBy: { username: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: friends.map(formatSocialUser)
+    });
+  } catch (error) {
+    console.error('Get friends error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving friends'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/followers:
+ *   get:
+ *     summary: Get the users following a user
+ *     tags: [Social]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Followers, most recent first
+ */
+router.get('/:id/followers', async (req, res) => {
+  try {
+    const follows = await prisma.userFollow.findMany({
+      where: { followingId: parseInt(req.params.id) || 0, follower: { isActive: true } },
+      include: { follower: { select: SOCIAL_USER_SELECT } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: follows.map(follow => ({
+        ...formatSocialUser(follow.follower),
+        followed_at: follow.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving followers'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/following:
+ *   get:
+ *     summary: Get the users a user follows
+ *     tags: [Social]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Followed users, most recent first
+ */
+router.get('/:id/following', async (req, res) => {
+  try {
+    const follows = await prisma.userFollow.findMany({
+      where: { followerId: parseInt(req.params.id) || 0, following: { isActive: true } },
+      include: { following: { select: SOCIAL_USER_SELECT } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: follows.map(follow => ({
+        ...formatSocialUser(follow.following),
+        followed_at: follow.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving followed users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User to follow
+ *     responses:
+ *       201:
+ *         description: Now following the user
+ *       400:
+ *         description: Cannot follow yourself
+ *       403:
+ *         description: One of the users blocked the other
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already following the user
+ */
+router.post('/:id/follow', protect, async (req, res) => {
+  try {
+    const target = await findSocialTarget(req, res);
+    if (!target) return;
+
+    if (await isBlocked(req.user.id, target.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot follow this user'
+      });
+    }
+
+    const existing = await prisma.userFollow.findUnique({
+      where: { followerId_followingId: { followerId: req.user.id, followingId: target.id } }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already follow this user'
+      });
+    }
+
+    await prisma.userFollow.create({
+      data: { followerId: req.user.id, followingId: target.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `You are now following ${target.username}`,
+      data: formatSocialUser(target)
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error following user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/follow:
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User to unfollow
+ *     responses:
+ *       200:
+ *         description: No longer following the user
+ *       404:
+ *         description: Not following the user
+ */
+router.delete('/:id/follow', protect, async (req, res) => {
+  try {
+    const { count } = await prisma.userFollow.deleteMany({
+      where: { followerId: req.user.id, followingId: parseInt(req.params.id) || 0 }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'You do not follow this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unfollowed'
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error unfollowing user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/friend-request:
+ *   post:
+ *     summary: Send a friend request
+ *     description: If the user already sent you a request, it is accepted instead.
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User to befriend
+ *     responses:
+ *       200:
+ *         description: The user's pending request was accepted
+ *       201:
+ *         description: Friend request sent
+ *       400:
+ *         description: Cannot befriend yourself
+ *       403:
+ *         description: One of the users blocked the other
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already friends or request already sent
+ */
+router.post('/:id/friend-request', protect, async (req, res) => {
+  try {
+    const target = await findSocialTarget(req, res);
+    if (!target) return;
+
+    const result = await sendFriendRequest(req.user.id, target.id);
+    if (result.error) {
+      return res.status(result.error.startsWith('You cannot') ? 403 : 409).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      const requester = formatSocialUser(req.user);
+      if (result.accepted) {
+        io.to(`user-${target.id}`).emit('friend-request-accepted', { friend: requester });
+      } else {
+        io.to(`user-${target.id}`).emit('friend-request-received', {
+          requestId: result.friendship.id,
+          from: requester
+        });
+      }
+    }
+
+    res.status(result.accepted ? 200 : 201).json({
+      success: true,
+      message: result.accepted ? `You are now friends with ${target.username}` : 'Friend request sent',
+      data: formatFriendship(result.friendship)
+    });
+  } catch (error) {
+    console.error('Send friend request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error sending friend request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/friend-requests:
+ *   get:
+ *     summary: Get a user's pending friend requests
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID (yourself unless admin)
+ *     responses:
+ *       200:
+ *         description: Incoming and outgoing pending requests
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/friend-requests', protect, async (req, res) => {
+  try {
+    if (!requireSelf(req, res)) return;
+
+    const userId = parseInt(req.params.id);
+    const [incoming, outgoing] = await Promise.all([
+      prisma.friendship.findMany({
+        where: { addresseeId: userId, status: 'pending', requester: { isActive: true } },
+        include: { requester: { select: SOCIAL_USER_SELECT } },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.friendship.findMany({
+        where: { requesterId: userId, status: 'pending' },
+        include: { addressee: { select: SOCIAL_USER_SELECT } },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        incoming: incoming.map(formatFriendship),
+        outgoing: outgoing.map(formatFriendship)
+      }
+    });
+  } catch (error) {
+    console.error('Get friend requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving friend requests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/friend-requests/{requestId}/{decision}:
+ *   post:
+ *     summary: Accept or decline a friend request you received
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Your user ID
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Friend request ID
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, decline]
+ *     responses:
+ *       200:
+ *         description: Request accepted or declined
+ *       403:
+ *         description: Not your request
+ *       404:
+ *         description: Pending request not found
+ */
+router.post('/:id/friend-requests/:requestId/:decision', protect, async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown decision'
+      });
+    }
+
+    if (parseInt(req.params.id) !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only answer your own friend requests'
+      });
+    }
+
+    const request = await prisma.friendship.findFirst({
+      where: { id: parseInt(req.params.requestId) || 0, addresseeId: req.user.id, status: 'pending' }
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Friend request not found'
+      });
+    }
+
+    if (decision === 'decline') {
+      await prisma.friendship.delete({ where: { id: request.id } });
+
+      return res.json({
+        success: true,
+        message: 'Friend request declined'
+      });
+    }
+
+    const friendship = await prisma.friendship.update({
+      where: { id: request.id },
+      data: { status: 'accepted', respondedAt: new Date() }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user-${request.requesterId}`).emit('friend-request-accepted', {
+        friend: formatSocialUser(req.user)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Friend request accepted',
+      data: formatFriendship(friendship)
+    });
+  } catch (error) {
+    console.error('Answer friend request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error answering friend request'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/friend:
+ *   delete:
+ *     summary: Unfriend a user or cancel a pending friend request with them
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Friend's user ID
+ *     responses:
+ *       200:
+ *         description: Friendship or request removed
+ *       404:
+ *         description: No friendship or request with this user
+ */
+router.delete('/:id/friend', protect, async (req, res) => {
+  try {
+    const friendship = await findFriendship(req.user.id, parseInt(req.params.id) || 0);
+
+    if (!friendship) {
+      return res.status(404).json({
+        success: false,
+        error: 'You are not friends with this user'
+      });
+    }
+
+    await prisma.friendship.delete({ where: { id: friendship.id } });
+
+    res.json({
+      success: true,
+      message: friendship.status === 'accepted' ? 'Friend removed' : 'Friend request cancelled'
+    });
+  } catch (error) {
+    console.error('Remove friend error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error removing friend'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Ends any friendship, friend request and follow between you and the user.
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User to block
+ *     responses:
+ *       200:
+ *         description: User blocked
+ *       400:
+ *         description: Cannot block yourself
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/block', protect, async (req, res) => {
+  try {
+    const target = await findSocialTarget(req, res);
+    if (!target) return;
+
+    await prisma.$transaction(tx => blockUser(req.user.id, target.id, tx));
+
+    res.json({
+      success: true,
+      message: `${target.username} blocked`
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error blocking user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User to unblock
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       404:
+ *         description: User is not blocked
+ */
+router.delete('/:id/block', protect, async (req, res) => {
+  try {
+    const { count } = await prisma.userBlock.deleteMany({
+      where: { blockerId: req.user.id, blockedId: parseInt(req.params.id) || 0 }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'You have not blocked this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error unblocking user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/blocks:
+ *   get:
+ *     summary: Get the users a user has blocked
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID (yourself unless admin)
+ *     responses:
+ *       200:
+ *         description: Blocked users, most recent first
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/blocks', protect, async (req, res) => {
+  try {
+    if (!requireSelf(req, res)) return;
+
+    const blocks = await prisma.userBlock.findMany({
+      where: { blockerId: parseInt(req.params.id) },
+      include: { blocked: { select: SOCIAL_USER_SELECT } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: blocks.map(block => ({
+        ...formatSocialUser(block.blocked),
+        blocked_at: block.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving blocked users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/friends/activity:
+ *   get:
+ *     summary: Get recent activity of a user's friends and followed users
+ *     description: >
+ *       Activity completions, badges, achievements and level-ups, newest first.
+ *       Page back with `before` set to the last item's occurred_at.
+ *     tags: [Social]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID (yourself unless admin)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Number of items
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only items that happened before this time
+ *     responses:
+ *       200:
+ *         description: Friends activity feed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/friends/activity', protect, async (req, res) => {
+  try {
+    if (!requireSelf(req, res)) return;
+
+    const { error, value } = friendsActivitySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const feed = await getNetworkActivity(parseInt(req.params.id), value);
+
+    res.json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    console.error('Get friends activity error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving friends activity'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,488 @@
+const express = require('express');
+const Joi = require('joi');
+const { protect, admin } = require('../middleware/auth');
+const { prisma } = require('../config/database');
+const { STACKING_MODES, formatCampaign } = require('../services/xpCampaignService');
+
+const router = express.Router();
+
+// Validation schemas
+const createCampaignSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  multiplier: Joi.number().greater(1).max(10).required(),
+  category: Joi.string().max(50).allow(null).optional(),
+  activity_id: Joi.number().integer().min(1).allow(null).optional(),
+  min_level: Joi.number().integer().min(1).allow(null).optional(),
+  max_level: Joi.number().integer().min(1).allow(null).optional(),
+  stacking: Joi.string().valid(...STACKING_MODES).default('stack'),
+  starts_at: Joi.date().iso().required(),
+  ends_at: Joi.date().iso().greater(Joi.ref('starts_at')).required(),
+  is_active: Joi.boolean().default(true)
+});
+
+const updateCampaignSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  multiplier: Joi.number().greater(1).max(10).optional(),
+  category: Joi.string().max(50).allow(null).optional(),
+  activity_id: Joi.number().integer().min(1).allow(null).optional(),
+  min_level: Joi.number().integer().min(1).allow(null).optional(),
+  max_level: Joi.number().integer().min(1).allow(null).optional(),
+  stacking: Joi.string().valid(...STACKING_MODES).optional(),
+  starts_at: Joi.date().iso().optional(),
+  ends_at: Joi.date().iso().optional(),
+  is_active: Joi.boolean().optional()
+});
+
+// --- Helper: Map API fields to Prisma data and check them against the stored campaign ---
+async function buildCampaignData(value, existing = null) {
+  const data = {};
+
+  if (value.name !== undefined) data.name = value.name;
+  if (value.description !== undefined) data.description = value.description;
+  if (value.multiplier !== undefined) data.multiplier = value.multiplier;
+  if (value.category !== undefined) data.category = value.category;
+  if (value.activity_id !== undefined) data.activityId = value.activity_id;
+  if (value.min_level !== undefined) data.minLevel = value.min_level;
+  if (value.max_level !== undefined) data.maxLevel = value.max_level;
+  if (value.stacking !== undefined) data.stacking = value.stacking;
+  if (value.starts_at !== undefined) data.startsAt = value.starts_at;
+  if (value.ends_at !== undefined) data.endsAt = value.ends_at;
+  if (value.is_active !== undefined) data.isActive = value.is_active;
+
+  const merged = { ...existing, ...data };
+
+  if (merged.endsAt <= merged.startsAt) {
+    return { error: 'ends_at must be after starts_at' };
+  }
+
+  if (merged.minLevel && merged.maxLevel && merged.maxLevel < merged.minLevel) {
+    return { error: 'max_level must not be below min_level' };
+  }
+
+  if (data.activityId) {
+    const activity = await prisma.activity.findUnique({ where: { id: data.activityId } });
+    if (!activity) return { error: 'Activity not found' };
+  }
+
+  return { value: data };
+}
+
+/**
+ * @swagger
+ * /api/xp-campaigns:
+ *   get:
+ *     summary: Get XP multiplier campaigns
+ *     tags: [XP Campaigns]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, live, ended]
+ *         description: Filter by where the campaign stands now
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of XP campaigns
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, active } = req.query;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    // Build where conditions
+    const where = {};
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    if (status === 'upcoming') {
+      where.startsAt = { gt: now };
+    } else if (status === 'live') {
+      where.startsAt = { lte: now };
+      where.endsAt = { gt: now };
+    } else if (status === 'ended') {
+      where.endsAt = { lte: now };
+    }
+
+    // Get total count
+    const total = await prisma.xpCampaign.count({ where });
+
+    const campaigns = await prisma.xpCampaign.findMany({
+      where,
+      orderBy: { startsAt: 'desc' },
+      skip,
+      take: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: campaigns.map(campaign => formatCampaign(campaign, now)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get XP campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving XP campaigns'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/xp-campaigns/{id}:
+ *   get:
+ *     summary: Get an XP campaign by ID
+ *     tags: [XP Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign details
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = await prisma.xpCampaign.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('Get XP campaign error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving XP campaign'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/xp-campaigns:
+ *   post:
+ *     summary: Create an XP campaign
+ *     description: >
+ *       Boosts activity XP while the campaign runs. Scope fields left empty
+ *       match every completion. Stacking campaigns add their bonuses together;
+ *       an exclusive campaign only applies when it beats all other matching
+ *       campaigns combined.
+ *     tags: [XP Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - multiplier
+ *               - starts_at
+ *               - ends_at
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               multiplier:
+ *                 type: number
+ *                 exclusiveMinimum: 1
+ *                 maximum: 10
+ *                 example: 2
+ *               category:
+ *                 type: string
+ *                 description: Only boost activities in this category
+ *                 example: learning
+ *               activity_id:
+ *                 type: integer
+ *                 description: Only boost this activity
+ *               min_level:
+ *                 type: integer
+ *                 description: Only boost users at or above this level
+ *               max_level:
+ *                 type: integer
+ *                 description: Only boost users at or below this level
+ *               stacking:
+ *                 type: string
+ *                 enum: [stack, exclusive]
+ *                 default: stack
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createCampaignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const data = await buildCampaignData(value);
+    if (data.error) {
+      return res.status(400).json({
+        success: false,
+        error: data.error
+      });
+    }
+
+    const campaign = await prisma.xpCampaign.create({
+      data: data.value
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('Create XP campaign error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating XP campaign'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/xp-campaigns/{id}:
+ *   put:
+ *     summary: Update an XP campaign
+ *     tags: [XP Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Campaign ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               multiplier:
+ *                 type: number
+ *                 exclusiveMinimum: 1
+ *                 maximum: 10
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *               activity_id:
+ *                 type: integer
+ *                 nullable: true
+ *               min_level:
+ *                 type: integer
+ *                 nullable: true
+ *               max_level:
+ *                 type: integer
+ *                 nullable: true
+ *               stacking:
+ *                 type: string
+ *                 enum: [stack, exclusive]
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Campaign updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Campaign not found
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = updateCampaignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const existingCampaign = await prisma.xpCampaign.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingCampaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const data = await buildCampaignData(value, existingCampaign);
+    if (data.error) {
+      return res.status(400).json({
+        success: false,
+        error: data.error
+      });
+    }
+
+    if (Object.keys(data.value).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const campaign = await prisma.xpCampaign.update({
+      where: { id: parseInt(id) },
+      data: data.value
+    });
+
+    res.json({
+      success: true,
+      data: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('Update XP campaign error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating XP campaign'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/xp-campaigns/{id}:
+ *   delete:
+ *     summary: Delete an XP campaign
+ *     description: XP already granted under the campaign is kept.
+ *     tags: [XP Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Campaign not found
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingCampaign = await prisma.xpCampaign.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existingCampaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    await prisma.xpCampaign.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete XP campaign error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting XP campaign'
+    });
+  }
+});
+
+module.exports = router;
@@ -11,8 +11,15 @@ const { Server } = require('socket.io');
 require('dotenv').config();
 
 const { connectDB } = require('./config/database');
+const { connectRedis, onRedisReady } = require('./config/redis');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
+const { purgeExpiredIdempotencyKeys } = require('./middleware/idempotency');
+const { finalizeEndedSeasons } = require('./services/seasonService');
+const { takeDueSnapshots } = require('./services/leaderboardSnapshots');
+const { checkAllTeamAchievements } = require('./services/teamService');
+const { rebuildLeaderboardStore } = require('./services/leaderboardStore');
+const { recalculateBadgeRarity } = require('./services/badgeRarity');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -22,6 +29,14 @@ const levelRoutes = require('./routes/levels');
 const activityRoutes = require('./routes/activities');
 const leaderboardRoutes = require('./routes/leaderboards');
 const achievementRoutes = require('./routes/achievements');
+const criteriaTypeRoutes = require('./routes/criteriaTypes');
+const eventRoutes = require('./routes/events');
+const questRoutes = require('./routes/quests');
+const seasonalEventRoutes = require('./routes/seasonalEvents');
+const xpCampaignRoutes = require('./routes/xpCampaigns');
+const seasonRoutes = require('./routes/seasons');
+const teamRoutes = require('./routes/teams');
+const storeRoutes = require('./routes/store');
 
 const app = express();
 const server = createServer(app);
@@ -78,7 +93,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || "http://localhost:3000",
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 // Compression middleware
@@ -158,6 +174,14 @@ app.use('/api/levels', levelRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/leaderboards', leaderboardRoutes);
 app.use('/api/achievements', achievementRoutes);
+app.use('/api/criteria-types', criteriaTypeRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/quests', questRoutes);
+app.use('/api/seasonal-events', seasonalEventRoutes);
+app.use('/api/xp-campaigns', xpCampaignRoutes);
+app.use('/api/seasons', seasonRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/store', storeRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -176,6 +200,41 @@ app.use(errorHandler);
 // Database connection
 connectDB();
 
+// Optional Redis leaderboard store, rebuilt on every (re)connect since
+// updates made while Redis was unreachable were not applied to it
+onRedisReady(() => {
+  rebuildLeaderboardStore().catch(error => console.error('Leaderboard store rebuild error:', error));
+});
+connectRedis();
+
+// Purge expired idempotency keys every hour
+setInterval(() => {
+  purgeExpiredIdempotencyKeys().catch(error => console.error('Idempotency key purge error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Finalize ended seasons: archive standings and pay out placement rewards
+setInterval(() => {
+  finalizeEndedSeasons(io).catch(error => console.error('Season finalization error:', error));
+}, 5 * 60 * 1000).unref();
+
+// Unlock team achievements the teams' members have earned together
+setInterval(() => {
+  checkAllTeamAchievements(io).catch(error => console.error('Team achievement check error:', error));
+}, 5 * 60 * 1000).unref();
+
+// Take the daily leaderboard snapshots rank changes are measured against
+setInterval(() => {
+  takeDueSnapshots().catch(error => console.error('Leaderboard snapshot error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Refresh badge holder percentages and the rarity of dynamic-rarity badges,
+// at startup and then every hour
+const refreshBadgeRarity = () => {
+  recalculateBadgeRarity().catch(error => console.error('Badge rarity recalculation error:', error));
+};
+refreshBadgeRarity();
+setInterval(refreshBadgeRarity, 60 * 60 * 1000).unref();
+
 const PORT = process.env.PORT || 8000;
 
 server.listen(PORT, () => {
@@ -0,0 +1,85 @@
+const { prisma } = require('../config/database');
+const { createFactContext } = require('./rulesEngine');
+const { meetsCriteria } = require('./criteriaTypes');
+const { grantExperience } = require('./experienceService');
+const { creditCurrency } = require('./walletService');
+const { awardBadge } = require('./badgeService');
+const { availableNowWhere, getAvailability } = require('./availability');
+
+// Unlock an achievement for a user, crediting its XP, currency and badge reward.
+// The XP counts toward the running season unless `countsTowardSeason` is off.
+// Returns false when the user already has it.
+async function unlockAchievement(userId, achievement, {
+  activityType = 'achievement_unlock', countsTowardSeason = true
+} = {}, tx = prisma) {
+  const existing = await tx.userAchievement.findFirst({
+    where: { userId, achievementId: achievement.id }
+  });
+
+  if (existing) return false;
+
+  await tx.userAchievement.create({
+    data: { userId, achievementId: achievement.id }
+  });
+
+  await tx.user.update({
+    where: { id: userId },
+    data: { totalAchievements: { increment: 1 } }
+  });
+
+  await grantExperience(userId, achievement.experienceReward, {
+    activityType,
+    activityId: achievement.id,
+    countsTowardSeason
+  }, tx);
+
+  await creditCurrency(userId, achievement.currencyReward, { source: activityType, sourceId: achievement.id }, tx);
+
+  // Award badge if achievement has one
+  const badge = achievement.badgeReward ||
+    (achievement.badgeRewardId && await tx.badge.findUnique({ where: { id: achievement.badgeRewardId } }));
+  if (badge) {
+    await awardBadge(userId, badge, { activityType: 'achievement_badge_award', countsTowardSeason }, tx);
+  }
+
+  return true;
+}
+
+// Unlock every active, currently available user-scoped achievement whose criteria the user now meets.
+// Returns the achievements unlocked by this call.
+async function checkAndUnlockAchievements(userId, tx = prisma, { countsTowardSeason = true } = {}) {
+  const unlockedIds = await tx.userAchievement.findMany({
+    where: { userId },
+    select: { achievementId: true }
+  });
+
+  const now = new Date();
+  const achievements = await tx.achievement.findMany({
+    where: {
+      isActive: true,
+      scope: 'user',
+      id: { notIn: unlockedIds.map(ua => ua.achievementId) },
+      ...availableNowWhere(now)
+    },
+    include: { badgeReward: true }
+  });
+
+  const ctx = createFactContext(userId, tx);
+  const unlocked = [];
+
+  for (const achievement of achievements) {
+    // Window and event were filtered above; only the weekly schedule is left
+    if (!getAvailability(achievement, now).available) continue;
+    if (!(await meetsCriteria(achievement, ctx))) continue;
+
+    await unlockAchievement(userId, achievement, { countsTowardSeason }, tx);
+    unlocked.push(achievement);
+
+    // Counts and XP changed; later rules must see the new values
+    ctx.reset();
+  }
+
+  return unlocked;
+}
+
+module.exports = { unlockAchievement, checkAndUnlockAchievements };
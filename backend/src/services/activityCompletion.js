@@ -0,0 +1,236 @@
+const { prisma } = require('../config/database');
+const { grantExperience } = require('./experienceService');
+const { creditCurrency } = require('./walletService');
+const { recordCategoryExperience } = require('./categoryXpService');
+const { awardBadge } = require('./badgeService');
+const { snapshotProgress, processProgression, emitProgressEvents } = require('./progression');
+const { recordQualifyingDay, emitStreakEvents } = require('./streakService');
+const { recordQuestActivity } = require('./questService');
+const { checkPrerequisites } = require('./activityPrerequisites');
+const { SEASONAL_EVENT_SELECT, getAvailability } = require('./availability');
+const { calculateActivityExperience, formatExperienceBreakdown } = require('./xpCampaignService');
+
+// Activity completion rules.
+//
+// Non-repeatable activities can be completed once. Repeatable activities can
+// be limited by a cooldown and by caps per UTC day, per ISO week (Monday
+// start) and per lifetime. Their XP can shrink with every repeat on the same
+// day (repeat_decay_percent), never dropping below min_experience_reward.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Helper: Start of the UTC day containing a date ---
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// --- Helper: Start of the ISO week (Monday, UTC) containing a date ---
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// Decide whether a user can complete an activity at `now`.
+// nextAvailableAt is `now` when available and null when never again.
+async function getCompletionStatus(userId, activity, tx = prisma, now = new Date()) {
+  const where = { userId, activityId: activity.id };
+  const dayStart = startOfDay(now);
+  const weekStart = startOfWeek(now);
+
+  const [completionCount, lastCompletion, completionsToday, completionsThisWeek] = await Promise.all([
+    tx.userActivity.count({ where }),
+    tx.userActivity.findFirst({ where, orderBy: { completedAt: 'desc' } }),
+    tx.userActivity.count({ where: { ...where, completedAt: { gte: dayStart } } }),
+    tx.userActivity.count({ where: { ...where, completedAt: { gte: weekStart } } })
+  ]);
+
+  // Every rule currently blocking completion, with when it stops blocking (null = never)
+  const blocks = [];
+
+  if (!activity.isRepeatable) {
+    if (completionCount > 0) blocks.push({ reason: 'already_completed', until: null });
+  } else {
+    if (activity.maxTotal && completionCount >= activity.maxTotal) {
+      blocks.push({ reason: 'max_total_reached', until: null });
+    }
+    if (activity.cooldownMinutes && lastCompletion) {
+      const cooldownEnds = new Date(lastCompletion.completedAt.getTime() + activity.cooldownMinutes * 60 * 1000);
+      if (cooldownEnds > now) blocks.push({ reason: 'cooldown', until: cooldownEnds });
+    }
+    if (activity.maxPerDay && completionsToday >= activity.maxPerDay) {
+      blocks.push({ reason: 'daily_limit_reached', until: new Date(dayStart.getTime() + DAY_MS) });
+    }
+    if (activity.maxPerWeek && completionsThisWeek >= activity.maxPerWeek) {
+      blocks.push({ reason: 'weekly_limit_reached', until: new Date(weekStart.getTime() + 7 * DAY_MS) });
+    }
+  }
+
+  const status = { completionCount, completionsToday, lastCompletion };
+
+  if (blocks.length === 0) {
+    return { ...status, available: true, reason: null, nextAvailableAt: now };
+  }
+
+  // Available again once the longest-running block has lifted
+  const permanent = blocks.find(block => block.until === null);
+  const latest = permanent || blocks.reduce((a, b) => (b.until > a.until ? b : a));
+
+  return { ...status, available: false, reason: latest.reason, nextAvailableAt: latest.until };
+}
+
+// XP for the next completion after `repeatsToday` earlier completions today
+function calculateRepeatExperience(activity, repeatsToday) {
+  if (!activity.isRepeatable || !activity.repeatDecayPercent) {
+    return activity.experienceReward;
+  }
+
+  const factor = Math.pow(1 - activity.repeatDecayPercent / 100, repeatsToday);
+  return Math.max(
+    Math.min(activity.minExperienceReward, activity.experienceReward),
+    Math.round(activity.experienceReward * factor)
+  );
+}
+
+// Complete an activity for a user in one transaction: record the completion,
+// credit the XP (boosted by running XP campaigns) and the currency reward,
+// award the activity's badge, extend the daily streak, advance matching quest
+// steps and run the progression cascade.
+// Returns { completed: false, reason: 'not_available', availability } outside
+// the activity's availability window, { completed: false, reason: 'locked',
+// missing } when prerequisites are not met and { completed: false, ...status }
+// when a completion rule blocks it.
+async function completeActivity({ userId, activity, awardedBy = null }) {
+  return prisma.$transaction(async (tx) => {
+    // Lock the user's row so their completions run one at a time and the
+    // completion rules checked below still hold at commit
+    await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+
+    const seasonalEvent = activity.seasonalEventId && !activity.seasonalEvent
+      ? await tx.seasonalEvent.findUnique({ where: { id: activity.seasonalEventId }, select: SEASONAL_EVENT_SELECT })
+      : activity.seasonalEvent;
+    const availability = getAvailability({ ...activity, seasonalEvent });
+    if (!availability.available) {
+      return { completed: false, reason: 'not_available', availability, nextAvailableAt: null };
+    }
+
+    const missing = await checkPrerequisites(userId, activity, tx);
+    if (missing) {
+      return { completed: false, reason: 'locked', missing, nextAvailableAt: null };
+    }
+
+    const now = new Date();
+    const status = await getCompletionStatus(userId, activity, tx, now);
+
+    if (!status.available) {
+      return { completed: false, ...status };
+    }
+
+    const snapshot = await snapshotProgress(userId, tx);
+    const experience = await calculateActivityExperience(
+      userId, activity, calculateRepeatExperience(activity, status.completionsToday), tx, now
+    );
+    const experienceGained = experience.baseExperience + experience.bonusExperience;
+
+    // Record activity completion
+    const completion = await tx.userActivity.create({
+      data: {
+        userId,
+        activityId: activity.id,
+        completedAt: now,
+        experienceGained
+      }
+    });
+
+    // Update user experience and log the change
+    await grantExperience(userId, experienceGained, {
+      activityType: 'activity_completion',
+      activityId: activity.id,
+      bonusExperience: experience.bonusExperience
+    }, tx);
+
+    // Credit the activity's currency reward to the wallet
+    await creditCurrency(userId, activity.currencyReward, {
+      source: 'activity_completion',
+      sourceId: activity.id
+    }, tx);
+
+    // Count the XP toward the activity's category track
+    if (activity.category) {
+      await recordCategoryExperience(userId, activity.category, experienceGained, tx);
+    }
+
+    // Award badge if applicable
+    if (activity.badgeRewardId) {
+      const badge = activity.badgeReward || await tx.badge.findUnique({ where: { id: activity.badgeRewardId } });
+      await awardBadge(userId, badge, { awardedBy }, tx);
+    }
+
+    // Extend the daily streak before criteria are evaluated
+    const streak = activity.countsTowardStreak
+      ? await recordQualifyingDay(userId, tx, now)
+      : null;
+
+    // Advance quest steps waiting on this activity; finished quests pay out below
+    const questSteps = await recordQuestActivity(userId, activity.id, tx);
+
+    // Level-ups, achievements and criteria-based badges
+    const progress = await processProgression(userId, tx, snapshot);
+
+    const nextStatus = await getCompletionStatus(userId, activity, tx, now);
+
+    return {
+      completed: true,
+      completion,
+      experienceGained,
+      experience,
+      progress,
+      streak,
+      questSteps,
+      completionCount: nextStatus.completionCount,
+      available: nextStatus.available,
+      reason: nextStatus.reason,
+      nextAvailableAt: nextStatus.nextAvailableAt
+    };
+  });
+}
+
+// Notify the user's socket room about a successful completion and everything it unlocked
+function emitCompletionEvents(io, userId, activity, result) {
+  // Without a socket server this only refreshes the leaderboard store entries
+  if (!io) {
+    emitProgressEvents(io, userId, result.progress);
+    return;
+  }
+
+  io.to(`user-${userId}`).emit('activity-completed', {
+    activity: {
+      id: activity.id,
+      name: activity.name,
+      experience_reward: activity.experienceReward,
+      currency_reward: activity.currencyReward,
+      badge_reward_id: activity.badgeRewardId
+    },
+    experienceGained: result.experienceGained,
+    experienceBreakdown: formatExperienceBreakdown(result.experience),
+    currencyGained: result.progress.currencyGained,
+    badgeAwarded: activity.badgeRewardId ? true : false,
+    nextAvailableAt: result.nextAvailableAt
+  });
+
+  result.questSteps.forEach(step => {
+    io.to(`user-${userId}`).emit('quest-progress', step);
+  });
+
+  // Streak, level-ups, achievements, badges and quests earned along the way
+  emitStreakEvents(io, userId, result.streak);
+  emitProgressEvents(io, userId, result.progress);
+}
+
+module.exports = {
+  startOfDay,
+  startOfWeek,
+  getCompletionStatus,
+  calculateRepeatExperience,
+  completeActivity,
+  emitCompletionEvents
+};
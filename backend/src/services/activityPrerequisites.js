@@ -0,0 +1,105 @@
+const { prisma } = require('../config/database');
+
+// Activity prerequisites.
+//
+// An activity unlocks for a user once they have reached its min_level and hold
+// every required badge, required achievement and at least one completion of
+// every required activity.
+
+const PREREQUISITE_INCLUDE = {
+  prerequisites: {
+    include: {
+      requiredBadge: { select: { id: true, name: true } },
+      requiredActivity: { select: { id: true, name: true } },
+      requiredAchievement: { select: { id: true, name: true } }
+    }
+  }
+};
+
+// What a user holds that prerequisites are checked against
+async function loadUnlockState(userId, tx = prisma) {
+  const [user, userBadges, userActivities, userAchievements] = await Promise.all([
+    tx.user.findUnique({ where: { id: userId }, select: { currentLevel: true } }),
+    tx.userBadge.findMany({ where: { userId }, select: { badgeId: true } }),
+    tx.userActivity.findMany({ where: { userId }, distinct: ['activityId'], select: { activityId: true } }),
+    tx.userAchievement.findMany({ where: { userId }, select: { achievementId: true } })
+  ]);
+
+  return {
+    level: user ? user.currentLevel : 1,
+    badgeIds: new Set(userBadges.map(ub => ub.badgeId)),
+    activityIds: new Set(userActivities.map(ua => ua.activityId)),
+    achievementIds: new Set(userAchievements.map(ua => ua.achievementId))
+  };
+}
+
+// Prerequisites of an activity (loaded with PREREQUISITE_INCLUDE) that the
+// unlock state does not satisfy; null when the activity is unlocked
+function findMissingPrerequisites(activity, state) {
+  const prerequisites = activity.prerequisites || [];
+
+  const missing = {
+    min_level: activity.minLevel && state.level < activity.minLevel ? activity.minLevel : null,
+    current_level: state.level,
+    badges: prerequisites
+      .filter(p => p.requiredBadge && !state.badgeIds.has(p.requiredBadge.id))
+      .map(p => p.requiredBadge),
+    activities: prerequisites
+      .filter(p => p.requiredActivity && !state.activityIds.has(p.requiredActivity.id))
+      .map(p => p.requiredActivity),
+    achievements: prerequisites
+      .filter(p => p.requiredAchievement && !state.achievementIds.has(p.requiredAchievement.id))
+      .map(p => p.requiredAchievement)
+  };
+
+  const locked = missing.min_level !== null ||
+    missing.badges.length > 0 ||
+    missing.activities.length > 0 ||
+    missing.achievements.length > 0;
+
+  return locked ? missing : null;
+}
+
+// Check a single activity for a user, loading its prerequisites when needed
+async function checkPrerequisites(userId, activity, tx = prisma) {
+  const withPrerequisites = activity.prerequisites
+    ? activity
+    : await tx.activity.findUnique({ where: { id: activity.id }, include: PREREQUISITE_INCLUDE });
+
+  if (!withPrerequisites.minLevel && withPrerequisites.prerequisites.length === 0) return null;
+
+  return findMissingPrerequisites(withPrerequisites, await loadUnlockState(userId, tx));
+}
+
+// Human-readable summary of missing prerequisites
+function describeMissingPrerequisites(missing) {
+  const parts = [];
+
+  if (missing.min_level !== null) parts.push(`reach level ${missing.min_level}`);
+  missing.badges.forEach(badge => parts.push(`earn the "${badge.name}" badge`));
+  missing.activities.forEach(activity => parts.push(`complete "${activity.name}"`));
+  missing.achievements.forEach(achievement => parts.push(`unlock the "${achievement.name}" achievement`));
+
+  return `Activity is locked. To unlock it: ${parts.join(', ')}`;
+}
+
+// API representation of an activity's prerequisites
+function formatPrerequisites(activity) {
+  const prerequisites = activity.prerequisites || [];
+
+  return {
+    min_level: activity.minLevel,
+    badges: prerequisites.filter(p => p.requiredBadge).map(p => p.requiredBadge),
+    activities: prerequisites.filter(p => p.requiredActivity).map(p => p.requiredActivity),
+    achievements: prerequisites.filter(p => p.requiredAchievement).map(p => p.requiredAchievement)
+  };
+}
+
+module.exports = {
+  PREREQUISITE_INCLUDE,
+  loadUnlockState,
+  findMissingPrerequisites,
+  checkPrerequisites,
+  describeMissingPrerequisites,
+  formatPrerequisites
+};
@@ -0,0 +1,182 @@
+const Joi = require('joi');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+// Time-boxed content.
+//
+// Activities and achievements can be limited to an available_from /
+// available_until window, to a recurring weekly schedule and to the run of a
+// seasonal event. Content is available only while every one of them allows it.
+//
+// A schedule lists the days of the week (0 = Sunday) and a daily time range
+// in its own IANA timezone, e.g. every weekend:
+//   { "days_of_week": [0, 6], "start_time": "00:00", "end_time": "24:00", "timezone": "Europe/Berlin" }
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SEASONAL_EVENT_SELECT = {
+  id: true,
+  name: true,
+  bannerUrl: true,
+  startsAt: true,
+  endsAt: true,
+  isActive: true
+};
+
+// --- Helper: Check that a timezone name is known to Intl ---
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const scheduleSchema = Joi.object({
+  days_of_week: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).default([0, 1, 2, 3, 4, 5, 6]),
+  start_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).default('00:00'),
+  end_time: Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).default('24:00'),
+  timezone: Joi.string().max(50).default('UTC')
+}).custom((schedule, helpers) => {
+  if (schedule.end_time <= schedule.start_time) {
+    return helpers.message('schedule.end_time must be after schedule.start_time');
+  }
+  if (!isValidTimezone(schedule.timezone)) {
+    return helpers.message('schedule.timezone must be a valid IANA timezone');
+  }
+  return schedule;
+});
+
+// Joi keys shared by the create and update schemas of time-boxed content
+const availabilityKeys = {
+  available_from: Joi.date().iso().allow(null).optional(),
+  available_until: Joi.date().iso().allow(null).optional(),
+  schedule: scheduleSchema.allow(null).optional(),
+  seasonal_event_id: Joi.number().integer().min(1).allow(null).optional()
+};
+
+// Validate availability fields from the API against the stored record (when
+// updating) and map them to Prisma data. Returns { error } or { value }.
+async function buildAvailabilityData(value, record = null) {
+  const data = {};
+
+  if (value.available_from !== undefined) data.availableFrom = value.available_from;
+  if (value.available_until !== undefined) data.availableUntil = value.available_until;
+  if (value.schedule !== undefined) data.schedule = value.schedule === null ? Prisma.DbNull : value.schedule;
+  if (value.seasonal_event_id !== undefined) data.seasonalEventId = value.seasonal_event_id;
+
+  const from = data.availableFrom !== undefined ? data.availableFrom : record?.availableFrom;
+  const until = data.availableUntil !== undefined ? data.availableUntil : record?.availableUntil;
+  if (from && until && until <= from) {
+    return { error: 'available_until must be after available_from' };
+  }
+
+  if (data.seasonalEventId) {
+    const seasonalEvent = await prisma.seasonalEvent.findUnique({ where: { id: data.seasonalEventId } });
+    if (!seasonalEvent) return { error: 'Seasonal event not found' };
+  }
+
+  return { value: data };
+}
+
+// --- Helper: Weekday and HH:MM of a date in a timezone ---
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(part('weekday')),
+    time: `${part('hour')}:${part('minute')}`
+  };
+}
+
+// Whether a weekly schedule is open at `now`
+function isWithinSchedule(schedule, now = new Date()) {
+  if (!schedule) return true;
+
+  const { dayOfWeek, time } = localTime(now, schedule.timezone || 'UTC');
+  const days = schedule.days_of_week || [0, 1, 2, 3, 4, 5, 6];
+
+  return days.includes(dayOfWeek) &&
+    time >= (schedule.start_time || '00:00') &&
+    time < (schedule.end_time || '24:00');
+}
+
+// Whether time-boxed content is available at `now`, and why not.
+// `record.seasonalEvent` must be loaded when seasonalEventId is set.
+function getAvailability(record, now = new Date()) {
+  const event = record.seasonalEvent;
+
+  if (record.seasonalEventId && event) {
+    if (!event.isActive) return { available: false, reason: 'event_inactive' };
+    if (event.startsAt > now) return { available: false, reason: 'not_started' };
+    if (event.endsAt <= now) return { available: false, reason: 'ended' };
+  }
+  if (record.availableFrom && record.availableFrom > now) {
+    return { available: false, reason: 'not_started' };
+  }
+  if (record.availableUntil && record.availableUntil <= now) {
+    return { available: false, reason: 'ended' };
+  }
+  if (!isWithinSchedule(record.schedule, now)) {
+    return { available: false, reason: 'outside_schedule' };
+  }
+
+  return { available: true, reason: null };
+}
+
+// Prisma filter for content whose window and seasonal event are open at `now`.
+// Schedules can't be expressed in SQL; filter those with getAvailability.
+function availableNowWhere(now = new Date()) {
+  return {
+    AND: [
+      { OR: [{ availableFrom: null }, { availableFrom: { lte: now } }] },
+      { OR: [{ availableUntil: null }, { availableUntil: { gt: now } }] },
+      {
+        OR: [
+          { seasonalEventId: null },
+          { seasonalEvent: { isActive: true, startsAt: { lte: now }, endsAt: { gt: now } } }
+        ]
+      }
+    ]
+  };
+}
+
+// Prisma filter for badges that are not exclusive to a seasonal event that is over or not started
+function liveBadgeWhere(now = new Date()) {
+  return {
+    OR: [
+      { seasonalEventId: null },
+      { seasonalEvent: { isActive: true, startsAt: { lte: now }, endsAt: { gt: now } } }
+    ]
+  };
+}
+
+// API representation of a record's availability settings
+function formatAvailability(record, now = new Date()) {
+  return {
+    available_from: record.availableFrom,
+    available_until: record.availableUntil,
+    schedule: record.schedule,
+    seasonal_event_id: record.seasonalEventId,
+    available_now: getAvailability(record, now).available
+  };
+}
+
+module.exports = {
+  SEASONAL_EVENT_SELECT,
+  availabilityKeys,
+  buildAvailabilityData,
+  isWithinSchedule,
+  getAvailability,
+  availableNowWhere,
+  liveBadgeWhere,
+  formatAvailability
+};
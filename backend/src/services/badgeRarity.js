@@ -0,0 +1,87 @@
+const { prisma } = require('../config/database');
+
+// Badge holder statistics and dynamic rarity.
+//
+// Every badge stores how many active users hold it and what percentage of all
+// active users that is, recalculated on a schedule. Badges in 'manual' rarity
+// mode keep the rarity an admin typed in; badges in 'dynamic' mode take their
+// rarity from the holder percentage, so a badge held by 0.8% of players is
+// legendary and one held by half of them is common.
+
+const RARITY_MODES = ['manual', 'dynamic'];
+
+// Rarest first: a badge gets the first rarity whose limit its holder
+// percentage does not exceed, and 'common' above all of them
+const RARITY_THRESHOLDS = [
+  { rarity: 'legendary', maxPercentage: 1 },
+  { rarity: 'epic', maxPercentage: 5 },
+  { rarity: 'rare', maxPercentage: 15 },
+  { rarity: 'uncommon', maxPercentage: 40 }
+];
+
+// Rarity for a badge held by `percentage` percent of active users
+function rarityForPercentage(percentage) {
+  const threshold = RARITY_THRESHOLDS.find(t => percentage <= t.maxPercentage);
+  return threshold ? threshold.rarity : 'common';
+}
+
+// Recalculate holder statistics for all badges (or only `badgeIds`) and the
+// rarity of dynamic ones. Only badges whose numbers changed are written.
+// Returns the changes made: [{ id, holderCount, holderPercentage, rarity }].
+async function recalculateBadgeRarity({ badgeIds = null } = {}) {
+  const badgeWhere = badgeIds ? { id: { in: badgeIds } } : {};
+
+  const [activeUsers, badges, holders] = await Promise.all([
+    prisma.user.count({ where: { isActive: true } }),
+    prisma.badge.findMany({
+      where: badgeWhere,
+      select: { id: true, rarity: true, rarityMode: true, holderCount: true, holderPercentage: true }
+    }),
+    prisma.userBadge.groupBy({
+      by: ['badgeId'],
+      where: { ...(badgeIds && { badgeId: { in: badgeIds } }), user: { isActive: true } },
+      _count: { id: true }
+    })
+  ]);
+
+  const counts = new Map(holders.map(row => [row.badgeId, row._count.id]));
+  const changes = [];
+
+  for (const badge of badges) {
+    const holderCount = counts.get(badge.id) || 0;
+    const holderPercentage = activeUsers > 0
+      ? Math.round((holderCount / activeUsers) * 10000) / 100
+      : 0;
+
+    // Without any active users there is nothing to measure rarity against
+    const rarity = badge.rarityMode === 'dynamic' && activeUsers > 0
+      ? rarityForPercentage(holderPercentage)
+      : badge.rarity;
+
+    if (holderCount !== badge.holderCount || holderPercentage !== badge.holderPercentage || rarity !== badge.rarity) {
+      changes.push({ id: badge.id, holderCount, holderPercentage, rarity });
+    }
+  }
+
+  if (changes.length > 0) {
+    await prisma.$transaction(changes.map(({ id, ...data }) => prisma.badge.update({ where: { id }, data })));
+  }
+  return changes;
+}
+
+// Holder statistics of a badge for API responses
+function formatHolderStats(badge) {
+  return {
+    holder_count: badge.holderCount,
+    holder_percentage: badge.holderPercentage,
+    rarity_mode: badge.rarityMode
+  };
+}
+
+module.exports = {
+  RARITY_MODES,
+  RARITY_THRESHOLDS,
+  rarityForPercentage,
+  recalculateBadgeRarity,
+  formatHolderStats
+};
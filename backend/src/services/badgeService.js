@@ -0,0 +1,117 @@
+const { prisma } = require('../config/database');
+const { grantExperience } = require('./experienceService');
+const { creditCurrency } = require('./walletService');
+const { createFactContext } = require('./rulesEngine');
+const { meetsCriteria } = require('./criteriaTypes');
+const { liveBadgeWhere } = require('./availability');
+const { getReachedTier } = require('./badgeTiers');
+
+// --- Helper: A badge's tiers, lowest first ---
+async function loadTiers(badge, tx) {
+  const tiers = badge.tiers || await tx.badgeTier.findMany({ where: { badgeId: badge.id } });
+  return [...tiers].sort((a, b) => a.tier - b.tier);
+}
+
+// Award a badge to a user, crediting its XP and currency and logging the award.
+// Tiered badges are awarded at `tier` (default: the first tier); awarding a
+// higher tier than the user holds upgrades the badge. Every tier reached pays
+// its own rewards. Returns false when the user already holds the badge at
+// that tier or higher.
+async function awardBadge(userId, badge, {
+  awardedBy = null, activityType = 'badge_award', countsTowardSeason = true, tier = null
+} = {}, tx = prisma) {
+  const existingBadge = await tx.userBadge.findFirst({
+    where: { userId, badgeId: badge.id }
+  });
+
+  const tiers = await loadTiers(badge, tx);
+  const targetTier = tiers.length > 0 ? Math.min(tier || 1, tiers.length) : null;
+  const heldTier = existingBadge ? existingBadge.tier || 0 : 0;
+
+  if (existingBadge && (!targetTier || heldTier >= targetTier)) return false;
+
+  if (existingBadge) {
+    await tx.userBadge.update({
+      where: { id: existingBadge.id },
+      data: { tier: targetTier, tierReachedAt: new Date() }
+    });
+  } else {
+    await tx.userBadge.create({
+      data: { userId, badgeId: badge.id, tier: targetTier, tierReachedAt: targetTier ? new Date() : null, awardedBy }
+    });
+
+    await tx.user.update({
+      where: { id: userId },
+      data: { totalBadges: { increment: 1 } }
+    });
+
+    await grantExperience(userId, badge.experienceReward, {
+      activityType,
+      activityId: badge.id,
+      alwaysLog: true,
+      countsTowardSeason
+    }, tx);
+
+    await creditCurrency(userId, badge.currencyReward, { source: activityType, sourceId: badge.id }, tx);
+  }
+
+  // Pay out every tier passed on the way to the target tier
+  for (const reached of tiers.filter(t => t.tier > heldTier && t.tier <= targetTier)) {
+    await grantExperience(userId, reached.experienceReward, {
+      activityType: 'badge_tier_reward',
+      activityId: badge.id,
+      countsTowardSeason
+    }, tx);
+
+    await creditCurrency(userId, reached.currencyReward, { source: 'badge_tier_reward', sourceId: badge.id }, tx);
+  }
+
+  return true;
+}
+
+// Award every active badge whose criteria the user now meets, and upgrade
+// held tiered badges whose next tier the user has reached. Badges exclusive
+// to a seasonal event can only be earned while the event runs.
+// Returns the badges awarded or upgraded by this call.
+async function checkAndAwardBadges(userId, tx = prisma, { countsTowardSeason = true } = {}) {
+  const heldBadges = await tx.userBadge.findMany({
+    where: { userId },
+    select: { badgeId: true, tier: true }
+  });
+  const heldTiers = new Map(heldBadges.map(ub => [ub.badgeId, ub.tier || 0]));
+
+  const badges = await tx.badge.findMany({
+    where: {
+      isActive: true,
+      AND: [
+        liveBadgeWhere(),
+        { OR: [{ id: { notIn: [...heldTiers.keys()] } }, { tiers: { some: {} } }] }
+      ]
+    },
+    include: { tiers: true }
+  });
+
+  const ctx = createFactContext(userId, tx);
+  const awarded = [];
+
+  for (const badge of badges) {
+    if (badge.tiers.length > 0) {
+      const reachedTier = await getReachedTier(badge, ctx);
+      if (reachedTier <= (heldTiers.get(badge.id) || 0)) continue;
+
+      await awardBadge(userId, badge, { activityType: 'badge_auto_award', countsTowardSeason, tier: reachedTier }, tx);
+    } else {
+      if (heldTiers.has(badge.id) || !(await meetsCriteria(badge, ctx))) continue;
+
+      await awardBadge(userId, badge, { activityType: 'badge_auto_award', countsTowardSeason }, tx);
+    }
+    awarded.push(badge);
+
+    // Badge count and XP changed; later rules must see the new values
+    ctx.reset();
+  }
+
+  return awarded;
+}
+
+module.exports = { awardBadge, checkAndAwardBadges };
@@ -0,0 +1,120 @@
+const { prisma } = require('../config/database');
+const { isThresholdType, meetsCriteria, getCriteriaProgress } = require('./criteriaTypes');
+
+// Progressive badge tiers.
+//
+// A tiered badge is one badge family with rising thresholds on its criteria
+// (e.g. bronze at 10 activities, silver at 50, gold at 200). Tiers are
+// numbered from 1; the badge's criteria_value always equals the first tier's
+// threshold, so holding the badge means holding at least tier 1. A user holds
+// the badge once (it counts as one badge) at the highest tier reached, and
+// each tier pays its own XP and currency reward when it is reached. Only
+// threshold criteria types (those comparing one fact) support tiers.
+
+// Check tiers coming from the API (ordered lowest first) against the badge's
+// criteria type. Returns { error } or { value } with the tier rows to store.
+function validateTiers(tiers, criteriaType) {
+  if (!isThresholdType(criteriaType)) {
+    return { error: `criteria_type "${criteriaType}" does not support tiers` };
+  }
+
+  for (let i = 1; i < tiers.length; i++) {
+    if (tiers[i].threshold <= tiers[i - 1].threshold) {
+      return { error: 'tiers must have strictly increasing thresholds' };
+    }
+  }
+
+  return {
+    value: tiers.map((tier, index) => ({
+      tier: index + 1,
+      name: tier.name,
+      threshold: tier.threshold,
+      imageUrl: tier.image_url || null,
+      experienceReward: tier.experience_reward || 0,
+      currencyReward: tier.currency_reward || 0
+    }))
+  };
+}
+
+// Replace a badge's tiers. Holders keep their tier, capped at the new top tier
+// (or cleared when the badge no longer has tiers). Rewards are not re-paid.
+async function replaceBadgeTiers(badgeId, tiers, tx = prisma) {
+  await tx.badgeTier.deleteMany({ where: { badgeId } });
+
+  if (tiers.length === 0) {
+    await tx.userBadge.updateMany({
+      where: { badgeId, tier: { not: null } },
+      data: { tier: null, tierReachedAt: null }
+    });
+    return;
+  }
+
+  await tx.badgeTier.createMany({
+    data: tiers.map(tier => ({ ...tier, badgeId }))
+  });
+
+  await tx.userBadge.updateMany({
+    where: { badgeId, tier: { gt: tiers.length } },
+    data: { tier: tiers.length }
+  });
+}
+
+// Highest tier of `badge` (loaded with its tiers) that the user behind `ctx`
+// has reached, or 0 when none
+async function getReachedTier(badge, ctx) {
+  const tiers = [...badge.tiers].sort((a, b) => b.tier - a.tier);
+
+  for (const tier of tiers) {
+    if (await meetsCriteria({ ...badge, criteriaValue: tier.threshold }, ctx)) {
+      return tier.tier;
+    }
+  }
+
+  return 0;
+}
+
+// API representation of a tier
+function formatTier(tier) {
+  return {
+    tier: tier.tier,
+    name: tier.name,
+    threshold: tier.threshold,
+    image_url: tier.imageUrl,
+    experience_reward: tier.experienceReward,
+    currency_reward: tier.currencyReward
+  };
+}
+
+// A holder's standing on a tiered badge: current tier, next tier and progress
+// toward it from the current tier's threshold
+async function getTierProgress(badge, heldTier, ctx) {
+  const tiers = [...badge.tiers].sort((a, b) => a.tier - b.tier);
+  const current = tiers.find(tier => tier.tier === heldTier) || null;
+  const next = tiers.find(tier => tier.tier > (heldTier || 0)) || null;
+  const value = await getCriteriaProgress(badge, ctx);
+
+  let percentage = 100;
+  if (next) {
+    const floor = current ? current.threshold : 0;
+    percentage = Math.max(0, Math.min(99, Math.floor(((value - floor) / (next.threshold - floor)) * 100)));
+  }
+
+  return {
+    current_tier: current ? formatTier(current) : null,
+    next_tier: next ? formatTier(next) : null,
+    max_tier: tiers.length,
+    progress: {
+      current_value: value,
+      next_threshold: next ? next.threshold : null,
+      percentage
+    }
+  };
+}
+
+module.exports = {
+  validateTiers,
+  replaceBadgeTiers,
+  getReachedTier,
+  getTierProgress,
+  formatTier
+};
@@ -0,0 +1,103 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { getLevelCurve } = require('./levelCurve');
+
+// Per-category XP tracks.
+//
+// Every activity completion in a category adds the XP it earned (campaign
+// bonuses included) to the user's track for that category, so a user has a
+// separate score for, say, "learning" and "community". Tracks are stored in
+// user_category_xp and only ever incremented; rebuildCategoryXp() recomputes
+// them from the completion history. A track's level comes from its XP on the
+// same level curve as the user's overall level.
+
+// Add a completion's XP to the user's track for the activity's category
+async function recordCategoryExperience(userId, category, amount, tx = prisma) {
+  return tx.userCategoryXp.upsert({
+    where: { userId_category: { userId, category } },
+    create: { userId, category, experiencePoints: amount, activitiesCompleted: 1 },
+    update: {
+      experiencePoints: { increment: amount },
+      activitiesCompleted: { increment: 1 }
+    }
+  });
+}
+
+// Recompute tracks from user_activities, e.g. after backfilling completions.
+// Pass categories to only rebuild those (used when an activity moves to
+// another category). Returns the number of tracks written.
+async function rebuildCategoryXp(categories = null) {
+  const inCategories = categories
+    ? Prisma.sql`a.category IN (${Prisma.join(categories)})`
+    : Prisma.sql`a.category IS NOT NULL`;
+
+  const [, tracks] = await prisma.$transaction([
+    prisma.userCategoryXp.deleteMany({
+      where: categories ? { category: { in: categories } } : {}
+    }),
+    prisma.$executeRaw`
+      INSERT INTO user_category_xp (user_id, category, experience_points, activities_completed, created_at, updated_at)
+      SELECT ua.user_id, a.category, SUM(ua.experience_gained), COUNT(*), MIN(ua.completed_at), NOW()
+      FROM user_activities ua
+      JOIN activities a ON a.id = ua.activity_id
+      WHERE ${inCategories}
+      GROUP BY ua.user_id, a.category`
+  ]);
+
+  return tracks;
+}
+
+// Every category with a track, with its number of active players and XP totals
+async function getCategorySummaries() {
+  const categories = await prisma.userCategoryXp.groupBy({
+    by: ['category'],
+    where: { user: { isActive: true } },
+    _count: { userId: true },
+    _sum: { experiencePoints: true },
+    _max: { experiencePoints: true },
+    orderBy: { category: 'asc' }
+  });
+
+  return categories.map(category => ({
+    category: category.category,
+    total_players: category._count.userId,
+    total_experience: category._sum.experiencePoints || 0,
+    top_experience: category._max.experiencePoints || 0
+  }));
+}
+
+// A user's tracks, highest XP first, with their levels
+async function getUserCategoryTracks(userId) {
+  const [tracks, curve] = await Promise.all([
+    prisma.userCategoryXp.findMany({
+      where: { userId },
+      orderBy: [{ experiencePoints: 'desc' }, { category: 'asc' }]
+    }),
+    getLevelCurve()
+  ]);
+
+  return tracks.map(track => formatCategoryTrack(track, curve));
+}
+
+// API representation of a track; `curve` comes from getLevelCurve()
+function formatCategoryTrack(track, curve) {
+  const progress = curve.progress(track.experiencePoints);
+
+  return {
+    category: track.category,
+    experience_points: track.experiencePoints,
+    activities_completed: track.activitiesCompleted,
+    level: progress.level,
+    level_progress: progress.progress_percentage,
+    xp_to_next_level: progress.xp_to_next_level,
+    updated_at: track.updatedAt
+  };
+}
+
+module.exports = {
+  recordCategoryExperience,
+  rebuildCategoryXp,
+  getCategorySummaries,
+  getUserCategoryTracks,
+  formatCategoryTrack
+};
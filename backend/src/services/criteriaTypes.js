@@ -0,0 +1,230 @@
+const Joi = require('joi');
+const { Prisma } = require('@prisma/client');
+const { MAX_WINDOW_DAYS, FACTS, OPERATORS, evaluateRule, validateRule } = require('./rulesEngine');
+
+// Registry of supported criteria types for badges and achievements.
+//
+// Every type declares a description, the meaning of criteria_value and a Joi
+// schema for its optional criteria_params. Threshold types name the
+// rules-engine `fact` that must reach criteria_value (these also support badge
+// tiers); the others bring their own `evaluate`. Types flagged `team` can also
+// be used by team-scoped achievements.
+
+const CRITERIA_TYPES = {
+  experience_points: {
+    description: 'Reach a total amount of experience points',
+    valueDescription: 'Experience points required',
+    params: Joi.object({}),
+    team: true,
+    fact: 'experience_points'
+  },
+  level_reached: {
+    description: 'Reach a level',
+    valueDescription: 'Level number required',
+    params: Joi.object({}),
+    fact: 'level'
+  },
+  activity_completion: {
+    description: 'Complete a number of activities',
+    valueDescription: 'Activity completions required',
+    params: Joi.object({
+      category: Joi.string().max(50).description('Only count activities in this category'),
+      activity_id: Joi.number().integer().min(1).description('Only count completions of this activity'),
+      within_days: Joi.number().integer().min(1).max(MAX_WINDOW_DAYS).description('Only count completions from the last N days')
+    }),
+    team: true,
+    fact: 'activity_count'
+  },
+  badge_count: {
+    description: 'Collect a number of badges',
+    valueDescription: 'Badges required',
+    params: Joi.object({
+      rarity: Joi.string().max(20).description('Only count badges of this rarity')
+    }),
+    team: true,
+    fact: 'badge_count'
+  },
+  achievement_count: {
+    description: 'Unlock a number of achievements',
+    valueDescription: 'Achievements required',
+    params: Joi.object({
+      category: Joi.string().max(50).description('Only count achievements in this category')
+    }),
+    team: true,
+    fact: 'achievement_count'
+  },
+  category_experience: {
+    description: 'Earn experience points in an activity category',
+    valueDescription: 'Category experience points required',
+    params: Joi.object({
+      category: Joi.string().max(50).required().description('Activity category whose XP is counted')
+    }),
+    team: true,
+    fact: 'category_experience'
+  },
+  streak_days: {
+    description: 'Reach a daily streak of consecutive qualifying days',
+    valueDescription: 'Streak length in days required',
+    params: Joi.object({}),
+    fact: 'longest_streak'
+  },
+  registration: {
+    description: 'Granted to every registered user',
+    valueDescription: 'Unused',
+    params: Joi.object({}),
+    evaluate: async () => true
+  },
+  custom: {
+    description: 'Structured rule combining facts with all/any/not groups (criteria_rule)',
+    valueDescription: 'Unused',
+    params: Joi.object({}),
+    requiresRule: true,
+    team: true,
+    evaluate: (ctx, { rule }) => evaluateRule(rule, ctx)
+  }
+};
+
+// Names used by older API versions, mapped to their registry type
+const CRITERIA_TYPE_ALIASES = {
+  experience: 'experience_points',
+  badges: 'badge_count',
+  activities: 'activity_completion',
+  achievements: 'achievement_count'
+};
+
+function resolveCriteriaType(type) {
+  if (CRITERIA_TYPES[type]) return type;
+  return CRITERIA_TYPE_ALIASES[type] || null;
+}
+
+// Validate and normalise criteria coming from the API. `scope` is 'team' for
+// team-scoped achievements.
+// Returns { error } or { value: { criteriaType, criteriaValue, criteriaParams, criteriaRule } }.
+function validateCriteria({ type, value, params, rule, scope = 'user' }) {
+  const criteriaType = resolveCriteriaType(type);
+  if (!criteriaType) {
+    return {
+      error: `criteria_type must be one of: ${Object.keys(CRITERIA_TYPES).join(', ')}`
+    };
+  }
+
+  const definition = CRITERIA_TYPES[criteriaType];
+
+  if (scope === 'team' && !definition.team) {
+    return { error: `criteria_type "${criteriaType}" is not available for team achievements` };
+  }
+
+  const paramsResult = definition.params.validate(params || {});
+  if (paramsResult.error) {
+    return { error: `criteria_params: ${paramsResult.error.details[0].message}` };
+  }
+
+  if (definition.requiresRule) {
+    if (!rule) {
+      return { error: `criteria_rule is required for criteria_type "${criteriaType}"` };
+    }
+    const ruleError = validateRule(rule, 'criteria_rule', 0, scope);
+    if (ruleError) return { error: ruleError };
+  } else if (rule) {
+    return { error: `criteria_rule is only allowed with criteria_type "custom"` };
+  }
+
+  return {
+    value: {
+      criteriaType,
+      criteriaValue: value,
+      criteriaParams: Object.keys(paramsResult.value).length > 0 ? paramsResult.value : Prisma.DbNull,
+      criteriaRule: definition.requiresRule ? rule : Prisma.DbNull
+    }
+  };
+}
+
+// Validate a partial criteria update against the stored record.
+// Changing the type drops the stored params and rule unless new ones are given.
+function validateCriteriaUpdate(record, { type, value, params, rule, scope }) {
+  const nextType = type || (rule ? 'custom' : record.criteriaType);
+  const typeChanged = resolveCriteriaType(nextType) !== resolveCriteriaType(record.criteriaType);
+
+  return validateCriteria({
+    type: nextType,
+    value: value !== undefined ? value : record.criteriaValue,
+    params: params !== undefined ? params : (typeChanged ? null : record.criteriaParams),
+    rule: rule !== undefined ? rule : (typeChanged ? null : record.criteriaRule),
+    scope: scope || record.scope
+  });
+}
+
+// Whether a criteria type compares a single fact against a threshold
+function isThresholdType(type) {
+  const criteriaType = resolveCriteriaType(type);
+  return Boolean(criteriaType && CRITERIA_TYPES[criteriaType].fact);
+}
+
+// Check whether the user behind a fact context meets a badge's or achievement's criteria
+async function meetsCriteria(record, ctx) {
+  const criteriaType = resolveCriteriaType(record.criteriaType);
+  if (!criteriaType) return false;
+
+  const definition = CRITERIA_TYPES[criteriaType];
+  const value = record.criteriaValue;
+  const params = record.criteriaParams || {};
+
+  if (definition.fact) {
+    return evaluateRule({ fact: definition.fact, params, operator: 'gte', value }, ctx);
+  }
+
+  return definition.evaluate(ctx, { value, params, rule: record.criteriaRule });
+}
+
+// The user's current value of a threshold type's fact (e.g. their activity
+// count), or null for types without one
+async function getCriteriaProgress(record, ctx) {
+  const criteriaType = resolveCriteriaType(record.criteriaType);
+  if (!criteriaType || !CRITERIA_TYPES[criteriaType].fact) return null;
+
+  return ctx.getFact(CRITERIA_TYPES[criteriaType].fact, record.criteriaParams || {});
+}
+
+// Public description of the registry for admin tooling
+function describeCriteriaTypes() {
+  return Object.entries(CRITERIA_TYPES).map(([type, definition]) => {
+    const { keys = {} } = definition.params.describe();
+
+    return {
+      type,
+      description: definition.description,
+      value_description: definition.valueDescription,
+      requires_rule: Boolean(definition.requiresRule),
+      team_scope: Boolean(definition.team),
+      supports_tiers: Boolean(definition.fact),
+      aliases: Object.keys(CRITERIA_TYPE_ALIASES).filter(alias => CRITERIA_TYPE_ALIASES[alias] === type),
+      params: Object.entries(keys).map(([name, param]) => ({
+        name,
+        type: param.type,
+        required: param.flags?.presence === 'required',
+        description: param.flags?.description || null
+      })),
+      ...(definition.requiresRule && {
+        rule_facts: Object.entries(FACTS).map(([fact, factDefinition]) => ({
+          fact,
+          description: factDefinition.description,
+          params: factDefinition.params,
+          required_params: factDefinition.requiredParams || [],
+          team_scope: Boolean(factDefinition.team)
+        })),
+        rule_operators: Object.keys(OPERATORS)
+      })
+    };
+  });
+}
+
+module.exports = {
+  CRITERIA_TYPES,
+  resolveCriteriaType,
+  validateCriteria,
+  validateCriteriaUpdate,
+  isThresholdType,
+  meetsCriteria,
+  getCriteriaProgress,
+  describeCriteriaTypes
+};
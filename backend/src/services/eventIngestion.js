@@ -0,0 +1,160 @@
+const { prisma } = require('../config/database');
+const { OPERATORS } = require('./rulesEngine');
+const { completeActivity, emitCompletionEvents } = require('./activityCompletion');
+
+// External event ingestion.
+//
+// Event mappings turn domain events sent by other services into activity
+// completions. A mapping matches an event type and, optionally, conditions on
+// the event payload keyed by dotted path. A plain value must be equal; an
+// object applies operators, and every condition must hold:
+//
+//   { "status": "paid", "order.total": { "gte": 50 }, "coupon": { "exists": false } }
+
+const CONDITION_OPERATORS = {
+  ...OPERATORS,
+  in: (actual, expected) => expected.includes(actual),
+  exists: (actual, expected) => (actual !== undefined) === expected
+};
+
+const NUMERIC_OPERATORS = ['gte', 'gt', 'lte', 'lt'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// --- Helper: Read a dotted path from a payload ---
+function getPath(payload, path) {
+  return path.split('.').reduce(
+    (value, key) => (isPlainObject(value) ? value[key] : undefined),
+    payload
+  );
+}
+
+// Validate mapping conditions; returns an error message or null
+function validateConditions(conditions) {
+  if (!isPlainObject(conditions)) {
+    return 'conditions must be an object';
+  }
+
+  for (const [path, condition] of Object.entries(conditions)) {
+    if (isScalar(condition)) continue;
+
+    if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+      return `conditions.${path} must be a value or an operator object`;
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (!CONDITION_OPERATORS[operator]) {
+        return `conditions.${path}.${operator} is not one of: ${Object.keys(CONDITION_OPERATORS).join(', ')}`;
+      }
+      if (NUMERIC_OPERATORS.includes(operator) && typeof operand !== 'number') {
+        return `conditions.${path}.${operator} must be a number`;
+      }
+      if (operator === 'in' && (!Array.isArray(operand) || !operand.every(isScalar))) {
+        return `conditions.${path}.in must be an array of values`;
+      }
+      if (operator === 'exists' && typeof operand !== 'boolean') {
+        return `conditions.${path}.exists must be a boolean`;
+      }
+      if (['eq', 'neq'].includes(operator) && !isScalar(operand)) {
+        return `conditions.${path}.${operator} must be a value`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Check an event payload against validated mapping conditions
+function matchesConditions(conditions, payload) {
+  return Object.entries(conditions || {}).every(([path, condition]) => {
+    const actual = getPath(payload, path);
+
+    if (!isPlainObject(condition)) {
+      return actual === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (NUMERIC_OPERATORS.includes(operator) && typeof actual !== 'number') return false;
+      return CONDITION_OPERATORS[operator](actual, operand);
+    });
+  });
+}
+
+// --- Helper: Resolve the user an event refers to ---
+function resolveEventUser({ user_ref, user_id }) {
+  return prisma.user.findFirst({
+    where: {
+      isActive: true,
+      ...(user_ref !== undefined ? { externalRef: user_ref } : { id: user_id })
+    },
+    select: { id: true, username: true }
+  });
+}
+
+// Turn one event into activity completions through every matching mapping.
+// Returns the per-event result reported by POST /api/events.
+async function processEvent(event, { awardedBy = null, io = null } = {}) {
+  const result = { type: event.type, status: 'ignored', reason: null, user_id: null, completions: [] };
+
+  const user = await resolveEventUser(event);
+  if (!user) {
+    return { ...result, status: 'rejected', reason: 'user_not_found' };
+  }
+  result.user_id = user.id;
+
+  const mappings = await prisma.eventMapping.findMany({
+    where: {
+      eventType: event.type,
+      isActive: true,
+      activity: { isActive: true }
+    },
+    include: { activity: { include: { badgeReward: true } } },
+    orderBy: { id: 'asc' }
+  });
+
+  const matched = mappings.filter(mapping => matchesConditions(mapping.conditions, event.payload));
+  if (matched.length === 0) {
+    return { ...result, reason: 'no_matching_mapping' };
+  }
+
+  for (const mapping of matched) {
+    const completion = await completeActivity({
+      userId: user.id,
+      activity: mapping.activity,
+      awardedBy
+    });
+
+    if (completion.completed) {
+      emitCompletionEvents(io, user.id, mapping.activity, completion);
+    }
+
+    result.completions.push({
+      mapping_id: mapping.id,
+      activity_id: mapping.activity.id,
+      completed: completion.completed,
+      reason: completion.reason,
+      experience_gained: completion.completed ? completion.experienceGained : 0,
+      bonus_experience: completion.completed ? completion.experience.bonusExperience : 0,
+      next_available_at: completion.nextAvailableAt
+    });
+  }
+
+  const anyCompleted = result.completions.some(c => c.completed);
+  return {
+    ...result,
+    status: anyCompleted ? 'processed' : 'ignored',
+    reason: anyCompleted ? null : 'completion_not_allowed'
+  };
+}
+
+module.exports = {
+  validateConditions,
+  matchesConditions,
+  processEvent
+};
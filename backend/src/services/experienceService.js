@@ -0,0 +1,55 @@
+const { prisma } = require('../config/database');
+
+// --- Helper: Add XP to the user's score in the season running now, if any ---
+async function addSeasonScore(userId, amount, tx, now = new Date()) {
+  const season = await tx.season.findFirst({
+    where: { startsAt: { lte: now }, endsAt: { gt: now }, finalizedAt: null },
+    select: { id: true }
+  });
+  if (!season) return;
+
+  await tx.seasonScore.upsert({
+    where: { seasonId_userId: { seasonId: season.id, userId } },
+    create: { seasonId: season.id, userId, score: amount },
+    update: { score: { increment: amount } }
+  });
+}
+
+// Credit experience points to a user and record the change in the experience log.
+// Zero-XP changes are only logged when `alwaysLog` is set (e.g. badge awards).
+// `bonusExperience` is the part of `amount` that came from XP campaigns.
+// XP also counts toward the running season unless `countsTowardSeason` is off.
+async function grantExperience(userId, amount, details, tx = prisma) {
+  const {
+    activityType, activityId = null, previousLevel = null, newLevel = null, alwaysLog = false,
+    bonusExperience = 0, countsTowardSeason = true
+  } = details;
+
+  if (amount !== 0) {
+    await tx.user.update({
+      where: { id: userId },
+      data: { experiencePoints: { increment: amount } }
+    });
+
+    if (countsTowardSeason) {
+      await addSeasonScore(userId, amount, tx);
+    }
+  }
+
+  if (amount !== 0 || alwaysLog) {
+    await tx.experienceLog.create({
+      data: {
+        userId,
+        activityType,
+        activityId,
+        experienceChange: amount,
+        baseExperience: amount - bonusExperience,
+        bonusExperience,
+        previousLevel,
+        newLevel
+      }
+    });
+  }
+}
+
+module.exports = { grantExperience };
@@ -0,0 +1,57 @@
+const Joi = require('joi');
+const { startOfDay, startOfWeek } = require('./activityCompletion');
+
+// Time-windowed leaderboards.
+//
+// `period` selects the window a leaderboard is computed over: the current UTC
+// day, ISO week (Monday start) or calendar month up to now, or a custom
+// from/to range. Without a period leaderboards rank by lifetime totals.
+
+const PERIODS = ['day', 'week', 'month', 'custom'];
+
+const periodSchema = Joi.object({
+  period: Joi.string().valid(...PERIODS).optional(),
+  from: Joi.date().iso().when('period', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+  to: Joi.date().iso().greater(Joi.ref('from')).when('period', { is: 'custom', otherwise: Joi.forbidden() })
+}).unknown(true);
+
+// Resolve the period query parameters to a { period, from, to } window.
+// Returns { error }, or { value } with value null when no period was given.
+function resolvePeriod(query, now = new Date()) {
+  const { error, value } = periodSchema.validate(query);
+  if (error) return { error: error.details[0].message };
+  if (!value.period) return { value: null };
+
+  let from;
+  switch (value.period) {
+    case 'day':
+      from = startOfDay(now);
+      break;
+    case 'week':
+      from = startOfWeek(now);
+      break;
+    case 'month':
+      from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      break;
+    default:
+      if (!value.to && value.from >= now) return { error: '"from" must be in the past when "to" is omitted' };
+      return { value: { period: 'custom', from: value.from, to: value.to || now } };
+  }
+
+  return { value: { period: value.period, from, to: now } };
+}
+
+// API representation of a period window
+function formatPeriod(period) {
+  return {
+    period: period.period,
+    from: period.from,
+    to: period.to
+  };
+}
+
+module.exports = {
+  PERIODS,
+  resolvePeriod,
+  formatPeriod
+};
@@ -0,0 +1,311 @@
+const Joi = require('joi');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+// Leaderboard ranking.
+//
+// Every leaderboard is a scores query yielding one (id, score, tiebreak) row
+// per ranked user (or team). Ranks are computed in the database with window
+// functions so they are correct on every page:
+//   competition  tied users share a rank and the next rank is skipped (1224)
+//   dense        tied users share a rank and no rank is skipped (1223)
+//   ordinal      every user gets their own rank (1234)
+// Rows are always ordered by score, then tiebreak (both descending), then
+// ID, which also decides the order of tied users in ordinal mode.
+
+const RANK_COLUMNS = {
+  competition: 'rank_competition',
+  dense: 'rank_dense',
+  ordinal: 'rank_ordinal'
+};
+
+const RANKING_MODES = Object.keys(RANK_COLUMNS);
+
+const rankingQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  page: Joi.number().integer().min(1),
+  offset: Joi.number().integer().min(0),
+  cursor: Joi.string().max(100),
+  ranking: Joi.string().valid(...RANKING_MODES).default('competition')
+}).oxor('page', 'offset', 'cursor').unknown(true).messages({
+  'object.oxor': 'Use only one of page, offset and cursor'
+});
+
+// --- Helper: Opaque cursor pointing after a user's row ---
+function encodeCursor(id) {
+  return Buffer.from(`u:${id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const match = /^u:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? parseInt(match[1]) : null;
+}
+
+// Resolve ranking and pagination query parameters.
+// Returns { error } or { value: { mode, limit, offset, afterId } }.
+function resolveRankingQuery(query) {
+  const { error, value } = rankingQuerySchema.validate(query);
+  if (error) return { error: error.details[0].message };
+
+  let afterId = null;
+  if (value.cursor) {
+    afterId = decodeCursor(value.cursor);
+    if (!afterId) return { error: 'Invalid cursor' };
+  }
+
+  const offset = value.offset !== undefined
+    ? value.offset
+    : ((value.page || 1) - 1) * value.limit;
+
+  return {
+    value: { mode: value.ranking, limit: value.limit, offset: afterId ? null : offset, afterId }
+  };
+}
+
+// Team leaderboard metrics over a team's active members
+const TEAM_METRICS = {
+  total_experience: {
+    score: Prisma.sql`COALESCE(SUM(u.experience_points), 0)`,
+    tiebreak: Prisma.sql`COUNT(u.id)`
+  },
+  average_experience: {
+    score: Prisma.sql`COALESCE(ROUND(AVG(u.experience_points)), 0)`,
+    tiebreak: Prisma.sql`COALESCE(SUM(u.experience_points), 0)`
+  },
+  badges: {
+    score: Prisma.sql`COALESCE(SUM(u.total_badges), 0)`,
+    tiebreak: Prisma.sql`COALESCE(SUM(u.experience_points), 0)`
+  }
+};
+
+// Scores queries of the built-in leaderboards. Live boards only rank active users.
+const boardScores = {
+  // Lifetime totals kept on the user row
+  userColumn(column, tiebreak = null) {
+    return Prisma.sql`
+      SELECT u.id, u.${Prisma.raw(column)} AS score,
+             ${tiebreak ? Prisma.sql`u.${Prisma.raw(tiebreak)}` : Prisma.sql`0`} AS tiebreak
+      FROM users u
+      WHERE u.is_active = true`;
+  },
+
+  experience() {
+    return boardScores.userColumn('experience_points');
+  },
+
+  badges() {
+    return boardScores.userColumn('total_badges', 'experience_points');
+  },
+
+  achievements() {
+    return boardScores.userColumn('total_achievements', 'experience_points');
+  },
+
+  levels() {
+    return boardScores.userColumn('current_level', 'experience_points');
+  },
+
+  // Lifetime activity completions
+  activity() {
+    return Prisma.sql`
+      SELECT u.id, COUNT(ua.id) AS score, u.experience_points AS tiebreak
+      FROM users u
+      LEFT JOIN user_activities ua ON ua.user_id = u.id
+      WHERE u.is_active = true
+      GROUP BY u.id`;
+  },
+
+  // XP gained in a { from, to } period
+  periodExperience(period) {
+    return Prisma.sql`
+      SELECT el.user_id AS id, SUM(el.experience_change) AS score, 0 AS tiebreak
+      FROM experience_log el
+      JOIN users u ON u.id = el.user_id AND u.is_active = true
+      WHERE el.experience_change > 0
+        AND el.created_at >= ${period.from} AND el.created_at < ${period.to}
+      GROUP BY el.user_id`;
+  },
+
+  // Activity completions in a { from, to } period, ties broken by XP earned from them
+  periodActivity(period) {
+    return Prisma.sql`
+      SELECT ua.user_id AS id, COUNT(*) AS score, SUM(ua.experience_gained) AS tiebreak
+      FROM user_activities ua
+      JOIN users u ON u.id = ua.user_id AND u.is_active = true
+      WHERE ua.completed_at >= ${period.from} AND ua.completed_at < ${period.to}
+      GROUP BY ua.user_id`;
+  },
+
+  // XP tracked for an activity category, ties broken by completions in it
+  category(category) {
+    return Prisma.sql`
+      SELECT cx.user_id AS id, cx.experience_points AS score, cx.activities_completed AS tiebreak
+      FROM user_category_xp cx
+      JOIN users u ON u.id = cx.user_id AND u.is_active = true
+      WHERE cx.category = ${category}`;
+  },
+
+  // Live season scores; whoever reached their score first wins a tie
+  season(seasonId) {
+    return Prisma.sql`
+      SELECT ss.user_id AS id, ss.score, -EXTRACT(EPOCH FROM ss.updated_at) AS tiebreak
+      FROM season_scores ss
+      JOIN users u ON u.id = ss.user_id AND u.is_active = true
+      WHERE ss.season_id = ${seasonId}`;
+  },
+
+  // Archived final standings of a finalized season, in placement order
+  archivedSeason(seasonId) {
+    return Prisma.sql`
+      SELECT st.user_id AS id, st.score, -st.rank AS tiebreak
+      FROM season_standings st
+      WHERE st.season_id = ${seasonId}`;
+  },
+
+  // Active teams by an aggregate of their active members (see TEAM_METRICS)
+  teams(metric) {
+    return Prisma.sql`
+      SELECT t.id, ${TEAM_METRICS[metric].score} AS score, ${TEAM_METRICS[metric].tiebreak} AS tiebreak
+      FROM teams t
+      LEFT JOIN team_members tm ON tm.team_id = t.id
+      LEFT JOIN users u ON u.id = tm.user_id AND u.is_active = true
+      WHERE t.is_active = true
+      GROUP BY t.id`;
+  }
+};
+
+// Lifetime leaderboards addressable by type
+const LEADERBOARD_TYPES = {
+  experience: boardScores.experience,
+  badges: boardScores.badges,
+  achievements: boardScores.achievements,
+  levels: boardScores.levels,
+  activity: boardScores.activity
+};
+
+// A scores query narrowed to the IDs returned by a subquery, e.g. a user's
+// network for friends-scoped boards. Ranks are then computed within the group.
+function restrictScores(scores, ids) {
+  return Prisma.sql`
+    SELECT * FROM (${scores}) AS board
+    WHERE board.id IN (${ids})`;
+}
+
+// Every ranked row of a scores query, with all three rank columns
+function rankedSql(scores) {
+  return Prisma.sql`
+    WITH scores AS (${scores}),
+    ranked AS (
+      SELECT id, score::int AS score,
+             RANK() OVER (ORDER BY score DESC)::int AS rank_competition,
+             DENSE_RANK() OVER (ORDER BY score DESC)::int AS rank_dense,
+             ROW_NUMBER() OVER (ORDER BY score DESC, tiebreak DESC, id ASC)::int AS rank_ordinal
+      FROM scores
+    )`;
+}
+
+// --- Helper: Map a ranked row, taking the rank of the selected mode ---
+function rankedRow(row, mode) {
+  return {
+    id: row.id,
+    score: row.score,
+    rank: row[RANK_COLUMNS[mode]],
+    position: row.rank_ordinal
+  };
+}
+
+// One page of a leaderboard. Returns { error } for a stale cursor, or
+// { rows: [{ id, score, rank, position }], total, offset, nextCursor }.
+async function rankBoard(scores, { mode, limit, offset, afterId }) {
+  const ranked = rankedSql(scores);
+
+  let after = offset;
+  if (afterId) {
+    const [position] = await prisma.$queryRaw`
+      ${ranked}
+      SELECT rank_ordinal FROM ranked WHERE id = ${afterId}`;
+    if (!position) return { error: 'Cursor is no longer valid' };
+    after = position.rank_ordinal;
+  }
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      ${ranked}
+      SELECT * FROM ranked
+      WHERE rank_ordinal > ${after}
+      ORDER BY rank_ordinal
+      LIMIT ${limit}`,
+    prisma.$queryRaw`
+      WITH scores AS (${scores})
+      SELECT COUNT(*)::int AS total FROM scores`
+  ]);
+
+  const last = rows[rows.length - 1];
+
+  return {
+    rows: rows.map(row => rankedRow(row, mode)),
+    total,
+    offset: after,
+    nextCursor: last && last.rank_ordinal < total ? encodeCursor(last.id) : null
+  };
+}
+
+// A user's (or team's) row on a leaderboard, or null when they are not ranked on it
+async function getUserRank(scores, id, mode = 'competition') {
+  const [row] = await prisma.$queryRaw`
+    ${rankedSql(scores)}
+    SELECT * FROM ranked WHERE id = ${id}`;
+
+  return row ? rankedRow(row, mode) : null;
+}
+
+// The user's row and up to `radius` neighbours above and below them in
+// leaderboard order. Returns null when the user is not ranked.
+async function rankAround(scores, userId, radius, mode = 'competition') {
+  const rows = await prisma.$queryRaw`
+    ${rankedSql(scores)},
+    me AS (SELECT rank_ordinal FROM ranked WHERE id = ${userId})
+    SELECT ranked.*, (SELECT COUNT(*)::int FROM ranked) AS total
+    FROM ranked, me
+    WHERE ranked.rank_ordinal BETWEEN me.rank_ordinal - ${radius} AND me.rank_ordinal + ${radius}
+    ORDER BY ranked.rank_ordinal`;
+
+  if (rows.length === 0) return null;
+
+  return {
+    rows: rows.map(row => rankedRow(row, mode)),
+    total: rows[0].total
+  };
+}
+
+// API representation of a page's ranking mode, scope and pagination
+function formatRankingPage(page, { mode, limit, scope = 'global' }) {
+  return {
+    ranking: mode,
+    scope,
+    pagination: {
+      page: Math.floor(page.offset / limit) + 1,
+      limit,
+      offset: page.offset,
+      total: page.total,
+      pages: Math.ceil(page.total / limit),
+      next_cursor: page.nextCursor
+    }
+  };
+}
+
+module.exports = {
+  RANK_COLUMNS,
+  RANKING_MODES,
+  LEADERBOARD_TYPES,
+  TEAM_METRICS,
+  resolveRankingQuery,
+  encodeCursor,
+  boardScores,
+  restrictScores,
+  rankedSql,
+  rankBoard,
+  getUserRank,
+  rankAround,
+  formatRankingPage
+};
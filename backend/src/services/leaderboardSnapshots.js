@@ -0,0 +1,119 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { RANK_COLUMNS, LEADERBOARD_TYPES, rankedSql } = require('./leaderboardRanking');
+const { startOfDay } = require('./activityCompletion');
+
+// Daily leaderboard snapshots.
+//
+// Once per UTC day every lifetime leaderboard is copied, with all three rank
+// columns, into leaderboard_snapshots. Rank changes are reported against the
+// latest snapshot of a board: a positive change means the user moved up.
+// Changes on a scoped board (e.g. friends only) compare against the snapshot
+// re-ranked within the same group of users.
+// Snapshots older than the retention window are purged.
+
+const SNAPSHOT_RETENTION_DAYS = 30;
+
+const SNAPSHOT_RANK_FIELDS = {
+  competition: 'rankCompetition',
+  dense: 'rankDense',
+  ordinal: 'rankOrdinal'
+};
+
+// Copy a board's current ranking into the snapshot table
+async function takeLeaderboardSnapshot(board, now = new Date()) {
+  return prisma.$executeRaw`
+    ${rankedSql(LEADERBOARD_TYPES[board]())}
+    INSERT INTO leaderboard_snapshots
+      (board, user_id, score, rank_competition, rank_dense, rank_ordinal, taken_at)
+    SELECT ${board}, id, score, rank_competition, rank_dense, rank_ordinal, ${now}
+    FROM ranked`;
+}
+
+// When a board's latest snapshot was taken, or null if it has none
+async function getLatestSnapshotTime(board) {
+  const latest = await prisma.leaderboardSnapshot.findFirst({
+    where: { board },
+    orderBy: { takenAt: 'desc' },
+    select: { takenAt: true }
+  });
+
+  return latest ? latest.takenAt : null;
+}
+
+// Snapshot every board that has not been snapshotted yet today and purge
+// expired snapshots. Returns the boards that were snapshotted.
+async function takeDueSnapshots(now = new Date()) {
+  const taken = [];
+
+  for (const board of Object.keys(LEADERBOARD_TYPES)) {
+    const latest = await getLatestSnapshotTime(board);
+    if (latest && latest >= startOfDay(now)) continue;
+
+    await takeLeaderboardSnapshot(board, now);
+    taken.push(board);
+  }
+
+  const cutoff = new Date(now.getTime() - SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.leaderboardSnapshot.deleteMany({ where: { takenAt: { lt: cutoff } } });
+
+  return taken;
+}
+
+// --- Helper: Snapshot ranks of users, re-ranked among the users of a subquery ---
+async function getScopedSnapshotRanks(board, takenAt, userIds, scopeIds, mode) {
+  const previous = await prisma.$queryRaw`
+    WITH snapshot AS (
+      SELECT user_id, score, rank_ordinal
+      FROM leaderboard_snapshots
+      WHERE board = ${board} AND taken_at = ${takenAt} AND user_id IN (${scopeIds})
+    ),
+    ranked AS (
+      SELECT user_id,
+             RANK() OVER (ORDER BY score DESC)::int AS rank_competition,
+             DENSE_RANK() OVER (ORDER BY score DESC)::int AS rank_dense,
+             ROW_NUMBER() OVER (ORDER BY rank_ordinal)::int AS rank_ordinal
+      FROM snapshot
+    )
+    SELECT * FROM ranked WHERE user_id IN (${Prisma.join(userIds)})`;
+
+  return new Map(previous.map(entry => [entry.user_id, entry[RANK_COLUMNS[mode]]]));
+}
+
+// Rank changes of ranked rows since the board's latest snapshot. Pass the
+// subquery a board was restricted with as scopeIds for scoped boards.
+// Returns { takenAt, changes } where changes maps user ID to the number of
+// places gained (null for users missing from the snapshot).
+async function getRankChanges(board, rows, mode = 'competition', scopeIds = null) {
+  const takenAt = await getLatestSnapshotTime(board);
+  const changes = new Map(rows.map(row => [row.id, null]));
+  if (!takenAt || rows.length === 0) return { takenAt, changes };
+
+  const userIds = rows.map(row => row.id);
+  let previousRanks;
+
+  if (scopeIds) {
+    previousRanks = await getScopedSnapshotRanks(board, takenAt, userIds, scopeIds, mode);
+  } else {
+    const field = SNAPSHOT_RANK_FIELDS[mode];
+    const previous = await prisma.leaderboardSnapshot.findMany({
+      where: { board, takenAt, userId: { in: userIds } },
+      select: { userId: true, [field]: true }
+    });
+    previousRanks = new Map(previous.map(entry => [entry.userId, entry[field]]));
+  }
+
+  rows.forEach(row => {
+    if (previousRanks.has(row.id)) {
+      changes.set(row.id, previousRanks.get(row.id) - row.rank);
+    }
+  });
+
+  return { takenAt, changes };
+}
+
+module.exports = {
+  takeLeaderboardSnapshot,
+  takeDueSnapshots,
+  getRankChanges
+};
@@ -0,0 +1,431 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { getRedisClient } = require('../config/redis');
+const {
+  LEADERBOARD_TYPES,
+  restrictScores,
+  encodeCursor,
+  rankBoard,
+  getUserRank,
+  rankAround
+} = require('./leaderboardRanking');
+
+// Leaderboard store.
+//
+// Keeps the lifetime leaderboards (LEADERBOARD_TYPES) ranked outside
+// PostgreSQL so pages and rank lookups don't rank every user on each request.
+// Entries are the (id, score, tiebreak) rows of a board's scores query and
+// are ordered the same way: score, then tiebreak (both descending), then ID.
+// A user's entries are refreshed after every change to their XP, badges,
+// achievements or completions, and every board is rebuilt from the database
+// whenever Redis (re)connects and by `npm run leaderboards:rebuild`.
+//
+// Two implementations share one interface:
+//   redis   sorted sets; rank lookups are O(log n)
+//   memory  sorted arrays, for tests
+// Reads fall back to ranking in PostgreSQL while no store can serve a board.
+
+// Sorted set members with the same score are ordered by the member string.
+// Encoding the tiebreak and the ID into it puts higher tiebreaks, then lower
+// IDs, first on reverse range queries.
+const TIEBREAK_OFFSET = 1e15;
+const MAX_ENTRY_ID = 9999999999;
+
+// Set (or, with an empty member, remove) a user's entry on a board and keep
+// the distinct-score set used for dense ranks in step.
+// KEYS: ranking, members, scores, score counts  ARGV: id, member, score
+const SET_ENTRY_SCRIPT = `
+local previous = redis.call('HGET', KEYS[2], ARGV[1])
+if previous then
+  local previousScore = redis.call('ZSCORE', KEYS[1], previous)
+  redis.call('ZREM', KEYS[1], previous)
+  redis.call('HDEL', KEYS[2], ARGV[1])
+  if previousScore and redis.call('HINCRBY', KEYS[4], previousScore, -1) <= 0 then
+    redis.call('HDEL', KEYS[4], previousScore)
+    redis.call('ZREM', KEYS[3], previousScore)
+  end
+end
+if ARGV[2] ~= '' then
+  redis.call('ZADD', KEYS[1], ARGV[3], ARGV[2])
+  redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+  redis.call('HINCRBY', KEYS[4], ARGV[3], 1)
+  redis.call('ZADD', KEYS[3], ARGV[3], ARGV[3])
+end
+return 1`;
+
+const REBUILD_CHUNK_SIZE = 1000;
+
+let storeOverride = null;
+let redisStore = null;
+
+// --- Helper: Sorted set member of an entry, and the entry ID it encodes ---
+function encodeMember({ id, tiebreak }) {
+  const tiebreakPart = String(Math.round(tiebreak) + TIEBREAK_OFFSET).padStart(16, '0');
+  const idPart = String(MAX_ENTRY_ID - id).padStart(10, '0');
+  return `${tiebreakPart}:${idPart}`;
+}
+
+function decodeMemberId(member) {
+  return MAX_ENTRY_ID - parseInt(member.split(':')[1], 10);
+}
+
+// --- Helper: Rank consecutive entries starting at an offset, given the first entry's rank ---
+function rankEntries(entries, offset, firstRank, mode) {
+  let rank = firstRank;
+
+  return entries.map((entry, index) => {
+    const position = offset + index + 1;
+    if (mode === 'ordinal') {
+      rank = position;
+    } else if (index > 0 && entry.score !== entries[index - 1].score) {
+      rank = mode === 'dense' ? rank + 1 : position;
+    }
+    return { id: entry.id, score: entry.score, rank, position };
+  });
+}
+
+// Store backed by a connected node-redis client
+function createRedisLeaderboardStore(client, prefix = 'leaderboard') {
+  const keys = board => ({
+    ranking: `${prefix}:${board}:ranking`,
+    members: `${prefix}:${board}:members`,
+    scores: `${prefix}:${board}:scores`,
+    scoreCounts: `${prefix}:${board}:score_counts`,
+    built: `${prefix}:${board}:built`
+  });
+
+  // --- Helper: Rank of a score at an ordinal position ---
+  async function rankOf(boardKeys, score, position, mode) {
+    if (mode === 'ordinal') return position;
+
+    const higher = await client.zCount(
+      mode === 'dense' ? boardKeys.scores : boardKeys.ranking,
+      `(${score}`,
+      '+inf'
+    );
+    return higher + 1;
+  }
+
+  function runSetEntry(board, id, member, score) {
+    const boardKeys = keys(board);
+    return client.eval(SET_ENTRY_SCRIPT, {
+      keys: [boardKeys.ranking, boardKeys.members, boardKeys.scores, boardKeys.scoreCounts],
+      arguments: [String(id), member, String(score)]
+    });
+  }
+
+  return {
+    client,
+
+    isAvailable() {
+      return client.isReady;
+    },
+
+    async hasBoard(board) {
+      return (await client.exists(keys(board).built)) === 1;
+    },
+
+    async setEntry(board, entry) {
+      await runSetEntry(board, entry.id, encodeMember(entry), entry.score);
+    },
+
+    async removeEntry(board, id) {
+      await runSetEntry(board, id, '', '');
+    },
+
+    // Replace a board's entries. The new sorted sets are built under
+    // temporary keys and swapped in atomically.
+    async replaceBoard(board, entries) {
+      const boardKeys = keys(board);
+      const staging = keys(`${board}:rebuild`);
+      const scoreCounts = new Map();
+      entries.forEach(entry => scoreCounts.set(entry.score, (scoreCounts.get(entry.score) || 0) + 1));
+
+      await client.del(Object.values(staging));
+
+      for (let start = 0; start < entries.length; start += REBUILD_CHUNK_SIZE) {
+        const chunk = entries.slice(start, start + REBUILD_CHUNK_SIZE);
+        await client.multi()
+          .zAdd(staging.ranking, chunk.map(entry => ({ score: entry.score, value: encodeMember(entry) })))
+          .hSet(staging.members, Object.fromEntries(chunk.map(entry => [String(entry.id), encodeMember(entry)])))
+          .exec();
+      }
+
+      const swap = client.multi()
+        .del([boardKeys.ranking, boardKeys.members, boardKeys.scores, boardKeys.scoreCounts]);
+
+      if (entries.length > 0) {
+        swap
+          .zAdd(staging.scores, [...scoreCounts.keys()].map(score => ({ score, value: String(score) })))
+          .hSet(staging.scoreCounts, Object.fromEntries(scoreCounts))
+          .rename(staging.ranking, boardKeys.ranking)
+          .rename(staging.members, boardKeys.members)
+          .rename(staging.scores, boardKeys.scores)
+          .rename(staging.scoreCounts, boardKeys.scoreCounts);
+      }
+
+      await swap.set(boardKeys.built, new Date().toISOString()).exec();
+    },
+
+    async getCount(board) {
+      return client.zCard(keys(board).ranking);
+    },
+
+    async getRank(board, id, mode) {
+      const boardKeys = keys(board);
+      const member = await client.hGet(boardKeys.members, String(id));
+      if (!member) return null;
+
+      const [index, score] = await Promise.all([
+        client.zRevRank(boardKeys.ranking, member),
+        client.zScore(boardKeys.ranking, member)
+      ]);
+      if (index === null || score === null) return null;
+
+      const position = index + 1;
+      return { id, score, rank: await rankOf(boardKeys, score, position, mode), position };
+    },
+
+    async getRange(board, offset, limit, mode) {
+      const boardKeys = keys(board);
+      const members = await client.zRangeWithScores(boardKeys.ranking, offset, offset + limit - 1, { REV: true });
+      if (members.length === 0) return [];
+
+      const entries = members.map(({ value, score }) => ({ id: decodeMemberId(value), score }));
+      return rankEntries(entries, offset, await rankOf(boardKeys, entries[0].score, offset + 1, mode), mode);
+    }
+  };
+}
+
+// Store kept in process memory. Lookups sort the board, so it is meant for
+// tests and small data sets only.
+function createMemoryLeaderboardStore() {
+  const boards = new Map();
+  const built = new Set();
+
+  // --- Helper: A board's entries in leaderboard order ---
+  function sortedEntries(board) {
+    return [...(boards.get(board) || new Map()).values()]
+      .sort((a, b) => b.score - a.score || b.tiebreak - a.tiebreak || a.id - b.id);
+  }
+
+  // --- Helper: Rank of the entry at an index of a sorted board ---
+  function rankAt(entries, index, mode) {
+    const { score } = entries[index];
+    if (mode === 'ordinal') return index + 1;
+    if (mode === 'dense') return new Set(entries.filter(entry => entry.score > score).map(entry => entry.score)).size + 1;
+    return entries.filter(entry => entry.score > score).length + 1;
+  }
+
+  return {
+    isAvailable() {
+      return true;
+    },
+
+    async hasBoard(board) {
+      return built.has(board);
+    },
+
+    async setEntry(board, entry) {
+      if (!boards.has(board)) boards.set(board, new Map());
+      boards.get(board).set(entry.id, { id: entry.id, score: entry.score, tiebreak: entry.tiebreak });
+    },
+
+    async removeEntry(board, id) {
+      if (boards.has(board)) boards.get(board).delete(id);
+    },
+
+    async replaceBoard(board, entries) {
+      boards.set(board, new Map());
+      for (const entry of entries) await this.setEntry(board, entry);
+      built.add(board);
+    },
+
+    async getCount(board) {
+      return boards.has(board) ? boards.get(board).size : 0;
+    },
+
+    async getRank(board, id, mode) {
+      const entries = sortedEntries(board);
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index === -1) return null;
+
+      return { id, score: entries[index].score, rank: rankAt(entries, index, mode), position: index + 1 };
+    },
+
+    async getRange(board, offset, limit, mode) {
+      const entries = sortedEntries(board);
+      const page = entries.slice(offset, offset + limit);
+      if (page.length === 0) return [];
+
+      return rankEntries(page, offset, rankAt(entries, offset, mode), mode);
+    }
+  };
+}
+
+// The store leaderboards are served from: the one set with
+// useLeaderboardStore(), otherwise Redis while it is connected, otherwise null
+function getLeaderboardStore() {
+  if (storeOverride) return storeOverride.isAvailable() ? storeOverride : null;
+
+  const client = getRedisClient();
+  if (!client) return null;
+
+  if (!redisStore || redisStore.client !== client) {
+    redisStore = createRedisLeaderboardStore(client);
+  }
+  return redisStore;
+}
+
+// Serve leaderboards from the given store instead of Redis (null to undo)
+function useLeaderboardStore(store) {
+  storeOverride = store;
+}
+
+// --- Helper: (id, score, tiebreak) entries of a scores query ---
+async function loadEntries(scores) {
+  return prisma.$queryRaw`
+    WITH scores AS (${scores})
+    SELECT id, score::int AS score, tiebreak::float8 AS tiebreak FROM scores`;
+}
+
+// --- Helper: The store if it can serve a board, otherwise null ---
+async function storeFor(board) {
+  const store = getLeaderboardStore();
+  if (!store || !LEADERBOARD_TYPES[board]) return null;
+
+  return (await store.hasBoard(board)) ? store : null;
+}
+
+// Rebuild one lifetime board of a store from the database, for changes that
+// touch many users at once (e.g. recalculated levels). Call after the change
+// is committed. Returns the number of entries, or null without a store.
+async function rebuildBoard(board, store = getLeaderboardStore()) {
+  if (!store) return null;
+
+  const entries = await loadEntries(LEADERBOARD_TYPES[board]());
+  await store.replaceBoard(board, entries);
+  return entries.length;
+}
+
+// Rebuild every lifetime board of a store from the database.
+// Returns the number of entries per board, or null without a store.
+async function rebuildLeaderboardStore(store = getLeaderboardStore()) {
+  if (!store) return null;
+
+  const counts = {};
+
+  for (const board of Object.keys(LEADERBOARD_TYPES)) {
+    counts[board] = await rebuildBoard(board, store);
+  }
+
+  return counts;
+}
+
+// Refresh a user's entries on every lifetime board, removing them from boards
+// they no longer rank on (e.g. once deactivated). Call after the change is
+// committed. Failures are logged; the entries then stay stale until the next
+// rebuild.
+async function syncUserEntries(userId) {
+  const store = getLeaderboardStore();
+  if (!store) return;
+
+  try {
+    for (const [board, scores] of Object.entries(LEADERBOARD_TYPES)) {
+      const [entry] = await loadEntries(restrictScores(scores(), Prisma.sql`SELECT ${userId}::int`));
+
+      if (entry) {
+        await store.setEntry(board, entry);
+      } else {
+        await store.removeEntry(board, userId);
+      }
+    }
+  } catch (error) {
+    console.error('Leaderboard store sync error:', error);
+  }
+}
+
+// One page of a lifetime board, shaped like rankBoard's result. Served from
+// the store when it can, otherwise ranked in PostgreSQL.
+async function rankStoredBoard(board, { mode, limit, offset, afterId }) {
+  try {
+    const store = await storeFor(board);
+
+    if (store) {
+      let after = offset;
+      if (afterId) {
+        const cursorRow = await store.getRank(board, afterId, mode);
+        if (!cursorRow) return { error: 'Cursor is no longer valid' };
+        after = cursorRow.position;
+      }
+
+      const [rows, total] = await Promise.all([
+        store.getRange(board, after, limit, mode),
+        store.getCount(board)
+      ]);
+      const last = rows[rows.length - 1];
+
+      return {
+        rows,
+        total,
+        offset: after,
+        nextCursor: last && last.position < total ? encodeCursor(last.id) : null
+      };
+    }
+  } catch (error) {
+    console.error('Leaderboard store read error:', error);
+  }
+
+  return rankBoard(LEADERBOARD_TYPES[board](), { mode, limit, offset, afterId });
+}
+
+// A user's row on a lifetime board (null when not ranked), from the store
+// when it can serve the board, otherwise from PostgreSQL
+async function getStoredUserRank(board, userId, mode = 'competition') {
+  try {
+    const store = await storeFor(board);
+    if (store) return await store.getRank(board, userId, mode);
+  } catch (error) {
+    console.error('Leaderboard store read error:', error);
+  }
+
+  return getUserRank(LEADERBOARD_TYPES[board](), userId, mode);
+}
+
+// A user's row and up to `radius` neighbours on a lifetime board, shaped like
+// rankAround's result, from the store when it can serve the board
+async function rankStoredAround(board, userId, radius, mode = 'competition') {
+  try {
+    const store = await storeFor(board);
+
+    if (store) {
+      const row = await store.getRank(board, userId, mode);
+      if (!row) return null;
+
+      const offset = Math.max(row.position - 1 - radius, 0);
+      const [rows, total] = await Promise.all([
+        store.getRange(board, offset, row.position - offset + radius, mode),
+        store.getCount(board)
+      ]);
+
+      return { rows, total };
+    }
+  } catch (error) {
+    console.error('Leaderboard store read error:', error);
+  }
+
+  return rankAround(LEADERBOARD_TYPES[board](), userId, radius, mode);
+}
+
+module.exports = {
+  createRedisLeaderboardStore,
+  createMemoryLeaderboardStore,
+  getLeaderboardStore,
+  useLeaderboardStore,
+  rebuildBoard,
+  rebuildLeaderboardStore,
+  syncUserEntries,
+  rankStoredBoard,
+  getStoredUserRank,
+  rankStoredAround
+};
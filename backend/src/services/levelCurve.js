@@ -0,0 +1,143 @@
+const { prisma } = require('../config/database');
+
+// Level curve.
+//
+// Thresholds come from the `levels` table (experience_required per level).
+// Levels beyond the last defined one follow a formula chosen with
+// LEVEL_CURVE_FORMULA; each formula gives the XP needed to go from one level
+// to the next, k levels past the last defined level:
+//
+//   linear       LEVEL_CURVE_BASE
+//   exponential  LEVEL_CURVE_BASE * LEVEL_CURVE_GROWTH^(k - 1)
+//   polynomial   LEVEL_CURVE_BASE * k^LEVEL_CURVE_EXPONENT
+
+const FORMULAS = {
+  linear: (k, { base }) => base,
+  exponential: (k, { base, growth }) => base * Math.pow(growth, k - 1),
+  polynomial: (k, { base, exponent }) => base * Math.pow(k, exponent)
+};
+
+// --- Helper: Read the fallback formula configuration ---
+function getCurveConfig() {
+  const formula = FORMULAS[process.env.LEVEL_CURVE_FORMULA] ? process.env.LEVEL_CURVE_FORMULA : 'linear';
+
+  return {
+    formula,
+    base: Math.max(1, parseFloat(process.env.LEVEL_CURVE_BASE) || 1000),
+    growth: Math.max(1, parseFloat(process.env.LEVEL_CURVE_GROWTH) || 1.5),
+    exponent: Math.max(0, parseFloat(process.env.LEVEL_CURVE_EXPONENT) || 2),
+    maxLevel: parseInt(process.env.LEVEL_CURVE_MAX_LEVEL) || 1000
+  };
+}
+
+// Build a curve from level rows ({ levelNumber, experienceRequired })
+function buildLevelCurve(levels, config = getCurveConfig()) {
+  const sorted = [...levels].sort((a, b) => a.levelNumber - b.levelNumber);
+
+  // thresholds[n] = XP required for level n; level 1 always starts at 0
+  const thresholds = [0, 0];
+  let lastDefined = 1;
+  for (const level of sorted) {
+    if (level.levelNumber < 1) continue;
+    // Fill gaps between defined levels with the previous threshold
+    for (let n = lastDefined + 1; n < level.levelNumber; n++) {
+      thresholds[n] = thresholds[n - 1];
+    }
+    thresholds[level.levelNumber] = level.levelNumber === 1 ? 0 : level.experienceRequired;
+    lastDefined = level.levelNumber;
+  }
+
+  const xpForLevel = (level) => {
+    if (level <= 1) return 0;
+    const target = Math.min(level, config.maxLevel);
+    for (let n = thresholds.length; n <= target; n++) {
+      const k = n - lastDefined;
+      thresholds[n] = thresholds[n - 1] + Math.round(FORMULAS[config.formula](k, config));
+    }
+    return thresholds[target];
+  };
+
+  const levelForXp = (experiencePoints) => {
+    let level = 1;
+    while (level < config.maxLevel && xpForLevel(level + 1) <= experiencePoints) {
+      level++;
+    }
+    return level;
+  };
+
+  // Progress through the given level (defaults to the level matching the XP)
+  const progress = (experiencePoints, level = levelForXp(experiencePoints)) => {
+    const currentLevelXp = xpForLevel(level);
+    const nextLevelXp = level >= config.maxLevel ? null : xpForLevel(level + 1);
+    const span = nextLevelXp === null ? 0 : nextLevelXp - currentLevelXp;
+
+    return {
+      level,
+      current_level_xp: currentLevelXp,
+      next_level_xp: nextLevelXp,
+      xp_to_next_level: nextLevelXp === null ? 0 : Math.max(0, nextLevelXp - experiencePoints),
+      progress_percentage: span > 0
+        ? Math.min(100, Math.max(0, ((experiencePoints - currentLevelXp) / span) * 100))
+        : 100
+    };
+  };
+
+  return {
+    config,
+    definedLevels: lastDefined,
+    xpForLevel,
+    levelForXp,
+    progress
+  };
+}
+
+// Load the curve from the levels table
+async function getLevelCurve(tx = prisma) {
+  const levels = await tx.level.findMany({
+    select: { levelNumber: true, experienceRequired: true }
+  });
+
+  return buildLevelCurve(levels);
+}
+
+// Bring every user's currentLevel in line with their XP on the current curve.
+// Users above the level their XP reaches are lowered here. Users below it are
+// only returned (raisedUserIds): raise them with processProgression, which
+// pays the rewards of levels they were never rewarded for.
+async function recalculateUserLevels(tx = prisma) {
+  const curve = await getLevelCurve(tx);
+
+  const { _max } = await tx.user.aggregate({ _max: { experiencePoints: true } });
+  const topLevel = curve.levelForXp(_max.experiencePoints || 0);
+
+  let lowered = 0;
+  const raisedUserIds = [];
+  for (let level = 1; level <= topLevel; level++) {
+    const experiencePoints = { gte: curve.xpForLevel(level) };
+    if (level < topLevel) {
+      experiencePoints.lt = curve.xpForLevel(level + 1);
+    }
+    const where = { experiencePoints: level === 1 ? { lt: experiencePoints.lt } : experiencePoints };
+
+    const result = await tx.user.updateMany({
+      where: { ...where, currentLevel: { gt: level } },
+      data: { currentLevel: level }
+    });
+    lowered += result.count;
+
+    const raised = await tx.user.findMany({
+      where: { ...where, currentLevel: { lt: level } },
+      select: { id: true }
+    });
+    raisedUserIds.push(...raised.map(user => user.id));
+  }
+
+  return { updated: lowered + raisedUserIds.length, topLevel, raisedUserIds };
+}
+
+module.exports = {
+  FORMULAS,
+  buildLevelCurve,
+  getLevelCurve,
+  recalculateUserLevels
+};
@@ -0,0 +1,281 @@
+const { prisma } = require('../config/database');
+const { grantExperience } = require('./experienceService');
+const { creditCurrency } = require('./walletService');
+const { checkAndUnlockAchievements } = require('./achievementService');
+const { awardBadge, checkAndAwardBadges } = require('./badgeService');
+const { getLevelCurve } = require('./levelCurve');
+const { checkAndCompleteQuests } = require('./questService');
+const { syncUserEntries } = require('./leaderboardStore');
+const { formatTier } = require('./badgeTiers');
+
+// Progression cascade run after every XP-changing event.
+//
+// Levels, achievements, criteria-based badges and quests feed each other (a
+// badge can unlock an achievement whose reward XP triggers a level-up, which
+// awards a level badge, ...), so the checks repeat until a pass changes nothing.
+
+const MAX_PASSES = 10;
+
+// Apply a level's reward bundle: bonus XP, currency, badges and perks.
+// The level-up is always logged, even for levels without a row or rewards.
+async function applyLevelRewards(userId, levelNumber, tx = prisma, { countsTowardSeason = true } = {}) {
+  const level = await tx.level.findUnique({
+    where: { levelNumber },
+    include: {
+      badgeReward: true,
+      rewardBadges: { include: { badge: true } }
+    }
+  });
+
+  await grantExperience(userId, level ? level.bonusExperience : 0, {
+    activityType: 'level_up',
+    activityId: levelNumber,
+    previousLevel: levelNumber - 1,
+    newLevel: levelNumber,
+    alwaysLog: true,
+    countsTowardSeason
+  }, tx);
+
+  if (!level) return;
+
+  await creditCurrency(userId, level.currencyReward, { source: 'level_up', sourceId: levelNumber }, tx);
+
+  const badges = [level.badgeReward, ...level.rewardBadges.map(rb => rb.badge)].filter(Boolean);
+  for (const badge of badges) {
+    await awardBadge(userId, badge, { activityType: 'level_badge_award', countsTowardSeason }, tx);
+  }
+
+  const perks = Array.isArray(level.perks) ? level.perks : [];
+  if (perks.length > 0) {
+    await tx.userPerk.createMany({
+      data: perks.map(perk => ({ userId, perkKey: perk.key, levelId: level.id })),
+      skipDuplicates: true
+    });
+  }
+}
+
+// --- Helper: Level numbers in `from`..`to` the user has been rewarded for ---
+// Every payout writes a level_up log naming the level, which keeps a level
+// lost to a curve change from paying again when the user climbs back to it
+async function findRewardedLevels(userId, from, to, tx) {
+  const logs = await tx.experienceLog.findMany({
+    where: { userId, activityType: 'level_up', activityId: { gte: from, lte: to } },
+    select: { activityId: true },
+    distinct: ['activityId']
+  });
+
+  return new Set(logs.map(log => log.activityId));
+}
+
+// Raise the user's level to match their XP and apply the reward bundle of
+// every level passed that was not rewarded before. Returns true when the
+// level changed.
+async function checkAndUpdateLevel(userId, tx = prisma, options = {}) {
+  // Lock the user's row so concurrent level-ups cannot both pay a level
+  await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+
+  const user = await tx.user.findUnique({
+    where: { id: userId }
+  });
+
+  // Calculate new level based on XP
+  const curve = await getLevelCurve(tx);
+  const newLevel = curve.levelForXp(user.experiencePoints);
+
+  if (newLevel <= user.currentLevel) return false;
+
+  // LEVEL UP DETECTED
+  await tx.user.update({
+    where: { id: userId },
+    data: { currentLevel: newLevel }
+  });
+
+  const rewarded = await findRewardedLevels(userId, user.currentLevel + 1, newLevel, tx);
+  for (let levelNumber = user.currentLevel + 1; levelNumber <= newLevel; levelNumber++) {
+    if (!rewarded.has(levelNumber)) {
+      await applyLevelRewards(userId, levelNumber, tx, options);
+    }
+  }
+
+  return true;
+}
+
+// Capture the user's level, badges (with tiers), achievements and quests so that progress made
+// afterwards (including direct awards by the caller) can be reported
+async function snapshotProgress(userId, tx = prisma) {
+  const [user, userBadges, userAchievements, userQuests] = await Promise.all([
+    tx.user.findUnique({ where: { id: userId }, select: { currentLevel: true, currencyBalance: true } }),
+    tx.userBadge.findMany({ where: { userId }, select: { badgeId: true, tier: true } }),
+    tx.userAchievement.findMany({ where: { userId }, select: { achievementId: true } }),
+    tx.userQuest.findMany({ where: { userId, status: 'completed' }, select: { questId: true } })
+  ]);
+
+  return {
+    level: user.currentLevel,
+    currencyBalance: user.currencyBalance,
+    badgeIds: userBadges.map(ub => ub.badgeId),
+    badgeTiers: Object.fromEntries(userBadges.map(ub => [ub.badgeId, ub.tier || 0])),
+    achievementIds: userAchievements.map(ua => ua.achievementId),
+    questIds: userQuests.map(uq => uq.questId)
+  };
+}
+
+// Run level, achievement, badge and quest checks until nothing changes.
+// Returns everything gained since `snapshot` (taken now when omitted).
+// The XP these rewards grant counts toward the running season unless
+// `countsTowardSeason` is off.
+async function processProgression(userId, tx = prisma, snapshot = null, { countsTowardSeason = true } = {}) {
+  const before = snapshot || await snapshotProgress(userId, tx);
+  const options = { countsTowardSeason };
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const leveledUp = await checkAndUpdateLevel(userId, tx, options);
+    const achievements = await checkAndUnlockAchievements(userId, tx, options);
+    const badges = await checkAndAwardBadges(userId, tx, options);
+    const quests = await checkAndCompleteQuests(userId, tx, options);
+
+    if (!leveledUp && achievements.length === 0 && badges.length === 0 && quests.length === 0) break;
+  }
+
+  const [user, userBadges, achievements, quests] = await Promise.all([
+    tx.user.findUnique({
+      where: { id: userId },
+      select: { currentLevel: true, experiencePoints: true, currencyBalance: true }
+    }),
+    tx.userBadge.findMany({
+      where: { userId, OR: [{ badgeId: { notIn: before.badgeIds } }, { tier: { not: null } }] },
+      include: { badge: { include: { tiers: { orderBy: { tier: 'asc' } } } } }
+    }),
+    tx.achievement.findMany({
+      where: {
+        id: { notIn: before.achievementIds },
+        userAchievements: { some: { userId } }
+      }
+    }),
+    tx.quest.findMany({
+      where: {
+        id: { notIn: before.questIds },
+        userQuests: { some: { userId, status: 'completed' } }
+      }
+    })
+  ]);
+
+  // New badges carry the tier they were earned at; held badges that moved up a tier are upgrades
+  const tierOf = (badge, tier) => badge.tiers.find(t => t.tier === tier) || null;
+  const badges = userBadges
+    .filter(ub => !before.badgeIds.includes(ub.badgeId))
+    .map(ub => ({ ...ub.badge, tier: tierOf(ub.badge, ub.tier) }));
+  const badgeUpgrades = userBadges
+    .filter(ub => before.badgeIds.includes(ub.badgeId) && (ub.tier || 0) > before.badgeTiers[ub.badgeId])
+    .map(ub => ({
+      badge: ub.badge,
+      previousTier: tierOf(ub.badge, before.badgeTiers[ub.badgeId]),
+      tier: tierOf(ub.badge, ub.tier)
+    }));
+
+  return {
+    previousLevel: before.level,
+    newLevel: user.currentLevel,
+    experiencePoints: user.experiencePoints,
+    currencyGained: user.currencyBalance - before.currencyBalance,
+    badges,
+    badgeUpgrades,
+    achievements,
+    quests
+  };
+}
+
+// API representation of the result of processProgression
+function formatProgress(progress) {
+  return {
+    previous_level: progress.previousLevel,
+    new_level: progress.newLevel,
+    leveled_up: progress.newLevel > progress.previousLevel,
+    currency_gained: progress.currencyGained,
+    badges_awarded: progress.badges.map(badge => ({
+      id: badge.id,
+      name: badge.name,
+      rarity: badge.rarity,
+      experience_reward: badge.experienceReward,
+      tier: badge.tier ? formatTier(badge.tier) : null
+    })),
+    badges_upgraded: progress.badgeUpgrades.map(upgrade => ({
+      id: upgrade.badge.id,
+      name: upgrade.badge.name,
+      previous_tier: upgrade.previousTier ? formatTier(upgrade.previousTier) : null,
+      tier: formatTier(upgrade.tier)
+    })),
+    achievements_unlocked: progress.achievements.map(achievement => ({
+      id: achievement.id,
+      name: achievement.name,
+      experience_reward: achievement.experienceReward
+    })),
+    quests_completed: progress.quests.map(quest => ({
+      id: quest.id,
+      name: quest.name,
+      experience_reward: quest.experienceReward
+    }))
+  };
+}
+
+// Publish the committed result of processProgression: refresh the user's
+// leaderboard store entries and notify the user's socket room
+function emitProgressEvents(io, userId, progress) {
+  syncUserEntries(userId);
+
+  if (!io) return;
+
+  const room = `user-${userId}`;
+
+  progress.badges.forEach(badge => {
+    io.to(room).emit('badge-awarded', {
+      badge,
+      awardedBy: 'System',
+      experienceGained: badge.experienceReward,
+      message: `Congratulations! You earned the "${badge.name}" badge${badge.tier ? ` (${badge.tier.name})` : ''}!`
+    });
+  });
+
+  progress.badgeUpgrades.forEach(upgrade => {
+    io.to(room).emit('badge-upgraded', {
+      badge: upgrade.badge,
+      previousTier: upgrade.previousTier,
+      tier: upgrade.tier,
+      experienceGained: upgrade.tier.experienceReward,
+      message: `Your "${upgrade.badge.name}" badge reached ${upgrade.tier.name}!`
+    });
+  });
+
+  progress.achievements.forEach(achievement => {
+    io.to(room).emit('achievement-unlocked', {
+      achievement,
+      experienceGained: achievement.experienceReward,
+      message: `Achievement unlocked: ${achievement.name}!`
+    });
+  });
+
+  progress.quests.forEach(quest => {
+    io.to(room).emit('quest-completed', {
+      quest,
+      experienceGained: quest.experienceReward,
+      message: `Quest completed: ${quest.name}!`
+    });
+  });
+
+  if (progress.newLevel > progress.previousLevel) {
+    io.to(room).emit('level-up', {
+      newLevel: progress.newLevel,
+      oldLevel: progress.previousLevel,
+      experiencePoints: progress.experiencePoints,
+      currencyGained: progress.currencyGained,
+      message: `Congratulations! You reached Level ${progress.newLevel}!`
+    });
+  }
+}
+
+module.exports = {
+  snapshotProgress,
+  processProgression,
+  formatProgress,
+  emitProgressEvents
+};
@@ -0,0 +1,266 @@
+const { prisma } = require('../config/database');
+const { grantExperience } = require('./experienceService');
+const { awardBadge } = require('./badgeService');
+const { unlockAchievement } = require('./achievementService');
+const { createFactContext } = require('./rulesEngine');
+const { meetsCriteria } = require('./criteriaTypes');
+
+// Quests: chains of steps that grant rewards once every step is done.
+//
+// A step is either an activity step (complete activity_id required_count
+// times after accepting the quest) or a criterion step (any criteria type,
+// evaluated like badge and achievement criteria). Ordered quests only let the
+// first unfinished step advance; unordered quests advance any step.
+
+const USER_QUEST_INCLUDE = {
+  quest: {
+    include: {
+      steps: { orderBy: { position: 'asc' } },
+      badgeReward: true,
+      achievementReward: true
+    }
+  },
+  steps: true
+};
+
+// --- Helper: Progress row for each of the quest's steps, in step order ---
+function stepStates(userQuest) {
+  const progressByStep = new Map(userQuest.steps.map(progress => [progress.stepId, progress]));
+
+  return userQuest.quest.steps.map(step => {
+    const progress = progressByStep.get(step.id);
+    return {
+      step,
+      progress: progress ? progress.progress : 0,
+      completedAt: progress ? progress.completedAt : null
+    };
+  });
+}
+
+// --- Helper: Steps that can advance right now ---
+function openSteps(userQuest) {
+  const pending = stepStates(userQuest).filter(state => !state.completedAt);
+  return userQuest.quest.isOrdered ? pending.slice(0, 1) : pending;
+}
+
+// --- Helper: Store step progress, completing the step when it reaches its target ---
+async function saveStepProgress(userQuest, step, progress, tx, now = new Date()) {
+  const completedAt = progress >= step.requiredCount ? now : null;
+
+  await tx.userQuestStep.upsert({
+    where: { userQuestId_stepId: { userQuestId: userQuest.id, stepId: step.id } },
+    create: { userQuestId: userQuest.id, stepId: step.id, progress, completedAt },
+    update: { progress, completedAt }
+  });
+
+  const existing = userQuest.steps.find(row => row.stepId === step.id);
+  if (existing) {
+    Object.assign(existing, { progress, completedAt });
+  } else {
+    userQuest.steps.push({ stepId: step.id, progress, completedAt });
+  }
+
+  return completedAt !== null;
+}
+
+// Accept a quest, or restart it after it was abandoned.
+// Returns { error } ('already_active' | 'already_completed') or { userQuest }.
+async function acceptQuest(userId, quest, tx = prisma) {
+  const existing = await tx.userQuest.findUnique({
+    where: { userId_questId: { userId, questId: quest.id } }
+  });
+
+  if (existing && existing.status === 'active') return { error: 'already_active' };
+  if (existing && existing.status === 'completed') return { error: 'already_completed' };
+
+  let userQuest;
+  if (existing) {
+    await tx.userQuestStep.deleteMany({ where: { userQuestId: existing.id } });
+    userQuest = await tx.userQuest.update({
+      where: { id: existing.id },
+      data: { status: 'active', acceptedAt: new Date(), abandonedAt: null }
+    });
+  } else {
+    userQuest = await tx.userQuest.create({
+      data: { userId, questId: quest.id }
+    });
+  }
+
+  return { userQuest };
+}
+
+// Abandon an active quest; its step progress is discarded on the next accept
+async function abandonQuest(userQuest, tx = prisma) {
+  return tx.userQuest.update({
+    where: { id: userQuest.id },
+    data: { status: 'abandoned', abandonedAt: new Date() }
+  });
+}
+
+// Advance the open activity steps matching a completed activity, at most one
+// step per quest. Returns the steps that advanced.
+async function recordQuestActivity(userId, activityId, tx = prisma) {
+  const userQuests = await tx.userQuest.findMany({
+    where: {
+      userId,
+      status: 'active',
+      quest: { isActive: true, steps: { some: { activityId } } }
+    },
+    include: USER_QUEST_INCLUDE
+  });
+
+  const advanced = [];
+
+  for (const userQuest of userQuests) {
+    const state = openSteps(userQuest).find(open => open.step.activityId === activityId);
+    if (!state) continue;
+
+    const progress = state.progress + 1;
+    const completed = await saveStepProgress(userQuest, state.step, progress, tx);
+
+    advanced.push({
+      questId: userQuest.questId,
+      questName: userQuest.quest.name,
+      stepId: state.step.id,
+      stepTitle: state.step.title,
+      progress,
+      requiredCount: state.step.requiredCount,
+      completed
+    });
+  }
+
+  return advanced;
+}
+
+// --- Helper: Grant a quest's XP, badge and achievement rewards ---
+async function applyQuestRewards(userId, quest, tx, { countsTowardSeason = true } = {}) {
+  await grantExperience(userId, quest.experienceReward, {
+    activityType: 'quest_completion',
+    activityId: quest.id,
+    alwaysLog: true,
+    countsTowardSeason
+  }, tx);
+
+  if (quest.badgeReward) {
+    await awardBadge(userId, quest.badgeReward, { activityType: 'quest_badge_award', countsTowardSeason }, tx);
+  }
+
+  if (quest.achievementReward) {
+    await unlockAchievement(userId, quest.achievementReward, {
+      activityType: 'quest_achievement_unlock',
+      countsTowardSeason
+    }, tx);
+  }
+}
+
+// Complete the criterion steps the user now meets and finish every active
+// quest whose steps are all done. Returns the quests completed by this call.
+async function checkAndCompleteQuests(userId, tx = prisma, { countsTowardSeason = true } = {}) {
+  const userQuests = await tx.userQuest.findMany({
+    where: { userId, status: 'active', quest: { isActive: true } },
+    include: USER_QUEST_INCLUDE
+  });
+
+  const ctx = createFactContext(userId, tx);
+  const completed = [];
+
+  for (const userQuest of userQuests) {
+    // Completing one criterion step can open the next one in an ordered quest
+    let advanced = true;
+    while (advanced) {
+      advanced = false;
+      for (const state of openSteps(userQuest)) {
+        if (!state.step.criteriaType || !(await meetsCriteria(state.step, ctx))) continue;
+        await saveStepProgress(userQuest, state.step, state.step.requiredCount, tx);
+        advanced = true;
+      }
+    }
+
+    const states = stepStates(userQuest);
+    if (states.length === 0 || states.some(state => !state.completedAt)) continue;
+
+    await tx.userQuest.update({
+      where: { id: userQuest.id },
+      data: { status: 'completed', completedAt: new Date() }
+    });
+
+    await applyQuestRewards(userId, userQuest.quest, tx, { countsTowardSeason });
+    completed.push(userQuest.quest);
+
+    // Rewards changed XP and counts; later criteria must see the new values
+    ctx.reset();
+  }
+
+  return completed;
+}
+
+// API representation of a quest step definition
+function formatQuestStep(step) {
+  return {
+    id: step.id,
+    position: step.position,
+    title: step.title,
+    description: step.description,
+    type: step.activityId ? 'activity' : 'criteria',
+    activity_id: step.activityId,
+    required_count: step.requiredCount,
+    criteria_type: step.criteriaType,
+    criteria_value: step.criteriaValue,
+    criteria_params: step.criteriaParams,
+    criteria_rule: step.criteriaRule
+  };
+}
+
+// API representation of a quest definition
+function formatQuest(quest) {
+  return {
+    id: quest.id,
+    name: quest.name,
+    description: quest.description,
+    category: quest.category,
+    is_ordered: quest.isOrdered,
+    experience_reward: quest.experienceReward,
+    badge_reward_id: quest.badgeRewardId,
+    achievement_reward_id: quest.achievementRewardId,
+    is_active: quest.isActive,
+    steps: (quest.steps || []).map(formatQuestStep),
+    created_at: quest.createdAt,
+    updated_at: quest.updatedAt
+  };
+}
+
+// API representation of a user's progress through a quest
+function formatUserQuest(userQuest) {
+  const states = stepStates(userQuest);
+  const open = userQuest.status === 'active' ? openSteps(userQuest).map(state => state.step.id) : [];
+  const stepsCompleted = states.filter(state => state.completedAt).length;
+
+  return {
+    quest_id: userQuest.questId,
+    name: userQuest.quest.name,
+    status: userQuest.status,
+    accepted_at: userQuest.acceptedAt,
+    completed_at: userQuest.completedAt,
+    abandoned_at: userQuest.abandonedAt,
+    steps_completed: stepsCompleted,
+    total_steps: states.length,
+    progress_percentage: states.length > 0 ? Math.round((stepsCompleted / states.length) * 100) : 0,
+    steps: states.map(state => ({
+      ...formatQuestStep(state.step),
+      progress: state.progress,
+      completed: Boolean(state.completedAt),
+      completed_at: state.completedAt,
+      locked: !state.completedAt && !open.includes(state.step.id)
+    }))
+  };
+}
+
+module.exports = {
+  USER_QUEST_INCLUDE,
+  acceptQuest,
+  abandonQuest,
+  recordQuestActivity,
+  checkAndCompleteQuests,
+  formatQuest,
+  formatUserQuest
+};
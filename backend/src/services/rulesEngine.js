@@ -0,0 +1,326 @@
+const { prisma } = require('../config/database');
+const { getStreakStatus } = require('./streakService');
+
+// Declarative criteria rules.
+//
+// A rule is stored as JSON on badges and achievements (criteria_rule) and is
+// either a group or a comparison:
+//
+//   { "all": [rule, ...] }     every child rule must pass
+//   { "any": [rule, ...] }     at least one child rule must pass
+//   { "not": rule }            the child rule must fail
+//   { "fact": "activity_count", "params": { "category": "learning", "within_days": 7 },
+//     "operator": "gte", "value": 5 }
+//
+// Facts are numbers resolved for a single user. Any fact backed by a dated
+// table accepts a time window through params: either `within_days` (rolling)
+// or `since` / `until` (ISO dates). Facts flagged `team` can also be resolved
+// for a team, where they total the values of its active members.
+
+const MAX_RULE_DEPTH = 6;
+
+// Longest time window (within_days) a rule may look back over, about 100 years
+const MAX_WINDOW_DAYS = 36500;
+
+const OPERATORS = {
+  gte: (actual, expected) => actual >= expected,
+  gt: (actual, expected) => actual > expected,
+  lte: (actual, expected) => actual <= expected,
+  lt: (actual, expected) => actual < expected,
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected
+};
+
+// --- Helper: Build a Prisma date filter from window params ---
+function buildTimeWindow(params = {}) {
+  const filter = {};
+
+  if (params.within_days !== undefined) {
+    filter.gte = new Date(Date.now() - params.within_days * 24 * 60 * 60 * 1000);
+  }
+  if (params.since !== undefined) {
+    filter.gte = new Date(params.since);
+  }
+  if (params.until !== undefined) {
+    filter.lte = new Date(params.until);
+  }
+
+  return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+// Supported facts: allowed (and required) params and how to resolve the value for a user
+const FACTS = {
+  experience_points: {
+    description: 'Total experience points',
+    params: [],
+    team: true,
+    resolve: async (ctx) => (await ctx.getUser()).experiencePoints
+  },
+  level: {
+    description: 'Current level',
+    params: [],
+    resolve: async (ctx) => (await ctx.getUser()).currentLevel
+  },
+  activity_count: {
+    description: 'Number of completed activities',
+    params: ['category', 'activity_id', 'within_days', 'since', 'until'],
+    team: true,
+    resolve: (ctx, params) => ctx.tx.userActivity.count({
+      where: {
+        userId: ctx.userId,
+        completedAt: buildTimeWindow(params),
+        ...(params.activity_id !== undefined && { activityId: params.activity_id }),
+        ...(params.category !== undefined && { activity: { category: params.category } })
+      }
+    })
+  },
+  badge_count: {
+    description: 'Number of badges held',
+    params: ['rarity', 'within_days', 'since', 'until'],
+    team: true,
+    resolve: (ctx, params) => ctx.tx.userBadge.count({
+      where: {
+        userId: ctx.userId,
+        awardedAt: buildTimeWindow(params),
+        ...(params.rarity !== undefined && { badge: { rarity: params.rarity } })
+      }
+    })
+  },
+  achievement_count: {
+    description: 'Number of unlocked achievements',
+    params: ['category', 'within_days', 'since', 'until'],
+    team: true,
+    resolve: (ctx, params) => ctx.tx.userAchievement.count({
+      where: {
+        userId: ctx.userId,
+        unlockedAt: buildTimeWindow(params),
+        ...(params.category !== undefined && { achievement: { category: params.category } })
+      }
+    })
+  },
+  experience_gained: {
+    description: 'Experience gained from the experience log',
+    params: ['activity_type', 'within_days', 'since', 'until'],
+    team: true,
+    resolve: async (ctx, params) => {
+      const result = await ctx.tx.experienceLog.aggregate({
+        where: {
+          userId: ctx.userId,
+          createdAt: buildTimeWindow(params),
+          ...(params.activity_type !== undefined && { activityType: params.activity_type })
+        },
+        _sum: { experienceChange: true }
+      });
+      return result._sum.experienceChange || 0;
+    }
+  },
+  category_experience: {
+    description: 'Experience points earned in an activity category',
+    params: ['category'],
+    requiredParams: ['category'],
+    team: true,
+    resolve: async (ctx, params) => {
+      const result = await ctx.tx.userCategoryXp.aggregate({
+        where: { userId: ctx.userId, category: params.category },
+        _sum: { experiencePoints: true }
+      });
+      return result._sum.experiencePoints || 0;
+    }
+  },
+  current_streak: {
+    description: 'Current daily streak in days',
+    params: [],
+    resolve: async (ctx) => getStreakStatus(await ctx.getStreak()).currentStreak
+  },
+  longest_streak: {
+    description: 'Longest daily streak ever reached in days',
+    params: [],
+    resolve: async (ctx) => getStreakStatus(await ctx.getStreak()).longestStreak
+  }
+};
+
+const PARAM_VALIDATORS = {
+  category: (value) => typeof value === 'string' && value.length > 0,
+  rarity: (value) => typeof value === 'string' && value.length > 0,
+  activity_type: (value) => typeof value === 'string' && value.length > 0,
+  activity_id: (value) => Number.isInteger(value) && value > 0,
+  within_days: (value) => Number.isInteger(value) && value > 0 && value <= MAX_WINDOW_DAYS,
+  since: (value) => typeof value === 'string' && !isNaN(Date.parse(value)),
+  until: (value) => typeof value === 'string' && !isNaN(Date.parse(value))
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate a rule tree; returns an error message or null when the rule is valid
+// (`scope` is 'user' or 'team'; team rules may only use team facts)
+function validateRule(rule, path = 'criteria_rule', depth = 0, scope = 'user') {
+  if (depth > MAX_RULE_DEPTH) {
+    return `${path} is nested deeper than ${MAX_RULE_DEPTH} levels`;
+  }
+
+  if (!isPlainObject(rule)) {
+    return `${path} must be an object`;
+  }
+
+  const keys = Object.keys(rule);
+
+  if (keys.includes('all') || keys.includes('any')) {
+    const group = keys.includes('all') ? 'all' : 'any';
+    if (keys.length !== 1) {
+      return `${path} must only contain "${group}"`;
+    }
+    if (!Array.isArray(rule[group]) || rule[group].length === 0) {
+      return `${path}.${group} must be a non-empty array`;
+    }
+    for (let i = 0; i < rule[group].length; i++) {
+      const childError = validateRule(rule[group][i], `${path}.${group}[${i}]`, depth + 1, scope);
+      if (childError) return childError;
+    }
+    return null;
+  }
+
+  if (keys.includes('not')) {
+    if (keys.length !== 1) {
+      return `${path} must only contain "not"`;
+    }
+    return validateRule(rule.not, `${path}.not`, depth + 1, scope);
+  }
+
+  const fact = FACTS[rule.fact];
+  if (!fact) {
+    return `${path}.fact must be one of: ${Object.keys(FACTS).join(', ')}`;
+  }
+
+  if (scope === 'team' && !fact.team) {
+    return `${path}.fact "${rule.fact}" is not available for team achievements`;
+  }
+
+  if (!OPERATORS[rule.operator]) {
+    return `${path}.operator must be one of: ${Object.keys(OPERATORS).join(', ')}`;
+  }
+
+  if (typeof rule.value !== 'number' || !isFinite(rule.value)) {
+    return `${path}.value must be a number`;
+  }
+
+  const unknownKeys = keys.filter(key => !['fact', 'params', 'operator', 'value'].includes(key));
+  if (unknownKeys.length > 0) {
+    return `${path} has unknown field "${unknownKeys[0]}"`;
+  }
+
+  if (rule.params !== undefined) {
+    if (!isPlainObject(rule.params)) {
+      return `${path}.params must be an object`;
+    }
+    for (const [name, value] of Object.entries(rule.params)) {
+      if (!fact.params.includes(name)) {
+        return `${path}.params.${name} is not supported by fact "${rule.fact}"`;
+      }
+      if (!PARAM_VALIDATORS[name](value)) {
+        return `${path}.params.${name} is invalid`;
+      }
+    }
+    if (rule.params.within_days !== undefined && rule.params.since !== undefined) {
+      return `${path}.params cannot combine within_days and since`;
+    }
+  }
+
+  const missingParam = (fact.requiredParams || []).find(name => rule.params?.[name] === undefined);
+  if (missingParam) {
+    return `${path}.params.${missingParam} is required by fact "${rule.fact}"`;
+  }
+
+  return null;
+}
+
+// Per-user evaluation context; caches fact values for the duration of a check
+function createFactContext(userId, tx = prisma) {
+  const cache = new Map();
+  let user = null;
+  let streak;
+
+  const ctx = {
+    userId,
+    tx,
+    async getUser() {
+      if (!user) {
+        user = await tx.user.findUnique({ where: { id: userId } });
+      }
+      return user;
+    },
+    async getStreak() {
+      if (streak === undefined) {
+        streak = await tx.userStreak.findUnique({ where: { userId } });
+      }
+      return streak;
+    },
+    async getFact(name, params = {}) {
+      const key = `${name}:${JSON.stringify(params)}`;
+      if (!cache.has(key)) {
+        cache.set(key, await FACTS[name].resolve(ctx, params));
+      }
+      return cache.get(key);
+    },
+    // Forget cached values after the user's state has changed
+    reset() {
+      cache.clear();
+      user = null;
+      streak = undefined;
+    }
+  };
+
+  return ctx;
+}
+
+// Team evaluation context. Facts filter on `userId: ctx.userId`, so matching
+// every member resolves them for the whole team; experience_points becomes the
+// members' combined XP.
+function createTeamFactContext(memberIds, tx = prisma) {
+  const ctx = createFactContext({ in: memberIds }, tx);
+
+  ctx.getUser = async () => {
+    const result = await tx.user.aggregate({
+      where: { id: { in: memberIds } },
+      _sum: { experiencePoints: true }
+    });
+    return { experiencePoints: result._sum.experiencePoints || 0 };
+  };
+
+  return ctx;
+}
+
+// Evaluate a validated rule tree against a fact context
+async function evaluateRule(rule, ctx) {
+  if (rule.all) {
+    for (const child of rule.all) {
+      if (!(await evaluateRule(child, ctx))) return false;
+    }
+    return true;
+  }
+
+  if (rule.any) {
+    for (const child of rule.any) {
+      if (await evaluateRule(child, ctx)) return true;
+    }
+    return false;
+  }
+
+  if (rule.not) {
+    return !(await evaluateRule(rule.not, ctx));
+  }
+
+  const actual = await ctx.getFact(rule.fact, rule.params || {});
+  return OPERATORS[rule.operator](actual, rule.value);
+}
+
+module.exports = {
+  MAX_WINDOW_DAYS,
+  FACTS,
+  OPERATORS,
+  validateRule,
+  createFactContext,
+  createTeamFactContext,
+  evaluateRule
+};
@@ -0,0 +1,202 @@
+const { prisma } = require('../config/database');
+const { grantExperience } = require('./experienceService');
+const { awardBadge } = require('./badgeService');
+const { snapshotProgress, processProgression, emitProgressEvents } = require('./progression');
+
+// Competitive seasons.
+//
+// While a season runs, every XP grant also adds to the user's season score
+// (see grantExperience). Once the season has ended it is finalized: active
+// users are ranked by score (ties go to whoever reached the score first), the
+// standings are archived, placement rewards are paid out and the scores are
+// dropped so nothing carries over into the next season.
+
+const STANDING_USER_SELECT = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatarUrl: true,
+  currentLevel: true
+};
+
+// Season running at `now`, if any
+async function getCurrentSeason(tx = prisma, now = new Date()) {
+  return tx.season.findFirst({
+    where: { startsAt: { lte: now }, endsAt: { gt: now }, finalizedAt: null },
+    include: { rewards: { orderBy: { rankFrom: 'asc' } } }
+  });
+}
+
+// --- Helper: Placement reward covering a rank ---
+function rewardForRank(rewards, rank) {
+  return rewards.find(reward => rank >= reward.rankFrom && rank <= reward.rankTo) || null;
+}
+
+// Archive a season's final standings, pay out placement rewards and drop the
+// season scores. Returns the standings that received a reward.
+async function finalizeSeason(seasonId) {
+  return prisma.$transaction(async (tx) => {
+    const season = await tx.season.findUnique({
+      where: { id: seasonId },
+      include: { rewards: { include: { badge: true } } }
+    });
+    if (!season || season.finalizedAt) return [];
+
+    // Claim the season first so a concurrent run finalizes nothing
+    const claimed = await tx.season.updateMany({
+      where: { id: seasonId, finalizedAt: null },
+      data: { finalizedAt: new Date() }
+    });
+    if (claimed.count === 0) return [];
+
+    const scores = await tx.seasonScore.findMany({
+      where: { seasonId, user: { isActive: true } },
+      orderBy: [{ score: 'desc' }, { updatedAt: 'asc' }],
+      select: { userId: true, score: true }
+    });
+
+    const standings = scores.map((score, index) => {
+      const rank = index + 1;
+      const reward = rewardForRank(season.rewards, rank);
+
+      return {
+        seasonId,
+        userId: score.userId,
+        rank,
+        score: score.score,
+        experienceAwarded: reward ? reward.experienceReward : 0,
+        badgeAwardedId: reward && reward.badge ? reward.badge.id : null
+      };
+    });
+
+    // One insert for the whole archive, however many users scored
+    await tx.seasonStanding.createMany({ data: standings });
+
+    const rewarded = [];
+
+    // Only the ranks covered by a placement reward have anything to pay out
+    const lastRewardedRank = Math.max(0, ...season.rewards.map(reward => reward.rankTo));
+
+    for (const standing of standings.slice(0, lastRewardedRank)) {
+      const reward = rewardForRank(season.rewards, standing.rank);
+      if (!reward) continue;
+
+      const snapshot = await snapshotProgress(standing.userId, tx);
+
+      // Rewards are paid after the season and must not count toward the next one
+      await grantExperience(standing.userId, reward.experienceReward, {
+        activityType: 'season_placement',
+        activityId: seasonId,
+        countsTowardSeason: false
+      }, tx);
+
+      if (reward.badge) {
+        await awardBadge(standing.userId, reward.badge, {
+          activityType: 'season_placement_badge',
+          countsTowardSeason: false
+        }, tx);
+      }
+
+      // Placement rewards can level the user up and unlock further rewards,
+      // none of which count toward the next season either
+      const progress = await processProgression(standing.userId, tx, snapshot, { countsTowardSeason: false });
+
+      rewarded.push({ ...standing, season, badge: reward.badge, progress });
+    }
+
+    await tx.seasonScore.deleteMany({ where: { seasonId } });
+
+    return rewarded;
+  }, { timeout: 60000 });
+}
+
+// Finalize every season that has ended and notify rewarded users
+async function finalizeEndedSeasons(io = null, now = new Date()) {
+  const seasons = await prisma.season.findMany({
+    where: { endsAt: { lte: now }, finalizedAt: null },
+    select: { id: true }
+  });
+
+  for (const season of seasons) {
+    const rewarded = await finalizeSeason(season.id);
+    emitPlacementEvents(io, rewarded);
+  }
+
+  return seasons.length;
+}
+
+// Notify each rewarded user's socket room about their final placement and what it unlocked
+function emitPlacementEvents(io, rewarded) {
+  if (!io) return;
+
+  rewarded.forEach(standing => {
+    io.to(`user-${standing.userId}`).emit('season-placement', {
+      season: { id: standing.season.id, name: standing.season.name },
+      rank: standing.rank,
+      score: standing.score,
+      experienceAwarded: standing.experienceAwarded,
+      badgeAwarded: standing.badge ? { id: standing.badge.id, name: standing.badge.name } : null
+    });
+
+    emitProgressEvents(io, standing.userId, standing.progress);
+  });
+}
+
+// API representation of a season
+function formatSeason(season, now = new Date()) {
+  let status = 'live';
+  if (season.finalizedAt) status = 'finalized';
+  else if (season.startsAt > now) status = 'upcoming';
+  else if (season.endsAt <= now) status = 'ended';
+
+  return {
+    id: season.id,
+    name: season.name,
+    description: season.description,
+    starts_at: season.startsAt,
+    ends_at: season.endsAt,
+    finalized_at: season.finalizedAt,
+    status,
+    rewards: season.rewards
+      ? season.rewards.map(reward => ({
+        rank_from: reward.rankFrom,
+        rank_to: reward.rankTo,
+        experience_reward: reward.experienceReward,
+        badge_id: reward.badgeId
+      }))
+      : undefined,
+    created_at: season.createdAt,
+    updated_at: season.updatedAt
+  };
+}
+
+// API representation of a ranked standing (live or archived); archived
+// standings carry the placement rewards were paid out by
+function formatStanding(standing) {
+  return {
+    rank: standing.rank,
+    id: standing.user.id,
+    username: standing.user.username,
+    first_name: standing.user.firstName,
+    last_name: standing.user.lastName,
+    avatar_url: standing.user.avatarUrl,
+    current_level: standing.user.currentLevel,
+    season_score: standing.score,
+    ...(standing.placement !== undefined && {
+      placement: standing.placement,
+      experience_awarded: standing.experienceAwarded,
+      badge_awarded_id: standing.badgeAwardedId
+    })
+  };
+}
+
+module.exports = {
+  STANDING_USER_SELECT,
+  getCurrentSeason,
+  finalizeSeason,
+  finalizeEndedSeasons,
+  emitPlacementEvents,
+  formatSeason,
+  formatStanding
+};
@@ -0,0 +1,237 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+// Social graph.
+//
+// Friendships are mutual and need the addressee to accept a request; follows
+// are one-way and need no approval. A user's network - what friends-scoped
+// leaderboards and the friends activity feed cover - is the user, their
+// accepted friends and the users they follow. Blocking ends every friendship,
+// request and follow between two users and prevents new ones.
+
+const SOCIAL_USER_SELECT = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatarUrl: true,
+  currentLevel: true
+};
+
+// --- Helper: Where clause matching a friendship between two users in either direction ---
+function friendshipBetween(userId, otherId) {
+  return {
+    OR: [
+      { requesterId: userId, addresseeId: otherId },
+      { requesterId: otherId, addresseeId: userId }
+    ]
+  };
+}
+
+// Friendship or pending request between two users, if any
+async function findFriendship(userId, otherId, tx = prisma) {
+  return tx.friendship.findFirst({ where: friendshipBetween(userId, otherId) });
+}
+
+// Whether either user has blocked the other
+async function isBlocked(userId, otherId, tx = prisma) {
+  const block = await tx.userBlock.findFirst({
+    where: {
+      OR: [
+        { blockerId: userId, blockedId: otherId },
+        { blockerId: otherId, blockedId: userId }
+      ]
+    }
+  });
+  return Boolean(block);
+}
+
+// Send a friend request. A pending request the other way round is accepted
+// instead. Returns { error } or { friendship, accepted }.
+async function sendFriendRequest(userId, otherId, tx = prisma) {
+  if (await isBlocked(userId, otherId, tx)) {
+    return { error: 'You cannot befriend this user' };
+  }
+
+  const existing = await findFriendship(userId, otherId, tx);
+
+  if (existing && existing.status === 'accepted') {
+    return { error: 'You are already friends' };
+  }
+  if (existing && existing.requesterId === userId) {
+    return { error: 'Friend request already sent' };
+  }
+  if (existing) {
+    const friendship = await tx.friendship.update({
+      where: { id: existing.id },
+      data: { status: 'accepted', respondedAt: new Date() }
+    });
+    return { friendship, accepted: true };
+  }
+
+  const friendship = await tx.friendship.create({
+    data: { requesterId: userId, addresseeId: otherId }
+  });
+  return { friendship, accepted: false };
+}
+
+// Block a user, ending every friendship, request and follow between the two
+async function blockUser(userId, otherId, tx = prisma) {
+  await tx.friendship.deleteMany({ where: friendshipBetween(userId, otherId) });
+  await tx.userFollow.deleteMany({
+    where: {
+      OR: [
+        { followerId: userId, followingId: otherId },
+        { followerId: otherId, followingId: userId }
+      ]
+    }
+  });
+
+  return tx.userBlock.upsert({
+    where: { blockerId_blockedId: { blockerId: userId, blockedId: otherId } },
+    create: { blockerId: userId, blockedId: otherId },
+    update: {}
+  });
+}
+
+// IDs of a user's accepted friends
+async function getFriendIds(userId, tx = prisma) {
+  const friendships = await tx.friendship.findMany({
+    where: {
+      status: 'accepted',
+      OR: [{ requesterId: userId }, { addresseeId: userId }]
+    },
+    select: { requesterId: true, addresseeId: true }
+  });
+
+  return friendships.map(f => (f.requesterId === userId ? f.addresseeId : f.requesterId));
+}
+
+// IDs of everyone in a user's network except the user
+async function getNetworkIds(userId, tx = prisma) {
+  const [friendIds, follows] = await Promise.all([
+    getFriendIds(userId, tx),
+    tx.userFollow.findMany({ where: { followerId: userId }, select: { followingId: true } })
+  ]);
+
+  return [...new Set([...friendIds, ...follows.map(f => f.followingId)])];
+}
+
+// Subquery of the user IDs in a user's network, including the user
+function networkIdsSql(userId) {
+  return Prisma.sql`
+    SELECT ${userId}::int
+    UNION
+    SELECT CASE WHEN f.requester_id = ${userId} THEN f.addressee_id ELSE f.requester_id END
+    FROM friendships f
+    WHERE f.status = 'accepted' AND (f.requester_id = ${userId} OR f.addressee_id = ${userId})
+    UNION
+    SELECT uf.following_id FROM user_follows uf WHERE uf.follower_id = ${userId}`;
+}
+
+// Recent activity completions, badges, achievements and level-ups of a user's
+// network (without the user), newest first
+async function getNetworkActivity(userId, { limit = 20, before = null } = {}) {
+  const networkIds = await getNetworkIds(userId);
+  if (networkIds.length === 0) return [];
+
+  const window = before ? { lt: before } : undefined;
+  const user = { select: SOCIAL_USER_SELECT };
+
+  const [completions, badges, achievements, levelUps] = await Promise.all([
+    prisma.userActivity.findMany({
+      where: { userId: { in: networkIds }, completedAt: window },
+      include: { user, activity: { select: { id: true, name: true } } },
+      orderBy: { completedAt: 'desc' },
+      take: limit
+    }),
+    prisma.userBadge.findMany({
+      where: { userId: { in: networkIds }, awardedAt: window },
+      include: { user, badge: { select: { id: true, name: true, imageUrl: true, rarity: true } } },
+      orderBy: { awardedAt: 'desc' },
+      take: limit
+    }),
+    prisma.userAchievement.findMany({
+      where: { userId: { in: networkIds }, unlockedAt: window },
+      include: { user, achievement: { select: { id: true, name: true, iconUrl: true } } },
+      orderBy: { unlockedAt: 'desc' },
+      take: limit
+    }),
+    prisma.experienceLog.findMany({
+      where: { userId: { in: networkIds }, activityType: 'level_up', createdAt: window },
+      include: { user },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    })
+  ]);
+
+  return [
+    ...completions.map(c => ({
+      type: 'activity_completed',
+      occurred_at: c.completedAt,
+      user: formatSocialUser(c.user),
+      activity: c.activity,
+      experience_gained: c.experienceGained
+    })),
+    ...badges.map(b => ({
+      type: 'badge_earned',
+      occurred_at: b.awardedAt,
+      user: formatSocialUser(b.user),
+      badge: { id: b.badge.id, name: b.badge.name, image_url: b.badge.imageUrl, rarity: b.badge.rarity }
+    })),
+    ...achievements.map(a => ({
+      type: 'achievement_unlocked',
+      occurred_at: a.unlockedAt,
+      user: formatSocialUser(a.user),
+      achievement: { id: a.achievement.id, name: a.achievement.name, icon_url: a.achievement.iconUrl }
+    })),
+    ...levelUps.map(l => ({
+      type: 'level_up',
+      occurred_at: l.createdAt,
+      user: formatSocialUser(l.user),
+      new_level: l.newLevel
+    }))
+  ]
+    .sort((a, b) => b.occurred_at - a.occurred_at)
+    .slice(0, limit);
+}
+
+// API representation of a user in social lists
+function formatSocialUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    first_name: user.firstName,
+    last_name: user.lastName,
+    avatar_url: user.avatarUrl,
+    current_level: user.currentLevel
+  };
+}
+
+// API representation of a friendship or friend request
+function formatFriendship(friendship) {
+  return {
+    id: friendship.id,
+    requester_id: friendship.requesterId,
+    addressee_id: friendship.addresseeId,
+    status: friendship.status,
+    created_at: friendship.createdAt,
+    responded_at: friendship.respondedAt,
+    ...(friendship.requester && { requester: formatSocialUser(friendship.requester) }),
+    ...(friendship.addressee && { addressee: formatSocialUser(friendship.addressee) })
+  };
+}
+
+module.exports = {
+  SOCIAL_USER_SELECT,
+  findFriendship,
+  isBlocked,
+  sendFriendRequest,
+  blockUser,
+  getFriendIds,
+  getNetworkIds,
+  networkIdsSql,
+  getNetworkActivity,
+  formatSocialUser,
+  formatFriendship
+};
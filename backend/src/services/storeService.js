@@ -0,0 +1,226 @@
+const { prisma } = require('../config/database');
+const { debitCurrency, refundTransaction, emitWalletUpdate } = require('./walletService');
+
+// Reward store.
+//
+// Users spend wallet currency on catalog items. An item can have a limited
+// stock, a per-user purchase limit and a minimum level. A redemption is paid
+// when it is made and starts out pending; an admin then fulfils it once the
+// reward has been handed out, or rejects it, which refunds the price through
+// the wallet ledger and returns the item to stock. Rejected redemptions do not
+// count toward the per-user limit.
+
+const REDEMPTION_STATUSES = ['pending', 'fulfilled', 'rejected'];
+
+// --- Helper: A user's redemptions of each item that count toward its limit ---
+async function countRedemptions(userId, itemIds, tx = prisma) {
+  const counts = await tx.storeRedemption.groupBy({
+    by: ['itemId'],
+    where: { userId, itemId: { in: itemIds }, status: { not: 'rejected' } },
+    _count: { id: true }
+  });
+
+  return new Map(counts.map(count => [count.itemId, count._count.id]));
+}
+
+// Why a user cannot redeem an item right now, or null when they can.
+// `user` needs currentLevel and currencyBalance; `redeemed` is the user's
+// count of non-rejected redemptions of the item.
+function getRedeemBlock(item, user, redeemed) {
+  if (!item.isActive) return 'unavailable';
+  if (item.stock !== null && item.stock <= 0) return 'out_of_stock';
+  if (item.minLevel && user.currentLevel < item.minLevel) return 'level_too_low';
+  if (item.maxPerUser && redeemed >= item.maxPerUser) return 'limit_reached';
+  if (user.currencyBalance < item.price) return 'insufficient_funds';
+  return null;
+}
+
+// Catalog items, cheapest first. With a userId, each item carries the user's
+// redemption count and whether they can redeem it.
+async function getCatalog(userId = null, { includeInactive = false } = {}) {
+  const items = await prisma.storeItem.findMany({
+    where: includeInactive ? {} : { isActive: true },
+    orderBy: [{ price: 'asc' }, { name: 'asc' }]
+  });
+
+  if (!userId) return items.map(item => formatStoreItem(item));
+
+  const [user, redeemed] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { currentLevel: true, currencyBalance: true }
+    }),
+    countRedemptions(userId, items.map(item => item.id))
+  ]);
+
+  return items.map(item => formatStoreItem(item, { user, redeemed: redeemed.get(item.id) || 0 }));
+}
+
+// Buy an item: take one unit of stock, debit the price and record a pending
+// redemption, all in one transaction.
+// Returns { error, item, balance } when the user cannot redeem the item,
+// otherwise { redemption, transaction, balance } (transaction is null for
+// free items).
+async function redeemItem(userId, itemId) {
+  return prisma.$transaction(async (tx) => {
+    // Lock the buyer's row so their redemptions run one at a time and the
+    // per-user limit and balance checks below hold until commit
+    await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+
+    const [item, user, redeemed] = await Promise.all([
+      tx.storeItem.findUnique({ where: { id: itemId } }),
+      tx.user.findUnique({
+        where: { id: userId },
+        select: { currentLevel: true, currencyBalance: true }
+      }),
+      countRedemptions(userId, [itemId], tx)
+    ]);
+
+    if (!item) return { error: 'not_found' };
+
+    const block = getRedeemBlock(item, user, redeemed.get(itemId) || 0);
+    if (block) return { error: block, item, balance: user.currencyBalance };
+
+    // Claim a unit; other buyers may have taken the last one since the read
+    if (item.stock !== null) {
+      const claimed = await tx.storeItem.updateMany({
+        where: { id: item.id, stock: { gt: 0 } },
+        data: { stock: { decrement: 1 } }
+      });
+      if (claimed.count === 0) return { error: 'out_of_stock', item, balance: user.currencyBalance };
+    }
+
+    const redemption = await tx.storeRedemption.create({
+      data: { userId, itemId: item.id, price: item.price }
+    });
+
+    if (item.price === 0) {
+      return { redemption: { ...redemption, item }, transaction: null, balance: user.currencyBalance };
+    }
+
+    // Cannot fail: the balance was checked under the row lock
+    const payment = await debitCurrency(userId, item.price, {
+      source: 'store_redemption',
+      sourceId: redemption.id
+    }, tx);
+    if (payment.error) throw new Error('Balance changed during store redemption');
+
+    const paid = await tx.storeRedemption.update({
+      where: { id: redemption.id },
+      data: { transactionId: payment.transaction.id },
+      include: { item: true }
+    });
+
+    return { redemption: paid, transaction: payment.transaction, balance: payment.transaction.balanceAfter };
+  });
+}
+
+// Fulfil or reject a pending redemption. Rejecting refunds the price and
+// returns the item to stock.
+// Returns { error: 'not_pending' } when it was already decided, otherwise
+// { redemption, refund } (refund is the ledger entry, or null).
+async function decideRedemption(redemptionId, status, { note = null, decidedBy }) {
+  return prisma.$transaction(async (tx) => {
+    // Claim the redemption so it is decided only once
+    const claimed = await tx.storeRedemption.updateMany({
+      where: { id: redemptionId, status: 'pending' },
+      data: { status, note, decidedById: decidedBy, decidedAt: new Date() }
+    });
+    if (claimed.count === 0) return { error: 'not_pending' };
+
+    const redemption = await tx.storeRedemption.findUnique({
+      where: { id: redemptionId },
+      include: { item: true }
+    });
+
+    let refund = null;
+
+    if (status === 'rejected') {
+      if (redemption.transactionId) {
+        const result = await refundTransaction(redemption.transactionId, {
+          reason: note || 'Store redemption rejected',
+          createdBy: decidedBy
+        }, tx);
+
+        // Cannot fail: a redemption is rejected at most once, and nothing else refunds its payment
+        if (result.error) {
+          throw new Error(`Could not refund store redemption ${redemptionId}: ${result.error}`);
+        }
+        refund = result.transaction;
+      }
+
+      await tx.storeItem.updateMany({
+        where: { id: redemption.itemId, stock: { not: null } },
+        data: { stock: { increment: 1 } }
+      });
+    }
+
+    return { redemption, refund };
+  });
+}
+
+// Notify the buyer that an admin decided their redemption
+function emitRedemptionEvents(io, { redemption, refund }) {
+  if (!io) return;
+
+  io.to(`user-${redemption.userId}`).emit('redemption-updated', formatRedemption(redemption));
+  if (refund) emitWalletUpdate(io, refund);
+}
+
+// API representation of a catalog item. `viewer` ({ user, redeemed }) adds
+// the signed-in user's standing with the item.
+function formatStoreItem(item, viewer = null) {
+  const formatted = {
+    id: item.id,
+    name: item.name,
+    description: item.description,
+    image_url: item.imageUrl,
+    price: item.price,
+    stock: item.stock,
+    max_per_user: item.maxPerUser,
+    min_level: item.minLevel,
+    is_active: item.isActive,
+    created_at: item.createdAt,
+    updated_at: item.updatedAt
+  };
+
+  if (viewer) {
+    const block = getRedeemBlock(item, viewer.user, viewer.redeemed);
+    formatted.redeemed_count = viewer.redeemed;
+    formatted.can_redeem = block === null;
+    formatted.blocked_reason = block;
+  }
+
+  return formatted;
+}
+
+// API representation of a redemption
+function formatRedemption(redemption) {
+  return {
+    id: redemption.id,
+    user_id: redemption.userId,
+    username: redemption.user ? redemption.user.username : undefined,
+    item_id: redemption.itemId,
+    item: redemption.item
+      ? { id: redemption.item.id, name: redemption.item.name, image_url: redemption.item.imageUrl }
+      : undefined,
+    price: redemption.price,
+    status: redemption.status,
+    transaction_id: redemption.transactionId,
+    note: redemption.note,
+    decided_by_id: redemption.decidedById,
+    decided_at: redemption.decidedAt,
+    created_at: redemption.createdAt
+  };
+}
+
+module.exports = {
+  REDEMPTION_STATUSES,
+  getRedeemBlock,
+  getCatalog,
+  redeemItem,
+  decideRedemption,
+  emitRedemptionEvents,
+  formatStoreItem,
+  formatRedemption
+};
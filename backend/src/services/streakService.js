@@ -0,0 +1,168 @@
+const { prisma } = require('../config/database');
+
+// Daily streaks.
+//
+// A day qualifies when the user logs in or completes an activity that counts
+// toward streaks. Days are calendar days in STREAK_TIMEZONE (IANA name,
+// default UTC). Missing days break the streak unless the user holds enough
+// streak freezes to cover every missed day; covering freezes are consumed
+// on the next qualifying day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dayFormatter = null;
+
+// --- Helper: Formatter producing YYYY-MM-DD in the streak timezone ---
+function getDayFormatter() {
+  if (!dayFormatter) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    try {
+      dayFormatter = new Intl.DateTimeFormat('en-CA', { ...options, timeZone: getStreakTimezone() });
+    } catch (error) {
+      console.warn(`Invalid STREAK_TIMEZONE "${process.env.STREAK_TIMEZONE}", falling back to UTC`);
+      dayFormatter = new Intl.DateTimeFormat('en-CA', { ...options, timeZone: 'UTC' });
+    }
+  }
+  return dayFormatter;
+}
+
+function getStreakTimezone() {
+  return process.env.STREAK_TIMEZONE || 'UTC';
+}
+
+// Calendar day (in the streak timezone) containing a date, as UTC midnight.
+// This matches how Prisma returns @db.Date columns.
+function toStreakDay(date = new Date()) {
+  return new Date(`${getDayFormatter().format(date)}T00:00:00Z`);
+}
+
+// --- Helper: Whole days from one streak day to another ---
+function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+// Streak as it stands at `now` without recording anything: a streak whose
+// missed days can't be covered by the available freezes counts as 0.
+function getStreakStatus(streak, now = new Date()) {
+  const today = toStreakDay(now);
+
+  if (!streak || !streak.lastQualifyingDate) {
+    return {
+      currentStreak: 0,
+      longestStreak: streak ? streak.longestStreak : 0,
+      lastQualifyingDate: null,
+      qualifiedToday: false,
+      freezesAvailable: streak ? streak.freezesAvailable : 0,
+      freezesUsed: streak ? streak.freezesUsed : 0,
+      freezesNeeded: 0
+    };
+  }
+
+  const missedDays = Math.max(daysBetween(streak.lastQualifyingDate, today) - 1, 0);
+  const alive = missedDays <= streak.freezesAvailable;
+
+  return {
+    currentStreak: alive ? streak.currentStreak : 0,
+    longestStreak: streak.longestStreak,
+    lastQualifyingDate: streak.lastQualifyingDate,
+    qualifiedToday: daysBetween(streak.lastQualifyingDate, today) === 0,
+    freezesAvailable: streak.freezesAvailable,
+    freezesUsed: streak.freezesUsed,
+    freezesNeeded: alive ? missedDays : 0
+  };
+}
+
+// Record a qualifying day for a user. Repeated calls on the same day are no-ops.
+// Returns the updated streak with `extended` (first qualifying event today),
+// `freezesConsumed` and `broken` (an earlier streak was lost).
+async function recordQualifyingDay(userId, tx = prisma, now = new Date()) {
+  const today = toStreakDay(now);
+  const streak = await tx.userStreak.findUnique({ where: { userId } });
+
+  if (streak && streak.lastQualifyingDate && daysBetween(streak.lastQualifyingDate, today) <= 0) {
+    return { ...streak, extended: false, freezesConsumed: 0, broken: false };
+  }
+
+  let currentStreak = 1;
+  let freezesConsumed = 0;
+  let broken = false;
+
+  if (streak && streak.lastQualifyingDate) {
+    const missedDays = daysBetween(streak.lastQualifyingDate, today) - 1;
+
+    if (missedDays <= streak.freezesAvailable) {
+      currentStreak = streak.currentStreak + 1;
+      freezesConsumed = missedDays;
+    } else {
+      broken = streak.currentStreak > 0;
+    }
+  }
+
+  const longestStreak = Math.max(currentStreak, streak ? streak.longestStreak : 0);
+
+  const updated = await tx.userStreak.upsert({
+    where: { userId },
+    create: {
+      userId,
+      currentStreak,
+      longestStreak,
+      lastQualifyingDate: today
+    },
+    update: {
+      currentStreak,
+      longestStreak,
+      lastQualifyingDate: today,
+      freezesAvailable: { decrement: freezesConsumed },
+      freezesUsed: { increment: freezesConsumed }
+    }
+  });
+
+  return { ...updated, extended: true, freezesConsumed, broken };
+}
+
+// Give a user streak freezes; returns the updated streak row
+async function grantStreakFreezes(userId, amount, tx = prisma) {
+  return tx.userStreak.upsert({
+    where: { userId },
+    create: { userId, freezesAvailable: amount },
+    update: { freezesAvailable: { increment: amount } }
+  });
+}
+
+// API representation of a streak row
+function formatStreak(streak, now = new Date()) {
+  const status = getStreakStatus(streak, now);
+
+  return {
+    current_streak: status.currentStreak,
+    longest_streak: status.longestStreak,
+    last_qualifying_date: status.lastQualifyingDate ? status.lastQualifyingDate.toISOString().slice(0, 10) : null,
+    qualified_today: status.qualifiedToday,
+    freezes_available: status.freezesAvailable,
+    freezes_used: status.freezesUsed,
+    freezes_needed: status.freezesNeeded,
+    timezone: getStreakTimezone()
+  };
+}
+
+// Notify the user's socket room when a qualifying day extended or restarted their streak
+function emitStreakEvents(io, userId, streak) {
+  if (!io || !streak || !streak.extended) return;
+
+  io.to(`user-${userId}`).emit('streak-updated', {
+    currentStreak: streak.currentStreak,
+    longestStreak: streak.longestStreak,
+    freezesConsumed: streak.freezesConsumed,
+    broken: streak.broken
+  });
+}
+
+module.exports = {
+  getStreakTimezone,
+  toStreakDay,
+  getStreakStatus,
+  recordQualifyingDay,
+  grantStreakFreezes,
+  formatStreak,
+  emitStreakEvents
+};
@@ -0,0 +1,258 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { createTeamFactContext } = require('./rulesEngine');
+const { meetsCriteria } = require('./criteriaTypes');
+const { grantExperience } = require('./experienceService');
+const { creditCurrency } = require('./walletService');
+const { awardBadge } = require('./badgeService');
+const { availableNowWhere, getAvailability } = require('./availability');
+const { snapshotProgress, processProgression, emitProgressEvents } = require('./progression');
+
+// Teams (departments, guilds, ...).
+//
+// A user belongs to at most one team; joining another team moves them. Each
+// team has at most one captain, who can manage its join requests and members.
+// Team stats and team-scoped achievements only count active members. When a
+// team unlocks an achievement every active member receives its XP and badge.
+
+const TEAM_ROLES = ['member', 'captain'];
+
+const TEAM_MEMBER_USER_SELECT = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatarUrl: true,
+  experiencePoints: true,
+  currentLevel: true,
+  totalBadges: true
+};
+
+const EMPTY_STATS = {
+  member_count: 0,
+  total_experience: 0,
+  average_experience: 0,
+  total_badges: 0
+};
+
+// Aggregate stats of active members, by team ID
+async function getTeamStats(teamIds) {
+  if (teamIds.length === 0) return new Map();
+
+  const rows = await prisma.$queryRaw`
+    SELECT tm.team_id,
+           COUNT(u.id)::int AS member_count,
+           COALESCE(SUM(u.experience_points), 0)::int AS total_experience,
+           COALESCE(ROUND(AVG(u.experience_points)), 0)::int AS average_experience,
+           COALESCE(SUM(u.total_badges), 0)::int AS total_badges
+    FROM team_members tm
+    JOIN users u ON u.id = tm.user_id AND u.is_active = true
+    WHERE tm.team_id IN (${Prisma.join(teamIds)})
+    GROUP BY tm.team_id`;
+  const statsByTeam = new Map(rows.map(({ team_id: teamId, ...stats }) => [teamId, stats]));
+
+  return new Map(teamIds.map(id => [id, statsByTeam.get(id) || EMPTY_STATS]));
+}
+
+// Whether a user may manage a team's members and join requests (admins and the team's captain)
+async function canManageTeam(user, teamId, tx = prisma) {
+  if (user.isAdmin) return true;
+
+  const membership = await tx.teamMember.findUnique({ where: { userId: user.id } });
+  return Boolean(membership && membership.teamId === teamId && membership.role === 'captain');
+}
+
+// Put a user on a team, moving them off any other team. A new captain replaces
+// the team's current one, who stays on as a member. Pending join requests of
+// the user are closed.
+async function assignMember(teamId, userId, role = 'member', tx = prisma) {
+  if (role === 'captain') {
+    await tx.teamMember.updateMany({
+      where: { teamId, role: 'captain', userId: { not: userId } },
+      data: { role: 'member' }
+    });
+  }
+
+  const existing = await tx.teamMember.findUnique({ where: { userId } });
+  const membership = existing && existing.teamId === teamId
+    ? await tx.teamMember.update({ where: { userId }, data: { role } })
+    : await tx.teamMember.upsert({
+      where: { userId },
+      create: { teamId, userId, role },
+      update: { teamId, role, joinedAt: new Date() }
+    });
+
+  await tx.teamJoinRequest.updateMany({
+    where: { userId, status: 'pending' },
+    data: { status: 'cancelled', decidedAt: new Date() }
+  });
+
+  return membership;
+}
+
+// Unlock every active, currently available team-scoped achievement whose
+// criteria the team's active members now meet together, rewarding each member.
+// Returns { team, achievements, rewarded: [{ userId, progress }] }.
+async function checkTeamAchievements(teamId) {
+  return prisma.$transaction(async (tx) => {
+    const team = await tx.team.findUnique({
+      where: { id: teamId },
+      include: {
+        members: { where: { user: { isActive: true } }, select: { userId: true } },
+        teamAchievements: { select: { achievementId: true } }
+      }
+    });
+    if (!team || !team.isActive || team.members.length === 0) {
+      return { team, achievements: [], rewarded: [] };
+    }
+
+    const now = new Date();
+    const candidates = await tx.achievement.findMany({
+      where: {
+        isActive: true,
+        scope: 'team',
+        id: { notIn: team.teamAchievements.map(ta => ta.achievementId) },
+        ...availableNowWhere(now)
+      },
+      include: { badgeReward: true }
+    });
+
+    const memberIds = team.members.map(member => member.userId);
+    const ctx = createTeamFactContext(memberIds, tx);
+    const achievements = [];
+
+    for (const achievement of candidates) {
+      if (!getAvailability(achievement, now).available) continue;
+      if (!(await meetsCriteria(achievement, ctx))) continue;
+
+      await tx.teamAchievement.create({
+        data: { teamId, achievementId: achievement.id }
+      });
+      achievements.push(achievement);
+    }
+
+    if (achievements.length === 0) return { team, achievements, rewarded: [] };
+
+    const rewarded = [];
+
+    for (const userId of memberIds) {
+      const snapshot = await snapshotProgress(userId, tx);
+
+      for (const achievement of achievements) {
+        await grantExperience(userId, achievement.experienceReward, {
+          activityType: 'team_achievement_unlock',
+          activityId: achievement.id
+        }, tx);
+        await creditCurrency(userId, achievement.currencyReward, {
+          source: 'team_achievement_unlock',
+          sourceId: achievement.id
+        }, tx);
+
+        if (achievement.badgeReward) {
+          await awardBadge(userId, achievement.badgeReward, { activityType: 'team_achievement_badge_award' }, tx);
+        }
+      }
+
+      // Rewards can level the member up and unlock further rewards
+      const progress = await processProgression(userId, tx, snapshot);
+      rewarded.push({ userId, progress });
+    }
+
+    return { team, achievements, rewarded };
+  }, { timeout: 60000 });
+}
+
+// Check team achievements of every active team and notify rewarded members
+async function checkAllTeamAchievements(io = null) {
+  const teams = await prisma.team.findMany({
+    where: { isActive: true, members: { some: {} } },
+    select: { id: true }
+  });
+
+  let unlocked = 0;
+
+  for (const { id } of teams) {
+    const result = await checkTeamAchievements(id);
+    emitTeamAchievementEvents(io, result);
+    unlocked += result.achievements.length;
+  }
+
+  return unlocked;
+}
+
+// Notify each rewarded member's socket room about the team's new achievements
+function emitTeamAchievementEvents(io, { team, achievements, rewarded }) {
+  if (!io) return;
+
+  rewarded.forEach(({ userId, progress }) => {
+    achievements.forEach(achievement => {
+      io.to(`user-${userId}`).emit('team-achievement-unlocked', {
+        team: { id: team.id, name: team.name },
+        achievement,
+        experienceGained: achievement.experienceReward,
+        message: `Your team unlocked an achievement: ${achievement.name}!`
+      });
+    });
+
+    emitProgressEvents(io, userId, progress);
+  });
+}
+
+// API representation of a team with its stats
+function formatTeam(team, stats = EMPTY_STATS) {
+  return {
+    id: team.id,
+    name: team.name,
+    description: team.description,
+    avatar_url: team.avatarUrl,
+    is_active: team.isActive,
+    stats,
+    created_at: team.createdAt,
+    updated_at: team.updatedAt
+  };
+}
+
+// API representation of a team membership
+function formatMember(member) {
+  return {
+    id: member.user.id,
+    username: member.user.username,
+    first_name: member.user.firstName,
+    last_name: member.user.lastName,
+    avatar_url: member.user.avatarUrl,
+    experience_points: member.user.experiencePoints,
+    current_level: member.user.currentLevel,
+    total_badges: member.user.totalBadges,
+    role: member.role,
+    joined_at: member.joinedAt
+  };
+}
+
+// API representation of a join request
+function formatJoinRequest(request) {
+  return {
+    id: request.id,
+    team_id: request.teamId,
+    user_id: request.userId,
+    username: request.user ? request.user.username : undefined,
+    message: request.message,
+    status: request.status,
+    decided_by_id: request.decidedById,
+    decided_at: request.decidedAt,
+    created_at: request.createdAt
+  };
+}
+
+module.exports = {
+  TEAM_ROLES,
+  TEAM_MEMBER_USER_SELECT,
+  getTeamStats,
+  canManageTeam,
+  assignMember,
+  checkTeamAchievements,
+  checkAllTeamAchievements,
+  emitTeamAchievementEvents,
+  formatTeam,
+  formatMember,
+  formatJoinRequest
+};
@@ -0,0 +1,161 @@
+const { prisma } = require('../config/database');
+
+// Currency wallet.
+//
+// Currency is spendable and kept apart from XP: XP measures progression and
+// only ever grows, while the wallet balance (users.currency_balance) goes up
+// and down. Every balance change is written to the append-only
+// currency_transactions ledger in the same transaction:
+//   earn    rewards from activities, badges, achievements and levels
+//   spend   purchases; never takes the balance below zero
+//   refund  returns a spend entry's amount (at most once per spend)
+//   adjust  manual corrections by an admin, in either direction
+// Debits are a single conditional UPDATE, so concurrent spends cannot
+// overdraw the wallet.
+
+const TRANSACTION_TYPES = ['earn', 'spend', 'refund', 'adjust'];
+
+// --- Helper: Append a ledger entry for a balance change that was just applied ---
+async function recordTransaction(userId, type, amount, details, tx) {
+  const { source, sourceId = null, reason = null, refundOfId = null, createdBy = null } = details;
+
+  const { currencyBalance } = await tx.user.findUnique({
+    where: { id: userId },
+    select: { currencyBalance: true }
+  });
+
+  return tx.currencyTransaction.create({
+    data: {
+      userId,
+      type,
+      amount,
+      balanceAfter: currencyBalance,
+      source,
+      sourceId,
+      reason,
+      refundOfId,
+      createdBy
+    }
+  });
+}
+
+// Credit currency to a user's wallet (`type` is 'earn', 'refund' or 'adjust').
+// Returns the ledger entry, or null for a zero amount.
+async function creditCurrency(userId, amount, { type = 'earn', ...details }, tx = prisma) {
+  if (!amount) return null;
+
+  await tx.user.update({
+    where: { id: userId },
+    data: { currencyBalance: { increment: amount } }
+  });
+
+  return recordTransaction(userId, type, amount, details, tx);
+}
+
+// Debit currency from a user's wallet (`type` is 'spend' or 'adjust').
+// Returns { error: 'insufficient_funds', balance } when the balance is too
+// low, otherwise { transaction }.
+async function debitCurrency(userId, amount, { type = 'spend', ...details }, tx = prisma) {
+  const debited = await tx.user.updateMany({
+    where: { id: userId, currencyBalance: { gte: amount } },
+    data: { currencyBalance: { decrement: amount } }
+  });
+
+  if (debited.count === 0) {
+    const user = await tx.user.findUnique({ where: { id: userId }, select: { currencyBalance: true } });
+    return { error: 'insufficient_funds', balance: user ? user.currencyBalance : 0 };
+  }
+
+  return { transaction: await recordTransaction(userId, type, -amount, details, tx) };
+}
+
+// Return a spend entry's amount to the user, as part of the transaction that
+// undoes the purchase (a rejected store redemption).
+// Returns { error } or { transaction } with the refund entry.
+async function refundTransaction(transactionId, { reason = null, createdBy = null } = {}, tx = prisma) {
+  const spend = await tx.currencyTransaction.findUnique({
+    where: { id: transactionId },
+    include: { refund: true }
+  });
+
+  if (!spend) return { error: 'not_found' };
+  if (spend.type !== 'spend') return { error: 'not_refundable' };
+  if (spend.refund) return { error: 'already_refunded' };
+
+  const transaction = await creditCurrency(spend.userId, -spend.amount, {
+    type: 'refund',
+    source: spend.source,
+    sourceId: spend.sourceId,
+    reason,
+    refundOfId: spend.id,
+    createdBy
+  }, tx);
+
+  return { transaction };
+}
+
+// Manually correct a user's balance by a signed amount.
+// Returns { error, balance } for a debit larger than the balance, otherwise { transaction }.
+async function adjustBalance(userId, amount, { reason, createdBy }) {
+  return prisma.$transaction(async (tx) => {
+    const details = { type: 'adjust', source: 'admin_adjustment', reason, createdBy };
+
+    if (amount < 0) return debitCurrency(userId, -amount, details, tx);
+    return { transaction: await creditCurrency(userId, amount, details, tx) };
+  });
+}
+
+// A user's totals per transaction type
+async function getWalletSummary(userId) {
+  const totals = await prisma.currencyTransaction.groupBy({
+    by: ['type'],
+    where: { userId },
+    _sum: { amount: true },
+    _count: { id: true }
+  });
+
+  return Object.fromEntries(TRANSACTION_TYPES.map(type => {
+    const total = totals.find(t => t.type === type);
+    return [type, {
+      total: total ? total._sum.amount : 0,
+      transactions: total ? total._count.id : 0
+    }];
+  }));
+}
+
+// API representation of a ledger entry
+function formatTransaction(transaction) {
+  return {
+    id: transaction.id,
+    type: transaction.type,
+    amount: transaction.amount,
+    balance_after: transaction.balanceAfter,
+    source: transaction.source,
+    source_id: transaction.sourceId,
+    reason: transaction.reason,
+    refund_of_id: transaction.refundOfId,
+    created_by: transaction.createdBy,
+    created_at: transaction.createdAt
+  };
+}
+
+// Tell the user's socket room about a ledger entry made on their behalf
+function emitWalletUpdate(io, transaction) {
+  if (!io) return;
+
+  io.to(`user-${transaction.userId}`).emit('wallet-updated', {
+    transaction: formatTransaction(transaction),
+    balance: transaction.balanceAfter
+  });
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  creditCurrency,
+  debitCurrency,
+  refundTransaction,
+  adjustBalance,
+  getWalletSummary,
+  formatTransaction,
+  emitWalletUpdate
+};
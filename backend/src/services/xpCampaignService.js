@@ -0,0 +1,113 @@
+const { prisma } = require('../config/database');
+
+// XP multiplier campaigns.
+//
+// A campaign boosts activity XP while it runs, optionally scoped to an
+// activity category, a single activity and a user segment (level range).
+// All matching 'stack' campaigns add their bonuses together (2x and 1.5x
+// make 2.5x). An 'exclusive' campaign never combines with another one; the
+// best of the exclusive campaigns and the stacked total is applied.
+
+const STACKING_MODES = ['stack', 'exclusive'];
+
+// Campaigns running at `now` that apply to a completion of `activity` by a
+// user at `level`
+async function findApplicableCampaigns(activity, level, tx = prisma, now = new Date()) {
+  return tx.xpCampaign.findMany({
+    where: {
+      isActive: true,
+      startsAt: { lte: now },
+      endsAt: { gt: now },
+      AND: [
+        { OR: [{ activityId: null }, { activityId: activity.id }] },
+        { OR: [{ category: null }, ...(activity.category ? [{ category: activity.category }] : [])] },
+        { OR: [{ minLevel: null }, { minLevel: { lte: level } }] },
+        { OR: [{ maxLevel: null }, { maxLevel: { gte: level } }] }
+      ]
+    },
+    orderBy: { id: 'asc' }
+  });
+}
+
+// Boost `baseExperience` by the given campaigns, keeping base and bonus apart
+function applyCampaigns(baseExperience, campaigns) {
+  const stacked = campaigns.filter(campaign => campaign.stacking !== 'exclusive');
+  const exclusive = campaigns.filter(campaign => campaign.stacking === 'exclusive');
+
+  let applied = stacked;
+  let multiplier = 1 + stacked.reduce((sum, campaign) => sum + (campaign.multiplier - 1), 0);
+
+  for (const campaign of exclusive) {
+    if (campaign.multiplier > multiplier) {
+      applied = [campaign];
+      multiplier = campaign.multiplier;
+    }
+  }
+
+  const bonusExperience = baseExperience > 0
+    ? Math.round(baseExperience * multiplier) - baseExperience
+    : 0;
+
+  return {
+    baseExperience,
+    bonusExperience,
+    multiplier: bonusExperience > 0 ? multiplier : 1,
+    campaigns: bonusExperience > 0 ? applied : []
+  };
+}
+
+// Effective XP for a user completing an activity worth `baseExperience`
+async function calculateActivityExperience(userId, activity, baseExperience, tx = prisma, now = new Date()) {
+  if (baseExperience <= 0) return applyCampaigns(baseExperience, []);
+
+  const user = await tx.user.findUnique({ where: { id: userId }, select: { currentLevel: true } });
+  const campaigns = await findApplicableCampaigns(activity, user ? user.currentLevel : 1, tx, now);
+
+  return applyCampaigns(baseExperience, campaigns);
+}
+
+// API representation of an XP breakdown
+function formatExperienceBreakdown(breakdown) {
+  return {
+    base_experience: breakdown.baseExperience,
+    bonus_experience: breakdown.bonusExperience,
+    total_experience: breakdown.baseExperience + breakdown.bonusExperience,
+    multiplier: breakdown.multiplier,
+    campaigns: breakdown.campaigns.map(campaign => ({
+      id: campaign.id,
+      name: campaign.name,
+      multiplier: campaign.multiplier,
+      stacking: campaign.stacking
+    }))
+  };
+}
+
+// API representation of a campaign
+function formatCampaign(campaign, now = new Date()) {
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    description: campaign.description,
+    multiplier: campaign.multiplier,
+    category: campaign.category,
+    activity_id: campaign.activityId,
+    min_level: campaign.minLevel,
+    max_level: campaign.maxLevel,
+    stacking: campaign.stacking,
+    starts_at: campaign.startsAt,
+    ends_at: campaign.endsAt,
+    is_active: campaign.isActive,
+    running: campaign.isActive && campaign.startsAt <= now && campaign.endsAt > now,
+    created_at: campaign.createdAt,
+    updated_at: campaign.updatedAt
+  };
+}
+
+module.exports = {
+  STACKING_MODES,
+  findApplicableCampaigns,
+  applyCampaigns,
+  calculateActivityExperience,
+  formatExperienceBreakdown,
+  formatCampaign
+};
@@ -0,0 +1,93 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { sqltag, raw, join, empty } = require('@prisma/client/runtime/library');
+
+// In-process PostgreSQL (PGlite, in a worker thread) standing in for the
+// database in tests.
+//
+// Services only reach the database through `prisma` from config/database, so
+// tests mock that module with createTestDatabase().prisma. Raw queries run
+// for real; model methods are not available.
+
+// Tables (and the columns of them) the leaderboard queries read
+const SCHEMA = `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY,
+    experience_points INTEGER NOT NULL DEFAULT 0,
+    current_level INTEGER NOT NULL DEFAULT 1,
+    total_badges INTEGER NOT NULL DEFAULT 0,
+    total_achievements INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true
+  );
+  CREATE TABLE user_activities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    completed_at TIMESTAMP NOT NULL DEFAULT now(),
+    experience_gained INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+// The Prisma namespace helpers the services use, as @prisma/client exports them
+const Prisma = { sql: sqltag, raw, join, empty };
+
+function createTestDatabase() {
+  const worker = new Worker(path.join(__dirname, 'pgliteWorker.js'));
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.on('message', ({ id, rows, error }) => {
+    const { resolve, reject } = pending.get(id);
+    pending.delete(id);
+    if (error) reject(new Error(error));
+    else resolve(rows);
+  });
+
+  // Run SQL; without params several statements may be given at once
+  function query(sql, params = null) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, sql, params });
+    });
+  }
+
+  const ready = query(SCHEMA);
+
+  const prisma = {
+    async $queryRaw(strings, ...values) {
+      await ready;
+      const sql = sqltag(strings, ...values);
+      return query(sql.text, sql.values);
+    }
+  };
+
+  return {
+    prisma,
+
+    // Replace the users table with the given rows ({ id, experiencePoints, ... })
+    async setUsers(users) {
+      await ready;
+      await query('DELETE FROM user_activities; DELETE FROM users;');
+      for (const user of users) {
+        await query(
+          `INSERT INTO users (id, experience_points, current_level, total_badges, total_achievements, is_active)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            user.id,
+            user.experiencePoints || 0,
+            user.currentLevel || 1,
+            user.totalBadges || 0,
+            user.totalAchievements || 0,
+            user.isActive !== false
+          ]
+        );
+      }
+    },
+
+    close() {
+      return worker.terminate();
+    }
+  };
+}
+
+module.exports = { Prisma, createTestDatabase };
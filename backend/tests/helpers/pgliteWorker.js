@@ -0,0 +1,15 @@
+const { parentPort } = require('worker_threads');
+const { PGlite } = require('@electric-sql/pglite');
+
+// Runs PGlite outside jest's module sandbox, which cannot load its WASM build.
+// Messages: { id, sql, params } -> { id, rows } or { id, error }.
+const db = new PGlite();
+
+parentPort.on('message', async ({ id, sql, params }) => {
+  try {
+    const rows = params ? (await db.query(sql, params)).rows : (await db.exec(sql), []);
+    parentPort.postMessage({ id, rows });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
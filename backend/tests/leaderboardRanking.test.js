@@ -0,0 +1,156 @@
+jest.mock('@prisma/client', () => ({ Prisma: require('./helpers/database').Prisma }));
+jest.mock('../src/config/database', () => require('./helpers/database').createTestDatabase());
+
+const database = require('../src/config/database');
+const {
+  resolveRankingQuery,
+  encodeCursor,
+  boardScores,
+  rankBoard,
+  getUserRank,
+  rankAround
+} = require('../src/services/leaderboardRanking');
+
+// Badges board: scores 5, 3, 3, 3, 1. The three users tied on 3 badges are
+// ordered by XP (the tiebreak), and users 4 and 2 also tie on XP.
+const USERS = [
+  { id: 1, totalBadges: 5, experiencePoints: 10 },
+  { id: 2, totalBadges: 3, experiencePoints: 50 },
+  { id: 3, totalBadges: 3, experiencePoints: 90 },
+  { id: 4, totalBadges: 3, experiencePoints: 50 },
+  { id: 5, totalBadges: 1, experiencePoints: 500 },
+  { id: 6, totalBadges: 9, experiencePoints: 900, isActive: false }
+];
+
+const ORDER = [1, 3, 2, 4, 5];
+
+function page(query) {
+  const { error, value } = resolveRankingQuery(query);
+  if (error) throw new Error(error);
+  return value;
+}
+
+// Starting PGlite takes a few seconds
+beforeAll(() => database.setUsers(USERS), 60000);
+afterAll(() => database.close());
+
+describe('rankBoard', () => {
+  test.each([
+    ['competition', [1, 2, 2, 2, 5]],
+    ['dense', [1, 2, 2, 2, 3]],
+    ['ordinal', [1, 2, 3, 4, 5]]
+  ])('%s ranks', async (ranking, ranks) => {
+    const result = await rankBoard(boardScores.badges(), page({ ranking, limit: 10 }));
+
+    expect(result.rows.map(row => row.rank)).toEqual(ranks);
+    expect(result.rows.map(row => row.position)).toEqual([1, 2, 3, 4, 5]);
+    expect(result.total).toBe(5);
+  });
+
+  test('orders ties by tiebreak, then by ID', async () => {
+    const result = await rankBoard(boardScores.badges(), page({}));
+
+    expect(result.rows.map(row => row.id)).toEqual(ORDER);
+  });
+
+  test('breaks ties by ID alone on boards without a tiebreak', async () => {
+    await database.setUsers([
+      { id: 7, experiencePoints: 20 },
+      { id: 3, experiencePoints: 20 },
+      { id: 5, experiencePoints: 30 }
+    ]);
+
+    const result = await rankBoard(boardScores.experience(), page({ ranking: 'ordinal' }));
+    expect(result.rows.map(row => [row.id, row.rank])).toEqual([[5, 1], [3, 2], [7, 3]]);
+
+    await database.setUsers(USERS);
+  });
+
+  test('keeps ranks across offset pages', async () => {
+    const result = await rankBoard(boardScores.badges(), page({ offset: 2, limit: 2 }));
+
+    expect(result.rows.map(row => [row.id, row.rank, row.position])).toEqual([[2, 2, 3], [4, 2, 4]]);
+    expect(result.offset).toBe(2);
+  });
+
+  test('turns page numbers into offsets', async () => {
+    const result = await rankBoard(boardScores.badges(), page({ page: 2, limit: 2 }));
+
+    expect(result.rows.map(row => row.id)).toEqual([2, 4]);
+    expect(result.offset).toBe(2);
+  });
+
+  test('walks the board with cursors', async () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const result = await rankBoard(boardScores.badges(), page({ limit: 2, ranking: 'dense', cursor }));
+      seen.push(...result.rows.map(row => [row.id, row.rank]));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([[1, 1], [3, 2], [2, 2], [4, 2], [5, 3]]);
+  });
+
+  test('has no next cursor on the last page', async () => {
+    const result = await rankBoard(boardScores.badges(), page({ offset: 3, limit: 2 }));
+
+    expect(result.rows.map(row => row.id)).toEqual([4, 5]);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  test('rejects a cursor pointing at a user no longer on the board', async () => {
+    const result = await rankBoard(boardScores.badges(), page({ cursor: encodeCursor(6) }));
+
+    expect(result).toEqual({ error: 'Cursor is no longer valid' });
+  });
+});
+
+describe('getUserRank and rankAround', () => {
+  test('rank a single user in the selected mode', async () => {
+    await expect(getUserRank(boardScores.badges(), 4)).resolves.toEqual({ id: 4, score: 3, rank: 2, position: 4 });
+    await expect(getUserRank(boardScores.badges(), 4, 'ordinal')).resolves.toMatchObject({ rank: 4 });
+    await expect(getUserRank(boardScores.badges(), 6)).resolves.toBeNull();
+  });
+
+  test('return the neighbours around a user', async () => {
+    const around = await rankAround(boardScores.badges(), 2, 1, 'dense');
+
+    expect(around.rows.map(row => [row.id, row.rank])).toEqual([[3, 2], [2, 2], [4, 2]]);
+    expect(around.total).toBe(5);
+  });
+});
+
+describe('resolveRankingQuery', () => {
+  test('defaults to competition ranks on the first page', () => {
+    expect(resolveRankingQuery({})).toEqual({
+      value: { mode: 'competition', limit: 10, offset: 0, afterId: null }
+    });
+  });
+
+  test.each([
+    [{ page: 2, offset: 10 }],
+    [{ page: 2, cursor: encodeCursor(1) }],
+    [{ offset: 10, cursor: encodeCursor(1) }]
+  ])('rejects combining pagination styles: %o', (query) => {
+    expect(resolveRankingQuery(query)).toEqual({ error: 'Use only one of page, offset and cursor' });
+  });
+
+  test.each(['not-a-cursor', Buffer.from('u:abc').toString('base64url'), Buffer.from('t:5').toString('base64url')])(
+    'rejects the invalid cursor %s',
+    (cursor) => {
+      expect(resolveRankingQuery({ cursor })).toEqual({ error: 'Invalid cursor' });
+    }
+  );
+
+  test('decodes a cursor into the ID to continue after', () => {
+    expect(resolveRankingQuery({ cursor: encodeCursor(42), limit: 5 })).toEqual({
+      value: { mode: 'competition', limit: 5, offset: null, afterId: 42 }
+    });
+  });
+
+  test('rejects unknown ranking modes', () => {
+    expect(resolveRankingQuery({ ranking: 'fractional' }).error).toMatch(/ranking/);
+  });
+});
@@ -0,0 +1,209 @@
+jest.mock('@prisma/client', () => ({ Prisma: require('./helpers/database').Prisma }));
+jest.mock('../src/config/database', () => require('./helpers/database').createTestDatabase());
+
+const { createClient } = require('redis');
+const database = require('../src/config/database');
+const {
+  createRedisLeaderboardStore,
+  createMemoryLeaderboardStore,
+  useLeaderboardStore,
+  rebuildLeaderboardStore,
+  rankStoredBoard,
+  getStoredUserRank,
+  rankStoredAround
+} = require('../src/services/leaderboardStore');
+const { resolveRankingQuery } = require('../src/services/leaderboardRanking');
+
+// Both store implementations run against the same fixtures. The Redis store
+// needs a server: set REDIS_URL to include it (its keys are removed after).
+const IMPLEMENTATIONS = [
+  ['memory', async () => ({ store: createMemoryLeaderboardStore(), close: async () => {} })],
+  ['redis', async () => {
+    const client = createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    const prefix = `test:leaderboard:${process.pid}`;
+
+    return {
+      store: createRedisLeaderboardStore(client, prefix),
+      async close() {
+        const keys = await client.keys(`${prefix}:*`);
+        if (keys.length > 0) await client.del(keys);
+        await client.quit();
+      }
+    };
+  }]
+].filter(([name]) => name !== 'redis' || process.env.REDIS_URL);
+
+// Scores 50, 30, 30, 30, 10, 10. Users 2, 3 and 4 tie on score, 3 wins on
+// tiebreak and 2 beats 4 on ID; users 5 and 6 tie on both.
+const ENTRIES = [
+  { id: 4, score: 30, tiebreak: 100 },
+  { id: 1, score: 50, tiebreak: 0 },
+  { id: 6, score: 10, tiebreak: 5 },
+  { id: 2, score: 30, tiebreak: 100 },
+  { id: 5, score: 10, tiebreak: 5 },
+  { id: 3, score: 30, tiebreak: 200 }
+];
+
+const ORDER = [1, 3, 2, 4, 5, 6];
+
+const RANKS = {
+  competition: [1, 2, 2, 2, 5, 5],
+  dense: [1, 2, 2, 2, 3, 3],
+  ordinal: [1, 2, 3, 4, 5, 6]
+};
+
+const MODES = Object.keys(RANKS);
+
+// The same entries as users on the badges board, which ranks total_badges
+// with XP as the tiebreak
+const USERS = ENTRIES.map(entry => ({ id: entry.id, totalBadges: entry.score, experiencePoints: entry.tiebreak }));
+
+// Starting PGlite takes a few seconds
+beforeAll(() => database.setUsers(USERS), 60000);
+afterAll(() => database.close());
+
+describe.each(IMPLEMENTATIONS)('%s store', (name, createStore) => {
+  let store;
+  let close;
+
+  beforeAll(async () => {
+    ({ store, close } = await createStore());
+  });
+
+  afterAll(() => close());
+
+  beforeEach(() => store.replaceBoard('fixture', ENTRIES));
+
+  test('knows which boards are built', async () => {
+    await expect(store.hasBoard('fixture')).resolves.toBe(true);
+    await expect(store.hasBoard('missing')).resolves.toBe(false);
+    await expect(store.getCount('fixture')).resolves.toBe(ENTRIES.length);
+  });
+
+  test.each(MODES)('ranks the whole board in %s mode', async (mode) => {
+    const rows = await store.getRange('fixture', 0, 10, mode);
+
+    expect(rows.map(row => row.id)).toEqual(ORDER);
+    expect(rows.map(row => row.rank)).toEqual(RANKS[mode]);
+    expect(rows.map(row => row.position)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test.each(MODES)('ranks a page starting inside a tie in %s mode', async (mode) => {
+    const rows = await store.getRange('fixture', 2, 3, mode);
+
+    expect(rows.map(row => row.id)).toEqual(ORDER.slice(2, 5));
+    expect(rows.map(row => row.rank)).toEqual(RANKS[mode].slice(2, 5));
+  });
+
+  test.each(MODES)('looks up single users in %s mode', async (mode) => {
+    for (const [index, id] of ORDER.entries()) {
+      await expect(store.getRank('fixture', id, mode)).resolves.toEqual({
+        id,
+        score: ENTRIES.find(entry => entry.id === id).score,
+        rank: RANKS[mode][index],
+        position: index + 1
+      });
+    }
+    await expect(store.getRank('fixture', 99, mode)).resolves.toBeNull();
+  });
+
+  test('returns nothing past the end of the board', async () => {
+    await expect(store.getRange('fixture', 6, 10, 'competition')).resolves.toEqual([]);
+  });
+
+  test('moves a user whose entry changed', async () => {
+    await store.setEntry('fixture', { id: 6, score: 30, tiebreak: 150 });
+
+    const rows = await store.getRange('fixture', 0, 10, 'dense');
+    expect(rows.map(row => [row.id, row.rank])).toEqual([[1, 1], [3, 2], [6, 2], [2, 2], [4, 2], [5, 3]]);
+  });
+
+  test('removes users and keeps dense ranks in step', async () => {
+    await store.removeEntry('fixture', 1);
+    await store.setEntry('fixture', { id: 7, score: 20, tiebreak: 0 });
+
+    const rows = await store.getRange('fixture', 0, 10, 'dense');
+    expect(rows.map(row => [row.id, row.rank])).toEqual([[3, 1], [2, 1], [4, 1], [7, 2], [5, 3], [6, 3]]);
+    await expect(store.getCount('fixture')).resolves.toBe(6);
+    await expect(store.getRank('fixture', 1, 'dense')).resolves.toBeNull();
+  });
+
+  test('replaces a board', async () => {
+    await store.replaceBoard('fixture', [{ id: 9, score: 1, tiebreak: 0 }]);
+
+    await expect(store.getRange('fixture', 0, 10, 'competition')).resolves.toEqual([
+      { id: 9, score: 1, rank: 1, position: 1 }
+    ]);
+  });
+
+  describe('serving lifetime boards', () => {
+    // One page from the store and the same page ranked in PostgreSQL
+    async function bothPages(query) {
+      const options = resolveRankingQuery(query).value;
+
+      useLeaderboardStore(store);
+      const stored = await rankStoredBoard('badges', options);
+      useLeaderboardStore(null);
+      const ranked = await rankStoredBoard('badges', options);
+
+      return { stored, ranked };
+    }
+
+    beforeAll(() => rebuildLeaderboardStore(store));
+    afterEach(() => useLeaderboardStore(null));
+
+    test('rebuilds every board from the database', async () => {
+      const counts = await rebuildLeaderboardStore(store);
+
+      expect(counts).toEqual({ experience: 6, badges: 6, achievements: 6, levels: 6, activity: 6 });
+    });
+
+    test.each(MODES)('serves the ranks PostgreSQL computes in %s mode', async (ranking) => {
+      const { stored, ranked } = await bothPages({ ranking, limit: 10 });
+
+      expect(stored.rows.map(row => row.id)).toEqual(ORDER);
+      expect(stored.rows.map(row => row.rank)).toEqual(RANKS[ranking]);
+      expect(stored).toEqual(ranked);
+    });
+
+    test.each(MODES)('serves the same offset pages as PostgreSQL in %s mode', async (ranking) => {
+      for (const offset of [0, 1, 3, 5, 6]) {
+        const { stored, ranked } = await bothPages({ ranking, offset, limit: 2 });
+        expect(stored).toEqual(ranked);
+      }
+    });
+
+    test.each(MODES)('walks the same cursor pages as PostgreSQL in %s mode', async (ranking) => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const { stored, ranked } = await bothPages({ ranking, limit: 4, cursor });
+        expect(stored).toEqual(ranked);
+        seen.push(...stored.rows.map(row => row.id));
+        cursor = stored.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(ORDER);
+    });
+
+    test('rejects a cursor for a user no longer on the board', async () => {
+      const { stored, ranked } = await bothPages({ cursor: Buffer.from('u:99').toString('base64url') });
+
+      expect(stored).toEqual({ error: 'Cursor is no longer valid' });
+      expect(ranked).toEqual(stored);
+    });
+
+    test.each(MODES)('looks up users and their neighbours like PostgreSQL in %s mode', async (mode) => {
+      for (const id of [...ORDER, 99]) {
+        useLeaderboardStore(store);
+        const stored = [await getStoredUserRank('badges', id, mode), await rankStoredAround('badges', id, 2, mode)];
+        useLeaderboardStore(null);
+        const ranked = [await getStoredUserRank('badges', id, mode), await rankStoredAround('badges', id, 2, mode)];
+
+        expect(stored).toEqual(ranked);
+      }
+    });
+  });
+});
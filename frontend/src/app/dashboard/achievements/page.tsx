@@ -18,9 +18,10 @@ const achievementSchema = z.object({
   description: z.string().min(1, 'Description is required'),
   icon_url: z.string().url('Must be a valid URL').optional().or(z.literal('')),
   category: z.enum(['onboarding', 'engagement', 'collection', 'progression', 'social', 'custom']),
-  criteria_type: z.enum(['experience', 'badges', 'activities', 'achievements', 'custom']),
+  criteria_type: z.string().min(1, 'Criteria type is required'),
   criteria_value: z.number().min(1, 'Criteria value must be at least 1'),
   experience_reward: z.number().min(0, 'Experience reward cannot be negative'),
+  currency_reward: z.number().min(0, 'Currency reward cannot be negative'),
   badge_reward_id: z.number().optional().or(z.literal('')),
   is_active: z.boolean().default(true),
 });
@@ -43,12 +44,18 @@ export default function AchievementManagementPage() {
     resolver: zodResolver(achievementSchema),
     defaultValues: {
       category: 'engagement',
-      criteria_type: 'experience',
+      criteria_type: 'experience_points',
       experience_reward: 0,
+      currency_reward: 0,
       is_active: true,
     },
   });
 
+  const { data: criteriaTypes } = useQuery({
+    queryKey: ['criteria-types'],
+    queryFn: () => api.criteriaTypes.getAll(),
+  });
+
   const { data: achievements, isLoading } = useQuery({
     queryKey: ['achievements'],
     queryFn: () => api.achievements.getAll(),
@@ -112,6 +119,7 @@ export default function AchievementManagementPage() {
       criteria_type: achievement.criteria_type,
       criteria_value: achievement.criteria_value,
       experience_reward: achievement.experience_reward,
+      currency_reward: achievement.currency_reward || 0,
       badge_reward_id: achievement.badge_reward_id || '',
       is_active: achievement.is_active,
     });
@@ -240,16 +248,16 @@ export default function AchievementManagementPage() {
                         {...register('criteria_type')}
                         className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
-                                                 <option value="experience">Experience Points</option>
-                         <option value="badges">Badges Earned</option>
-                         <option value="activities">Activities Completed</option>
-                         <option value="achievements">Achievements Unlocked</option>
-                         <option value="custom">Custom</option>
+                        {criteriaTypes?.data?.data?.map((criteriaType: any) => (
+                          <option key={criteriaType.type} value={criteriaType.type}>
+                            {criteriaType.description}
+                          </option>
+                        ))}
                       </select>
                     </div>
                   </div>
 
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     <Input
                       label="Criteria Value"
                       type="number"
@@ -264,6 +272,13 @@ export default function AchievementManagementPage() {
                       error={errors.experience_reward?.message}
                       {...register('experience_reward', { valueAsNumber: true })}
                     />
+                    <Input
+                      label="Currency Reward"
+                      type="number"
+                      placeholder="0"
+                      error={errors.currency_reward?.message}
+                      {...register('currency_reward', { valueAsNumber: true })}
+                    />
                   </div>
 
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -406,7 +421,7 @@ export default function AchievementManagementPage() {
                     <div className="space-y-3 text-base">
                       <p className="text-gray-700">{achievement.description}</p>
                       <p><strong>Criteria:</strong> {achievement.criteria_type} ≥ {achievement.criteria_value}</p>
-                      <p><strong>Reward:</strong> +{achievement.experience_reward} XP</p>
+                      <p><strong>Reward:</strong> +{achievement.experience_reward} XP{achievement.currency_reward > 0 && `, +${achievement.currency_reward} coins`}</p>
                       {achievement.badge_reward_id && (
                         <p><strong>Badge Reward:</strong> ID {achievement.badge_reward_id}</p>
                       )}
@@ -5,7 +5,7 @@ import { api } from '@/lib/api';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Badge } from '@/components/ui/Badge';
-import { Activity, CheckCircle, Clock, Star, History, Trophy } from 'lucide-react';
+import { Activity, CheckCircle, Clock, Star, History, Trophy, Lock } from 'lucide-react';
 import { formatNumber, formatDate } from '@/lib/utils';
 import Navigation from '@/components/Navigation';
 import toast from 'react-hot-toast';
@@ -47,8 +47,11 @@ export default function ActivitiesPage() {
     },
     onError: (error: any) => {
       const errorMessage = error.response?.data?.error || 'Failed to complete activity';
+      const nextAvailableAt = error.response?.data?.data?.nextAvailableAt;
       if (errorMessage.includes('already completed')) {
         toast.success('You already completed this activity!');
+      } else if (nextAvailableAt) {
+        toast.error(`${errorMessage}. Available again ${new Date(nextAvailableAt).toLocaleString()}`);
       } else {
         toast.error(errorMessage);
       }
@@ -90,6 +93,17 @@ export default function ActivitiesPage() {
     }
   };
 
+  // Summarise the prerequisites the API reports as missing for a locked activity
+  const describeMissingPrerequisites = (missing: any) => {
+    if (!missing) return [];
+    return [
+      ...(missing.min_level ? [`Reach level ${missing.min_level}`] : []),
+      ...missing.badges.map((badge: any) => `Earn the "${badge.name}" badge`),
+      ...missing.activities.map((required: any) => `Complete "${required.name}"`),
+      ...missing.achievements.map((achievement: any) => `Unlock "${achievement.name}"`),
+    ];
+  };
+
   // Since the API doesn't return difficulty, we'll use a default
   const getDefaultDifficulty = (activity: any) => {
     // Assign difficulty based on experience reward
@@ -128,7 +142,8 @@ export default function ActivitiesPage() {
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {activities.map((activity: any) => {
-                const isCompleted = completedActivityIds.includes(activity.id);
+                // Repeatable activities stay available; the API enforces their limits
+                const isCompleted = !activity.is_repeatable && completedActivityIds.includes(activity.id);
                 const userActivity = userActivities.find((ua: any) => ua.activityId === activity.id);
                 
                 return (
@@ -142,6 +157,9 @@ export default function ActivitiesPage() {
                         {isCompleted && (
                           <CheckCircle className="h-5 w-5 text-green-600" />
                         )}
+                        {!isCompleted && activity.locked && (
+                          <Lock className="h-5 w-5 text-gray-400" />
+                        )}
                       </div>
                       <div className="flex items-center space-x-2">
                         <div className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getDifficultyColor(getDefaultDifficulty(activity))}`}>
@@ -181,6 +199,18 @@ export default function ActivitiesPage() {
                             </p>
                           )}
                         </div>
+                      ) : activity.locked ? (
+                        <div className="space-y-2">
+                          <Button disabled className="w-full bg-gray-100 text-gray-600">
+                            <Lock className="h-4 w-4 mr-2" />
+                            Locked
+                          </Button>
+                          <ul className="text-xs text-gray-500 space-y-1">
+                            {describeMissingPrerequisites(activity.missing_prerequisites).map((requirement: string) => (
+                              <li key={requirement}>{requirement}</li>
+                            ))}
+                          </ul>
+                        </div>
                       ) : (
                         <Button
                           onClick={() => completeActivityMutation.mutate(activity.id)}
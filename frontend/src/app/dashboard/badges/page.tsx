@@ -18,10 +18,12 @@ const badgeSchema = z.object({
   name: z.string().min(1, 'Name is required'),
   description: z.string().min(1, 'Description is required'),
   image_url: z.string().url('Must be a valid URL').optional().or(z.literal('')),
-  criteria_type: z.enum(['experience', 'badges', 'activities', 'achievements', 'custom']),
+  criteria_type: z.string().min(1, 'Criteria type is required'),
   criteria_value: z.number().min(1, 'Criteria value must be at least 1'),
   experience_reward: z.number().min(0, 'Experience reward cannot be negative'),
-  rarity: z.enum(['common', 'rare', 'epic', 'legendary']),
+  currency_reward: z.number().min(0, 'Currency reward cannot be negative'),
+  rarity: z.enum(['common', 'uncommon', 'rare', 'epic', 'legendary']).optional(),
+  rarity_mode: z.enum(['manual', 'dynamic']),
 });
 
 type BadgeForm = z.infer<typeof badgeSchema>;
@@ -37,16 +39,26 @@ export default function BadgeManagementPage() {
     register,
     handleSubmit,
     reset,
+    watch,
     formState: { errors },
   } = useForm<BadgeForm>({
     resolver: zodResolver(badgeSchema),
     defaultValues: {
-      criteria_type: 'experience',
+      criteria_type: 'experience_points',
       experience_reward: 0,
+      currency_reward: 0,
       rarity: 'common',
+      rarity_mode: 'manual',
     },
   });
 
+  const rarityMode = watch('rarity_mode');
+
+  const { data: criteriaTypes } = useQuery({
+    queryKey: ['criteria-types'],
+    queryFn: () => api.criteriaTypes.getAll(),
+  });
+
   const { data: badges, isLoading } = useQuery({
     queryKey: ['badges'],
     queryFn: () => api.badges.getAll(),
@@ -109,12 +121,16 @@ export default function BadgeManagementPage() {
       criteria_type: badge.criteriaType,
       criteria_value: badge.criteriaValue,
       experience_reward: badge.experienceReward,
+      currency_reward: badge.currencyReward || 0,
       rarity: badge.rarity,
+      rarity_mode: badge.rarityMode || 'manual',
     });
     setIsFormOpen(true);
   };
 
-  const onSubmit = (data: BadgeForm) => {
+  const onSubmit = (formData: BadgeForm) => {
+    // Dynamic badges get their rarity from how many players hold them
+    const data = formData.rarity_mode === 'dynamic' ? { ...formData, rarity: undefined } : formData;
     if (editingBadge) {
       updateBadgeMutation.mutate({ id: parseInt(editingBadge.id), data });
     } else {
@@ -206,11 +222,11 @@ export default function BadgeManagementPage() {
                         {...register('criteria_type')}
                         className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
-                        <option value="experience">Experience Points</option>
-                        <option value="badges">Badges Earned</option>
-                        <option value="activities">Activities Completed</option>
-                        <option value="achievements">Achievements Unlocked</option>
-                        <option value="custom">Custom</option>
+                        {criteriaTypes?.data?.data?.map((criteriaType: any) => (
+                          <option key={criteriaType.type} value={criteriaType.type}>
+                            {criteriaType.description}
+                          </option>
+                        ))}
                       </select>
                     </div>
                     <Input
@@ -230,15 +246,39 @@ export default function BadgeManagementPage() {
                       error={errors.experience_reward?.message}
                       {...register('experience_reward', { valueAsNumber: true })}
                     />
+                    <Input
+                      label="Currency Reward"
+                      type="number"
+                      placeholder="0"
+                      error={errors.currency_reward?.message}
+                      {...register('currency_reward', { valueAsNumber: true })}
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Rarity Mode
+                      </label>
+                      <select
+                        {...register('rarity_mode')}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="manual">Manual</option>
+                        <option value="dynamic">Dynamic (from % of players holding it)</option>
+                      </select>
+                    </div>
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Rarity
                       </label>
                       <select
                         {...register('rarity')}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        disabled={rarityMode === 'dynamic'}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                       >
                         <option value="common">Common</option>
+                        <option value="uncommon">Uncommon</option>
                         <option value="rare">Rare</option>
                         <option value="epic">Epic</option>
                         <option value="legendary">Legendary</option>
@@ -358,8 +398,15 @@ export default function BadgeManagementPage() {
                     </div>
                     <div className="space-y-2 text-sm">
                       <p><strong>Criteria:</strong> {badge.criteriaType} ≥ {badge.criteriaValue}</p>
-                      <p><strong>Reward:</strong> +{badge.experienceReward} XP</p>
-                      <p><strong>Rarity:</strong> {badge.rarity}</p>
+                      <p><strong>Reward:</strong> +{badge.experienceReward} XP{badge.currencyReward > 0 && `, +${badge.currencyReward} coins`}</p>
+                      <p><strong>Rarity:</strong> {badge.rarity}{badge.rarityMode === 'dynamic' && ' (dynamic)'}</p>
+                      <p><strong>Held by:</strong> {badge.holderPercentage}% of players ({badge.holderCount})</p>
+                      {badge.tiers?.length > 0 && (
+                        <p>
+                          <strong>Tiers:</strong>{' '}
+                          {badge.tiers.map((tier: any) => `${tier.name} (${tier.threshold})`).join(' → ')}
+                        </p>
+                      )}
                     </div>
                   </CardContent>
                 </Card>
@@ -2,7 +2,7 @@
 
 import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { api } from '@/lib/api';
+import { api, LeaderboardScope } from '@/lib/api';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Trophy, Medal, Award, TrendingUp, Users } from 'lucide-react';
 import { formatNumber } from '@/lib/utils';
@@ -40,25 +40,26 @@ const leaderboardConfig = {
 
 export default function LeaderboardsPage() {
   const [activeTab, setActiveTab] = useState<LeaderboardType>('levels');
+  const [scope, setScope] = useState<LeaderboardScope>('global');
 
   const { data: leaderboardData, isLoading, error } = useQuery({
-    queryKey: ['leaderboard', activeTab],
+    queryKey: ['leaderboard', activeTab, scope],
     queryFn: async () => {
       console.log('Calling API for:', activeTab);
       const result = await (() => {
         switch (activeTab) {
           case 'levels':
-            return api.leaderboards.getLevels();
+            return api.leaderboards.getLevels(scope);
           case 'experience':
-            return api.leaderboards.getExperience();
+            return api.leaderboards.getExperience(scope);
           case 'badges':
-            return api.leaderboards.getBadges();
+            return api.leaderboards.getBadges(scope);
           case 'achievements':
-            return api.leaderboards.getAchievements();
+            return api.leaderboards.getAchievements(scope);
           case 'activity':
-            return api.leaderboards.getActivity();
+            return api.leaderboards.getActivity(scope);
           default:
-            return api.leaderboards.getLevels();
+            return api.leaderboards.getLevels(scope);
         }
       })();
       console.log('API response:', result);
@@ -115,6 +116,25 @@ export default function LeaderboardsPage() {
           <p className="text-gray-600">See how you rank against other users</p>
         </div>
 
+        {/* Scope */}
+        <div className="flex justify-end mb-4">
+          <div className="inline-flex bg-white rounded-lg p-1">
+            {(['global', 'friends'] as LeaderboardScope[]).map((option) => (
+              <button
+                key={option}
+                onClick={() => setScope(option)}
+                className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                  scope === option
+                    ? 'bg-blue-600 text-white'
+                    : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                }`}
+              >
+                {option === 'global' ? 'Everyone' : 'Friends'}
+              </button>
+            ))}
+          </div>
+        </div>
+
         {/* Tabs */}
         <div className="flex space-x-1 bg-white rounded-lg p-1 mb-8">
           {Object.entries(leaderboardConfig).map(([key, config]) => (
@@ -143,7 +163,10 @@ export default function LeaderboardsPage() {
               })()}
               {leaderboardConfig[activeTab].title}
             </CardTitle>
-            <p className="text-gray-600">{leaderboardConfig[activeTab].description}</p>
+            <p className="text-gray-600">
+              {leaderboardConfig[activeTab].description}
+              {scope === 'friends' && ' among you, your friends and the people you follow'}
+            </p>
           </CardHeader>
           <CardContent>
             {isLoading ? (
@@ -292,6 +292,12 @@ export default function DashboardPage() {
                       <div>
                         <h3 className="font-semibold text-gray-800">{badge.name}</h3>
                         <p className="text-sm text-gray-600">{badge.description}</p>
+                        {badge.current_tier && (
+                          <p className="text-xs text-gray-700 mt-1">
+                            Tier: {badge.current_tier.name} ({badge.current_tier.tier}/{badge.max_tier})
+                            {badge.next_tier && ` · ${badge.progress.percentage}% to ${badge.next_tier.name}`}
+                          </p>
+                        )}
                         <p className="text-xs text-purple-600 mt-1">Awarded: {new Date(badge.awarded_at).toLocaleDateString()}</p>
                       </div>
                     </div>
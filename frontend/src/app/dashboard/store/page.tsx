@@ -0,0 +1,483 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { api } from '@/lib/api';
+import { useAuthStore } from '@/lib/store';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Plus, Edit, Trash2, X, ShoppingBag, Coins, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Navigation from '@/components/Navigation';
+
+// Empty number inputs mean "no limit"
+const optionalLimit = z.preprocess(
+  (value) => (value === '' || value === null || Number.isNaN(value) ? null : value),
+  z.number().int().min(1, 'Must be at least 1').nullable()
+);
+
+const itemSchema = z.object({
+  name: z.string().min(1, 'Name is required'),
+  description: z.string().min(1, 'Description is required'),
+  image_url: z.string().url('Must be a valid URL').optional().or(z.literal('')),
+  price: z.number().int().min(0, 'Price cannot be negative'),
+  stock: z.preprocess(
+    (value) => (value === '' || value === null || Number.isNaN(value) ? null : value),
+    z.number().int().min(0, 'Stock cannot be negative').nullable()
+  ),
+  max_per_user: optionalLimit,
+  min_level: optionalLimit,
+  is_active: z.boolean(),
+});
+
+type ItemForm = z.infer<typeof itemSchema>;
+
+const blockedReasons: Record<string, string> = {
+  unavailable: 'Unavailable',
+  out_of_stock: 'Out of stock',
+  level_too_low: 'Level too low',
+  limit_reached: 'Limit reached',
+  insufficient_funds: 'Not enough coins',
+};
+
+const statusStyles: Record<string, string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  fulfilled: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+export default function StorePage() {
+  const { user } = useAuthStore();
+  const isAdmin = Boolean(user?.isAdmin);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingItem, setEditingItem] = useState<any>(null);
+  const queryClient = useQueryClient();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<ItemForm>({
+    resolver: zodResolver(itemSchema),
+    defaultValues: {
+      price: 100,
+      stock: null,
+      max_per_user: null,
+      min_level: null,
+      is_active: true,
+    },
+  });
+
+  const { data: items, isLoading } = useQuery({
+    queryKey: ['store', isAdmin],
+    queryFn: () => api.store.getItems({ include_inactive: isAdmin }),
+  });
+
+  const { data: wallet } = useQuery({
+    queryKey: ['wallet', user?.id],
+    queryFn: () => api.users.getWallet(user!.id),
+    enabled: !!user,
+  });
+
+  const { data: redemptions } = useQuery({
+    queryKey: ['redemptions'],
+    queryFn: () => api.store.getRedemptions(),
+    enabled: !!user,
+  });
+
+  const { data: pendingRedemptions } = useQuery({
+    queryKey: ['redemptions', 'pending'],
+    queryFn: () => api.store.getRedemptions({ all: true, status: 'pending', limit: 50 }),
+    enabled: isAdmin,
+  });
+
+  const refreshStore = () => {
+    queryClient.invalidateQueries({ queryKey: ['store'] });
+    queryClient.invalidateQueries({ queryKey: ['redemptions'] });
+    queryClient.invalidateQueries({ queryKey: ['wallet'] });
+  };
+
+  const redeemMutation = useMutation({
+    mutationFn: (id: number) => api.store.redeem(id),
+    onSuccess: () => {
+      refreshStore();
+      toast.success('Item redeemed! An admin will fulfil it soon.');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.error || 'Failed to redeem item');
+    },
+  });
+
+  const decideMutation = useMutation({
+    mutationFn: ({ id, decision, note }: { id: number; decision: 'fulfil' | 'reject'; note?: string }) =>
+      api.store.decideRedemption(id, decision, note),
+    onSuccess: (_, { decision }) => {
+      refreshStore();
+      toast.success(decision === 'fulfil' ? 'Redemption fulfilled' : 'Redemption rejected and refunded');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.error || 'Failed to update redemption');
+    },
+  });
+
+  const saveItemMutation = useMutation({
+    mutationFn: (data: ItemForm) => {
+      const payload = { ...data, image_url: data.image_url || undefined };
+      return editingItem ? api.store.updateItem(editingItem.id, payload) : api.store.createItem(payload);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store'] });
+      toast.success(editingItem ? 'Item updated successfully' : 'Item created successfully');
+      handleCloseForm();
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.error || 'Failed to save item');
+    },
+  });
+
+  const deleteItemMutation = useMutation({
+    mutationFn: (id: number) => api.store.deleteItem(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['store'] });
+      toast.success('Item deleted successfully');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.error || 'Failed to delete item');
+    },
+  });
+
+  const handleCloseForm = () => {
+    setIsFormOpen(false);
+    setEditingItem(null);
+    reset();
+  };
+
+  const handleEditItem = (item: any) => {
+    setEditingItem(item);
+    reset({
+      name: item.name,
+      description: item.description || '',
+      image_url: item.image_url || '',
+      price: item.price,
+      stock: item.stock,
+      max_per_user: item.max_per_user,
+      min_level: item.min_level,
+      is_active: item.is_active,
+    });
+    setIsFormOpen(true);
+  };
+
+  const handleDeleteItem = (item: any) => {
+    if (window.confirm(`Delete "${item.name}"? Items that have been redeemed can only be deactivated.`)) {
+      deleteItemMutation.mutate(item.id);
+    }
+  };
+
+  const handleReject = (redemption: any) => {
+    const note = window.prompt('Reason for rejecting (shown to the user):');
+    if (note === null) return;
+    decideMutation.mutate({ id: redemption.id, decision: 'reject', note: note || undefined });
+  };
+
+  const handleFulfil = (redemption: any) => {
+    const note = window.prompt('Fulfilment note, e.g. a voucher code (optional):');
+    if (note === null) return;
+    decideMutation.mutate({ id: redemption.id, decision: 'fulfil', note: note || undefined });
+  };
+
+  const storeItems: any[] = items?.data?.data || [];
+  const myRedemptions: any[] = redemptions?.data?.data || [];
+  const pending: any[] = pendingRedemptions?.data?.data || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navigation />
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Reward Store</h1>
+            <p className="text-gray-600">Spend the coins you earn on rewards</p>
+          </div>
+          <div className="flex items-center space-x-4">
+            {wallet?.data?.data && (
+              <span className="flex items-center text-lg font-semibold text-yellow-600">
+                <Coins className="h-5 w-5 mr-2" />
+                {wallet.data.data.balance} coins
+              </span>
+            )}
+            {isAdmin && (
+              <Button onClick={() => setIsFormOpen(true)} className="flex items-center space-x-2">
+                <Plus className="h-4 w-4" />
+                <span>Add Item</span>
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Item Form Modal */}
+        {isFormOpen && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
+            <Card className="w-full max-w-2xl mx-4">
+              <CardHeader>
+                <div className="flex justify-between items-center">
+                  <CardTitle>
+                    {editingItem ? 'Edit Item' : 'Create New Item'}
+                  </CardTitle>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={handleCloseForm}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSubmit((data) => saveItemMutation.mutate(data))} className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input
+                      label="Name"
+                      placeholder="Item name"
+                      error={errors.name?.message}
+                      {...register('name')}
+                    />
+                    <Input
+                      label="Description"
+                      placeholder="Item description"
+                      error={errors.description?.message}
+                      {...register('description')}
+                    />
+                  </div>
+
+                  <Input
+                    label="Image URL"
+                    placeholder="https://example.com/image.jpg"
+                    error={errors.image_url?.message}
+                    {...register('image_url')}
+                  />
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input
+                      label="Price (coins)"
+                      type="number"
+                      placeholder="100"
+                      error={errors.price?.message}
+                      {...register('price', { valueAsNumber: true })}
+                    />
+                    <Input
+                      label="Stock"
+                      type="number"
+                      placeholder="Unlimited"
+                      error={errors.stock?.message}
+                      {...register('stock', { valueAsNumber: true })}
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input
+                      label="Limit Per User"
+                      type="number"
+                      placeholder="Unlimited"
+                      error={errors.max_per_user?.message}
+                      {...register('max_per_user', { valueAsNumber: true })}
+                    />
+                    <Input
+                      label="Minimum Level"
+                      type="number"
+                      placeholder="Any level"
+                      error={errors.min_level?.message}
+                      {...register('min_level', { valueAsNumber: true })}
+                    />
+                  </div>
+
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" {...register('is_active')} />
+                    <span>Active (listed in the store)</span>
+                  </label>
+
+                  <div className="flex justify-end space-x-2 pt-4">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={handleCloseForm}
+                    >
+                      Cancel
+                    </Button>
+                    <Button
+                      type="submit"
+                      isLoading={saveItemMutation.isPending}
+                    >
+                      {editingItem ? 'Update Item' : 'Create Item'}
+                    </Button>
+                  </div>
+                </form>
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
+        {/* Click outside to close modals */}
+        {isFormOpen && (
+          <div
+            className="fixed inset-0 z-40"
+            onClick={handleCloseForm}
+          />
+        )}
+
+        {/* Pending redemptions (admins) */}
+        {isAdmin && pending.length > 0 && (
+          <Card className="mb-8">
+            <CardHeader>
+              <CardTitle>Pending Redemptions</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="divide-y">
+                {pending.map((redemption: any) => (
+                  <div key={redemption.id} className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {redemption.username} redeemed {redemption.item?.name}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {redemption.price} coins · {new Date(redemption.created_at).toLocaleString()}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2">
+                      <Button
+                        size="sm"
+                        onClick={() => handleFulfil(redemption)}
+                        disabled={decideMutation.isPending}
+                      >
+                        <Check className="h-4 w-4 mr-1" />
+                        Fulfil
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleReject(redemption)}
+                        disabled={decideMutation.isPending}
+                      >
+                        <X className="h-4 w-4 mr-1" />
+                        Reject
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Catalog */}
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : storeItems.length === 0 ? (
+          <div className="text-center py-12">
+            <ShoppingBag className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">The store is empty for now. Check back soon!</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+            {storeItems.map((item: any) => (
+              <Card key={item.id} className={item.is_active ? '' : 'opacity-60'}>
+                <CardContent className="p-6">
+                  <div className="flex justify-between items-start mb-4">
+                    <div className="flex items-center space-x-3">
+                      {item.image_url ? (
+                        <img src={item.image_url} alt={item.name} className="h-12 w-12 rounded object-cover" />
+                      ) : (
+                        <div className="h-12 w-12 rounded bg-blue-100 flex items-center justify-center">
+                          <ShoppingBag className="h-6 w-6 text-blue-600" />
+                        </div>
+                      )}
+                      <div>
+                        <h3 className="font-semibold text-gray-900">{item.name}</h3>
+                        <p className="flex items-center text-sm font-medium text-yellow-600">
+                          <Coins className="h-4 w-4 mr-1" />
+                          {item.price} coins
+                        </p>
+                      </div>
+                    </div>
+                    {isAdmin && (
+                      <div className="flex space-x-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleEditItem(item)}
+                        >
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDeleteItem(item)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                  {item.description && (
+                    <p className="text-sm text-gray-600 mb-4">{item.description}</p>
+                  )}
+                  <div className="space-y-1 text-sm text-gray-500 mb-4">
+                    <p>{item.stock === null ? 'Unlimited stock' : `${item.stock} left`}</p>
+                    {item.max_per_user && (
+                      <p>Limit {item.max_per_user} per user ({item.redeemed_count || 0} redeemed)</p>
+                    )}
+                    {item.min_level && <p>Requires level {item.min_level}</p>}
+                  </div>
+                  <Button
+                    className="w-full"
+                    onClick={() => redeemMutation.mutate(item.id)}
+                    disabled={!item.can_redeem || redeemMutation.isPending}
+                  >
+                    {item.can_redeem ? 'Redeem' : blockedReasons[item.blocked_reason] || 'Unavailable'}
+                  </Button>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+
+        {/* Redemption history */}
+        <Card>
+          <CardHeader>
+            <CardTitle>My Redemptions</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {myRedemptions.length === 0 ? (
+              <p className="text-gray-600">You haven't redeemed anything yet.</p>
+            ) : (
+              <div className="divide-y">
+                {myRedemptions.map((redemption: any) => (
+                  <div key={redemption.id} className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="font-medium text-gray-900">{redemption.item?.name}</p>
+                      <p className="text-sm text-gray-500">
+                        {redemption.price} coins · {new Date(redemption.created_at).toLocaleDateString()}
+                      </p>
+                      {redemption.note && (
+                        <p className="text-sm text-gray-600 mt-1">{redemption.note}</p>
+                      )}
+                    </div>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[redemption.status]}`}>
+                      {redemption.status}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -5,13 +5,16 @@ import { useQuery } from '@tanstack/react-query';
 import { api } from '@/lib/api';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Badge } from '@/components/ui/Badge';
-import { Trophy, Award, TrendingUp, Calendar, User, Activity, Zap, Clock, Target, BarChart3 } from 'lucide-react';
+import { Trophy, Award, TrendingUp, Calendar, User, Activity, Zap, Clock, Target, BarChart3, Users } from 'lucide-react';
 import { formatNumber, formatDate } from '@/lib/utils';
+import { useAuthStore } from '@/lib/store';
 import Navigation from '@/components/Navigation';
 
 export default function UserProfilePage() {
   const params = useParams();
   const userId = parseInt(params.id as string);
+  const { user: currentUser } = useAuthStore();
+  const isSelfOrAdmin = Boolean(currentUser && (currentUser.id === userId || currentUser.isAdmin));
 
   const { data: userData, isLoading: userLoading } = useQuery({
     queryKey: ['user', userId],
@@ -38,6 +41,23 @@ export default function UserProfilePage() {
     queryFn: () => api.users.getExperienceHistory(userId),
   });
 
+  const { data: categoryTracks } = useQuery({
+    queryKey: ['userCategories', userId],
+    queryFn: () => api.users.getCategories(userId),
+  });
+
+  const { data: walletData } = useQuery({
+    queryKey: ['wallet', userId],
+    queryFn: () => api.users.getWallet(userId),
+    enabled: isSelfOrAdmin,
+  });
+
+  const { data: friendsActivity } = useQuery({
+    queryKey: ['friendsActivity', userId],
+    queryFn: () => api.users.getFriendsActivity(userId, { limit: 10 }),
+    enabled: isSelfOrAdmin,
+  });
+
   if (userLoading || badgesLoading || achievementsLoading || statsLoading || experienceLoading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -51,6 +71,9 @@ export default function UserProfilePage() {
   const achievements = userAchievements?.data?.data?.achievements || [];
   const stats = userStats?.data?.data?.stats;
   const experienceHistoryData = experienceHistory?.data?.data?.experience_history || [];
+  const friendsFeed = friendsActivity?.data?.data || [];
+  const categories = categoryTracks?.data?.data?.categories || [];
+  const wallet = walletData?.data?.data;
 
   console.log('User data:', user);
   console.log('Badges data:', userBadges);
@@ -84,6 +107,21 @@ export default function UserProfilePage() {
     }
   };
 
+  const getFriendEventText = (event: any) => {
+    switch (event.type) {
+      case 'activity_completed':
+        return `completed ${event.activity?.name} (+${event.experience_gained} XP)`;
+      case 'badge_earned':
+        return `earned the ${event.badge?.name} badge`;
+      case 'achievement_unlocked':
+        return `unlocked ${event.achievement?.name}`;
+      case 'level_up':
+        return `reached level ${event.new_level}`;
+      default:
+        return '';
+    }
+  };
+
   const getActivityLabel = (activityType: string) => {
     switch (activityType) {
       case 'activity_completion':
@@ -125,6 +163,11 @@ export default function UserProfilePage() {
               <div className="text-sm text-gray-600">
                 {formatNumber(user?.experiencePoints || 0)} XP
               </div>
+              {wallet && (
+                <div className="text-sm text-yellow-600 font-medium">
+                  {formatNumber(wallet.balance)} coins
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -224,6 +267,67 @@ export default function UserProfilePage() {
           )}
         </div>
 
+        {/* Category XP Section */}
+        {categories.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 flex items-center">
+              <Target className="h-6 w-6 mr-2" />
+              Category Levels
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {categories.map((track: any) => (
+                <Card key={track.category}>
+                  <CardContent className="p-6">
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="font-semibold text-gray-900 capitalize">{track.category}</h3>
+                      <span className="text-sm font-bold text-blue-600">Level {track.level}</span>
+                    </div>
+                    <p className="text-sm text-gray-600 mb-3">
+                      {formatNumber(track.experience_points)} XP from {track.activities_completed} activities
+                    </p>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-blue-600 h-2 rounded-full"
+                        style={{ width: `${track.level_progress}%` }}
+                      ></div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{formatNumber(track.xp_to_next_level)} XP to next level</p>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Friends Activity Section */}
+        {isSelfOrAdmin && (
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 flex items-center">
+              <Users className="h-6 w-6 mr-2" />
+              Friends Activity
+            </h2>
+            <Card>
+              <CardContent className="p-6">
+                {friendsFeed.length > 0 ? (
+                  <div className="space-y-3">
+                    {friendsFeed.map((event: any, index: number) => (
+                      <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                        <p className="text-gray-900">
+                          <span className="font-semibold">@{event.user.username}</span>{' '}
+                          {getFriendEventText(event)}
+                        </p>
+                        <span className="text-sm text-gray-600">{formatDate(event.occurred_at)}</span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-center text-gray-600">No recent activity from friends or followed users.</p>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
         {/* Statistics */}
         {stats && (
           <div className="mb-8">
@@ -318,6 +422,12 @@ export default function UserProfilePage() {
                       experienceReward={badge.experienceReward}
                     />
                     <div className="mt-4 text-sm text-gray-600">
+                      {badge.current_tier && (
+                        <p>
+                          Tier: {badge.current_tier.name} ({badge.current_tier.tier}/{badge.max_tier})
+                          {badge.next_tier && ` · ${badge.progress.percentage}% to ${badge.next_tier.name}`}
+                        </p>
+                      )}
                       <p>Earned: {formatDate(badge.awardedAt)}</p>
                     </div>
                   </CardContent>
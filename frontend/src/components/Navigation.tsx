@@ -3,7 +3,7 @@
 import { useRouter } from 'next/navigation';
 import { useAuthStore } from '@/lib/store';
 import { Button } from '@/components/ui/Button';
-import { Trophy, Users, Award, LogOut, Home, Activity, Settings, ChevronDown, Shield } from 'lucide-react';
+import { Trophy, Users, Award, LogOut, Home, Activity, Settings, ChevronDown, Shield, ShoppingBag } from 'lucide-react';
 import { useState } from 'react';
 import toast from 'react-hot-toast';
 
@@ -35,6 +35,11 @@ export default function Navigation() {
       href: '/dashboard/activities',
       icon: Activity,
     },
+    {
+      name: 'Store',
+      href: '/dashboard/store',
+      icon: ShoppingBag,
+    },
   ];
 
   // Admin management items (dropdown)
@@ -41,6 +41,12 @@ apiClient.interceptors.response.use(
   }
 );
 
+export type LeaderboardScope = 'global' | 'friends';
+
+export type WalletTransactionType = 'earn' | 'spend' | 'refund' | 'adjust';
+
+export type RedemptionStatus = 'pending' | 'fulfilled' | 'rejected';
+
 // API endpoints
 export const api = {
   auth: {
@@ -62,8 +68,28 @@ export const api = {
     getById: (id: number) => apiClient.get(`/users/${id}`),
     getStats: (id: number) => apiClient.get(`/users/${id}/stats`),
     getExperienceHistory: (id: number) => apiClient.get(`/users/${id}/experience`),
+    getCategories: (id: number) => apiClient.get(`/users/${id}/categories`),
+    getWallet: (id: number) => apiClient.get(`/users/${id}/wallet`),
+    getWalletTransactions: (id: number, params?: { type?: WalletTransactionType; page?: number; limit?: number }) =>
+      apiClient.get(`/users/${id}/wallet/transactions`, { params }),
+    adjustWallet: (id: number, data: { amount: number; reason: string }) =>
+      apiClient.post(`/users/${id}/wallet/adjustments`, data),
     update: (id: number, data: any) => apiClient.put(`/users/${id}`, data),
     delete: (id: number) => apiClient.delete(`/users/${id}`),
+    getFriends: (id: number) => apiClient.get(`/users/${id}/friends`),
+    getFollowers: (id: number) => apiClient.get(`/users/${id}/followers`),
+    getFollowing: (id: number) => apiClient.get(`/users/${id}/following`),
+    follow: (id: number) => apiClient.post(`/users/${id}/follow`),
+    unfollow: (id: number) => apiClient.delete(`/users/${id}/follow`),
+    sendFriendRequest: (id: number) => apiClient.post(`/users/${id}/friend-request`),
+    getFriendRequests: (id: number) => apiClient.get(`/users/${id}/friend-requests`),
+    answerFriendRequest: (id: number, requestId: number, decision: 'accept' | 'decline') =>
+      apiClient.post(`/users/${id}/friend-requests/${requestId}/${decision}`),
+    removeFriend: (id: number) => apiClient.delete(`/users/${id}/friend`),
+    block: (id: number) => apiClient.post(`/users/${id}/block`),
+    unblock: (id: number) => apiClient.delete(`/users/${id}/block`),
+    getFriendsActivity: (id: number, params?: { limit?: number; before?: string }) =>
+      apiClient.get(`/users/${id}/friends/activity`, { params }),
   },
   badges: {
     getAll: () => apiClient.get('/badges'),
@@ -72,16 +98,25 @@ export const api = {
     update: (id: number, data: any) => apiClient.put(`/badges/${id}`, data),
     delete: (id: number) => apiClient.delete(`/badges/${id}`),
     getUserBadges: (userId: number) => apiClient.get(`/badges/user/${userId}`),
-    giveToUser: (userId: number, badgeId: number) => apiClient.post(`/badges/award`, { user_id: userId, badge_id: badgeId }),
+    giveToUser: (userId: number, badgeId: number, tier?: number) =>
+      apiClient.post(`/badges/award`, { user_id: userId, badge_id: badgeId, tier }),
   },
   leaderboards: {
-    getLevels: () => apiClient.get('/leaderboards/levels'),
-    getExperience: () => apiClient.get('/leaderboards/experience'),
-    getBadges: () => apiClient.get('/leaderboards/badges'),
-    getAchievements: () => apiClient.get('/leaderboards/achievements'),
-    getActivity: () => apiClient.get('/leaderboards/activity'),
-    getUserPosition: (userId: number) =>
-      apiClient.get(`/leaderboards/user/${userId}/position`),
+    getLevels: (scope?: LeaderboardScope) =>
+      apiClient.get('/leaderboards/levels', { params: { scope } }),
+    getExperience: (scope?: LeaderboardScope) =>
+      apiClient.get('/leaderboards/experience', { params: { scope } }),
+    getBadges: (scope?: LeaderboardScope) =>
+      apiClient.get('/leaderboards/badges', { params: { scope } }),
+    getAchievements: (scope?: LeaderboardScope) =>
+      apiClient.get('/leaderboards/achievements', { params: { scope } }),
+    getActivity: (scope?: LeaderboardScope) =>
+      apiClient.get('/leaderboards/activity', { params: { scope } }),
+    getCategories: () => apiClient.get('/leaderboards/categories'),
+    getCategory: (category: string, scope?: LeaderboardScope) =>
+      apiClient.get(`/leaderboards/category/${encodeURIComponent(category)}`, { params: { scope } }),
+    getUserPosition: (userId: number, scope?: LeaderboardScope) =>
+      apiClient.get(`/leaderboards/user/${userId}/position`, { params: { scope } }),
   },
   activities: {
     getAll: () => apiClient.get('/activities'),
@@ -98,6 +133,9 @@ export const api = {
     getUserAchievements: (userId: number) =>
       apiClient.get(`/achievements/user/${userId}`),
   },
+  criteriaTypes: {
+    getAll: () => apiClient.get('/criteria-types'),
+  },
   levels: {
     getAll: () => apiClient.get('/levels'),
     getById: (id: number) => apiClient.get(`/levels/${id}`),
@@ -105,6 +143,18 @@ export const api = {
     update: (id: number, data: any) => apiClient.put(`/levels/${id}`, data),
     delete: (id: number) => apiClient.delete(`/levels/${id}`),
   },
+  store: {
+    getItems: (params?: { include_inactive?: boolean }) => apiClient.get('/store', { params }),
+    getItem: (id: number) => apiClient.get(`/store/${id}`),
+    createItem: (data: any) => apiClient.post('/store', data),
+    updateItem: (id: number, data: any) => apiClient.put(`/store/${id}`, data),
+    deleteItem: (id: number) => apiClient.delete(`/store/${id}`),
+    redeem: (id: number) => apiClient.post(`/store/${id}/redeem`),
+    getRedemptions: (params?: { status?: RedemptionStatus; user_id?: number; all?: boolean; page?: number; limit?: number }) =>
+      apiClient.get('/store/redemptions', { params }),
+    decideRedemption: (id: number, decision: 'fulfil' | 'reject', note?: string) =>
+      apiClient.post(`/store/redemptions/${id}/${decision}`, { note }),
+  },
 };
 
 export default apiClient; 
\ No newline at end of file
@@ -37,6 +37,8 @@ export function getBadgeColor(rarity: string): string {
   switch (rarity.toLowerCase()) {
     case 'common':
       return 'bg-gray-100 text-gray-800';
+    case 'uncommon':
+      return 'bg-green-100 text-green-800';
     case 'rare':
       return 'bg-blue-100 text-blue-800';
     case 'epic':